@@ -97,8 +97,17 @@ echo "=========================================="
 echo "🚀 Starting SvelteKit application on port 8080..."
 echo "=========================================="
 
-# Start the app in background and monitor onion URL
 cd /app
+
+# Rewrite stored URLs to their canonical form and merge the duplicates this reveals. Links are
+# canonicalized when submitted, so after the first run this only changes rows when the
+# canonicalization rules did.
+echo "🔗 Canonicalizing stored URLs..."
+if ! node scripts/canonicalize-urls.js; then
+    echo "⚠️  WARNING: URL canonicalization failed, duplicate links were not merged"
+fi
+
+# Start the app in background and monitor onion URL
 node build/index.js &
 APP_PID=$!
 
@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+
+import { createClient } from '@supabase/supabase-js';
+import { config } from 'dotenv';
+import { canonicalizeUrl, duplicateKey, mergeSchemesEnabled } from '../src/lib/url-canonicalization.js';
+
+// Load environment variables
+config();
+
+const PAGE_SIZE = 1000;
+
+/**
+ * Parse command line options
+ * @param {string[]} argv - Command line arguments
+ * @returns {{dryRun: boolean, mergeSchemes: boolean}}
+ */
+export function parseOptions(argv) {
+  const args = argv.slice(2); // Remove 'node' and script name
+  const options = { dryRun: false, mergeSchemes: mergeSchemesEnabled() };
+
+  for (const arg of args) {
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--merge-schemes') {
+      options.mergeSchemes = true;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Work out which links to merge and which URLs to rewrite. Of several links for the same page
+ * the oldest is kept and takes the canonical URL.
+ * @param {Array<{id: string, url: string, created_at: string}>} links - All links
+ * @param {{mergeSchemes?: boolean}} options - Options
+ * @returns {{merges: Array<{keepId: string, duplicateIds: string[], url: string}>, renames: Array<{id: string, from: string, to: string}>}}
+ */
+export function planCanonicalization(links, { mergeSchemes = false } = {}) {
+  /** @type {Map<string, Array<{id: string, url: string, created_at: string, canonical: string}>>} */
+  const groups = new Map();
+
+  for (const link of links) {
+    const canonical = canonicalizeUrl(link.url);
+    const key = duplicateKey(canonical, { mergeSchemes });
+    const group = groups.get(key) || [];
+    group.push({ ...link, canonical });
+    groups.set(key, group);
+  }
+
+  /** @type {Array<{keepId: string, duplicateIds: string[], url: string}>} */
+  const merges = [];
+  /** @type {Array<{id: string, from: string, to: string}>} */
+  const renames = [];
+
+  for (const group of groups.values()) {
+    group.sort((a, b) => new Date(a.created_at).getTime() - new Date(b.created_at).getTime());
+    const [keep, ...duplicates] = group;
+
+    if (duplicates.length > 0) {
+      merges.push({ keepId: keep.id, duplicateIds: duplicates.map((link) => link.id), url: keep.canonical });
+    }
+
+    if (keep.url !== keep.canonical) {
+      renames.push({ id: keep.id, from: keep.url, to: keep.canonical });
+    }
+  }
+
+  return { merges, renames };
+}
+
+/**
+ * Load the URL of every link, a page at a time
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @returns {Promise<Array<{id: string, url: string, created_at: string}>>}
+ */
+export async function loadLinks(supabase) {
+  /** @type {Array<{id: string, url: string, created_at: string}>} */
+  const links = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('links')
+      .select('id, url, created_at')
+      .order('created_at', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Error loading links: ${error.message}`);
+    }
+
+    links.push(...data);
+    if (data.length < PAGE_SIZE) {
+      return links;
+    }
+  }
+}
+
+/**
+ * Merge duplicate links and rewrite URLs to their canonical form
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @param {ReturnType<typeof planCanonicalization>} plan - Changes to apply
+ * @returns {Promise<{merged: number, renamed: number, errors: string[]}>}
+ */
+export async function applyCanonicalization(supabase, { merges, renames }) {
+  /** @type {{merged: number, renamed: number, errors: string[]}} */
+  const results = { merged: 0, renamed: 0, errors: [] };
+
+  // Duplicates go first so the canonical URL is free when the surviving link takes it
+  for (const merge of merges) {
+    for (const duplicateId of merge.duplicateIds) {
+      const { error } = await supabase.rpc('merge_duplicate_links', {
+        keep_id: merge.keepId,
+        duplicate_id: duplicateId
+      });
+
+      if (error) {
+        results.errors.push(`Error merging ${duplicateId} into ${merge.keepId}: ${error.message}`);
+      } else {
+        results.merged++;
+      }
+    }
+  }
+
+  for (const rename of renames) {
+    const { error } = await supabase
+      .from('links')
+      .update({ url: rename.to, domain: new URL(rename.to).hostname })
+      .eq('id', rename.id);
+
+    if (error) {
+      results.errors.push(`Error rewriting ${rename.from}: ${error.message}`);
+    } else {
+      results.renamed++;
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Main CLI function
+ */
+async function main() {
+  let options;
+  try {
+    options = parseOptions(process.argv);
+  } catch (error) {
+    console.error(`❌ ${error instanceof Error ? error.message : error}`);
+    console.error('Usage: node scripts/canonicalize-urls.js [--dry-run] [--merge-schemes]');
+    process.exit(1);
+  }
+
+  // Check for required environment variables
+  const supabaseUrl = process.env.PUBLIC_SUPABASE_URL;
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!supabaseUrl || !serviceRoleKey) {
+    console.error('❌ Error: Missing required environment variables.');
+    console.error('Please ensure PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are set in your .env file.');
+    process.exit(1);
+  }
+
+  // Create Supabase client with service role key for admin access
+  const supabase = createClient(supabaseUrl, serviceRoleKey, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  });
+
+  console.log('🔍 Loading links...');
+  const links = await loadLinks(supabase);
+  const plan = planCanonicalization(links, options);
+  const duplicateCount = plan.merges.reduce((sum, merge) => sum + merge.duplicateIds.length, 0);
+
+  console.log(`📊 ${links.length} links: ${duplicateCount} duplicate(s) to merge, ${plan.renames.length} URL(s) to rewrite`);
+
+  if (options.dryRun) {
+    for (const merge of plan.merges) {
+      console.log(`🔗 ${merge.url}: keep ${merge.keepId}, merge ${merge.duplicateIds.join(', ')}`);
+    }
+    for (const rename of plan.renames) {
+      console.log(`✏️  ${rename.from} -> ${rename.to}`);
+    }
+    console.log('ℹ️  Dry run, nothing changed.');
+    return;
+  }
+
+  const results = await applyCanonicalization(supabase, plan);
+
+  for (const error of results.errors) {
+    console.error(`❌ ${error}`);
+  }
+
+  console.log(`✅ Merged ${results.merged} duplicate(s) and rewrote ${results.renamed} URL(s).`);
+
+  if (results.errors.length > 0) {
+    process.exit(1);
+  }
+}
+
+// Run the CLI if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch((error) => {
+    console.error('❌ Unexpected error:', error.message);
+    process.exit(1);
+  });
+}
\ No newline at end of file
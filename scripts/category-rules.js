@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+
+import { createClient } from '@supabase/supabase-js';
+import { config } from 'dotenv';
+
+// Load environment variables
+config();
+
+/**
+ * Largest weight the category_rules.weight column (NUMERIC(4, 2)) holds
+ */
+const MAX_WEIGHT = 99.99;
+
+const USAGE = `Usage: node scripts/category-rules.js <command>
+  list [CATEGORY]
+  set <CATEGORY> <KEYWORD> <WEIGHT>
+  remove <CATEGORY> <KEYWORD>`;
+
+/**
+ * Keyword as stored: lowercased, with single spaces (matching ignores case and spacing anyway)
+ * @param {string} keyword - Keyword or phrase
+ * @returns {string}
+ */
+export function normalizeKeyword(keyword) {
+  return keyword.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Parse command line arguments into a command
+ * @param {string[]} argv - Command line arguments
+ * @returns {{command: 'list', category?: string} | {command: 'remove', category: string, keyword: string} | {command: 'set', category: string, keyword: string, weight: number}}
+ */
+export function parseCommand(argv) {
+  const [command = 'list', category, keyword, weight] = argv.slice(2); // Remove 'node' and script name
+
+  if (command === 'list') {
+    return category ? { command, category } : { command };
+  }
+
+  if (command !== 'set' && command !== 'remove') {
+    throw new Error(`Unknown command: ${command}`);
+  }
+
+  if (!category || !keyword?.trim()) {
+    throw new Error(`"${command}" needs a category and a keyword`);
+  }
+
+  if (command === 'remove') {
+    return { command, category, keyword: normalizeKeyword(keyword) };
+  }
+
+  const value = Number(weight);
+  if (!weight || !Number.isFinite(value) || value === 0 || Math.abs(value) > MAX_WEIGHT) {
+    throw new Error(`"set" needs a non-zero weight between -${MAX_WEIGHT} and ${MAX_WEIGHT}`);
+  }
+
+  return { command, category, keyword: normalizeKeyword(keyword), weight: value };
+}
+
+/**
+ * @typedef {Object} CategoryRule
+ * @property {string} category - Category name
+ * @property {string} keyword - Keyword or phrase
+ * @property {number} weight - How much a match counts (negative counts against the category)
+ */
+
+/**
+ * @typedef {Object} CommandResult
+ * @property {boolean} success - Whether the command succeeded
+ * @property {string} message - Summary for the user
+ * @property {Array<CategoryRule>} [rules] - Listed rules
+ */
+
+/**
+ * Find a category by name (case-insensitive)
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @param {string} name - Category name
+ * @returns {Promise<{success: true, category: {id: string, name: string}} | {success: false, message: string}>}
+ */
+async function findCategory(supabase, name) {
+  const { data, error } = await supabase.from('categories').select('id, name');
+
+  if (error) {
+    return { success: false, message: `Error loading categories: ${error.message}` };
+  }
+
+  const category = data.find((row) => row.name.toLowerCase() === name.trim().toLowerCase());
+  if (!category) {
+    return { success: false, message: `Category "${name}" not found in database.` };
+  }
+
+  return { success: true, category };
+}
+
+/**
+ * List classifier rules, of every category or of one
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @param {string} [categoryName] - Only list the rules of this category
+ * @returns {Promise<CommandResult>}
+ */
+export async function listRules(supabase, categoryName) {
+  let query = supabase.from('category_rules').select('keyword, weight, categories(name)');
+
+  if (categoryName) {
+    const found = await findCategory(supabase, categoryName);
+    if (!found.success) {
+      return found;
+    }
+    query = query.eq('category_id', found.category.id);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    return { success: false, message: `Error loading rules: ${error.message}` };
+  }
+
+  // categories is a many-to-one embed, so each row holds a single category object
+  const rules = data
+    .map((/** @type {any} */ row) => ({
+      category: row.categories?.name,
+      keyword: row.keyword,
+      weight: Number(row.weight)
+    }))
+    .sort((a, b) => a.category.localeCompare(b.category) || a.keyword.localeCompare(b.keyword));
+
+  return { success: true, message: `${rules.length} rule(s).`, rules };
+}
+
+/**
+ * Add a rule or change the weight of an existing one
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @param {string} categoryName - Category name
+ * @param {string} keyword - Normalized keyword
+ * @param {number} weight - How much a match counts
+ * @returns {Promise<CommandResult>}
+ */
+export async function setRule(supabase, categoryName, keyword, weight) {
+  const found = await findCategory(supabase, categoryName);
+  if (!found.success) {
+    return found;
+  }
+
+  const { error } = await supabase
+    .from('category_rules')
+    .upsert({ category_id: found.category.id, keyword, weight }, { onConflict: 'category_id,keyword' });
+
+  if (error) {
+    return { success: false, message: `Error saving rule: ${error.message}` };
+  }
+
+  return { success: true, message: `"${keyword}" counts ${weight} for ${found.category.name}.` };
+}
+
+/**
+ * Remove a rule
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @param {string} categoryName - Category name
+ * @param {string} keyword - Normalized keyword
+ * @returns {Promise<CommandResult>}
+ */
+export async function removeRule(supabase, categoryName, keyword) {
+  const found = await findCategory(supabase, categoryName);
+  if (!found.success) {
+    return found;
+  }
+
+  const { data, error } = await supabase
+    .from('category_rules')
+    .delete()
+    .eq('category_id', found.category.id)
+    .eq('keyword', keyword)
+    .select('id');
+
+  if (error) {
+    return { success: false, message: `Error removing rule: ${error.message}` };
+  }
+
+  if (data.length === 0) {
+    return { success: false, message: `${found.category.name} has no rule for "${keyword}".` };
+  }
+
+  return { success: true, message: `Removed "${keyword}" from ${found.category.name}.` };
+}
+
+/**
+ * Main CLI function
+ */
+async function main() {
+  let parsed;
+  try {
+    parsed = parseCommand(process.argv);
+  } catch (error) {
+    console.error(`❌ ${error instanceof Error ? error.message : error}`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  // Check for required environment variables
+  const supabaseUrl = process.env.PUBLIC_SUPABASE_URL;
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!supabaseUrl || !serviceRoleKey) {
+    console.error('❌ Error: Missing required environment variables.');
+    console.error('Please ensure PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are set in your .env file.');
+    process.exit(1);
+  }
+
+  // Create Supabase client with service role key for admin access
+  const supabase = createClient(supabaseUrl, serviceRoleKey, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  });
+
+  let result;
+
+  if (parsed.command === 'list') {
+    result = await listRules(supabase, parsed.category);
+  } else if (parsed.command === 'set') {
+    result = await setRule(supabase, parsed.category, parsed.keyword, parsed.weight);
+  } else {
+    result = await removeRule(supabase, parsed.category, parsed.keyword);
+  }
+
+  if (!result.success) {
+    console.error(`❌ ${result.message}`);
+    process.exit(1);
+  }
+
+  console.log(`✅ ${result.message}`);
+
+  if (parsed.command !== 'list') {
+    console.log('ℹ️  The app reloads the rules within 5 minutes.');
+  }
+
+  for (const rule of result.rules || []) {
+    console.log(`🏷️  ${rule.category}: "${rule.keyword}" (${rule.weight})`);
+  }
+}
+
+// Run the CLI if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch((error) => {
+    console.error('❌ Unexpected error:', error.message);
+    process.exit(1);
+  });
+}
\ No newline at end of file
@@ -2,6 +2,7 @@
 
 import { createClient } from '@supabase/supabase-js';
 import { config } from 'dotenv';
+import { canonicalizeUrl } from '../src/lib/url-canonicalization.js';
 
 // Load environment variables
 config();
@@ -334,8 +335,10 @@ async function main() {
   let result;
 
   if (inputType.type === 'url') {
-    console.log(`🔍 Searching for link: ${inputType.value}`);
-    result = await deleteLink(inputType.value, supabase);
+    // Links are stored under their canonical URL
+    const url = canonicalizeUrl(inputType.value);
+    console.log(`🔍 Searching for link: ${url}`);
+    result = await deleteLink(url, supabase);
   } else if (inputType.type === 'comment_id') {
     console.log(`🔍 Searching for comment: ${inputType.value}`);
     result = await deleteComment(inputType.value, supabase);
@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+
+import { createClient } from '@supabase/supabase-js';
+import { config } from 'dotenv';
+import { validateUuid } from './delete-link.js';
+
+// Load environment variables
+config();
+
+/**
+ * Parse command line arguments into a command
+ * @param {string[]} argv - Command line arguments
+ * @returns {{command: 'list'} | {command: 'history'|'dismiss', linkId: string}}
+ */
+export function parseCommand(argv) {
+  const [command = 'list', linkId] = argv.slice(2); // Remove 'node' and script name
+
+  if (command === 'list') {
+    return { command };
+  }
+
+  if (command === 'history' || command === 'dismiss') {
+    if (!validateUuid(linkId)) {
+      throw new Error(`"${command}" needs a link ID`);
+    }
+    return { command, linkId };
+  }
+
+  throw new Error(`Unknown command: ${command}`);
+}
+
+/**
+ * @typedef {Object} CommandResult
+ * @property {boolean} success - Whether the command succeeded
+ * @property {string} message - Summary for the user
+ * @property {Array<{id: string, url: string, title: string, metadata_flagged_at: string, metadata_flag_reason: string}>} [links] - Flagged links
+ * @property {Array<{field: string, old_value: string, new_value: string, similarity: number, changed_at: string}>} [changes] - Recorded changes
+ */
+
+/**
+ * List links flagged for drastic metadata changes, most recent first
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @returns {Promise<CommandResult>}
+ */
+export async function listFlaggedLinks(supabase) {
+  const { data, error } = await supabase
+    .from('links')
+    .select('id, url, title, metadata_flagged_at, metadata_flag_reason')
+    .not('metadata_flagged_at', 'is', null)
+    .order('metadata_flagged_at', { ascending: false });
+
+  if (error) {
+    return { success: false, message: `Error loading flagged links: ${error.message}` };
+  }
+
+  return {
+    success: true,
+    message: `${data.length} link(s) flagged for review.`,
+    links: data
+  };
+}
+
+/**
+ * Get the recorded title/description changes of a link
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @param {string} linkId - Link UUID
+ * @returns {Promise<CommandResult>}
+ */
+export async function getLinkHistory(supabase, linkId) {
+  const { data, error } = await supabase
+    .from('link_metadata_changes')
+    .select('field, old_value, new_value, similarity, changed_at')
+    .eq('link_id', linkId)
+    .order('changed_at', { ascending: false });
+
+  if (error) {
+    return { success: false, message: `Error loading history: ${error.message}` };
+  }
+
+  return {
+    success: true,
+    message: `${data.length} change(s) recorded for link ${linkId}.`,
+    changes: data
+  };
+}
+
+/**
+ * Clear the review flag of a link once it has been checked
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @param {string} linkId - Link UUID
+ * @returns {Promise<CommandResult>}
+ */
+export async function dismissFlag(supabase, linkId) {
+  const { data, error } = await supabase
+    .from('links')
+    .update({ metadata_flagged_at: null, metadata_flag_reason: null })
+    .eq('id', linkId)
+    .select('id');
+
+  if (error) {
+    return { success: false, message: `Error dismissing flag: ${error.message}` };
+  }
+
+  if (!data || data.length === 0) {
+    return { success: false, message: `Link with ID "${linkId}" not found in database.` };
+  }
+
+  return { success: true, message: `Flag dismissed for link ${linkId}.` };
+}
+
+/**
+ * Main CLI function
+ */
+async function main() {
+  let parsed;
+  try {
+    parsed = parseCommand(process.argv);
+  } catch (error) {
+    console.error(`❌ ${error instanceof Error ? error.message : error}`);
+    console.error('Usage: node scripts/metadata-changes.js [list | history <LINK_ID> | dismiss <LINK_ID>]');
+    process.exit(1);
+  }
+
+  // Check for required environment variables
+  const supabaseUrl = process.env.PUBLIC_SUPABASE_URL;
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!supabaseUrl || !serviceRoleKey) {
+    console.error('❌ Error: Missing required environment variables.');
+    console.error('Please ensure PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are set in your .env file.');
+    process.exit(1);
+  }
+
+  // Create Supabase client with service role key for admin access
+  const supabase = createClient(supabaseUrl, serviceRoleKey, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  });
+
+  let result;
+
+  if (parsed.command === 'list') {
+    result = await listFlaggedLinks(supabase);
+  } else if (parsed.command === 'history') {
+    result = await getLinkHistory(supabase, parsed.linkId);
+  } else {
+    result = await dismissFlag(supabase, parsed.linkId);
+  }
+
+  if (!result.success) {
+    console.error(`❌ ${result.message}`);
+    process.exit(1);
+  }
+
+  console.log(`✅ ${result.message}`);
+
+  for (const link of result.links || []) {
+    console.log(`🚩 ${link.title}`);
+    console.log(`   URL: ${link.url}`);
+    console.log(`   ID: ${link.id}`);
+    console.log(`   Flagged: ${new Date(link.metadata_flagged_at).toLocaleString()} - ${link.metadata_flag_reason}`);
+  }
+
+  for (const change of result.changes || []) {
+    console.log(`📝 ${new Date(change.changed_at).toLocaleString()} ${change.field} (similarity ${change.similarity})`);
+    console.log(`   Before: ${change.old_value}`);
+    console.log(`   After:  ${change.new_value}`);
+  }
+}
+
+// Run the CLI if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch((error) => {
+    console.error('❌ Unexpected error:', error.message);
+    process.exit(1);
+  });
+}
\ No newline at end of file
@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+
+import { createClient } from '@supabase/supabase-js';
+import { config } from 'dotenv';
+import { findProfile } from '../src/lib/auth.js';
+
+// Load environment variables
+config();
+
+const ROLES = ['user', 'moderator', 'admin'];
+
+const USAGE = `Usage: node scripts/roles.js <command>
+  list
+  set <USERNAME> <${ROLES.join('|')}>
+  unban <USERNAME>`;
+
+/**
+ * Parse command line arguments into a command
+ * @param {string[]} argv - Command line arguments
+ * @returns {{command: 'list'} | {command: 'unban', username: string} | {command: 'set', username: string, role: string}}
+ */
+export function parseCommand(argv) {
+  const [command = 'list', username, role] = argv.slice(2); // Remove 'node' and script name
+
+  if (command === 'list') {
+    return { command };
+  }
+
+  if (command !== 'set' && command !== 'unban') {
+    throw new Error(`Unknown command: ${command}`);
+  }
+
+  if (!username) {
+    throw new Error(`"${command}" needs a username`);
+  }
+
+  if (command === 'unban') {
+    return { command, username };
+  }
+
+  if (!ROLES.includes(role)) {
+    throw new Error(`"set" needs a role: ${ROLES.join(', ')}`);
+  }
+
+  return { command, username, role };
+}
+
+/**
+ * @typedef {Object} CommandResult
+ * @property {boolean} success - Whether the command succeeded
+ * @property {string} message - Summary for the user
+ * @property {Array<{username: string, role: string, banned_at: string|null, ban_reason: string|null}>} [profiles] - Staff and banned accounts
+ */
+
+/**
+ * List moderators, admins and banned accounts
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @returns {Promise<CommandResult>}
+ */
+export async function listStaff(supabase) {
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('username, role, banned_at, ban_reason')
+    .or('role.neq.user,banned_at.not.is.null')
+    .order('username');
+
+  if (error) {
+    return { success: false, message: `Error loading profiles: ${error.message}` };
+  }
+
+  return { success: true, message: `${data.length} account(s) with a role or ban.`, profiles: data };
+}
+
+/**
+ * Give an account a role
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @param {string} username - Username
+ * @param {string} role - 'user', 'moderator' or 'admin'
+ * @returns {Promise<CommandResult>}
+ */
+export async function setRole(supabase, username, role) {
+  const profile = await findProfile(supabase, username);
+  if (!profile) {
+    return { success: false, message: `User "${username}" not found in database.` };
+  }
+
+  const { error } = await supabase.from('profiles').update({ role }).eq('id', profile.id);
+
+  if (error) {
+    return { success: false, message: `Error updating role: ${error.message}` };
+  }
+
+  return { success: true, message: `${profile.username} is now ${role === 'admin' ? 'an' : 'a'} ${role}.` };
+}
+
+/**
+ * Lift the ban of an account
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @param {string} username - Username
+ * @returns {Promise<CommandResult>}
+ */
+export async function unban(supabase, username) {
+  const profile = await findProfile(supabase, username);
+  if (!profile) {
+    return { success: false, message: `User "${username}" not found in database.` };
+  }
+
+  const { error: authError } = await supabase.auth.admin.updateUserById(profile.id, { ban_duration: 'none' });
+
+  if (authError) {
+    return { success: false, message: `Error lifting the ban: ${authError.message}` };
+  }
+
+  const { error } = await supabase
+    .from('profiles')
+    .update({ banned_at: null, ban_reason: null })
+    .eq('id', profile.id);
+
+  if (error) {
+    return { success: false, message: `Error updating profile: ${error.message}` };
+  }
+
+  return { success: true, message: `${profile.username} can sign in again.` };
+}
+
+/**
+ * Main CLI function
+ */
+async function main() {
+  let parsed;
+  try {
+    parsed = parseCommand(process.argv);
+  } catch (error) {
+    console.error(`❌ ${error instanceof Error ? error.message : error}`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  // Check for required environment variables
+  const supabaseUrl = process.env.PUBLIC_SUPABASE_URL;
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!supabaseUrl || !serviceRoleKey) {
+    console.error('❌ Error: Missing required environment variables.');
+    console.error('Please ensure PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are set in your .env file.');
+    process.exit(1);
+  }
+
+  // Create Supabase client with service role key for admin access
+  const supabase = createClient(supabaseUrl, serviceRoleKey, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  });
+
+  let result;
+
+  if (parsed.command === 'list') {
+    result = await listStaff(supabase);
+  } else if (parsed.command === 'set') {
+    result = await setRole(supabase, parsed.username, parsed.role);
+  } else {
+    result = await unban(supabase, parsed.username);
+  }
+
+  if (!result.success) {
+    console.error(`❌ ${result.message}`);
+    process.exit(1);
+  }
+
+  console.log(`✅ ${result.message}`);
+
+  for (const profile of result.profiles || []) {
+    const ban = profile.banned_at
+      ? ` 🚫 banned ${new Date(profile.banned_at).toLocaleDateString()}${profile.ban_reason ? `: ${profile.ban_reason}` : ''}`
+      : '';
+    console.log(`👤 ${profile.username} (${profile.role})${ban}`);
+  }
+}
+
+// Run the CLI if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch((error) => {
+    console.error('❌ Unexpected error:', error.message);
+    process.exit(1);
+  });
+}
\ No newline at end of file
@@ -0,0 +1,312 @@
+#!/usr/bin/env node
+
+import { createClient } from '@supabase/supabase-js';
+import { config } from 'dotenv';
+import { readFileSync } from 'node:fs';
+import { readKeyFingerprint, verifySiteMirrors } from '../src/lib/mirrors.js';
+
+// Load environment variables
+config();
+
+const USAGE = `Usage: node scripts/sites.js <command>
+  list
+  add <NAME> <PUBLIC_KEY_FILE> [--mirror-list <URL>] [--clearnet <URL>]
+  verify <NAME>
+  remove <NAME>`;
+
+/**
+ * Parse command line arguments into a command
+ * @param {string[]} argv - Command line arguments
+ * @returns {{command: 'list'} | {command: 'verify'|'remove', name: string} | {command: 'add', name: string, keyFile: string, mirrorListUrl?: string, clearnetUrl?: string}}
+ */
+export function parseCommand(argv) {
+  const args = argv.slice(2); // Remove 'node' and script name
+  /** @type {{mirrorListUrl?: string, clearnetUrl?: string}} */
+  const options = {};
+  const positional = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--mirror-list') {
+      options.mirrorListUrl = args[++i];
+    } else if (args[i] === '--clearnet') {
+      options.clearnetUrl = args[++i];
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  const [command = 'list', name, keyFile] = positional;
+
+  if (command === 'list') {
+    return { command };
+  }
+
+  if (command !== 'add' && command !== 'verify' && command !== 'remove') {
+    throw new Error(`Unknown command: ${command}`);
+  }
+
+  if (!name) {
+    throw new Error(`"${command}" needs a site name`);
+  }
+
+  if (command !== 'add') {
+    return { command, name };
+  }
+
+  if (!keyFile) {
+    throw new Error('"add" needs the file of the operator\'s public key');
+  }
+
+  if (!options.mirrorListUrl && !options.clearnetUrl) {
+    throw new Error('"add" needs --mirror-list or --clearnet');
+  }
+
+  const urls = /** @type {string[]} */ ([options.mirrorListUrl, options.clearnetUrl].filter(Boolean));
+  for (const url of urls) {
+    try {
+      new URL(url);
+    } catch {
+      throw new Error(`Invalid URL: ${url}`);
+    }
+  }
+
+  if (options.clearnetUrl && !options.clearnetUrl.startsWith('https://')) {
+    throw new Error('--clearnet must be an HTTPS URL');
+  }
+
+  return { command, name, keyFile, ...options };
+}
+
+/**
+ * @typedef {Object} ListedSite
+ * @property {string} id - Site ID
+ * @property {string} name - Site name
+ * @property {string} key_fingerprint - Fingerprint of the operator's key
+ * @property {string|null} mirror_list_url - URL of the signed mirror list
+ * @property {string|null} clearnet_url - HTTPS URL announcing an Onion-Location
+ * @property {string|null} last_verified_at - When the mirrors were last verified
+ * @property {string|null} last_error - Why the last verification failed
+ * @property {Array<{address: string, source: string}>} site_mirrors - Verified mirrors
+ */
+
+/**
+ * @typedef {Object} CommandResult
+ * @property {boolean} success - Whether the command succeeded
+ * @property {string} message - Summary for the user
+ * @property {Array<ListedSite>} [sites] - Registered sites
+ * @property {Object} [site] - Added site
+ * @property {Array<string>} [addresses] - Verified mirror addresses
+ */
+
+/**
+ * List registered sites with their verified mirrors
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @returns {Promise<CommandResult>}
+ */
+export async function listSites(supabase) {
+  const { data, error } = await supabase
+    .from('sites')
+    .select('id, name, key_fingerprint, mirror_list_url, clearnet_url, last_verified_at, last_error, site_mirrors(address, source)')
+    .order('name');
+
+  if (error) {
+    return { success: false, message: `Error loading sites: ${error.message}` };
+  }
+
+  return { success: true, message: `${data.length} site(s) registered.`, sites: data };
+}
+
+/**
+ * Register a site and its operator key
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @param {{name: string, publicKey: string, mirrorListUrl?: string, clearnetUrl?: string}} site - Site to add
+ * @returns {Promise<CommandResult>}
+ */
+export async function addSite(supabase, { name, publicKey, mirrorListUrl, clearnetUrl }) {
+  let fingerprint;
+  try {
+    fingerprint = await readKeyFingerprint(publicKey);
+  } catch (error) {
+    return {
+      success: false,
+      message: `Invalid public key: ${error instanceof Error ? error.message : error}`
+    };
+  }
+
+  const { data, error } = await supabase
+    .from('sites')
+    .insert({
+      name,
+      public_key: publicKey,
+      key_fingerprint: fingerprint,
+      mirror_list_url: mirrorListUrl || null,
+      clearnet_url: clearnetUrl || null
+    })
+    .select()
+    .single();
+
+  if (error) {
+    return { success: false, message: `Error adding site: ${error.message}` };
+  }
+
+  return { success: true, message: `Site "${name}" added with key ${fingerprint}.`, site: data };
+}
+
+/**
+ * Look up a site by name
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @param {string} name - Site name
+ * @returns {Promise<{success: false, message: string} | {success: true, message: string, site: import('../src/lib/mirrors.js').Site}>}
+ */
+async function findSite(supabase, name) {
+  const { data, error } = await supabase
+    .from('sites')
+    .select('id, name, public_key, mirror_list_url, clearnet_url')
+    .eq('name', name)
+    .maybeSingle();
+
+  if (error) {
+    return { success: false, message: `Error loading site: ${error.message}` };
+  }
+
+  if (!data) {
+    return { success: false, message: `Site "${name}" not found in database.` };
+  }
+
+  return { success: true, message: '', site: data };
+}
+
+/**
+ * Fetch and verify the mirrors of a site now instead of waiting for the scheduler
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @param {string} name - Site name
+ * @returns {Promise<CommandResult>}
+ */
+export async function verifySite(supabase, name) {
+  const found = await findSite(supabase, name);
+  if (!found.success) {
+    return found;
+  }
+
+  try {
+    const result = await verifySiteMirrors(supabase, found.site);
+    return {
+      success: true,
+      message: `${result.addresses.length} mirror(s) verified, ${result.verified} link(s) badged, ${result.unverified} look-alike(s) marked.`,
+      addresses: result.addresses
+    };
+  } catch (error) {
+    return {
+      success: false,
+      message: `Verification failed: ${error instanceof Error ? error.message : error}`
+    };
+  }
+}
+
+/**
+ * Remove a site; its links lose their mirror status
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @param {string} name - Site name
+ * @returns {Promise<CommandResult>}
+ */
+export async function removeSite(supabase, name) {
+  const found = await findSite(supabase, name);
+  if (!found.success) {
+    return found;
+  }
+
+  const { error: linksError } = await supabase
+    .from('links')
+    .update({ site_id: null, mirror_status: null, mirror_verified_at: null })
+    .eq('site_id', found.site.id);
+
+  if (linksError) {
+    return { success: false, message: `Error clearing links: ${linksError.message}` };
+  }
+
+  const { error } = await supabase.from('sites').delete().eq('id', found.site.id);
+
+  if (error) {
+    return { success: false, message: `Error removing site: ${error.message}` };
+  }
+
+  return { success: true, message: `Site "${name}" removed.` };
+}
+
+/**
+ * Main CLI function
+ */
+async function main() {
+  let parsed;
+  try {
+    parsed = parseCommand(process.argv);
+  } catch (error) {
+    console.error(`❌ ${error instanceof Error ? error.message : error}`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  // Check for required environment variables
+  const supabaseUrl = process.env.PUBLIC_SUPABASE_URL;
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!supabaseUrl || !serviceRoleKey) {
+    console.error('❌ Error: Missing required environment variables.');
+    console.error('Please ensure PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are set in your .env file.');
+    process.exit(1);
+  }
+
+  // Create Supabase client with service role key for admin access
+  const supabase = createClient(supabaseUrl, serviceRoleKey, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  });
+
+  let result;
+
+  if (parsed.command === 'list') {
+    result = await listSites(supabase);
+  } else if (parsed.command === 'add') {
+    const publicKey = readFileSync(parsed.keyFile, 'utf8');
+    result = await addSite(supabase, { ...parsed, publicKey });
+    if (result.success) {
+      console.log(`✅ ${result.message}`);
+      result = await verifySite(supabase, parsed.name);
+    }
+  } else if (parsed.command === 'verify') {
+    result = await verifySite(supabase, parsed.name);
+  } else {
+    result = await removeSite(supabase, parsed.name);
+  }
+
+  if (!result.success) {
+    console.error(`❌ ${result.message}`);
+    process.exit(1);
+  }
+
+  console.log(`✅ ${result.message}`);
+
+  for (const site of result.sites || []) {
+    console.log(`🔏 ${site.name} (key ${site.key_fingerprint})`);
+    if (site.mirror_list_url) console.log(`   Mirror list: ${site.mirror_list_url}`);
+    if (site.clearnet_url) console.log(`   Clearnet: ${site.clearnet_url}`);
+    for (const mirror of site.site_mirrors || []) {
+      console.log(`   ✓ ${mirror.address} (${mirror.source})`);
+    }
+    if (site.last_error) console.log(`   ⚠️ Last error: ${site.last_error}`);
+  }
+
+  for (const address of result.addresses || []) {
+    console.log(`   ✓ ${address}`);
+  }
+}
+
+// Run the CLI if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch((error) => {
+    console.error('❌ Unexpected error:', error.message);
+    process.exit(1);
+  });
+}
\ No newline at end of file
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+import { createClient } from '@supabase/supabase-js';
+import { config } from 'dotenv';
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { trainModel, DEFAULT_MODEL_PATH } from '../src/lib/bayes-classifier.js';
+import { fetchUrlMetadata } from '../src/lib/metadata.js';
+
+// Load environment variables
+config();
+
+/**
+ * Number of links read from the database per request
+ */
+const PAGE_SIZE = 1000;
+
+/**
+ * Assignment sources that count as human-confirmed
+ */
+const CONFIRMED_SOURCES = ['user', 'admin'];
+
+/**
+ * Parse command line options
+ * @param {string[]} argv - Command line arguments
+ * @returns {{output: string, fetchText: boolean, minDocuments: number}}
+ */
+export function parseOptions(argv) {
+  const options = {
+    output: process.env.CATEGORY_MODEL_PATH || DEFAULT_MODEL_PATH,
+    fetchText: false,
+    minDocuments: 2
+  };
+
+  const args = argv.slice(2); // Remove 'node' and script name
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--fetch-text') {
+      options.fetchText = true;
+    } else if (args[i] === '--output' && args[i + 1]) {
+      options.output = args[++i];
+    } else if (args[i] === '--min-documents' && args[i + 1]) {
+      options.minDocuments = parseInt(args[++i]);
+    } else {
+      throw new Error(`Unknown option: ${args[i]}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Load links with human-confirmed categories as training documents
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @returns {Promise<Array<{url: string, title: string, description: string, domain: string, body?: string, categories: string[]}>>}
+ */
+export async function loadTrainingDocuments(supabase) {
+  /** @type {Awaited<ReturnType<typeof loadTrainingDocuments>>} */
+  const documents = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('links')
+      .select('url, title, description, domain, link_categories!inner(source, categories(name))')
+      .in('link_categories.source', CONFIRMED_SOURCES)
+      .order('created_at', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Error loading links: ${error.message}`);
+    }
+
+    for (const link of data || []) {
+      documents.push({
+        url: link.url,
+        title: link.title || '',
+        description: link.description || '',
+        domain: link.domain || '',
+        // categories is a many-to-one embed, so each row holds a single category object
+        categories: link.link_categories.map((/** @type {any} */ lc) => lc.categories?.name).filter(Boolean)
+      });
+    }
+
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  return documents;
+}
+
+/**
+ * Main CLI function
+ */
+async function main() {
+  let options;
+  try {
+    options = parseOptions(process.argv);
+  } catch (error) {
+    console.error(`❌ ${error instanceof Error ? error.message : error}`);
+    console.error('Usage: node scripts/train-category-model.js [--output <file>] [--fetch-text] [--min-documents <n>]');
+    process.exit(1);
+  }
+
+  // Check for required environment variables
+  const supabaseUrl = process.env.PUBLIC_SUPABASE_URL;
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!supabaseUrl || !serviceRoleKey) {
+    console.error('❌ Error: Missing required environment variables.');
+    console.error('Please ensure PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are set in your .env file.');
+    process.exit(1);
+  }
+
+  // Create Supabase client with service role key for admin access
+  const supabase = createClient(supabaseUrl, serviceRoleKey, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  });
+
+  console.log('🔍 Loading links with confirmed categories...');
+  const documents = await loadTrainingDocuments(supabase);
+  console.log(`📋 Found ${documents.length} training links`);
+
+  // Page text is not stored, so fetch it again when asked (slow, onion pages go through Tor)
+  if (options.fetchText) {
+    for (const [index, document] of documents.entries()) {
+      console.log(`🌐 [${index + 1}/${documents.length}] ${document.url}`);
+      const metadata = await fetchUrlMetadata(document.url);
+      document.body = metadata.fullText || '';
+    }
+  }
+
+  const model = trainModel(documents, { minDocuments: options.minDocuments });
+  const categoryCount = Object.keys(model.categories).length;
+
+  if (categoryCount < 2) {
+    console.error(`❌ Need confirmed links in at least 2 categories to train (found ${categoryCount}).`);
+    process.exit(1);
+  }
+
+  mkdirSync(dirname(options.output), { recursive: true });
+  writeFileSync(options.output, JSON.stringify(model));
+
+  console.log(`✅ Trained on ${model.documentCount} links, ${categoryCount} categories, ${model.vocabularySize} words`);
+  console.log(`💾 Model written to ${options.output}`);
+}
+
+// Run the CLI if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch((error) => {
+    console.error('❌ Unexpected error:', error.message);
+    process.exit(1);
+  });
+}
\ No newline at end of file
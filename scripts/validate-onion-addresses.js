@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+import { createClient } from '@supabase/supabase-js';
+import { config } from 'dotenv';
+import { validateOnionAddress } from '../src/lib/onion-address.js';
+
+// Load environment variables
+config();
+
+const PAGE_SIZE = 1000;
+
+/**
+ * Parse command line options
+ * @param {string[]} argv - Command line arguments
+ * @returns {{dryRun: boolean}}
+ */
+export function parseOptions(argv) {
+  const args = argv.slice(2); // Remove 'node' and script name
+  const options = { dryRun: false };
+
+  for (const arg of args) {
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * @typedef {Object} OnionLink
+ * @property {string} id - Link ID
+ * @property {string} url - Link URL
+ * @property {string} domain - Hostname of the URL
+ * @property {string|null} onion_address_error - Current flag, null when the address is valid
+ */
+
+/**
+ * @typedef {Object} AddressChange
+ * @property {string} id - Link ID
+ * @property {string} url - Link URL
+ * @property {string|null} error - New flag (null clears it)
+ */
+
+/**
+ * Validate the onion address of each link and return the links whose flag has to change
+ * @param {Array<OnionLink>} links - Onion links
+ * @returns {Array<AddressChange>} - New flag per link
+ */
+export function findAddressChanges(links) {
+  /** @type {Array<AddressChange>} */
+  const changes = [];
+
+  for (const link of links) {
+    const { error } = validateOnionAddress(link.domain);
+    if (error !== link.onion_address_error) {
+      changes.push({ id: link.id, url: link.url, error });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Load every onion link, a page at a time
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @returns {Promise<Array<OnionLink>>}
+ */
+export async function loadOnionLinks(supabase) {
+  /** @type {Array<OnionLink>} */
+  const links = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('links')
+      .select('id, url, domain, onion_address_error')
+      .ilike('domain', '%.onion')
+      .order('created_at', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Error loading links: ${error.message}`);
+    }
+
+    links.push(...data);
+    if (data.length < PAGE_SIZE) {
+      return links;
+    }
+  }
+}
+
+/**
+ * Store the new flags
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @param {Array<AddressChange>} changes - Result of findAddressChanges
+ * @returns {Promise<{updated: number, errors: string[]}>}
+ */
+export async function saveAddressChanges(supabase, changes) {
+  /** @type {{updated: number, errors: string[]}} */
+  const results = { updated: 0, errors: [] };
+
+  for (const change of changes) {
+    const { error } = await supabase
+      .from('links')
+      .update({ onion_address_error: change.error })
+      .eq('id', change.id);
+
+    if (error) {
+      results.errors.push(`Error updating ${change.url}: ${error.message}`);
+    } else {
+      results.updated++;
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Main CLI function
+ */
+async function main() {
+  let options;
+  try {
+    options = parseOptions(process.argv);
+  } catch (error) {
+    console.error(`❌ ${error instanceof Error ? error.message : error}`);
+    console.error('Usage: node scripts/validate-onion-addresses.js [--dry-run]');
+    process.exit(1);
+  }
+
+  // Check for required environment variables
+  const supabaseUrl = process.env.PUBLIC_SUPABASE_URL;
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!supabaseUrl || !serviceRoleKey) {
+    console.error('❌ Error: Missing required environment variables.');
+    console.error('Please ensure PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are set in your .env file.');
+    process.exit(1);
+  }
+
+  // Create Supabase client with service role key for admin access
+  const supabase = createClient(supabaseUrl, serviceRoleKey, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  });
+
+  console.log('🔍 Loading onion links...');
+  const links = await loadOnionLinks(supabase);
+  const changes = findAddressChanges(links);
+
+  console.log(`📊 ${links.length} onion links, ${changes.length} flag(s) to update`);
+
+  for (const change of changes) {
+    console.log(change.error ? `🚩 ${change.url}: ${change.error}` : `✓ ${change.url}: valid`);
+  }
+
+  if (options.dryRun) {
+    console.log('ℹ️  Dry run, nothing changed.');
+    return;
+  }
+
+  const results = await saveAddressChanges(supabase, changes);
+
+  for (const error of results.errors) {
+    console.error(`❌ ${error}`);
+  }
+
+  console.log(`✅ Updated ${results.updated} link(s).`);
+
+  if (results.errors.length > 0) {
+    process.exit(1);
+  }
+}
+
+// Run the CLI if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch((error) => {
+    console.error('❌ Unexpected error:', error.message);
+    process.exit(1);
+  });
+}
\ No newline at end of file
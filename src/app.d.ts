@@ -0,0 +1,11 @@
+// See https://kit.svelte.dev/docs/types#app
+declare global {
+	namespace App {
+		interface Locals {
+			/** Signed-in account, null for anonymous visitors (set in hooks.server.js) */
+			user: { id: string; username: string | null; role: 'user' | 'moderator' | 'admin' } | null;
+		}
+	}
+}
+
+export {};
\ No newline at end of file
@@ -1,5 +1,12 @@
-import { supabase } from '$lib/supabase.js';
+import { createClient } from '@supabase/supabase-js';
+import { PUBLIC_SUPABASE_URL } from '$env/static/public';
+import { SUPABASE_SERVICE_ROLE_KEY } from '$env/static/private';
 import { startLinkCheckerScheduler, stopLinkCheckerScheduler } from '$lib/scheduler.js';
+import { resolveSessionUser } from '$lib/auth.js';
+import { createAuthClient } from '$lib/supabase.js';
+
+// Create server-side Supabase client with service role (the checker writes link status and history)
+const supabase = createClient(PUBLIC_SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
 
 let schedulerStarted = false;
 
@@ -23,7 +30,7 @@ function initializeScheduler() {
 }
 
 /**
- * Handle server startup
+ * Handle server startup and resolve the signed-in user (event.locals.user, null when anonymous)
  */
 export async function handle({ event, resolve }) {
   // Initialize scheduler on first request (server startup)
@@ -31,6 +38,13 @@ export async function handle({ event, resolve }) {
     initializeScheduler();
   }
 
+  try {
+    event.locals.user = await resolveSessionUser(supabase, createAuthClient, event.cookies, event.url);
+  } catch (error) {
+    console.error('Failed to resolve session:', error);
+    event.locals.user = null;
+  }
+
   const response = await resolve(event);
   return response;
 }
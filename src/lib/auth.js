@@ -0,0 +1,286 @@
+import { createHash } from 'node:crypto';
+
+/**
+ * Usernames: 3-20 letters, digits and underscores
+ */
+export const USERNAME_PATTERN = /^[A-Za-z0-9_]{3,20}$/;
+
+/**
+ * Password length limits (bcrypt ignores anything past 72 bytes)
+ */
+export const MIN_PASSWORD_LENGTH = 8;
+export const MAX_PASSWORD_LENGTH = 72;
+
+/**
+ * Cookies holding the Supabase session
+ */
+export const ACCESS_TOKEN_COOKIE = 'sb-access-token';
+export const REFRESH_TOKEN_COOKIE = 'sb-refresh-token';
+
+/**
+ * Lifetime of the refresh token cookie; the access token cookie lives as long as the token
+ */
+const SESSION_MAX_AGE = 30 * 24 * 60 * 60;
+
+/**
+ * Domain of the placeholder email addresses accounts are created with. Supabase Auth needs an
+ * email for password sign-in, and Tor users should not have to give one.
+ */
+const ACCOUNT_EMAIL_DOMAIN = 'users.invalid';
+
+/**
+ * @typedef {Object} SessionUser
+ * @property {string} id - Account ID
+ * @property {string|null} username - Username from the profile
+ * @property {'user'|'moderator'|'admin'} role - Role from the profile
+ */
+
+/**
+ * Check a username and password before creating an account or signing in
+ * @param {{username?: string, password?: string}} credentials - Submitted credentials
+ * @returns {string|null} - Error message, or null when both are acceptable
+ */
+export function validateCredentials({ username, password }) {
+	if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+		return 'Usernames are 3-20 characters: letters, digits and underscores';
+	}
+	if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+		return `Passwords need at least ${MIN_PASSWORD_LENGTH} characters`;
+	}
+	if (new TextEncoder().encode(password).length > MAX_PASSWORD_LENGTH) {
+		return `Passwords can be at most ${MAX_PASSWORD_LENGTH} bytes`;
+	}
+	return null;
+}
+
+/**
+ * Placeholder email address of an account
+ * @param {string} username - Username (case-insensitive)
+ * @returns {string}
+ */
+export function usernameToEmail(username) {
+	return `${username.toLowerCase()}@${ACCOUNT_EMAIL_DOMAIN}`;
+}
+
+/**
+ * Find the profile of a username (case-insensitive)
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client
+ * @param {string} username - Username
+ * @returns {Promise<{id: string, username: string, created_at: string}|null>}
+ */
+export async function findProfile(supabase, username) {
+	if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) return null;
+
+	// Underscores are the only LIKE wildcard a valid username can contain
+	const { data, error } = await supabase
+		.from('profiles')
+		.select('id, username, created_at')
+		.ilike('username', username.replace(/_/g, '\\_'))
+		.maybeSingle();
+
+	if (error) throw new Error(`Error loading profile: ${error.message}`);
+	return data;
+}
+
+/**
+ * Create an account without an email address
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @param {{username: string, password: string}} credentials - Validated credentials
+ * @returns {Promise<{user: {id: string, username: string}|null, error: string|null}>}
+ */
+export async function createAccount(supabase, { username, password }) {
+	if (await findProfile(supabase, username)) {
+		return { user: null, error: 'That username is taken' };
+	}
+
+	// Created confirmed, so no confirmation email is sent to the placeholder address
+	const { data, error } = await supabase.auth.admin.createUser({
+		email: usernameToEmail(username),
+		password,
+		email_confirm: true,
+		user_metadata: { username }
+	});
+
+	if (error) {
+		return {
+			user: null,
+			error: /already/i.test(error.message) ? 'That username is taken' : error.message
+		};
+	}
+
+	const { error: profileError } = await supabase
+		.from('profiles')
+		.insert({ id: data.user.id, username });
+
+	if (profileError) {
+		await supabase.auth.admin.deleteUser(data.user.id);
+		throw new Error(`Error creating profile: ${profileError.message}`);
+	}
+
+	return { user: { id: data.user.id, username }, error: null };
+}
+
+/**
+ * Sign in with a username and password. Banned accounts are refused, so they never get a session.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role), for the profile
+ * @param {import('@supabase/supabase-js').SupabaseClient} authClient - Supabase client used only for this sign-in (anon key, no stored session)
+ * @param {{username: string, password: string}} credentials - Credentials
+ * @returns {Promise<{session: import('@supabase/supabase-js').Session, user: SessionUser, error: null}|{session: null, user: null, error: string}>}
+ */
+export async function signIn(supabase, authClient, { username, password }) {
+	const { data, error } = await authClient.auth.signInWithPassword({
+		email: usernameToEmail(username),
+		password
+	});
+
+	if (error || !data.session) {
+		return { session: null, user: null, error: 'Wrong username or password' };
+	}
+
+	const user = await toSessionUser(supabase, data.session.user);
+	if (!user) {
+		return { session: null, user: null, error: 'This account has been banned' };
+	}
+	return { session: data.session, user, error: null };
+}
+
+/**
+ * Options for the session cookies. Onion services are served over plain HTTP, so the
+ * Secure flag is only set for HTTPS requests.
+ * @param {URL} url - Request URL
+ * @param {number} maxAge - Cookie lifetime in seconds
+ * @returns {Parameters<import('@sveltejs/kit').Cookies['set']>[2]}
+ */
+function cookieOptions(url, maxAge) {
+	return {
+		path: '/',
+		httpOnly: true,
+		sameSite: 'lax',
+		secure: url.protocol === 'https:',
+		maxAge
+	};
+}
+
+/**
+ * Store a session in cookies
+ * @param {import('@sveltejs/kit').Cookies} cookies - SvelteKit cookies
+ * @param {URL} url - Request URL
+ * @param {{access_token: string, refresh_token: string, expires_in: number}} session - Supabase session
+ */
+export function setSessionCookies(cookies, url, session) {
+	cookies.set(ACCESS_TOKEN_COOKIE, session.access_token, cookieOptions(url, session.expires_in));
+	cookies.set(REFRESH_TOKEN_COOKIE, session.refresh_token, cookieOptions(url, SESSION_MAX_AGE));
+}
+
+/**
+ * Remove the session cookies
+ * @param {import('@sveltejs/kit').Cookies} cookies - SvelteKit cookies
+ * @param {URL} url - Request URL
+ */
+export function clearSessionCookies(cookies, url) {
+	cookies.delete(ACCESS_TOKEN_COOKIE, cookieOptions(url, 0));
+	cookies.delete(REFRESH_TOKEN_COOKIE, cookieOptions(url, 0));
+}
+
+/**
+ * Session user of an auth user. Username and role come from the profile, because user_metadata
+ * can be changed by the user.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @param {{id: string}} authUser - User returned by Supabase Auth
+ * @returns {Promise<SessionUser|null>} - null for banned accounts
+ */
+async function toSessionUser(supabase, authUser) {
+	const { data: profile, error } = await supabase
+		.from('profiles')
+		.select('username, role, banned_at')
+		.eq('id', authUser.id)
+		.maybeSingle();
+
+	if (error) throw new Error(`Error loading profile: ${error.message}`);
+	if (profile?.banned_at) return null;
+	return { id: authUser.id, username: profile?.username || null, role: profile?.role || 'user' };
+}
+
+/**
+ * Account of the user behind a request, refreshing an expired session when possible
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @param {() => import('@supabase/supabase-js').SupabaseClient} createAuthClient - Creates a throwaway client for refreshing the session
+ * @param {import('@sveltejs/kit').Cookies} cookies - SvelteKit cookies
+ * @param {URL} url - Request URL
+ * @returns {Promise<SessionUser|null>} - null for anonymous visitors
+ */
+export async function resolveSessionUser(supabase, createAuthClient, cookies, url) {
+	const accessToken = cookies.get(ACCESS_TOKEN_COOKIE);
+	const refreshToken = cookies.get(REFRESH_TOKEN_COOKIE);
+	if (!accessToken && !refreshToken) return null;
+
+	if (accessToken) {
+		const { data, error } = await supabase.auth.getUser(accessToken);
+		if (!error && data.user) {
+			const user = await toSessionUser(supabase, data.user);
+			if (user) return user;
+
+			// Banned since signing in
+			clearSessionCookies(cookies, url);
+			return null;
+		}
+	}
+
+	if (refreshToken) {
+		const { data, error } = await createAuthClient().auth.refreshSession({
+			refresh_token: refreshToken
+		});
+		if (!error && data.session && data.user) {
+			const user = await toSessionUser(supabase, data.user);
+			if (user) {
+				setSessionCookies(cookies, url, data.session);
+				return user;
+			}
+		}
+	}
+
+	clearSessionCookies(cookies, url);
+	return null;
+}
+
+/**
+ * Whether a user can moderate (edit any link)
+ * @param {{role: string}|null} user - Signed-in user (event.locals.user)
+ * @returns {boolean}
+ */
+export function isModerator(user) {
+	return user?.role === 'moderator' || user?.role === 'admin';
+}
+
+/**
+ * Session key of an anonymous visitor, from their IP and browser fingerprint
+ * @param {string} clientIP - Client IP address
+ * @param {string|null|undefined} fingerprint - Browser fingerprint
+ * @returns {string}
+ */
+export function getAnonymousSessionId(clientIP, fingerprint) {
+	const hash = createHash('sha256').update(`${clientIP}|${fingerprint || ''}`).digest('hex');
+	return `anon_${hash}`;
+}
+
+/**
+ * Key counting a reporter toward the report threshold: the account when signed in, otherwise a
+ * hash of the IP alone, since the fingerprint is sent by the client. Behind an onion service every
+ * anonymous visitor has the same IP, so they count as one reporter together.
+ * @param {{id: string}|null} user - Signed-in user (event.locals.user)
+ * @param {string} clientIP - Client IP address
+ * @returns {string}
+ */
+export function getReporterKey(user, clientIP) {
+	return user ? `user_${user.id}` : `ip_${createHash('sha256').update(clientIP).digest('hex')}`;
+}
+
+/**
+ * Key identifying a voter: the account when signed in, otherwise the anonymous session
+ * @param {{id: string}|null} user - Signed-in user (event.locals.user)
+ * @param {string} anonymousId - Anonymous session key (IP/fingerprint based)
+ * @returns {string}
+ */
+export function getVoterKey(user, anonymousId) {
+	return user ? `user_${user.id}` : anonymousId;
+}
\ No newline at end of file
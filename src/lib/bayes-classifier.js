@@ -0,0 +1,231 @@
+import { readFileSync, statSync } from 'node:fs';
+import { FIELD_WEIGHTS } from './category-classifier.js';
+
+/**
+ * Where the trained model is read from unless CATEGORY_MODEL_PATH is set
+ */
+export const DEFAULT_MODEL_PATH = 'data/category-model.json';
+
+/**
+ * Model file format version, bumped when the tokenizer or layout changes
+ */
+export const MODEL_VERSION = 1;
+
+/**
+ * Additive (Laplace) smoothing for token counts
+ */
+const SMOOTHING = 1;
+
+/**
+ * Common words that say nothing about a category
+ */
+// prettier-ignore
+const STOPWORDS = new Set([
+	'a', 'about', 'all', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'for',
+	'from', 'has', 'have', 'how', 'if', 'in', 'into', 'is', 'it', 'its', 'more', 'new',
+	'not', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'their', 'this', 'to', 'was',
+	'we', 'what', 'when', 'which', 'will', 'with', 'you', 'your', 'www', 'com', 'org',
+	'net', 'onion', 'http', 'https', 'html'
+]);
+
+/**
+ * @typedef {Object} CategoryStats
+ * @property {number} documents - Training documents in the category
+ * @property {number} tokens - Total weighted token count
+ * @property {Record<string, number>} counts - Weighted count per token
+ */
+
+/**
+ * @typedef {Object} CategoryModel
+ * @property {number} version - MODEL_VERSION the model was trained with
+ * @property {string} trainedAt - When the model was trained
+ * @property {number} documentCount - Number of training documents
+ * @property {number} vocabularySize - Number of distinct tokens kept
+ * @property {Record<string, CategoryStats>} categories - Statistics keyed by lowercased category name
+ */
+
+/** @type {CategoryModel|null} */
+let cachedModel = null;
+/** @type {string|null} */
+let cachedPath = null;
+let cachedMtime = 0;
+
+/**
+ * Split text into lowercase word tokens, dropping stopwords and numbers
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>}
+ */
+export function tokenize(text) {
+	if (!text) return [];
+
+	return (
+		text
+			.normalize('NFKC')
+			.toLowerCase()
+			.match(/[\p{L}\p{N}][\p{L}\p{N}+#]*/gu) || []
+	).filter(
+		(token) =>
+			token.length >= 2 && token.length <= 30 && !STOPWORDS.has(token) && !/^\d+$/.test(token)
+	);
+}
+
+/**
+ * Count the tokens of a page, weighting each field like the keyword classifier does
+ * @param {{title?: string, description?: string, body?: string, domain?: string}} content - Page fields
+ * @returns {Map<string, number>} - Weighted token counts
+ */
+export function countTokens(content) {
+	const counts = new Map();
+
+	for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+		for (const token of tokenize(
+			content[/** @type {keyof typeof FIELD_WEIGHTS} */ (field)] || ''
+		)) {
+			counts.set(token, (counts.get(token) || 0) + weight);
+		}
+	}
+
+	return counts;
+}
+
+/**
+ * Train a multinomial Naive Bayes model. A document with several categories counts once for each.
+ * @param {Array<{title?: string, description?: string, body?: string, domain?: string, categories: Array<string>}>} documents - Categorized pages
+ * @param {Object} options - Training options
+ * @param {number} [options.minDocuments] - Drop tokens found in fewer documents than this
+ * @returns {CategoryModel} - Model, serializable as JSON
+ */
+export function trainModel(documents, options = {}) {
+	const { minDocuments = 2 } = options;
+	const documentFrequency = new Map();
+	/** @type {Record<string, CategoryStats>} */
+	const categories = {};
+	let documentCount = 0;
+
+	const examples = documents
+		.map((document) => ({
+			counts: countTokens(document),
+			categories: [...new Set((document.categories || []).map((name) => name.toLowerCase()))]
+		}))
+		.filter((example) => example.counts.size > 0 && example.categories.length > 0);
+
+	for (const { counts } of examples) {
+		for (const token of counts.keys()) {
+			documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+		}
+	}
+
+	for (const { counts, categories: names } of examples) {
+		documentCount++;
+
+		for (const name of names) {
+			categories[name] ??= { documents: 0, tokens: 0, counts: {} };
+			const category = categories[name];
+			category.documents++;
+
+			for (const [token, count] of counts) {
+				if (documentFrequency.get(token) < minDocuments) continue;
+				category.counts[token] = (category.counts[token] || 0) + count;
+				category.tokens += count;
+			}
+		}
+	}
+
+	const vocabulary = [...documentFrequency.values()].filter(
+		(count) => count >= minDocuments
+	).length;
+
+	return {
+		version: MODEL_VERSION,
+		trainedAt: new Date().toISOString(),
+		documentCount,
+		vocabularySize: vocabulary,
+		categories
+	};
+}
+
+/**
+ * Rank categories for a page with a trained model
+ * @param {CategoryModel} model - Model from trainModel
+ * @param {{title?: string, description?: string, body?: string, domain?: string}} content - Page fields
+ * @param {Object} options - Ranking options
+ * @param {number} [options.limit] - Maximum number of categories returned
+ * @returns {Array<{category: string, score: number, confidence: number, matches: Array<string>}>} - Categories, best first; empty when no token of the page is known to the model
+ */
+export function predictCategories(model, content, options = {}) {
+	const { limit = 3 } = options;
+	const names = Object.keys(model.categories);
+	const totalDocuments = names.reduce((sum, name) => sum + model.categories[name].documents, 0);
+	const counts = [...countTokens(content)].filter(([token]) =>
+		names.some((name) => model.categories[name].counts[token])
+	);
+
+	if (names.length === 0 || counts.length === 0) return [];
+
+	const scored = names.map((name) => {
+		const category = model.categories[name];
+		const denominator = category.tokens + SMOOTHING * model.vocabularySize;
+		let score = Math.log((category.documents + 1) / (totalDocuments + names.length));
+
+		for (const [token, count] of counts) {
+			score += count * Math.log(((category.counts[token] || 0) + SMOOTHING) / denominator);
+		}
+
+		return { category: name, score };
+	});
+
+	// Turn log-likelihoods into posterior probabilities
+	const best = Math.max(...scored.map((s) => s.score));
+	const sum = scored.reduce((total, s) => total + Math.exp(s.score - best), 0);
+
+	return scored
+		.map(({ category, score }) => ({
+			category,
+			score: Math.round(score * 100) / 100,
+			confidence: Math.round((Math.exp(score - best) / sum) * 100) / 100,
+			matches: counts
+				.filter(([token]) => model.categories[category].counts[token])
+				.map(([token]) => token)
+		}))
+		.sort((a, b) => b.score - a.score || a.category.localeCompare(b.category))
+		.slice(0, limit);
+}
+
+/**
+ * Load the trained model from disk. The file is re-read when it changes, so a retrain
+ * takes effect without a restart.
+ * @param {string} path - Model file (defaults to CATEGORY_MODEL_PATH or data/category-model.json)
+ * @returns {CategoryModel|null} - Model, or null when the file is missing or unusable
+ */
+export function loadCategoryModel(path = process.env.CATEGORY_MODEL_PATH || DEFAULT_MODEL_PATH) {
+	let mtime;
+	try {
+		mtime = statSync(path).mtimeMs;
+	} catch {
+		cachedModel = null;
+		cachedPath = null;
+		return null;
+	}
+
+	if (cachedPath === path && cachedMtime === mtime) {
+		return cachedModel;
+	}
+
+	try {
+		const model = JSON.parse(readFileSync(path, 'utf8'));
+		if (model.version !== MODEL_VERSION || !model.categories) {
+			throw new Error(`unsupported model version ${model.version}`);
+		}
+		cachedModel = model;
+	} catch (error) {
+		console.error(
+			`Error loading category model ${path}, using keyword rules:`,
+			error instanceof Error ? error.message : error
+		);
+		cachedModel = null;
+	}
+
+	cachedPath = path;
+	cachedMtime = mtime;
+	return cachedModel;
+}
\ No newline at end of file
@@ -0,0 +1,321 @@
+/**
+ * How much a keyword match counts in each field of a page
+ */
+export const FIELD_WEIGHTS = {
+	title: 3,
+	domain: 2,
+	description: 2,
+	body: 1
+};
+
+/**
+ * Category used when nothing matches
+ */
+export const DEFAULT_CATEGORY = 'technology';
+
+/**
+ * Score at which confidence reaches 0.5 (confidence = score / (score + CONFIDENCE_HALF_SCORE))
+ */
+const CONFIDENCE_HALF_SCORE = 6;
+
+/**
+ * Minimum score for a category to be suggested (a single body match is not enough)
+ */
+const MIN_SCORE = 2;
+
+/**
+ * Maximum number of categories assigned automatically to a link
+ */
+export const AUTO_CATEGORY_LIMIT = 3;
+
+/**
+ * Minimum confidence for an automatic category assignment (0.3 is a single title match)
+ */
+export const MIN_AUTO_CONFIDENCE = 0.3;
+
+/**
+ * How long classifier rules loaded from the database are reused
+ */
+const RULES_CACHE_MS = 5 * 60 * 1000;
+
+/**
+ * Built-in rules, used when the category_rules table is empty or cannot be read
+ */
+// prettier-ignore
+const DEFAULT_CATEGORY_KEYWORDS = {
+	technology: [
+		'tech', 'technology', 'software', 'hardware', 'computer', 'digital',
+		'innovation', 'startup', 'ai', 'artificial intelligence', 'machine learning',
+		'blockchain', 'crypto', 'iot', 'cloud', 'saas', 'api', 'mobile app',
+		'techcrunch', 'wired', 'ars-technica', 'theverge'
+	],
+	programming: [
+		'code', 'coding', 'programming', 'developer', 'development', 'software',
+		'javascript', 'python', 'react', 'node', 'github', 'git', 'framework',
+		'library', 'tutorial', 'documentation', 'stackoverflow', 'dev.to',
+		'medium.com', 'hackernews', 'freecodecamp', 'codecademy'
+	],
+	design: [
+		'design', 'ui', 'ux', 'interface', 'graphic', 'visual', 'creative',
+		'typography', 'color', 'layout', 'wireframe', 'prototype', 'figma',
+		'sketch', 'adobe', 'dribbble', 'behance', 'awwwards'
+	],
+	news: [
+		'news', 'breaking', 'latest', 'update', 'report', 'article', 'story',
+		'current events', 'politics', 'world', 'reuters', 'bbc', 'cnn',
+		'nytimes', 'guardian', 'washingtonpost', 'npr'
+	],
+	education: [
+		'education', 'learning', 'course', 'tutorial', 'lesson', 'study',
+		'university', 'college', 'school', 'academic', 'research', 'knowledge',
+		'coursera', 'udemy', 'edx', 'khan academy', 'mit', 'stanford'
+	],
+	entertainment: [
+		'entertainment', 'fun', 'game', 'movie', 'music', 'video', 'streaming',
+		'netflix', 'youtube', 'spotify', 'gaming', 'film', 'tv', 'show',
+		'comedy', 'humor', 'meme', 'reddit', 'imgur'
+	]
+};
+
+/**
+ * @typedef {Object} CompiledRule
+ * @property {string} keyword - Keyword or phrase as written
+ * @property {RegExp} pattern - Whole-word pattern for the keyword
+ * @property {number} weight - How much a match counts
+ */
+
+/**
+ * @typedef {Map<string, Array<CompiledRule>>} CompiledRules - Rules keyed by lowercased category name
+ */
+
+/**
+ * @typedef {Object} CategoryAssignment
+ * @property {string} category - Category name
+ * @property {number|null} confidence - Classifier confidence, null for user choices
+ * @property {string} source - 'auto', 'user' or 'admin'
+ */
+
+/** @type {CompiledRules|null} */
+let defaultRules = null;
+/** @type {CompiledRules|null} */
+let cachedRules = null;
+let cachedAt = 0;
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+	return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a case-insensitive pattern matching a keyword as a whole word or phrase,
+ * so "ai" does not match "email" and "node" does not match "nodes"
+ * @param {string} keyword - Keyword or phrase
+ * @returns {RegExp}
+ */
+export function keywordPattern(keyword) {
+	const phrase = keyword.trim().split(/\s+/).map(escapeRegExp).join('\\s+');
+	return new RegExp(`(?<![\\p{L}\\p{N}])${phrase}(?![\\p{L}\\p{N}])`, 'iu');
+}
+
+/**
+ * Compile classifier rules into matchable patterns grouped by category
+ * @param {Array<{category: string, keyword: string, weight?: number}>} rules - Rules (category names are matched case-insensitively)
+ * @returns {CompiledRules} - Compiled rules
+ */
+export function compileRules(rules) {
+	const compiled = new Map();
+
+	for (const rule of rules) {
+		if (!rule.category || !rule.keyword?.trim()) continue;
+
+		const category = rule.category.toLowerCase();
+		if (!compiled.has(category)) {
+			compiled.set(category, []);
+		}
+		compiled.get(category).push({
+			keyword: rule.keyword,
+			pattern: keywordPattern(rule.keyword),
+			weight: typeof rule.weight === 'number' ? rule.weight : 1
+		});
+	}
+
+	return compiled;
+}
+
+/**
+ * Built-in rules in compiled form
+ * @returns {CompiledRules}
+ */
+export function getDefaultRules() {
+	defaultRules ??= compileRules(
+		Object.entries(DEFAULT_CATEGORY_KEYWORDS).flatMap(([category, keywords]) =>
+			keywords.map((keyword) => ({ category, keyword }))
+		)
+	);
+	return defaultRules;
+}
+
+/**
+ * Rank categories for a page by weighted keyword matches
+ * @param {{title?: string, description?: string, body?: string, domain?: string}} content - Page fields
+ * @param {CompiledRules} rules - Compiled rules (see compileRules)
+ * @param {Object} options - Ranking options
+ * @param {number} [options.limit] - Maximum number of categories returned
+ * @param {number} [options.minScore] - Minimum score for a category to be returned
+ * @returns {Array<{category: string, score: number, confidence: number, matches: Array<string>}>} - Categories, best first
+ */
+export function classifyContent(content, rules = getDefaultRules(), options = {}) {
+	const { limit = 3, minScore = MIN_SCORE } = options;
+	const ranked = [];
+
+	for (const [category, categoryRules] of rules) {
+		let score = 0;
+		const matches = new Set();
+
+		for (const [field, fieldWeight] of Object.entries(FIELD_WEIGHTS)) {
+			const text = content[/** @type {keyof typeof FIELD_WEIGHTS} */ (field)];
+			if (!text) continue;
+
+			for (const rule of categoryRules) {
+				if (rule.pattern.test(text)) {
+					score += rule.weight * fieldWeight;
+					matches.add(rule.keyword);
+				}
+			}
+		}
+
+		if (score >= minScore) {
+			ranked.push({
+				category,
+				score,
+				confidence: Math.round((score / (score + CONFIDENCE_HALF_SCORE)) * 100) / 100,
+				matches: [...matches]
+			});
+		}
+	}
+
+	return ranked
+		.sort((a, b) => b.score - a.score || a.category.localeCompare(b.category))
+		.slice(0, limit);
+}
+
+/**
+ * Pick the ranked categories to assign to a link automatically.
+ * Every link gets at least one category: the best guess below the threshold, or the default.
+ * @param {Array<{category: string, confidence: number}>} ranked - Result of classifyContent
+ * @param {Object} options - Selection options
+ * @param {number} [options.limit] - Maximum number of categories
+ * @param {number} [options.minConfidence] - Minimum confidence for a category to be assigned
+ * @returns {Array<CategoryAssignment>} - Assignments, best first
+ */
+export function selectAutoCategories(ranked, options = {}) {
+	const { limit = AUTO_CATEGORY_LIMIT, minConfidence = MIN_AUTO_CONFIDENCE } = options;
+	const selected = ranked.filter((r) => r.confidence >= minConfidence).slice(0, limit);
+
+	if (selected.length === 0) {
+		selected.push(ranked[0] || { category: DEFAULT_CATEGORY, confidence: 0 });
+	}
+
+	return selected.map(({ category, confidence }) => ({ category, confidence, source: 'auto' }));
+}
+
+/**
+ * Load classifier rules from the category_rules table, falling back to the built-in rules.
+ * Results are cached for a few minutes; admins edit rules with `pnpm category-rules`.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client
+ * @returns {Promise<CompiledRules>} - Compiled rules
+ */
+export async function loadCategoryRules(supabase) {
+	if (cachedRules && Date.now() - cachedAt < RULES_CACHE_MS) {
+		return cachedRules;
+	}
+
+	const { data, error } = await supabase
+		.from('category_rules')
+		.select('keyword, weight, categories(name)');
+
+	if (error || !data || data.length === 0) {
+		if (error) {
+			console.error('Error loading category rules, using built-in rules:', error);
+		}
+		return getDefaultRules();
+	}
+
+	// categories is a many-to-one embed, so each row holds a single category object
+	cachedRules = compileRules(
+		data.map((/** @type {any} */ row) => ({
+			category: row.categories?.name,
+			keyword: row.keyword,
+			weight: Number(row.weight)
+		}))
+	);
+	cachedAt = Date.now();
+	return cachedRules;
+}
+
+/**
+ * Forget cached rules so the next loadCategoryRules() call reads the database again
+ */
+export function clearCategoryRulesCache() {
+	cachedRules = null;
+	cachedAt = 0;
+}
+
+/**
+ * Store category assignments for links. User and admin choices always win: they overwrite
+ * existing rows, while automatic assignments never replace an existing row for the same category.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @param {Map<string, Array<CategoryAssignment>>} assignmentsByLink - Assignments keyed by link ID, in order of preference
+ * @returns {Promise<void>}
+ */
+export async function saveCategoryAssignments(supabase, assignmentsByLink) {
+	const { data: categories, error } = await supabase.from('categories').select('id, name');
+	if (error || !categories) {
+		throw new Error(`Error loading categories: ${error?.message || 'no data'}`);
+	}
+
+	const categoryIds = new Map(
+		categories.map((category) => [category.name.toLowerCase(), category.id])
+	);
+	/** @type {Array<{link_id: string, category_id: string, confidence: number|null, source: string}>} */
+	const userRows = [];
+	/** @type {typeof userRows} */
+	const autoRows = [];
+
+	for (const [linkId, assignments] of assignmentsByLink) {
+		const assigned = new Set();
+
+		for (const assignment of assignments) {
+			// Keep the first assignment of each category
+			const categoryId = categoryIds.get(assignment.category.toLowerCase());
+			if (!categoryId || assigned.has(categoryId)) continue;
+			assigned.add(categoryId);
+
+			const row = {
+				link_id: linkId,
+				category_id: categoryId,
+				confidence: assignment.confidence,
+				source: assignment.source
+			};
+			(assignment.source === 'auto' ? autoRows : userRows).push(row);
+		}
+	}
+
+	if (userRows.length > 0) {
+		const { error: userError } = await supabase
+			.from('link_categories')
+			.upsert(userRows, { onConflict: 'link_id,category_id' });
+		if (userError) throw new Error(`Error saving categories: ${userError.message}`);
+	}
+
+	if (autoRows.length > 0) {
+		const { error: autoError } = await supabase
+			.from('link_categories')
+			.upsert(autoRows, { onConflict: 'link_id,category_id', ignoreDuplicates: true });
+		if (autoError) throw new Error(`Error saving categories: ${autoError.message}`);
+	}
+}
\ No newline at end of file
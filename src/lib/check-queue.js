@@ -0,0 +1,166 @@
+/**
+ * Default options for the check queue
+ */
+const DEFAULT_QUEUE_OPTIONS = {
+	clearnetConcurrency: 20, // Simultaneous clearnet requests
+	onionConcurrency: 6, // Simultaneous requests through the Tor SOCKS port
+	perHostConcurrency: 2, // Simultaneous requests to the same host
+	maxPending: 200 // Queued tasks before add() callers have to wait
+};
+
+/**
+ * A queued task with the pool and host it counts against
+ * @typedef {Object} QueueItem
+ * @property {string} host - Host the task requests (politeness key)
+ * @property {'clearnet'|'onion'} pool - Concurrency pool
+ * @property {() => any} task - Function to run once a slot is free
+ * @property {(value: any) => void} resolve - Settles the promise returned by add()
+ * @property {(reason: any) => void} reject - Rejects the promise returned by add()
+ */
+
+/**
+ * Get the host a URL points at, used as the politeness key
+ * @param {string} url - URL string
+ * @returns {string} - Lowercased hostname, or the raw URL if it cannot be parsed
+ */
+function getHost(url) {
+	try {
+		return new URL(url).hostname.toLowerCase();
+	} catch {
+		return url;
+	}
+}
+
+/**
+ * Work queue for link checks with separate clearnet/onion concurrency pools,
+ * per-host politeness and backpressure on the number of queued tasks.
+ */
+export class CheckQueue {
+	/**
+	 * @param {Partial<typeof DEFAULT_QUEUE_OPTIONS>} options - Queue options (see DEFAULT_QUEUE_OPTIONS)
+	 */
+	constructor(options = {}) {
+		this.options = { ...DEFAULT_QUEUE_OPTIONS, ...options };
+		/** @type {Array<QueueItem>} */
+		this.pending = [];
+		this.active = { clearnet: 0, onion: 0 };
+		/** @type {Map<string, number>} */
+		this.activePerHost = new Map();
+		/** @type {Array<() => void>} */
+		this.capacityWaiters = [];
+		/** @type {Array<() => void>} */
+		this.idleWaiters = [];
+	}
+
+	/**
+	 * Number of tasks waiting to start
+	 * @returns {number}
+	 */
+	get size() {
+		return this.pending.length;
+	}
+
+	/**
+	 * Number of tasks currently running
+	 * @returns {number}
+	 */
+	get running() {
+		return this.active.clearnet + this.active.onion;
+	}
+
+	/**
+	 * Queue a task for a URL
+	 * @param {string} url - URL the task will request, used for pool and host limits
+	 * @param {() => any} task - Async function to run once a slot is free
+	 * @returns {Promise<any>} - Resolves or rejects with the task's result
+	 */
+	add(url, task) {
+		const host = getHost(url);
+		/** @type {QueueItem['pool']} */
+		const pool = host.endsWith('.onion') ? 'onion' : 'clearnet';
+
+		return new Promise((resolve, reject) => {
+			this.pending.push({ host, pool, task, resolve, reject });
+			this.drain();
+		});
+	}
+
+	/**
+	 * Wait until the queue has room for more tasks (backpressure)
+	 * @returns {Promise<void>}
+	 */
+	waitForCapacity() {
+		if (this.pending.length < this.options.maxPending) {
+			return Promise.resolve();
+		}
+		return new Promise((resolve) => this.capacityWaiters.push(resolve));
+	}
+
+	/**
+	 * Wait until every queued and running task has settled
+	 * @returns {Promise<void>}
+	 */
+	onIdle() {
+		if (this.pending.length === 0 && this.running === 0) {
+			return Promise.resolve();
+		}
+		return new Promise((resolve) => this.idleWaiters.push(resolve));
+	}
+
+	/**
+	 * Start every pending task whose pool and host have a free slot
+	 */
+	drain() {
+		const poolLimits = {
+			clearnet: this.options.clearnetConcurrency,
+			onion: this.options.onionConcurrency
+		};
+
+		for (let i = 0; i < this.pending.length; ) {
+			const item = this.pending[i];
+			const hostActive = this.activePerHost.get(item.host) || 0;
+
+			if (
+				this.active[item.pool] >= poolLimits[item.pool] ||
+				hostActive >= this.options.perHostConcurrency
+			) {
+				i++;
+				continue;
+			}
+
+			this.pending.splice(i, 1);
+			this.start(item);
+		}
+
+		while (this.capacityWaiters.length > 0 && this.pending.length < this.options.maxPending) {
+			this.capacityWaiters.shift()?.();
+		}
+
+		if (this.pending.length === 0 && this.running === 0) {
+			this.idleWaiters.splice(0).forEach((resolve) => resolve());
+		}
+	}
+
+	/**
+	 * Run a single task and release its slots when it settles
+	 * @param {QueueItem} item - Pending queue item
+	 */
+	start(item) {
+		this.active[item.pool]++;
+		this.activePerHost.set(item.host, (this.activePerHost.get(item.host) || 0) + 1);
+
+		Promise.resolve()
+			.then(() => item.task())
+			.then(item.resolve, item.reject)
+			.finally(() => {
+				this.active[item.pool]--;
+				const hostActive = (this.activePerHost.get(item.host) || 0) - 1;
+				if (hostActive > 0) {
+					this.activePerHost.set(item.host, hostActive);
+				} else {
+					this.activePerHost.delete(item.host);
+				}
+				this.drain();
+			});
+	}
+}
\ No newline at end of file
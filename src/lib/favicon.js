@@ -0,0 +1,190 @@
+import { httpRequest, readBytes, discardBody } from './http-client.js';
+
+/**
+ * Largest favicon we are willing to store
+ */
+const MAX_FAVICON_BYTES = 100 * 1024;
+
+/**
+ * How long a stored favicon is used before it is fetched again
+ */
+const FAVICON_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * How long to wait before retrying a domain whose favicon could not be fetched
+ */
+const FAILED_FAVICON_RETRY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} FaviconRow
+ * @property {string} domain - Lowercased hostname
+ * @property {string|null} content_type - Sniffed image type, null if no icon was found
+ * @property {string|null} data - Base64 image bytes, null if no icon was found
+ * @property {string|null} source_url - URL the icon was fetched from
+ * @property {string} fetched_at - When the icon was last fetched
+ */
+
+/**
+ * Get the URL of our own favicon route for a domain
+ * @param {string} domain - Domain (hostname) of the link
+ * @returns {string} - Path of the favicon route
+ */
+export function getFaviconPath(domain) {
+	return `/api/favicon/${encodeURIComponent(domain.toLowerCase())}`;
+}
+
+/**
+ * Detect an image type from its first bytes. The Content-Type header is not trusted:
+ * servers commonly send favicons as text/plain or application/octet-stream.
+ * @param {Uint8Array} bytes - Image bytes
+ * @returns {string|null} - Content type, or null if the bytes are not a supported image
+ */
+export function sniffImageType(bytes) {
+	/** @type {(...signature: Array<number>) => boolean} */
+	const startsWith = (...signature) => signature.every((byte, i) => bytes[i] === byte);
+	/** @type {(start: number, end: number) => string} */
+	const ascii = (start, end) => String.fromCharCode(...bytes.subarray(start, end));
+
+	if (startsWith(0x00, 0x00, 0x01, 0x00)) return 'image/x-icon';
+	if (startsWith(0x89, 0x50, 0x4e, 0x47)) return 'image/png';
+	if (startsWith(0xff, 0xd8, 0xff)) return 'image/jpeg';
+	if (ascii(0, 4) === 'GIF8') return 'image/gif';
+	if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+	if (ascii(0, 2) === 'BM') return 'image/bmp';
+
+	const head = new TextDecoder().decode(bytes.subarray(0, 512)).trimStart().toLowerCase();
+	if (head.startsWith('<svg') || (head.startsWith('<?xml') && head.includes('<svg'))) {
+		return 'image/svg+xml';
+	}
+
+	return null;
+}
+
+/**
+ * List the URLs to try for a page's favicon: the icon declared in the page, then /favicon.ico
+ * @param {string} pageUrl - URL of the page
+ * @param {string|null} iconUrl - Icon URL discovered in the page's <link rel="icon">
+ * @returns {Array<string>} - Candidate URLs, most specific first
+ */
+export function getFaviconCandidates(pageUrl, iconUrl) {
+	const candidates = [];
+
+	if (iconUrl && /^https?:\/\//i.test(iconUrl)) {
+		candidates.push(iconUrl);
+	}
+
+	try {
+		const fallback = new URL('/favicon.ico', pageUrl).href;
+		if (!candidates.includes(fallback)) {
+			candidates.push(fallback);
+		}
+	} catch {
+		// Invalid page URL: only the declared icon can be tried
+	}
+
+	return candidates;
+}
+
+/**
+ * Fetch a page's favicon through the shared (Tor-aware) HTTP client
+ * @param {string} pageUrl - URL of the page
+ * @param {string|null} iconUrl - Icon URL discovered during metadata fetching
+ * @returns {Promise<{contentType: string, data: Uint8Array, sourceUrl: string}|null>} - Favicon, or null if none was found
+ */
+export async function fetchFavicon(pageUrl, iconUrl = null) {
+	for (const candidate of getFaviconCandidates(pageUrl, iconUrl)) {
+		try {
+			const response = await httpRequest(candidate, { timeout: 10000 });
+			if (!response.ok) {
+				discardBody(response);
+				continue;
+			}
+
+			const data = await readBytes(response, MAX_FAVICON_BYTES, true);
+			const contentType = sniffImageType(data);
+			if (contentType) {
+				return { contentType, data, sourceUrl: candidate };
+			}
+		} catch (error) {
+			console.warn(
+				`Favicon fetch failed for ${candidate}:`,
+				error instanceof Error ? error.message : error
+			);
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Whether a stored favicon row should be fetched again
+ * @param {Pick<FaviconRow, 'data' | 'fetched_at'>|null} favicon - Row from the favicons table
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+export function isFaviconStale(favicon, now = new Date()) {
+	if (!favicon) return true;
+	const age = now.getTime() - new Date(favicon.fetched_at).getTime();
+	return age > (favicon.data ? FAVICON_MAX_AGE_MS : FAILED_FAVICON_RETRY_MS);
+}
+
+/**
+ * Get the stored favicon for a domain
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @param {string} domain - Domain (hostname)
+ * @returns {Promise<FaviconRow|null>} - Row from the favicons table
+ */
+export async function getCachedFavicon(supabase, domain) {
+	const { data, error } = await supabase
+		.from('favicons')
+		.select('*')
+		.eq('domain', domain.toLowerCase())
+		.maybeSingle();
+
+	if (error) {
+		console.error('Error loading favicon:', error);
+		return null;
+	}
+
+	return data;
+}
+
+/**
+ * Fetch a domain's favicon and store it, unless a fresh copy is already stored.
+ * Failures are stored too (without data) so a domain without an icon is not retried on every request.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @param {string} domain - Domain (hostname)
+ * @param {string} pageUrl - URL of a page on the domain
+ * @param {string|null} iconUrl - Icon URL discovered during metadata fetching
+ * @returns {Promise<FaviconRow|null>} - Stored favicon row
+ */
+export async function cacheFavicon(supabase, domain, pageUrl, iconUrl = null) {
+	const cached = await getCachedFavicon(supabase, domain);
+	if (!isFaviconStale(cached)) {
+		return cached;
+	}
+
+	const favicon = await fetchFavicon(pageUrl, iconUrl || cached?.source_url);
+	/** @type {FaviconRow} */
+	const row = {
+		domain: domain.toLowerCase(),
+		content_type: favicon?.contentType || null,
+		data: favicon ? Buffer.from(favicon.data).toString('base64') : null,
+		source_url: favicon?.sourceUrl || iconUrl || null,
+		fetched_at: new Date().toISOString()
+	};
+
+	// Keep serving the old icon if a refresh fails
+	if (!favicon && cached?.data) {
+		row.content_type = cached.content_type;
+		row.data = cached.data;
+		row.source_url = cached.source_url;
+	}
+
+	const { error } = await supabase.from('favicons').upsert(row, { onConflict: 'domain' });
+	if (error) {
+		console.error('Error storing favicon:', error);
+	}
+
+	return row;
+}
\ No newline at end of file
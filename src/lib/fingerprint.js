@@ -0,0 +1,256 @@
+import { createHash } from 'node:crypto';
+import { tokenize } from './bayes-classifier.js';
+import { isOnionUrl } from './http-client.js';
+
+/**
+ * Words a page needs before its fingerprint is meaningful
+ */
+const MIN_FINGERPRINT_WORDS = 20;
+
+/**
+ * Differing simhash bits (out of 64) at which two pages still count as the same content
+ */
+export const MAX_CLONE_DISTANCE = 3;
+
+/**
+ * Differing bits still counted as a clone when both sites also serve the same favicon
+ */
+export const MAX_CLONE_DISTANCE_SAME_FAVICON = 10;
+
+/**
+ * Number of 16-bit bands a simhash is split into for lookups. Two hashes within
+ * MAX_CLONE_DISTANCE bits always share at least one band.
+ */
+const SIMHASH_BANDS = 4;
+
+/**
+ * @typedef {Object} Fingerprint
+ * @property {string} simhash - Simhash of the page text (hex)
+ * @property {string|null} [faviconHash] - SHA-256 of the site's favicon
+ */
+
+/**
+ * @typedef {Object} CloneCandidate
+ * @property {string} id - Link ID
+ * @property {string} url - Link URL
+ * @property {string} domain - Hostname of the link
+ * @property {string} created_at - When the link was added
+ * @property {string|null} content_simhash - Stored simhash of the page text
+ * @property {string|null} [favicon_hash] - Stored SHA-256 of the site's favicon
+ */
+
+/**
+ * 64-bit hash of a string
+ * @param {string} text - Text to hash
+ * @returns {bigint}
+ */
+function hash64(text) {
+	return createHash('sha256').update(text).digest().readBigUInt64BE(0);
+}
+
+/**
+ * Simhash of a text over overlapping word triples, so similar pages get hashes that
+ * differ in only a few bits
+ * @param {string} text - Page title and body text
+ * @returns {string|null} - 16 hex digits, or null when the text is too short to fingerprint
+ */
+export function simhash(text) {
+	const words = tokenize(text);
+	if (words.length < MIN_FINGERPRINT_WORDS) return null;
+
+	const weights = new Array(64).fill(0);
+	for (let i = 0; i + 3 <= words.length; i++) {
+		const hash = hash64(words.slice(i, i + 3).join(' '));
+		for (let bit = 0; bit < 64; bit++) {
+			weights[bit] += (hash >> BigInt(bit)) & 1n ? 1 : -1;
+		}
+	}
+
+	let fingerprint = 0n;
+	for (let bit = 0; bit < 64; bit++) {
+		if (weights[bit] > 0) fingerprint |= 1n << BigInt(bit);
+	}
+	return fingerprint.toString(16).padStart(16, '0');
+}
+
+/**
+ * Number of differing bits between two simhashes
+ * @param {string} a - Simhash (hex)
+ * @param {string} b - Simhash (hex)
+ * @returns {number}
+ */
+export function hammingDistance(a, b) {
+	let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+	let count = 0;
+	while (diff) {
+		count += Number(diff & 1n);
+		diff >>= 1n;
+	}
+	return count;
+}
+
+/**
+ * Split a simhash into prefixed bands for the indexed lookup of near matches
+ * @param {string} hash - Simhash (hex)
+ * @returns {Array<string>} - e.g. ['0:1a2b', '1:3c4d', '2:5e6f', '3:7a8b']
+ */
+export function simhashBands(hash) {
+	const size = 16 / SIMHASH_BANDS;
+	return Array.from(
+		{ length: SIMHASH_BANDS },
+		(_, i) => `${i}:${hash.slice(i * size, (i + 1) * size)}`
+	);
+}
+
+/**
+ * Onion address of a hostname, ignoring subdomains (www.abc.onion -> abc.onion)
+ * @param {string} domain - Hostname
+ * @returns {string}
+ */
+function onionAddress(domain) {
+	return domain.toLowerCase().split('.').slice(-2).join('.');
+}
+
+/**
+ * SHA-256 of a stored favicon
+ * @param {string|null} data - Base64 favicon bytes from the favicons table
+ * @returns {string|null}
+ */
+export function hashFavicon(data) {
+	return data ? createHash('sha256').update(Buffer.from(data, 'base64')).digest('hex') : null;
+}
+
+/**
+ * Decide whether a candidate link looks like a copy of the fingerprinted page
+ * @param {Fingerprint} fingerprint - Fingerprint of the page
+ * @param {Pick<CloneCandidate, 'content_simhash'|'favicon_hash'>} candidate - Row from the links table
+ * @returns {number|null} - Similarity (0-1) when the candidate is a suspected clone, otherwise null
+ */
+export function cloneSimilarity(fingerprint, candidate) {
+	if (!candidate.content_simhash) return null;
+
+	const distance = hammingDistance(fingerprint.simhash, candidate.content_simhash);
+	const sameFavicon =
+		Boolean(fingerprint.faviconHash) && fingerprint.faviconHash === candidate.favicon_hash;
+	const limit = sameFavicon ? MAX_CLONE_DISTANCE_SAME_FAVICON : MAX_CLONE_DISTANCE;
+
+	return distance <= limit ? Math.round((1 - distance / 64) * 1000) / 1000 : null;
+}
+
+/**
+ * Addresses listed as verified mirrors of the same site as a given address
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @param {string} address - Onion address of the fingerprinted link
+ * @param {Array<string>} candidates - Onion addresses of the suspected clones
+ * @returns {Promise<Set<string>>}
+ */
+async function siblingMirrors(supabase, address, candidates) {
+	const { data: mirrors, error } = await supabase
+		.from('site_mirrors')
+		.select('site_id, address')
+		.in('address', [address, ...candidates]);
+
+	if (error) throw new Error(`Error looking up mirrors: ${error.message}`);
+
+	/** @type {Array<{site_id: string, address: string}>} */
+	const rows = mirrors || [];
+	const siteIds = new Set(
+		rows.filter((mirror) => mirror.address === address).map((mirror) => mirror.site_id)
+	);
+	return new Set(
+		rows
+			.filter((mirror) => mirror.address !== address && siteIds.has(mirror.site_id))
+			.map((mirror) => mirror.address)
+	);
+}
+
+/**
+ * Store a link's content fingerprint and flag suspected clones: when an onion link's content
+ * nearly matches a link on a different onion address, the newer of the two is flagged as a
+ * clone of the older one. Verified mirrors of the same site are not flagged as each other's clones.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @param {Pick<CloneCandidate, 'id'|'url'|'domain'|'created_at'>} link - Row from the links table
+ * @param {{simhash: string|null, faviconHash?: string|null}} fingerprint - Content fingerprint
+ * @returns {Promise<{cloneId: string, originalId: string, similarity: number}|null>} - Flagged pair, if any
+ */
+export async function recordFingerprint(supabase, link, fingerprint) {
+	/** @type {{content_simhash: string|null, content_simhash_bands: Array<string>|null, favicon_hash?: string}} */
+	const update = {
+		content_simhash: fingerprint.simhash,
+		content_simhash_bands: fingerprint.simhash ? simhashBands(fingerprint.simhash) : null
+	};
+	if (fingerprint.faviconHash) {
+		update.favicon_hash = fingerprint.faviconHash;
+	}
+
+	const { error } = await supabase.from('links').update(update).eq('id', link.id);
+	if (error) throw new Error(`Error storing fingerprint: ${error.message}`);
+
+	const { simhash: hash, faviconHash } = fingerprint;
+	if (!hash || !isOnionUrl(link.url)) return null;
+
+	const bands = simhashBands(hash)
+		.map((band) => `"${band}"`)
+		.join(',');
+	let filter = `content_simhash_bands.ov.{${bands}}`;
+	if (faviconHash) {
+		filter += `,favicon_hash.eq.${faviconHash}`;
+	}
+
+	const { data: candidates, error: candidatesError } = await supabase
+		.from('links')
+		.select('id, url, domain, created_at, content_simhash, favicon_hash')
+		.neq('domain', link.domain)
+		.ilike('domain', '%.onion')
+		.or(filter)
+		.limit(50);
+
+	if (candidatesError) throw new Error(`Error finding clones: ${candidatesError.message}`);
+
+	const similar = [];
+	for (const candidate of /** @type {Array<CloneCandidate>} */ (candidates || [])) {
+		if (onionAddress(candidate.domain) === onionAddress(link.domain)) continue;
+
+		const similarity = cloneSimilarity({ simhash: hash, faviconHash }, candidate);
+		if (similarity !== null) similar.push({ candidate, similarity });
+	}
+	if (similar.length === 0) return null;
+
+	// Verified mirrors of one site serve the same pages without being clones of each other
+	const siblings = await siblingMirrors(
+		supabase,
+		onionAddress(link.domain),
+		similar.map(({ candidate }) => onionAddress(candidate.domain))
+	);
+
+	let best = null;
+	for (const match of similar) {
+		if (siblings.has(onionAddress(match.candidate.domain))) continue;
+		if (!best || match.similarity > best.similarity) best = match;
+	}
+	if (!best) return null;
+
+	// The copy is whichever address appeared later
+	const linkIsNewer = new Date(link.created_at) >= new Date(best.candidate.created_at);
+	const flagged = {
+		cloneId: linkIsNewer ? link.id : best.candidate.id,
+		originalId: linkIsNewer ? best.candidate.id : link.id,
+		similarity: best.similarity
+	};
+
+	const { error: flagError } = await supabase
+		.from('links')
+		.update({
+			clone_of: flagged.originalId,
+			clone_similarity: flagged.similarity,
+			clone_flagged_at: new Date().toISOString()
+		})
+		.eq('id', flagged.cloneId);
+
+	if (flagError) throw new Error(`Error flagging clone: ${flagError.message}`);
+
+	console.warn(
+		`🎭 Suspected clone: link ${flagged.cloneId} copies ${flagged.originalId} (${flagged.similarity})`
+	);
+	return flagged;
+}
\ No newline at end of file
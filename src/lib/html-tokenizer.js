@@ -0,0 +1,247 @@
+/**
+ * Elements whose content is raw text rather than markup
+ */
+const RAW_TEXT_ELEMENTS = ['script', 'style', 'title', 'textarea'];
+
+/**
+ * Named character references we decode; anything else is left as written
+ * @type {Record<string, string>}
+ */
+const NAMED_ENTITIES = {
+	amp: '&',
+	lt: '<',
+	gt: '>',
+	quot: '"',
+	apos: "'",
+	nbsp: ' ',
+	copy: '©',
+	reg: '®',
+	trade: '™',
+	hellip: '…',
+	mdash: '—',
+	ndash: '–',
+	lsquo: '‘',
+	rsquo: '’',
+	sbquo: '‚',
+	ldquo: '“',
+	rdquo: '”',
+	bdquo: '„',
+	laquo: '«',
+	raquo: '»',
+	bull: '•',
+	middot: '·',
+	deg: '°',
+	times: '×',
+	divide: '÷',
+	plusmn: '±',
+	euro: '€',
+	pound: '£',
+	yen: '¥',
+	cent: '¢',
+	sect: '§',
+	para: '¶',
+	iexcl: '¡',
+	iquest: '¿',
+	aacute: 'á',
+	eacute: 'é',
+	iacute: 'í',
+	oacute: 'ó',
+	uacute: 'ú',
+	agrave: 'à',
+	egrave: 'è',
+	auml: 'ä',
+	ouml: 'ö',
+	uuml: 'ü',
+	Auml: 'Ä',
+	Ouml: 'Ö',
+	Uuml: 'Ü',
+	szlig: 'ß',
+	ccedil: 'ç',
+	ntilde: 'ñ'
+};
+
+/**
+ * @typedef {{type: 'startTag', name: string, attributes: Record<string, string>, selfClosing: boolean}} StartTagToken
+ * @typedef {{type: 'endTag', name: string}} EndTagToken
+ * @typedef {{type: 'text', text: string, rawParent: string|null}} TextToken
+ * @typedef {StartTagToken|EndTagToken|TextToken} HtmlToken
+ */
+
+/**
+ * Decode HTML character references (named, decimal and hex)
+ * @param {string} text - Text containing character references
+ * @returns {string} - Decoded text
+ */
+export function decodeEntities(text) {
+	if (!text || !text.includes('&')) {
+		return text;
+	}
+
+	return text.replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z][a-z0-9]*));?/gi, (match, dec, hex, name) => {
+		if (name) {
+			return NAMED_ENTITIES[name] ?? NAMED_ENTITIES[name.toLowerCase()] ?? match;
+		}
+
+		const codePoint = dec ? parseInt(dec, 10) : parseInt(hex, 16);
+		if (!codePoint || codePoint > 0x10ffff || (codePoint >= 0xd800 && codePoint <= 0xdfff)) {
+			return '�';
+		}
+		return String.fromCodePoint(codePoint);
+	});
+}
+
+/**
+ * Parse the attributes of a start tag
+ * @param {string} html - Full HTML source
+ * @param {number} start - Index just after the tag name
+ * @returns {{attributes: Record<string, string>, selfClosing: boolean, end: number}} - Attributes
+ *   (lowercased names, first occurrence wins) and the index just after the closing '>'
+ */
+function parseAttributes(html, start) {
+	/** @type {Record<string, string>} */
+	const attributes = {};
+	let selfClosing = false;
+	let i = start;
+
+	while (i < html.length) {
+		// Skip whitespace and stray slashes between attributes
+		while (i < html.length && /[\s/]/.test(html[i])) {
+			selfClosing = html[i] === '/';
+			i++;
+		}
+
+		if (i >= html.length) break;
+		if (html[i] === '>') {
+			return { attributes, selfClosing, end: i + 1 };
+		}
+		selfClosing = false;
+
+		const nameStart = i;
+		while (i < html.length && !/[\s=>/]/.test(html[i])) i++;
+		// A lone '=' or similar junk: consume it so we always make progress
+		if (i === nameStart) i++;
+		const name = html.slice(nameStart, i).toLowerCase();
+
+		while (i < html.length && /\s/.test(html[i])) i++;
+
+		let value = '';
+		if (html[i] === '=') {
+			i++;
+			while (i < html.length && /\s/.test(html[i])) i++;
+
+			const quote = html[i];
+			if (quote === '"' || quote === "'") {
+				const close = html.indexOf(quote, i + 1);
+				const valueEnd = close === -1 ? html.length : close;
+				value = html.slice(i + 1, valueEnd);
+				i = valueEnd + 1;
+			} else {
+				const valueStart = i;
+				while (i < html.length && !/[\s>]/.test(html[i])) i++;
+				value = html.slice(valueStart, i);
+			}
+		}
+
+		if (name && !(name in attributes)) {
+			attributes[name] = decodeEntities(value);
+		}
+	}
+
+	return { attributes, selfClosing, end: html.length };
+}
+
+/**
+ * Split HTML into start tag, end tag and text tokens.
+ * Tolerant of malformed markup: unknown constructs are skipped or treated as text, never thrown on.
+ * Text is entity-decoded, except inside <script> and <style>.
+ * @param {string} html - HTML source
+ * @returns {Array<HtmlToken>} - Tokens; rawParent is set for the content of script/style/title/textarea
+ */
+export function tokenizeHtml(html) {
+	/** @type {Array<HtmlToken>} */
+	const tokens = [];
+	let textStart = 0;
+	let i = 0;
+
+	/** @param {number} end */
+	const flushText = (end) => {
+		if (end > textStart) {
+			tokens.push({
+				type: 'text',
+				text: decodeEntities(html.slice(textStart, end)),
+				rawParent: null
+			});
+		}
+	};
+
+	while (i < html.length) {
+		const lt = html.indexOf('<', i);
+		if (lt === -1) break;
+
+		// Comments
+		if (html.startsWith('<!--', lt)) {
+			flushText(lt);
+			const close = html.indexOf('-->', lt + 4);
+			i = textStart = close === -1 ? html.length : close + 3;
+			continue;
+		}
+
+		// Doctype, CDATA and processing instructions
+		if (html[lt + 1] === '!' || html[lt + 1] === '?') {
+			flushText(lt);
+			const close = html.indexOf('>', lt);
+			i = textStart = close === -1 ? html.length : close + 1;
+			continue;
+		}
+
+		// End tags
+		if (html[lt + 1] === '/') {
+			const endTag = /^<\/([a-zA-Z][^\s/>]*)[^>]*>?/.exec(html.slice(lt, lt + 256));
+			if (endTag) {
+				flushText(lt);
+				tokens.push({ type: 'endTag', name: endTag[1].toLowerCase() });
+				i = textStart = lt + endTag[0].length;
+			} else {
+				i = lt + 1;
+			}
+			continue;
+		}
+
+		// Anything else that isn't a start tag is a literal '<'
+		const tagName = /^<([a-zA-Z][^\s/>]*)/.exec(html.slice(lt, lt + 256));
+		if (!tagName) {
+			i = lt + 1;
+			continue;
+		}
+
+		flushText(lt);
+		const name = tagName[1].toLowerCase();
+		const { attributes, selfClosing, end } = parseAttributes(html, lt + tagName[0].length);
+		tokens.push({ type: 'startTag', name, attributes, selfClosing });
+		i = textStart = end;
+
+		// Raw text elements run until their own end tag, whatever they contain
+		if (RAW_TEXT_ELEMENTS.includes(name) && !selfClosing) {
+			const closePattern = new RegExp(`</${name}[\\s/>]`, 'gi');
+			closePattern.lastIndex = i;
+			const close = closePattern.exec(html);
+			const contentEnd = close ? close.index : html.length;
+			const content = html.slice(i, contentEnd);
+
+			if (content) {
+				tokens.push({
+					type: 'text',
+					text: name === 'script' || name === 'style' ? content : decodeEntities(content),
+					rawParent: name
+				});
+			}
+			tokens.push({ type: 'endTag', name });
+
+			const closeEnd = close ? html.indexOf('>', close.index) : -1;
+			i = textStart = closeEnd === -1 ? html.length : closeEnd + 1;
+		}
+	}
+
+	flushText(html.length);
+	return tokens;
+}
\ No newline at end of file
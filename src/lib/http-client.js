@@ -0,0 +1,331 @@
+import https from 'node:https';
+import net from 'node:net';
+
+/**
+ * User agent sent with every outbound request
+ */
+export const USER_AGENT = 'Mozilla/5.0 (compatible; LinksAggregator/1.0)';
+
+/**
+ * Default Tor SOCKS host and port, overridable with TOR_SOCKS_HOST and TOR_SOCKS_PORT
+ */
+const DEFAULT_SOCKS_HOST = '127.0.0.1';
+const DEFAULT_SOCKS_PORT = 9050;
+
+/**
+ * Default options for outbound requests
+ */
+const DEFAULT_HTTP_OPTIONS = {
+	method: 'GET',
+	timeout: 10000, // 10 seconds
+	redirect: /** @type {RequestRedirect} */ ('follow'),
+	retries: 0, // Extra attempts after network errors, 429 and 5xx responses
+	retryDelayMs: 500, // Doubled after every attempt
+	maxBytes: 2 * 1024 * 1024 // Response body cap for readText()
+};
+
+/**
+ * Request init handed to the transport
+ * @typedef {Object} TransportInit
+ * @property {string} method - HTTP method
+ * @property {Record<string, string>} headers - Request headers
+ * @property {RequestRedirect} redirect - 'follow' or 'manual'
+ * @property {AbortSignal} [signal] - Aborts the request on timeout
+ * @property {boolean} onion - Whether the URL is an onion service
+ * @property {boolean} rejectUnauthorized - Verify TLS certificates
+ * @property {string} socksProxy - SOCKS proxy URL for onion requests
+ */
+
+/**
+ * Fetch-like response returned by global fetch, node-fetch or a test transport
+ * @typedef {Object} HttpResponse
+ * @property {boolean} ok - Whether the status is 2xx
+ * @property {number} status - HTTP status code
+ * @property {string} [statusText] - HTTP status text
+ * @property {string} [url] - URL of the response, after redirects
+ * @property {{get(name: string): string|null}} headers - Response headers
+ * @property {any} [body] - Web ReadableStream or Node stream
+ * @property {() => Promise<ArrayBuffer>} arrayBuffer - Read the whole body
+ */
+
+/**
+ * @typedef {(url: string, init: TransportInit) => Promise<HttpResponse>} Transport
+ */
+
+/**
+ * Get the configured Tor SOCKS endpoint (socks5h:// so DNS resolution also happens inside Tor)
+ * @returns {string} - SOCKS proxy URL
+ */
+export function getSocksProxy() {
+	const host = process.env.TOR_SOCKS_HOST || DEFAULT_SOCKS_HOST;
+	const port = parseInt(process.env.TOR_SOCKS_PORT || '') || DEFAULT_SOCKS_PORT;
+	return `socks5h://${host}:${port}`;
+}
+
+/**
+ * Test hook: when set, replaces the real network transport
+ * @type {Transport|null}
+ */
+let customTransport = null;
+
+/**
+ * Replace the network transport, e.g. with a fake in tests.
+ * The transport is called as transport(url, init) and must return a fetch-like response.
+ * init contains method, headers, redirect, signal, onion, rejectUnauthorized and socksProxy.
+ * @param {Transport|null} transport - Transport function, or null to restore the default
+ */
+export function setTransport(transport) {
+	customTransport = transport;
+}
+
+/**
+ * Check if a URL points at an onion service
+ * @param {string} url - The URL to check
+ * @returns {boolean} - True if it's an onion URL
+ */
+export function isOnionUrl(url) {
+	try {
+		return new URL(url).hostname.toLowerCase().endsWith('.onion');
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Default transport: node-fetch through Tor for onion URLs, global fetch for clearnet
+ * (node-fetch with a non-verifying agent when TLS verification is disabled)
+ * @param {string} url - The URL to request
+ * @param {TransportInit} init - Request init (see setTransport)
+ * @returns {Promise<HttpResponse>} - Fetch response
+ */
+async function defaultTransport(url, init) {
+	const { onion, rejectUnauthorized, socksProxy, ...fetchInit } = init;
+
+	if (onion) {
+		const fetch = (await import('node-fetch')).default;
+		const { SocksProxyAgent } = await import('socks-proxy-agent');
+
+		// TLS policy is set on the agent, for this request only. http.Agent passes its options to
+		// every connection, so the TLS upgrade after the SOCKS handshake sees rejectUnauthorized.
+		/** @type {import('socks-proxy-agent').SocksProxyAgentOptions & import('node:tls').ConnectionOptions} */
+		const agentOptions = { rejectUnauthorized };
+		const agent = new SocksProxyAgent(socksProxy, agentOptions);
+
+		try {
+			return await fetch(url, { ...fetchInit, agent });
+		} catch (proxyError) {
+			const message = proxyError instanceof Error ? proxyError.message : String(proxyError);
+			throw new Error(`Tor proxy error: ${message}`, { cause: proxyError });
+		}
+	}
+
+	if (!rejectUnauthorized) {
+		const fetch = (await import('node-fetch')).default;
+		const agent = new https.Agent({ rejectUnauthorized: false });
+		return await fetch(url, { ...fetchInit, agent: url.startsWith('https:') ? agent : undefined });
+	}
+
+	return await fetch(url, fetchInit);
+}
+
+/**
+ * Check that the Tor SOCKS proxy is up by completing a SOCKS5 greeting with it
+ * @param {Object} options - Probe options
+ * @param {string} [options.socksProxy] - SOCKS proxy URL (default: configured endpoint)
+ * @param {number} [options.timeout] - Timeout in milliseconds
+ * @returns {Promise<{available: boolean, proxy: string, latencyMs: number|null, error: string|null, checkedAt: string}>}
+ */
+export function probeTor(options = {}) {
+	const proxy = options.socksProxy || getSocksProxy();
+	const timeout = options.timeout || 3000;
+	const startedAt = Date.now();
+
+	return new Promise((resolve) => {
+		let settled = false;
+		/** @type {net.Socket|null} */
+		let socket = null;
+
+		/** @param {Error|null} error */
+		const finish = (error) => {
+			if (settled) return;
+			settled = true;
+			socket?.destroy();
+			resolve({
+				available: !error,
+				proxy,
+				latencyMs: error ? null : Date.now() - startedAt,
+				error: error ? error.message : null,
+				checkedAt: new Date().toISOString()
+			});
+		};
+
+		let host;
+		let port;
+		try {
+			const proxyUrl = new URL(proxy);
+			host = proxyUrl.hostname;
+			port = parseInt(proxyUrl.port) || 1080;
+		} catch {
+			finish(new Error(`Invalid SOCKS proxy URL: ${proxy}`));
+			return;
+		}
+
+		const connection = net.connect({ host, port });
+		socket = connection;
+		connection.setTimeout(timeout, () =>
+			finish(new Error(`Tor SOCKS proxy timed out after ${timeout}ms`))
+		);
+		connection.once('error', finish);
+		connection.once('connect', () => {
+			// SOCKS5 greeting offering "no authentication"; Tor answers 0x05 0x00
+			connection.write(Buffer.from([0x05, 0x01, 0x00]));
+		});
+		connection.once('data', (reply) => {
+			finish(
+				reply[0] === 0x05 && reply[1] === 0x00
+					? null
+					: new Error('Unexpected reply from SOCKS proxy')
+			);
+		});
+		connection.once('close', () => finish(new Error('Tor SOCKS proxy closed the connection')));
+	});
+}
+
+/**
+ * Whether a failed attempt is worth retrying
+ * @param {HttpResponse|null} response - Response, or null when the request threw
+ * @returns {boolean}
+ */
+function isRetryable(response) {
+	return !response || response.status === 429 || response.status >= 500;
+}
+
+/**
+ * Send an outbound HTTP request, routing onion URLs through Tor
+ * @param {string} url - The URL to request
+ * @param {Object} options - Request options
+ * @param {string} [options.method] - HTTP method (default GET)
+ * @param {Record<string, string>} [options.headers] - Extra request headers
+ * @param {RequestRedirect} [options.redirect] - 'follow' or 'manual'
+ * @param {number} [options.timeout] - Timeout in milliseconds
+ * @param {boolean} [options.rejectUnauthorized] - Verify TLS certificates (default: true for clearnet,
+ *   false for onion services, which often use self-signed certificates)
+ * @param {string} [options.socksProxy] - SOCKS proxy URL for onion requests
+ * @param {number} [options.retries] - Extra attempts after network errors, 429 and 5xx responses
+ * @param {number} [options.retryDelayMs] - Delay before the first retry, doubled every attempt
+ * @returns {Promise<HttpResponse>} - Fetch response
+ */
+export async function httpRequest(url, options = {}) {
+	const opts = { ...DEFAULT_HTTP_OPTIONS, ...options };
+	const onion = isOnionUrl(url);
+	const transport = customTransport || defaultTransport;
+
+	/** @type {TransportInit} */
+	const init = {
+		method: opts.method,
+		headers: { 'User-Agent': USER_AGENT, ...opts.headers },
+		redirect: opts.redirect,
+		onion,
+		rejectUnauthorized: opts.rejectUnauthorized ?? !onion,
+		socksProxy: opts.socksProxy || getSocksProxy()
+	};
+
+	for (let attempt = 0; ; attempt++) {
+		let response = null;
+		try {
+			response = await transport(url, { ...init, signal: AbortSignal.timeout(opts.timeout) });
+			if (attempt >= opts.retries || !isRetryable(response)) {
+				return response;
+			}
+			// Release the socket before waiting for the next attempt
+			discardBody(response);
+		} catch (error) {
+			if (attempt >= opts.retries) {
+				throw error;
+			}
+		}
+
+		await new Promise((resolve) => setTimeout(resolve, opts.retryDelayMs * 2 ** attempt));
+	}
+}
+
+/**
+ * Read a response body as text, stopping at maxBytes
+ * @param {HttpResponse} response - Fetch response
+ * @param {number} [maxBytes] - Maximum number of bytes to read
+ * @returns {Promise<string>} - Body text (truncated at maxBytes)
+ */
+export async function readText(response, maxBytes = DEFAULT_HTTP_OPTIONS.maxBytes) {
+	const buffer = await readBytes(response, maxBytes);
+	return new TextDecoder().decode(buffer);
+}
+
+/**
+ * Read a response body as bytes, stopping at maxBytes
+ * @param {HttpResponse} response - Fetch response
+ * @param {number} [maxBytes] - Maximum number of bytes to read
+ * @param {boolean} [strict] - Throw instead of truncating when the body is larger than maxBytes
+ * @returns {Promise<Uint8Array>} - Body bytes
+ */
+export async function readBytes(
+	response,
+	maxBytes = DEFAULT_HTTP_OPTIONS.maxBytes,
+	strict = false
+) {
+	const declaredLength = parseInt(response.headers?.get?.('content-length') || '');
+	if (strict && declaredLength > maxBytes) {
+		discardBody(response);
+		throw new Error(`Response too large (${declaredLength} bytes, limit ${maxBytes})`);
+	}
+
+	// Fakes and simple responses without a stream
+	if (!response.body || typeof response.body[Symbol.asyncIterator] !== 'function') {
+		const bytes = new Uint8Array(await response.arrayBuffer());
+		if (strict && bytes.length > maxBytes) {
+			throw new Error(`Response too large (limit ${maxBytes} bytes)`);
+		}
+		return bytes.subarray(0, maxBytes);
+	}
+
+	const chunks = [];
+	let total = 0;
+	for await (const chunk of response.body) {
+		const bytes = chunk instanceof Uint8Array ? chunk : new TextEncoder().encode(String(chunk));
+		if (total + bytes.length > maxBytes) {
+			if (strict) {
+				discardBody(response);
+				throw new Error(`Response too large (limit ${maxBytes} bytes)`);
+			}
+			chunks.push(bytes.subarray(0, maxBytes - total));
+			total = maxBytes;
+			discardBody(response);
+			break;
+		}
+		chunks.push(bytes);
+		total += bytes.length;
+	}
+
+	const result = new Uint8Array(total);
+	let offset = 0;
+	for (const chunk of chunks) {
+		result.set(chunk, offset);
+		offset += chunk.length;
+	}
+	return result;
+}
+
+/**
+ * Release a response body we don't need so the connection can be reused
+ * @param {HttpResponse} response - Fetch response
+ */
+export function discardBody(response) {
+	try {
+		if (typeof response?.body?.cancel === 'function') {
+			response.body.cancel().catch(() => {});
+		} else if (typeof response?.body?.destroy === 'function') {
+			response.body.destroy();
+		}
+	} catch {
+		// Nothing to release
+	}
+}
\ No newline at end of file
@@ -0,0 +1,177 @@
+import { httpRequest, readBytes, discardBody } from './http-client.js';
+
+/**
+ * Thumbnail sizes served by the image proxy (longest side, in pixels)
+ * @type {Record<string, number>}
+ */
+export const IMAGE_SIZES = {
+	small: 320,
+	medium: 640,
+	large: 1200
+};
+
+/**
+ * Content types accepted from remote servers
+ */
+const ALLOWED_CONTENT_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/avif'];
+
+/**
+ * Formats sharp must detect in the bytes themselves ('heif' covers AVIF)
+ */
+const ALLOWED_FORMATS = ['jpeg', 'png', 'gif', 'webp', 'heif'];
+
+/**
+ * Largest source image we download
+ */
+const MAX_SOURCE_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Largest decoded image (width x height) we process, to guard against decompression bombs
+ */
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+/**
+ * How long a processed image is served before it is fetched again
+ */
+const IMAGE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * How long to wait before retrying an image that could not be fetched
+ */
+const FAILED_IMAGE_RETRY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} ImageRow
+ * @property {string} link_id - Link the image belongs to
+ * @property {string} size - Key of IMAGE_SIZES
+ * @property {string} source_url - The link's image_url when the image was fetched
+ * @property {string|null} content_type - Always image/webp, null if the image could not be fetched
+ * @property {string|null} data - Base64 WebP bytes, null if the image could not be fetched
+ * @property {string} fetched_at - When the image was last fetched
+ */
+
+/**
+ * Download a remote image through the shared (Tor-aware) HTTP client
+ * @param {string} url - Image URL
+ * @returns {Promise<Uint8Array>} - Image bytes
+ * @throws {Error} - When the response is not a supported image or exceeds the size limit
+ */
+export async function fetchSourceImage(url) {
+	const response = await httpRequest(url, {
+		timeout: 15000,
+		headers: { Accept: ALLOWED_CONTENT_TYPES.join(',') }
+	});
+
+	if (!response.ok) {
+		discardBody(response);
+		throw new Error(`HTTP ${response.status}`);
+	}
+
+	const contentType = (response.headers?.get('content-type') || '')
+		.split(';')[0]
+		.trim()
+		.toLowerCase();
+	if (!ALLOWED_CONTENT_TYPES.includes(contentType)) {
+		discardBody(response);
+		throw new Error(`Unsupported image type: ${contentType || 'none'}`);
+	}
+
+	return await readBytes(response, MAX_SOURCE_BYTES, true);
+}
+
+/**
+ * Resize an image to a thumbnail size and re-encode it as WebP.
+ * Re-encoding drops EXIF and all other metadata (after applying the EXIF orientation).
+ * @param {Uint8Array} bytes - Source image bytes
+ * @param {string} size - Key of IMAGE_SIZES
+ * @returns {Promise<Buffer>} - WebP image
+ */
+export async function resizeImage(bytes, size) {
+	const sharp = (await import('sharp')).default;
+	const maxSide = IMAGE_SIZES[size] || IMAGE_SIZES.small;
+
+	const image = sharp(bytes, { limitInputPixels: MAX_INPUT_PIXELS });
+	const { format } = await image.metadata();
+	if (!ALLOWED_FORMATS.includes(format)) {
+		throw new Error(`Unsupported image format: ${format || 'unknown'}`);
+	}
+
+	return await image
+		.rotate()
+		.resize({ width: maxSide, height: maxSide, fit: 'inside', withoutEnlargement: true })
+		.webp({ quality: 80 })
+		.toBuffer();
+}
+
+/**
+ * Whether a stored image row should be fetched again
+ * @param {Pick<ImageRow, 'source_url' | 'data' | 'fetched_at'>|null} image - Row from the link_images table
+ * @param {string} sourceUrl - The link's current image_url
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+export function isImageStale(image, sourceUrl, now = new Date()) {
+	if (!image || image.source_url !== sourceUrl) return true;
+	const age = now.getTime() - new Date(image.fetched_at).getTime();
+	return age > (image.data ? IMAGE_MAX_AGE_MS : FAILED_IMAGE_RETRY_MS);
+}
+
+/**
+ * Get a link's preview image at a thumbnail size, fetching and storing it when needed.
+ * Failures are stored too (without data) so a broken image is not retried on every request.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @param {string} linkId - Link ID
+ * @param {string} sourceUrl - The link's image_url
+ * @param {string} size - Key of IMAGE_SIZES
+ * @returns {Promise<ImageRow>} - Image row, with data null if the image is unavailable
+ */
+export async function getProxiedImage(supabase, linkId, sourceUrl, size) {
+	const { data: cached, error: cacheError } = await supabase
+		.from('link_images')
+		.select('*')
+		.eq('link_id', linkId)
+		.eq('size', size)
+		.maybeSingle();
+
+	if (cacheError) {
+		console.error('Error loading cached image:', cacheError);
+	}
+
+	if (!isImageStale(cached, sourceUrl)) {
+		return cached;
+	}
+
+	/** @type {ImageRow} */
+	const row = {
+		link_id: linkId,
+		size,
+		source_url: sourceUrl,
+		content_type: null,
+		data: null,
+		fetched_at: new Date().toISOString()
+	};
+
+	try {
+		const resized = await resizeImage(await fetchSourceImage(sourceUrl), size);
+		row.content_type = 'image/webp';
+		row.data = resized.toString('base64');
+	} catch (error) {
+		console.warn(
+			`Image proxy failed for ${sourceUrl}:`,
+			error instanceof Error ? error.message : error
+		);
+
+		// Keep serving the old image if a refresh of the same URL fails
+		if (cached?.data && cached.source_url === sourceUrl) {
+			row.content_type = cached.content_type;
+			row.data = cached.data;
+		}
+	}
+
+	const { error } = await supabase.from('link_images').upsert(row, { onConflict: 'link_id,size' });
+	if (error) {
+		console.error('Error storing image:', error);
+	}
+
+	return row;
+}
\ No newline at end of file
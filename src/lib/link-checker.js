@@ -1,83 +1,269 @@
+import { CheckQueue } from './check-queue.js';
+import { httpRequest, discardBody, isOnionUrl, probeTor } from './http-client.js';
+
 /**
  * Default options for link checking
  */
 const DEFAULT_OPTIONS = {
   timeout: 10000, // 10 seconds
   batchSize: 10,
-  maxConsecutiveFailures: 3
+  maxConsecutiveFailures: 3,
+  archiveGracePeriodDays: /** @type {number|null} */ (30), // Days an archived link stays before being purged (null = never purge)
+  maxRedirects: 5,
+  clearnetConcurrency: 20,
+  onionConcurrency: 6,
+  perHostConcurrency: 2,
+  maxPending: 200
 };
 
 /**
- * Check if a URL is an onion address
- * @param {string} url - The URL to check
- * @returns {boolean} - True if it's an onion URL
+ * @typedef {Object} CheckOptions
+ * @property {number} [timeout] - Request timeout in milliseconds
+ * @property {number} [batchSize] - Links fetched per batch
+ * @property {number} [maxConsecutiveFailures] - Failures before a link is archived
+ * @property {number|null} [archiveGracePeriodDays] - Days before an archived link is purged (null = never)
+ * @property {number} [maxRedirects] - Redirects followed per check
+ * @property {number} [clearnetConcurrency] - Simultaneous clearnet checks
+ * @property {number} [onionConcurrency] - Simultaneous onion checks
+ * @property {number} [perHostConcurrency] - Simultaneous checks of one host
+ * @property {number} [maxPending] - Queued checks before the batch waits
+ * @property {string} [socksProxy] - SOCKS proxy URL for onion links
+ * @property {CheckQueue} [queue] - Queue shared between checkers
+ */
+
+/**
+ * @typedef {Object} CheckResult
+ * @property {string} url - Checked URL
+ * @property {'live'|'dead'} status - Outcome of the check
+ * @property {number|null} statusCode - HTTP status of the final response
+ * @property {string|null} errorMessage - Why the link is dead
+ * @property {string|null} errorType - One of ERROR_TYPES
+ * @property {string} finalUrl - URL after following redirects
+ * @property {Array<string>} redirectChain - URLs redirected through
+ * @property {number|null} responseTimeMs - Time for the whole check
+ * @property {number|null} ttfbMs - Time until the last response's headers arrived
+ * @property {Date} checkedAt - When the check started
+ */
+
+/**
+ * @typedef {Awaited<ReturnType<typeof probeTor>>} TorStatus
+ */
+
+/**
+ * @typedef {Object} CheckCounts
+ * @property {number} checked
+ * @property {number} live
+ * @property {number} dead
+ * @property {number} deleted
+ * @property {number} archived
+ * @property {number} revived
+ * @property {number} inconclusive
+ * @property {number} skipped
+ * @property {number} errors
+ */
+
+/**
+ * Status codes servers use to reject HEAD requests; these get a ranged GET instead
+ */
+const HEAD_REJECTED_STATUSES = [405, 501];
+
+/**
+ * Status codes that carry a Location header to follow
+ */
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+/**
+ * Send a single request without following redirects
+ * @param {string} url - The URL to request
+ * @param {'HEAD'|'GET'} method - 'HEAD' or 'GET'
+ * @param {CheckOptions} options - Configuration options
+ * @returns {Promise<import('./http-client.js').HttpResponse>} - Fetch response
+ */
+async function sendRequest(url, method, options) {
+  if (isOnionUrl(url)) {
+    console.log(`🧅 [Link Checker] Using Tor proxy for onion URL: ${url} (${method})`);
+  }
+
+  return await httpRequest(url, {
+    method,
+    redirect: 'manual',
+    timeout: options.timeout || DEFAULT_OPTIONS.timeout,
+    // Only ask for the first byte when falling back to GET
+    headers: method === 'GET' ? { Range: 'bytes=0-0' } : {},
+    socksProxy: options.socksProxy
+  });
+}
+
+/**
+ * Request a URL with HEAD, falling back to a ranged GET when HEAD is rejected
+ * @param {string} url - The URL to request
+ * @param {CheckOptions} options - Configuration options
+ * @returns {Promise<{response: import('./http-client.js').HttpResponse, ttfbMs: number}>} - Fetch response and time until its headers arrived
+ */
+async function requestWithFallback(url, options) {
+  let startedAt = Date.now();
+  const response = await sendRequest(url, 'HEAD', options);
+
+  if (!HEAD_REJECTED_STATUSES.includes(response.status)) {
+    return { response, ttfbMs: Date.now() - startedAt };
+  }
+
+  console.log(`↩️ [Link Checker] HEAD rejected for ${url} (${response.status}), retrying with GET`);
+  startedAt = Date.now();
+  const getResponse = await sendRequest(url, 'GET', options);
+  const ttfbMs = Date.now() - startedAt;
+  discardBody(getResponse);
+  return { response: getResponse, ttfbMs };
+}
+
+/**
+ * Failure categories reported in check results as errorType
+ */
+export const ERROR_TYPES = {
+  DNS: 'dns',
+  TCP_REFUSED: 'tcp_refused',
+  TLS: 'tls',
+  TIMEOUT: 'timeout',
+  TOR_CIRCUIT: 'tor_circuit',
+  SOCKS: 'socks',
+  HTTP_4XX: 'http_4xx',
+  HTTP_5XX: 'http_5xx',
+  TOO_MANY_REDIRECTS: 'too_many_redirects',
+  UNKNOWN: 'unknown'
+};
+
+/**
+ * How much each failure category counts towards consecutive_failures.
+ * Failures of our own Tor proxy say nothing about the site, so they don't count.
+ * @type {Record<string, number>}
  */
-function isOnionUrl(url) {
-  return url.includes('.onion');
+const FAILURE_WEIGHTS = {
+  [ERROR_TYPES.SOCKS]: 0,
+  [ERROR_TYPES.TOR_CIRCUIT]: 0
+};
+
+/**
+ * SOCKS5 replies from Tor that mean it could not build a circuit to the destination
+ */
+const TOR_CIRCUIT_REPLIES = ['HostUnreachable', 'TTLExpired', 'GeneralFailure', 'NetworkUnreachable'];
+
+/**
+ * Classify an HTTP status code into a failure category
+ * @param {number} statusCode - HTTP status code
+ * @returns {string|null} - Error type, or null for non-error statuses
+ */
+export function classifyHttpStatus(statusCode) {
+  if (statusCode >= 500) {
+    return ERROR_TYPES.HTTP_5XX;
+  }
+  if (statusCode >= 400) {
+    return ERROR_TYPES.HTTP_4XX;
+  }
+  return null;
+}
+
+/**
+ * Classify a thrown request error into a failure category
+ * @param {any} error - Error thrown by fetch, node-fetch or the SOCKS agent
+ * @returns {string} - Error type
+ */
+export function classifyError(error) {
+  // Walk the cause chain: fetch wraps the socket error, sendRequest wraps SOCKS errors
+  const errors = [];
+  for (let current = error; current && errors.length < 5; current = current.cause) {
+    errors.push(current);
+  }
+
+  const codes = errors.map(e => e.code).filter(Boolean);
+  const names = errors.map(e => e.name).filter(Boolean);
+  const messages = errors.map(e => e.message || '').join(' | ');
+  const viaTor = /Tor proxy error/.test(messages);
+
+  if (names.includes('SocksClientError') || /socks/i.test(messages)) {
+    // Tor reached the destination, which refused the connection
+    if (messages.includes('ConnectionRefused')) {
+      return ERROR_TYPES.TCP_REFUSED;
+    }
+    return TOR_CIRCUIT_REPLIES.some(reply => messages.includes(reply))
+      ? ERROR_TYPES.TOR_CIRCUIT
+      : ERROR_TYPES.SOCKS;
+  }
+
+  if (names.includes('TimeoutError') || names.includes('AbortError') ||
+      codes.some(code => ['ETIMEDOUT', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT'].includes(code)) ||
+      errors.some(e => e.type === 'request-timeout') || /time(d)?\s?out/i.test(messages)) {
+    return ERROR_TYPES.TIMEOUT;
+  }
+
+  if (codes.some(code => ['ENOTFOUND', 'EAI_AGAIN', 'EAI_NONAME', 'EAI_FAIL'].includes(code))) {
+    return ERROR_TYPES.DNS;
+  }
+
+  // node-fetch does not always copy the socket error code, so check the message too
+  if (codes.includes('ECONNREFUSED') || /ECONNREFUSED/.test(messages)) {
+    // Through Tor, a refused connection is the local SOCKS port, not the site
+    return viaTor ? ERROR_TYPES.SOCKS : ERROR_TYPES.TCP_REFUSED;
+  }
+
+  if (codes.some(code => /^(ERR_TLS|ERR_SSL|CERT_|DEPTH_ZERO|SELF_SIGNED|UNABLE_TO_)/.test(code)) ||
+      /ssl|tls|certificate/i.test(messages)) {
+    return ERROR_TYPES.TLS;
+  }
+
+  return ERROR_TYPES.UNKNOWN;
 }
 
 /**
- * Check a single link's availability using the same approach as metadata fetching
+ * Check a single link's availability using the same approach as metadata fetching.
+ * Sends HEAD (falling back to a ranged GET) and follows redirects up to options.maxRedirects.
  * @param {string} url - The URL to check
- * @param {Object} options - Configuration options
- * @returns {Promise<Object>} - Check result
+ * @param {CheckOptions} [options] - Configuration options
+ * @returns {Promise<CheckResult>} - Check result, including finalUrl and redirectChain
  */
 export async function checkLink(url, options = {}) {
   const checkedAt = new Date();
+  const startedAt = Date.now();
+  /** @type {number|null} */
+  let ttfbMs = null;
+  const maxRedirects = options.maxRedirects ?? DEFAULT_OPTIONS.maxRedirects;
+  /** @type {Array<string>} */
+  const redirectChain = [];
+  let currentUrl = url;
   console.log(`🔗 [Link Checker] Checking URL: ${url}`);
   
   try {
     let response;
 
-    // If it's an onion URL, use node-fetch with SOCKS proxy (same as metadata.js)
-    if (isOnionUrl(url)) {
-      console.log(`🧅 [Link Checker] Using Tor proxy for onion URL: ${url}`);
-      
-      try {
-        // Import node-fetch and SOCKS proxy agent
-        const fetch = (await import('node-fetch')).default;
-        const { SocksProxyAgent } = await import('socks-proxy-agent');
-        
-        // Create SOCKS proxy agent with socks5h:// for DNS leak prevention
-        // Also disable certificate validation for onion sites (many use self-signed certs)
-        const agent = new SocksProxyAgent('socks5h://127.0.0.1:9050');
-        
-        // Disable certificate validation globally for this request
-        process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
-        
-        // Use node-fetch with SOCKS proxy and HEAD method
-        response = await fetch(url, {
-          method: 'HEAD',
-          agent,
-          timeout: options.timeout || DEFAULT_OPTIONS.timeout,
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (compatible; LinksAggregator/1.0)'
-          },
-          // Ignore certificate errors for onion sites (many use self-signed certs)
-          rejectUnauthorized: false
-        });
-        
-        // Re-enable certificate validation after the request
-        delete process.env.NODE_TLS_REJECT_UNAUTHORIZED;
-      } catch (proxyError) {
-        console.log(`💥 [Link Checker] Tor proxy error for ${url}: ${proxyError.message}`);
+    for (let hops = 0; ; hops++) {
+      ({ response, ttfbMs } = await requestWithFallback(currentUrl, options));
+
+      const location = REDIRECT_STATUSES.includes(response.status)
+        ? response.headers?.get('location')
+        : null;
+
+      if (!location) {
+        break;
+      }
+
+      if (hops >= maxRedirects) {
+        console.log(`❌ [Link Checker] URL is DEAD: ${url} (more than ${maxRedirects} redirects)`);
         return {
           url,
           status: 'dead',
-          statusCode: null,
-          errorMessage: `Tor proxy error: ${proxyError.message}`,
+          statusCode: response.status,
+          errorMessage: `Too many redirects (limit ${maxRedirects})`,
+          errorType: ERROR_TYPES.TOO_MANY_REDIRECTS,
+          finalUrl: currentUrl,
+          redirectChain,
+          responseTimeMs: Date.now() - startedAt,
+          ttfbMs,
           checkedAt
         };
       }
-    } else {
-      // Regular clearnet fetch using global fetch with HEAD method
-      response = await fetch(url, {
-        method: 'HEAD',
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (compatible; LinksAggregator/1.0)'
-        },
-        signal: AbortSignal.timeout(options.timeout || DEFAULT_OPTIONS.timeout)
-      });
+
+      currentUrl = new URL(location, currentUrl).href;
+      redirectChain.push(currentUrl);
+      console.log(`➡️ [Link Checker] ${url} redirected (${response.status}) to ${currentUrl}`);
     }
 
     if (response.ok) {
@@ -87,6 +273,11 @@ export async function checkLink(url, options = {}) {
         status: 'live',
         statusCode: response.status,
         errorMessage: null,
+        errorType: null,
+        finalUrl: currentUrl,
+        redirectChain,
+        responseTimeMs: Date.now() - startedAt,
+        ttfbMs,
         checkedAt
       };
     } else {
@@ -96,16 +287,27 @@ export async function checkLink(url, options = {}) {
         status: 'dead',
         statusCode: response.status,
         errorMessage: `HTTP ${response.status}: ${response.statusText}`,
+        errorType: classifyHttpStatus(response.status) || ERROR_TYPES.UNKNOWN,
+        finalUrl: currentUrl,
+        redirectChain,
+        responseTimeMs: Date.now() - startedAt,
+        ttfbMs,
         checkedAt
       };
     }
   } catch (error) {
-    console.log(`💥 [Link Checker] URL check FAILED: ${url} - ${error.message}`);
+    const errorType = classifyError(error);
+    console.log(`💥 [Link Checker] URL check FAILED (${errorType}): ${url} - ${error.message}`);
     return {
       url,
       status: 'dead',
       statusCode: null,
       errorMessage: error.message,
+      errorType,
+      finalUrl: currentUrl,
+      redirectChain,
+      responseTimeMs: null,
+      ttfbMs: null,
       checkedAt
     };
   }
@@ -115,9 +317,38 @@ export async function checkLink(url, options = {}) {
  * LinkChecker class for managing batch link checking operations
  */
 export class LinkChecker {
+  /**
+   * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client
+   * @param {CheckOptions} options - Configuration options; pass `queue` to share a CheckQueue between checkers
+   */
   constructor(supabase, options = {}) {
     this.supabase = supabase;
-    this.options = { ...DEFAULT_OPTIONS, ...options };
+    const { queue, ...rest } = options;
+    /** @type {typeof DEFAULT_OPTIONS & CheckOptions} */
+    this.options = { ...DEFAULT_OPTIONS, ...rest };
+    this.queue = queue || new CheckQueue(this.options);
+    // Result of the last Tor probe in this run (null = not probed yet)
+    /** @type {TorStatus|null} */
+    this.torStatus = null;
+    // Links whose check threw in this run; they stay due, so later batches leave them out
+    /** @type {Set<string>} */
+    this.failedLinkIds = new Set();
+  }
+
+  /**
+   * Probe the Tor SOCKS proxy once per run, before the first onion check
+   * @returns {Promise<TorStatus>} - Tor probe status
+   */
+  async ensureTorStatus() {
+    if (!this.torStatus) {
+      this.torStatus = await probeTor({ socksProxy: this.options.socksProxy });
+      if (this.torStatus.available) {
+        console.log(`🧅 [Link Checker] Tor SOCKS proxy is up (${this.torStatus.proxy}, ${this.torStatus.latencyMs}ms)`);
+      } else {
+        console.warn(`🧅 [Link Checker] Tor SOCKS proxy unavailable (${this.torStatus.error}), skipping onion links until the next run`);
+      }
+    }
+    return this.torStatus;
   }
 
   /**
@@ -125,9 +356,20 @@ export class LinkChecker {
    * @returns {Promise<Array>} - Array of links needing check
    */
   async getLinksNeedingCheck() {
-    const { data, error } = await this.supabase
+    let query = this.supabase
       .from('links_needing_check')
-      .select('*')
+      .select('*');
+
+    // With Tor down, leave onion links due so they are picked up again on the next run
+    if (this.torStatus && !this.torStatus.available) {
+      query = query.not('url', 'ilike', '%.onion%');
+    }
+
+    if (this.failedLinkIds.size > 0) {
+      query = query.not('id', 'in', `(${[...this.failedLinkIds].join(',')})`);
+    }
+
+    const { data, error } = await query
       .order('last_checked_at', { ascending: true, nullsFirst: true })
       .limit(this.options.batchSize);
 
@@ -141,17 +383,17 @@ export class LinkChecker {
   /**
    * Update link status in the database
    * @param {string} linkId - The link ID
-   * @param {Object} checkResult - The check result
-   * @returns {Promise<Object>} - Update result
+   * @param {CheckResult} checkResult - The check result
+   * @returns {Promise<{deleted: boolean, archived: boolean, revived: boolean, inconclusive?: boolean}>} - Update result
    */
   async updateLinkStatus(linkId, checkResult) {
     try {
       console.log(`📝 [Link Checker] Updating database for link ${linkId}: ${checkResult.status}`);
       
-      // Get current consecutive failures count
+      // Get current consecutive failures count and archive state
       const { data: currentLink, error: fetchError } = await this.supabase
         .from('links')
-        .select('consecutive_failures')
+        .select('consecutive_failures, archived_at')
         .eq('id', linkId)
         .single();
 
@@ -160,16 +402,39 @@ export class LinkChecker {
       }
 
       const currentFailures = currentLink?.consecutive_failures || 0;
+      const archivedAt = currentLink?.archived_at ? new Date(currentLink.archived_at) : null;
       let newConsecutiveFailures = 0;
 
       if (checkResult.status === 'dead') {
-        newConsecutiveFailures = currentFailures + 1;
-        console.log(`⚠️ [Link Checker] Link ${linkId} failed ${newConsecutiveFailures} times consecutively`);
+        const weight = FAILURE_WEIGHTS[checkResult.errorType ?? ERROR_TYPES.UNKNOWN] ?? 1;
+
+        // Failures that don't count against the site leave its status and failure count alone
+        if (weight === 0) {
+          console.log(`🧅 [Link Checker] Link ${linkId} check inconclusive (${checkResult.errorType}), not counting as a failure`);
+
+          const { error: updateError } = await this.supabase
+            .from('links')
+            .update({
+              error_message: checkResult.errorMessage,
+              error_type: checkResult.errorType,
+              last_checked_at: checkResult.checkedAt.toISOString()
+            })
+            .eq('id', linkId);
+
+          if (updateError) {
+            throw new Error(`Failed to update link status: ${updateError.message}`);
+          }
+
+          return { deleted: false, archived: false, revived: false, inconclusive: true };
+        }
+
+        newConsecutiveFailures = currentFailures + weight;
+        console.log(`⚠️ [Link Checker] Link ${linkId} failed ${newConsecutiveFailures} times consecutively (${checkResult.errorType})`);
       }
 
-      // If we've reached max consecutive failures, delete the link
-      if (newConsecutiveFailures >= this.options.maxConsecutiveFailures) {
-        console.log(`🗑️ [Link Checker] Deleting link ${linkId} after ${newConsecutiveFailures} consecutive failures`);
+      // Purge links that have stayed dead for the whole grace period after being archived
+      if (archivedAt && checkResult.status === 'dead' && this.isPastGracePeriod(archivedAt, checkResult.checkedAt)) {
+        console.log(`🗑️ [Link Checker] Purging link ${linkId}, archived since ${archivedAt.toISOString()}`);
         
         const { error: deleteError } = await this.supabase
           .from('links')
@@ -180,22 +445,40 @@ export class LinkChecker {
           throw new Error(`Failed to delete link: ${deleteError.message}`);
         }
 
-        console.log(`✅ [Link Checker] Successfully deleted link ${linkId}`);
-        return { deleted: true };
+        console.log(`✅ [Link Checker] Successfully purged link ${linkId}`);
+        return { deleted: true, archived: false, revived: false };
       }
 
       // Prepare update data
+      /** @type {Record<string, any>} */
       const updateData = {
         status: checkResult.status,
         status_code: checkResult.statusCode,
         error_message: checkResult.errorMessage,
+        error_type: checkResult.errorType ?? null,
         last_checked_at: checkResult.checkedAt.toISOString(),
         consecutive_failures: newConsecutiveFailures
       };
 
-      // If the link is live, update the last_verified_at timestamp
+      // Archive (hide from listings, keep history) once max consecutive failures is reached
+      const archived = !archivedAt && newConsecutiveFailures >= this.options.maxConsecutiveFailures;
+      if (archived) {
+        updateData.archived_at = checkResult.checkedAt.toISOString();
+        console.log(`📦 [Link Checker] Archiving link ${linkId} after ${newConsecutiveFailures} consecutive failures`);
+      }
+
+      // Revive archived links as soon as they come back
+      const revived = Boolean(archivedAt) && checkResult.status === 'live';
+      if (revived) {
+        updateData.archived_at = null;
+        console.log(`♻️ [Link Checker] Reviving archived link ${linkId}`);
+      }
+
+      // If the link is live, update the last_verified_at timestamp and where it ended up
       if (checkResult.status === 'live') {
         updateData.last_verified_at = checkResult.checkedAt.toISOString();
+        updateData.final_url = checkResult.finalUrl ?? null;
+        updateData.redirect_chain = checkResult.redirectChain ?? [];
         console.log(`🎉 [Link Checker] Link ${linkId} verified as live, updating last_verified_at`);
       }
 
@@ -210,60 +493,146 @@ export class LinkChecker {
       }
 
       console.log(`✅ [Link Checker] Successfully updated link ${linkId} status in database`);
-      return { deleted: false };
+      return { deleted: false, archived, revived };
     } catch (error) {
       console.error(`❌ [Link Checker] Failed to update link ${linkId}:`, error.message);
       throw new Error(`Failed to update link status: ${error.message}`);
     }
   }
 
+  /**
+   * Append a check result to the link's check history
+   * @param {string} linkId - The link ID
+   * @param {CheckResult} checkResult - The check result
+   */
+  async recordCheck(linkId, checkResult) {
+    try {
+      const { error } = await this.supabase
+        .from('link_checks')
+        .insert({
+          link_id: linkId,
+          status: checkResult.status,
+          status_code: checkResult.statusCode,
+          error_message: checkResult.errorMessage,
+          error_type: checkResult.errorType ?? null,
+          response_time_ms: checkResult.responseTimeMs ?? null,
+          ttfb_ms: checkResult.ttfbMs ?? null,
+          final_url: checkResult.finalUrl ?? null,
+          checked_at: checkResult.checkedAt.toISOString()
+        });
+
+      if (error) {
+        throw new Error(error.message);
+      }
+    } catch (error) {
+      // History is best-effort; never fail the check because of it
+      console.error(`❌ [Link Checker] Failed to record check history for link ${linkId}:`, error instanceof Error ? error.message : error);
+    }
+  }
+
+  /**
+   * Whether an archived link has been archived longer than the grace period
+   * @param {Date} archivedAt - When the link was archived
+   * @param {Date} now - Reference time (the check time)
+   * @returns {boolean} - True if the link may be purged
+   */
+  isPastGracePeriod(archivedAt, now) {
+    const graceDays = this.options.archiveGracePeriodDays;
+    if (graceDays === null || graceDays === undefined) {
+      return false;
+    }
+    return now.getTime() - archivedAt.getTime() >= graceDays * 24 * 60 * 60 * 1000;
+  }
+
   /**
    * Check a batch of links
-   * @returns {Promise<Object>} - Batch check results
+   * @returns {Promise<CheckCounts>} - Batch check results
    */
   async checkBatch() {
+    /** @type {CheckCounts} */
     const results = {
       checked: 0,
       live: 0,
       dead: 0,
       deleted: 0,
+      archived: 0,
+      revived: 0,
+      inconclusive: 0,
+      skipped: 0,
       errors: 0
     };
 
     try {
-      const links = await this.getLinksNeedingCheck();
+      let links = await this.getLinksNeedingCheck();
       
       if (links.length === 0) {
         console.log(`📊 [Link Checker] No links need checking at this time`);
         return results;
       }
 
+      // Skip onion links when Tor is down instead of recording them as dead
+      if (links.some(link => isOnionUrl(link.url))) {
+        const torStatus = await this.ensureTorStatus();
+        if (!torStatus.available) {
+          const clearnetLinks = links.filter(link => !isOnionUrl(link.url));
+          results.skipped = links.length - clearnetLinks.length;
+          links = clearnetLinks;
+        }
+      }
+
       console.log(`🚀 [Link Checker] Starting batch check of ${links.length} links`);
 
-      // Process links concurrently but with limited concurrency
-      const promises = links.map(async (link) => {
-        try {
-          const checkResult = await checkLink(link.url, this.options);
-          const updateResult = await this.updateLinkStatus(link.id, checkResult);
-          
-          results.checked++;
-          
-          if (updateResult.deleted) {
-            results.deleted++;
-          } else if (checkResult.status === 'live') {
-            results.live++;
-          } else {
-            results.dead++;
+      // Feed links through the check queue, which enforces the clearnet/onion and
+      // per-host concurrency limits; waitForCapacity() applies backpressure
+      const promises = [];
+      for (const link of links) {
+        await this.queue.waitForCapacity();
+        promises.push(this.queue.add(link.url, async () => {
+          try {
+            const checkResult = await checkLink(link.url, this.options);
+
+            // The proxy went away mid-run: stop sending onion links to it
+            if (checkResult.errorType === ERROR_TYPES.SOCKS) {
+              this.torStatus = {
+                ...(/** @type {TorStatus} */ (this.torStatus)),
+                available: false,
+                error: checkResult.errorMessage,
+                checkedAt: new Date().toISOString()
+              };
+            }
+
+            await this.recordCheck(link.id, checkResult);
+            const updateResult = await this.updateLinkStatus(link.id, checkResult);
+            
+            results.checked++;
+            
+            if (updateResult.archived) {
+              results.archived++;
+            }
+            if (updateResult.revived) {
+              results.revived++;
+            }
+
+            if (updateResult.deleted) {
+              results.deleted++;
+            } else if (updateResult.inconclusive) {
+              results.inconclusive++;
+            } else if (checkResult.status === 'live') {
+              results.live++;
+            } else {
+              results.dead++;
+            }
+          } catch (error) {
+            console.error(`💥 [Link Checker] Error checking link ${link.url}:`, error);
+            this.failedLinkIds.add(link.id);
+            results.errors++;
           }
-        } catch (error) {
-          console.error(`💥 [Link Checker] Error checking link ${link.url}:`, error);
-          results.errors++;
-        }
-      });
+        }));
+      }
 
       await Promise.all(promises);
       
-      console.log(`📈 [Link Checker] Batch completed: ${results.checked} checked, ${results.live} live, ${results.dead} dead, ${results.deleted} deleted, ${results.errors} errors`);
+      console.log(`📈 [Link Checker] Batch completed: ${results.checked} checked, ${results.live} live, ${results.dead} dead, ${results.deleted} deleted, ${results.archived} archived, ${results.revived} revived, ${results.inconclusive} inconclusive, ${results.skipped} skipped, ${results.errors} errors`);
       return results;
     } catch (error) {
       console.error('💥 [Link Checker] Error in checkBatch:', error);
@@ -273,18 +642,27 @@ export class LinkChecker {
 
   /**
    * Run continuous link checking
-   * @returns {Promise<Object>} - Overall results
+   * @returns {Promise<CheckCounts & {batches: number, tor?: TorStatus|null}>} - Overall results
    */
   async checkAll() {
+    /** @type {CheckCounts & {batches: number, tor?: TorStatus|null}} */
     const overallResults = {
       checked: 0,
       live: 0,
       dead: 0,
       deleted: 0,
+      archived: 0,
+      revived: 0,
+      inconclusive: 0,
+      skipped: 0,
       errors: 0,
       batches: 0
     };
 
+    // Probe Tor afresh for every run, and retry failed links on the next one
+    this.torStatus = null;
+    this.failedLinkIds = new Set();
+
     let hasMoreLinks = true;
     
     while (hasMoreLinks) {
@@ -295,27 +673,63 @@ export class LinkChecker {
       overallResults.live += batchResults.live;
       overallResults.dead += batchResults.dead;
       overallResults.deleted += batchResults.deleted;
+      overallResults.archived += batchResults.archived;
+      overallResults.revived += batchResults.revived;
+      overallResults.inconclusive += batchResults.inconclusive;
+      overallResults.skipped += batchResults.skipped;
       overallResults.errors += batchResults.errors;
       overallResults.batches++;
 
-      // If we processed fewer links than batch size, we're done
-      hasMoreLinks = batchResults.checked === this.options.batchSize;
-      
-      // Add a small delay between batches to avoid overwhelming the system
-      if (hasMoreLinks) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
+      // If we processed fewer links than batch size, we're done.
+      // No delay between batches is needed: the queue already limits request rate.
+      // Skipped onion links and failed links are excluded from the following batches, so they
+      // count as processed.
+      hasMoreLinks = batchResults.checked + batchResults.skipped + batchResults.errors === this.options.batchSize;
     }
 
+    overallResults.tor = this.torStatus;
     return overallResults;
   }
 }
 
+/**
+ * Summarize a link's check history into uptime percentages and average latency
+ * @param {Array<{status: string, checked_at: string, response_time_ms: number|null}>} checks - Check history rows
+ * @param {Date} now - Reference time
+ * @returns {{uptime_24h: number|null, uptime_7d: number|null, uptime_30d: number|null, avg_latency_ms: number|null}}
+ *   Uptime percentages (null when there are no checks in the window) and average latency of live checks over 30 days
+ */
+export function calculateUptime(checks, now = new Date()) {
+  const windows = {
+    uptime_24h: 24 * 60 * 60 * 1000,
+    uptime_7d: 7 * 24 * 60 * 60 * 1000,
+    uptime_30d: 30 * 24 * 60 * 60 * 1000
+  };
+
+  /** @type {Record<string, number|null>} */
+  const summary = {};
+  for (const [key, windowMs] of Object.entries(windows)) {
+    const inWindow = checks.filter(check => now.getTime() - new Date(check.checked_at).getTime() <= windowMs);
+    const live = inWindow.filter(check => check.status === 'live').length;
+    summary[key] = inWindow.length > 0 ? Math.round((live / inWindow.length) * 1000) / 10 : null;
+  }
+
+  const latencies = checks
+    .filter(check => check.status === 'live' && typeof check.response_time_ms === 'number')
+    .filter(check => now.getTime() - new Date(check.checked_at).getTime() <= windows.uptime_30d)
+    .map(check => /** @type {number} */ (check.response_time_ms));
+  summary.avg_latency_ms = latencies.length > 0
+    ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length)
+    : null;
+
+  return /** @type {ReturnType<typeof calculateUptime>} */ (summary);
+}
+
 /**
  * Convenience function to check all links needing check
- * @param {Object} supabase - Supabase client
- * @param {Object} options - Configuration options
- * @returns {Promise<Object>} - Check results
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client
+ * @param {CheckOptions} options - Configuration options
+ * @returns {ReturnType<LinkChecker['checkAll']>} - Check results
  */
 export async function checkAllLinks(supabase, options = {}) {
   const checker = new LinkChecker(supabase, options);
@@ -0,0 +1,265 @@
+import { isModerator } from './auth.js';
+import { saveCategoryAssignments } from './category-classifier.js';
+
+/**
+ * Length limits, the same as for submitted links
+ */
+export const MAX_TITLE_LENGTH = 255;
+export const MAX_DESCRIPTION_LENGTH = 1000;
+
+/**
+ * Limits on tags and categories per link
+ */
+export const MAX_TAGS = 10;
+export const MAX_TAG_LENGTH = 50;
+export const MAX_CATEGORIES = 3;
+
+/**
+ * Fields stored on the links table (categories live in link_categories)
+ * @type {Array<'title'|'description'|'tags'>}
+ */
+const LINK_FIELDS = ['title', 'description', 'tags'];
+
+/**
+ * @typedef {Object} LinkEdit
+ * @property {string} [title] - New title
+ * @property {string} [description] - New description
+ * @property {string[]} [tags] - New tags
+ * @property {string[]} [categories] - Names of the new categories
+ */
+
+/**
+ * @typedef {Object} FieldChange
+ * @property {any} old - Value before the edit
+ * @property {any} new - Value after the edit
+ */
+
+/**
+ * Validate and normalize the fields of an edit
+ * @param {{title?: unknown, description?: unknown, tags?: unknown, categories?: unknown}} fields - Request body
+ * @returns {{edit: LinkEdit|null, error: string|null}}
+ */
+export function parseLinkEdit({ title, description, tags, categories }) {
+	/** @type {LinkEdit} */
+	const edit = {};
+
+	if (title !== undefined) {
+		if (typeof title !== 'string' || !title.trim()) {
+			return { edit: null, error: 'Title cannot be empty' };
+		}
+		if (title.trim().length > MAX_TITLE_LENGTH) {
+			return { edit: null, error: `Title too long (max ${MAX_TITLE_LENGTH} characters)` };
+		}
+		edit.title = title.trim();
+	}
+
+	if (description !== undefined) {
+		if (typeof description !== 'string') {
+			return { edit: null, error: 'Description must be text' };
+		}
+		if (description.trim().length > MAX_DESCRIPTION_LENGTH) {
+			return {
+				edit: null,
+				error: `Description too long (max ${MAX_DESCRIPTION_LENGTH} characters)`
+			};
+		}
+		edit.description = description.trim();
+	}
+
+	if (tags !== undefined) {
+		const list = parseList(tags);
+		if (!list || list.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+			return {
+				edit: null,
+				error: `Tags must be a list of up to ${MAX_TAG_LENGTH} characters each`
+			};
+		}
+		if (list.length > MAX_TAGS) {
+			return { edit: null, error: `At most ${MAX_TAGS} tags` };
+		}
+		edit.tags = list;
+	}
+
+	if (categories !== undefined) {
+		const list = parseList(categories);
+		if (!list) {
+			return { edit: null, error: 'Categories must be a list of category names' };
+		}
+		if (list.length > MAX_CATEGORIES) {
+			return { edit: null, error: `At most ${MAX_CATEGORIES} categories` };
+		}
+		edit.categories = list;
+	}
+
+	if (Object.keys(edit).length === 0) {
+		return { edit: null, error: 'Nothing to edit' };
+	}
+	return { edit, error: null };
+}
+
+/**
+ * Trim a list of names and drop empty and repeated ones (case-insensitive)
+ * @param {unknown} value - Submitted list
+ * @returns {string[]|null} - null when it is not a list of strings
+ */
+function parseList(value) {
+	if (!Array.isArray(value) || value.some((item) => typeof item !== 'string')) return null;
+
+	const seen = new Set();
+	/** @type {string[]} */
+	const list = [];
+	for (const item of value) {
+		const name = item.trim();
+		if (!name || seen.has(name.toLowerCase())) continue;
+		seen.add(name.toLowerCase());
+		list.push(name);
+	}
+	return list;
+}
+
+/**
+ * Whether a user may edit a link: its submitter, or a moderator
+ * @param {{id: string, role: string}|null} user - Signed-in user (event.locals.user)
+ * @param {{user_id: string|null}} link - Link
+ * @returns {boolean}
+ */
+export function canEditLink(user, link) {
+	if (!user) return false;
+	return (link.user_id !== null && link.user_id === user.id) || isModerator(user);
+}
+
+/**
+ * Compare an edit with the current values
+ * @param {{title: string, description: string|null, tags: string[]|null, categories: string[]}} current - Current values
+ * @param {LinkEdit} edit - Result of parseLinkEdit
+ * @returns {Record<string, FieldChange>} - Old and new value of each changed field
+ */
+export function diffLinkEdit(current, edit) {
+	/** @type {Record<string, FieldChange>} */
+	const changes = {};
+
+	for (const [field, value] of Object.entries(edit)) {
+		const old =
+			current[/** @type {keyof LinkEdit} */ (field)] ?? (field === 'description' ? '' : []);
+		const same =
+			field === 'categories'
+				? sameNames(/** @type {string[]} */ (old), /** @type {string[]} */ (value))
+				: JSON.stringify(old) === JSON.stringify(value);
+		if (!same) {
+			changes[field] = { old, new: value };
+		}
+	}
+
+	return changes;
+}
+
+/**
+ * Whether two lists hold the same names, ignoring order and case
+ * @param {string[]} a - First list
+ * @param {string[]} b - Second list
+ * @returns {boolean}
+ */
+function sameNames(a, b) {
+	const normalize = (/** @type {string[]} */ list) => list.map((name) => name.toLowerCase()).sort();
+	return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+/**
+ * Names of the categories a link is in
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client
+ * @param {string} linkId - Link ID
+ * @returns {Promise<string[]>}
+ */
+async function loadLinkCategories(supabase, linkId) {
+	const { data, error } = await supabase
+		.from('link_categories')
+		.select('categories (name)')
+		.eq('link_id', linkId);
+
+	if (error) throw new Error(`Error loading categories: ${error.message}`);
+	// categories is a many-to-one embed, so each row holds a single category object
+	return (data || []).map((/** @type {any} */ row) => row.categories?.name).filter(Boolean);
+}
+
+/**
+ * Apply an edit to a link and record it in the edit history. Edited titles and descriptions are
+ * marked as user-provided, so metadata refreshes don't overwrite them.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @param {{id: string, title: string, description: string|null, tags: string[]|null, user_provided_fields: string[]|null}} link - Link row
+ * @param {LinkEdit} edit - Result of parseLinkEdit
+ * @param {{id: string, role: string}} user - Editor
+ * @returns {Promise<{changes: Record<string, FieldChange>, error: string|null}>} - changes is empty when nothing changed
+ */
+export async function applyLinkEdit(supabase, link, edit, user) {
+	const current = { ...link, categories: await loadLinkCategories(supabase, link.id) };
+	const changes = diffLinkEdit(current, edit);
+
+	if (Object.keys(changes).length === 0) {
+		return { changes, error: null };
+	}
+
+	/** @type {string[]} */
+	let categoryIds = [];
+	if (changes.categories && edit.categories) {
+		const { data: known, error } = await supabase.from('categories').select('id, name');
+		if (error) throw new Error(`Error loading categories: ${error.message}`);
+
+		const ids = new Map(
+			(known || []).map((/** @type {{id: string, name: string}} */ category) => [
+				category.name.toLowerCase(),
+				category.id
+			])
+		);
+		const unknown = edit.categories.find((name) => !ids.has(name.toLowerCase()));
+		if (unknown) {
+			return { changes: {}, error: `Unknown category: ${unknown}` };
+		}
+		categoryIds = edit.categories.map(
+			(name) => /** @type {string} */ (ids.get(name.toLowerCase()))
+		);
+	}
+
+	/** @type {Pick<LinkEdit, 'title'|'description'|'tags'>} */
+	const update = Object.fromEntries(
+		LINK_FIELDS.filter((field) => changes[field]).map((field) => [field, edit[field]])
+	);
+
+	if (Object.keys(update).length > 0) {
+		const providedFields = new Set(link.user_provided_fields || []);
+		if (update.title !== undefined) providedFields.add('title');
+		if (update.description !== undefined) providedFields.add('description');
+
+		const { error } = await supabase
+			.from('links')
+			.update({ ...update, user_provided_fields: [...providedFields] })
+			.eq('id', link.id);
+		if (error) throw new Error(`Error updating link: ${error.message}`);
+	}
+
+	if (changes.categories && edit.categories) {
+		// Confirmed categories: they also train the category model
+		const source = isModerator(user) ? 'admin' : 'user';
+		await saveCategoryAssignments(
+			supabase,
+			new Map([
+				[link.id, edit.categories.map((category) => ({ category, confidence: null, source }))]
+			])
+		);
+
+		// The new categories are saved before the others are removed, so a failure in between
+		// never leaves the link without categories
+		let removal = supabase.from('link_categories').delete().eq('link_id', link.id);
+		if (categoryIds.length > 0) {
+			removal = removal.not('category_id', 'in', `(${categoryIds.join(',')})`);
+		}
+		const { error } = await removal;
+		if (error) throw new Error(`Error updating categories: ${error.message}`);
+	}
+
+	const { error: historyError } = await supabase
+		.from('link_edits')
+		.insert({ link_id: link.id, user_id: user.id, changes });
+	if (historyError) throw new Error(`Error saving edit history: ${historyError.message}`);
+
+	return { changes, error: null };
+}
\ No newline at end of file
@@ -0,0 +1,219 @@
+import { CheckQueue } from './check-queue.js';
+import { probeTor } from './http-client.js';
+import { fetchUrlMetadata, rankCategories } from './metadata.js';
+import {
+	loadCategoryRules,
+	saveCategoryAssignments,
+	selectAutoCategories
+} from './category-classifier.js';
+import { cacheFavicon } from './favicon.js';
+import { hashFavicon, recordFingerprint } from './fingerprint.js';
+import { matchSiteMirror } from './mirrors.js';
+
+/**
+ * Default options for the metadata enrichment job
+ */
+const DEFAULT_ENRICH_OPTIONS = {
+	batchSize: 50, // Pending links claimed per query
+	clearnetConcurrency: 8, // Simultaneous clearnet page fetches
+	onionConcurrency: 4, // Simultaneous page fetches through the Tor SOCKS port
+	perHostConcurrency: 2, // Simultaneous fetches from the same host
+	maxAttempts: 3, // Failed fetches before a link is marked failed
+	retryDelayMs: 5 * 60 * 1000 // Wait between attempts for the same link
+};
+
+/**
+ * @typedef {Object} PendingLink
+ * @property {string} id - Link ID
+ * @property {string} url - Link URL
+ * @property {string|null} title - Title, the URL's domain until metadata is fetched
+ * @property {string|null} description - Description
+ * @property {string} domain - Hostname of the URL
+ * @property {string} created_at - When the link was added
+ * @property {Array<string>|null} [user_provided_fields] - Fields the submitter filled in
+ * @property {number|null} [metadata_attempts] - Failed fetches so far
+ */
+
+/**
+ * @typedef {Object} MetadataUpdate
+ * @property {string|null} image_url - Preview image
+ * @property {string} site_name - Site name, the domain if the page has none
+ * @property {string} metadata_status - Always 'complete'
+ * @property {null} metadata_error - Cleared after a successful fetch
+ * @property {string} metadata_fetched_at - When the metadata was fetched
+ * @property {string} [title] - Page title, unless the submitter provided one
+ * @property {string} [description] - Page description, unless the submitter provided one
+ */
+
+/**
+ * @typedef {Object} EnrichResults
+ * @property {number} processed - Links handled
+ * @property {number} complete - Links whose metadata was stored
+ * @property {number} retry - Links left pending for another attempt
+ * @property {number} failed - Links that used up their attempts
+ * @property {number} errors - Links that hit a database error
+ * @property {Awaited<ReturnType<typeof probeTor>>|null} tor - Tor proxy status at the start of the run
+ */
+
+/**
+ * Build the links row update for freshly fetched metadata.
+ * Fields the submitter provided (user_provided_fields) are never overwritten.
+ * @param {PendingLink} link - Row from the links table
+ * @param {Awaited<ReturnType<typeof fetchUrlMetadata>>} metadata - Result of fetchUrlMetadata
+ * @param {Date} now - Reference time
+ * @returns {MetadataUpdate} - Columns to update
+ */
+export function buildMetadataUpdate(link, metadata, now = new Date()) {
+	const locked = new Set(link.user_provided_fields || []);
+	/** @type {MetadataUpdate} */
+	const update = {
+		image_url: metadata.image || null,
+		site_name: metadata.siteName || link.domain,
+		metadata_status: 'complete',
+		metadata_error: null,
+		metadata_fetched_at: now.toISOString()
+	};
+
+	if (!locked.has('title') && metadata.title) {
+		update.title = metadata.title.substring(0, 255);
+	}
+	if (!locked.has('description') && metadata.description) {
+		update.description = metadata.description.substring(0, 1000);
+	}
+
+	return update;
+}
+
+/**
+ * Fetch and store metadata, categories and favicon for a single pending link
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @param {PendingLink} link - Row from the links table
+ * @param {Object} options - Enrichment options
+ * @param {import('./category-classifier.js').CompiledRules} options.categoryRules - Compiled keyword rules
+ * @param {number} options.maxAttempts - Failed fetches before the link is marked failed
+ * @returns {Promise<'complete'|'pending'|'failed'>} - New metadata_status ('pending' to retry)
+ */
+export async function enrichLink(supabase, link, { categoryRules, maxAttempts }) {
+	const metadata = await fetchUrlMetadata(link.url);
+	const attempts = (link.metadata_attempts || 0) + 1;
+
+	if (metadata.error) {
+		const status = attempts >= maxAttempts ? 'failed' : 'pending';
+		const { error } = await supabase
+			.from('links')
+			.update({
+				metadata_status: status,
+				metadata_attempts: attempts,
+				metadata_error: metadata.error.substring(0, 500),
+				metadata_fetched_at: new Date().toISOString()
+			})
+			.eq('id', link.id);
+
+		if (error) throw new Error(`Error updating link: ${error.message}`);
+		return status;
+	}
+
+	const update = { ...buildMetadataUpdate(link, metadata), metadata_attempts: attempts };
+	const { error } = await supabase.from('links').update(update).eq('id', link.id);
+	if (error) throw new Error(`Error updating link: ${error.message}`);
+
+	// Categories chosen by the submitter were stored at insert time and are kept
+	const ranked = rankCategories(
+		{
+			title: update.title || link.title || undefined,
+			description: update.description || link.description || undefined,
+			body: metadata.fullText,
+			domain: link.domain
+		},
+		categoryRules
+	);
+	await saveCategoryAssignments(supabase, new Map([[link.id, selectAutoCategories(ranked)]]));
+
+	// Favicons are best effort
+	let favicon = null;
+	try {
+		favicon = await cacheFavicon(supabase, link.domain, link.url, metadata.favicon || null);
+	} catch (faviconError) {
+		console.warn(
+			`Favicon fetch failed for ${link.domain}:`,
+			faviconError instanceof Error ? faviconError.message : faviconError
+		);
+	}
+
+	// Fingerprint the content and flag look-alike copies of other onion sites
+	await recordFingerprint(supabase, link, {
+		simhash: metadata.simhash || null,
+		faviconHash: hashFavicon(favicon?.data ?? null)
+	});
+
+	// Badge links on verified mirrors of a registered site, warn about look-alikes using its name
+	await matchSiteMirror(supabase, { ...link, title: update.title || link.title });
+
+	return 'complete';
+}
+
+/**
+ * Enrich every pending link that is due, with bounded concurrency.
+ * Onion links wait while the Tor proxy is down instead of using up their attempts.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @param {Partial<typeof DEFAULT_ENRICH_OPTIONS>} options - Options (see DEFAULT_ENRICH_OPTIONS)
+ * @returns {Promise<EnrichResults>}
+ */
+export async function enrichPendingLinks(supabase, options = {}) {
+	const opts = { ...DEFAULT_ENRICH_OPTIONS, ...options };
+	const queue = new CheckQueue(opts);
+	const tor = await probeTor();
+	/** @type {EnrichResults} */
+	const results = { processed: 0, complete: 0, retry: 0, failed: 0, errors: 0, tor };
+	const categoryRules = await loadCategoryRules(supabase);
+
+	if (!tor.available) {
+		console.warn(`🧅 Tor proxy unavailable (${tor.error}), onion links stay pending`);
+	}
+
+	while (true) {
+		const due = new Date(Date.now() - opts.retryDelayMs).toISOString();
+		let query = supabase
+			.from('links')
+			.select(
+				'id, url, title, description, domain, created_at, user_provided_fields, metadata_attempts'
+			)
+			.eq('metadata_status', 'pending')
+			.or(`metadata_fetched_at.is.null,metadata_fetched_at.lt.${due}`);
+
+		if (!tor.available) {
+			query = query.not('url', 'ilike', '%.onion%');
+		}
+
+		const { data: links, error } = await query
+			.order('created_at', { ascending: true })
+			.limit(opts.batchSize);
+
+		if (error) throw new Error(`Error loading pending links: ${error.message}`);
+		if (!links || links.length === 0) break;
+
+		console.log(`📝 Enriching metadata for ${links.length} links...`);
+
+		await Promise.all(
+			links.map((link) =>
+				queue
+					.add(link.url, () => enrichLink(supabase, link, { categoryRules, ...opts }))
+					.then((/** @type {'complete'|'pending'|'failed'} */ status) => {
+						results[status === 'pending' ? 'retry' : status]++;
+					})
+					.catch((enrichError) => {
+						console.error(`❌ Metadata enrichment failed for ${link.url}:`, enrichError.message);
+						results.errors++;
+					})
+					.finally(() => {
+						results.processed++;
+					})
+			)
+		);
+
+		// A database error leaves links due, stop instead of picking them up again
+		if (results.errors > 0 || links.length < opts.batchSize) break;
+	}
+
+	return results;
+}
\ No newline at end of file
@@ -0,0 +1,190 @@
+import { CheckQueue } from './check-queue.js';
+import { probeTor } from './http-client.js';
+import { fetchUrlMetadata } from './metadata.js';
+import { buildMetadataUpdate } from './metadata-enricher.js';
+import { tokenize } from './bayes-classifier.js';
+import { recordFingerprint } from './fingerprint.js';
+
+/**
+ * Default options for the metadata refresh job
+ */
+const DEFAULT_REFRESH_OPTIONS = {
+	refreshAfterDays: 7, // Re-fetch metadata older than this
+	batchSize: 50, // Links refreshed per run
+	clearnetConcurrency: 4, // Simultaneous clearnet page fetches
+	onionConcurrency: 2, // Simultaneous page fetches through the Tor SOCKS port
+	perHostConcurrency: 1 // Simultaneous fetches from the same host
+};
+
+/**
+ * Word overlap below which a change is treated as drastic
+ */
+export const DRASTIC_CHANGE_SIMILARITY = 0.2;
+
+/**
+ * Words the old title and description need before a change can be called drastic
+ * (placeholder titles such as the hostname are replaced without a flag)
+ */
+const MIN_WORDS_FOR_FLAG = 3;
+
+/**
+ * Fields whose changes are recorded
+ * @type {Array<'title'|'description'>}
+ */
+const TRACKED_FIELDS = ['title', 'description'];
+
+/**
+ * Word overlap (Jaccard index) between two texts
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} - 1 for the same words, 0 for no words in common
+ */
+export function contentSimilarity(a, b) {
+	const wordsA = new Set(tokenize(a));
+	const wordsB = new Set(tokenize(b));
+	if (wordsA.size === 0 && wordsB.size === 0) return 1;
+
+	let shared = 0;
+	for (const word of wordsA) {
+		if (wordsB.has(word)) shared++;
+	}
+	return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Compare a link's stored title and description with freshly fetched values
+ * @param {Pick<import('./metadata-enricher.js').PendingLink, 'title' | 'description'>} link - Row from the links table
+ * @param {Pick<import('./metadata-enricher.js').MetadataUpdate, 'title' | 'description'>} update - Result of buildMetadataUpdate
+ * @returns {{changes: Array<{field: string, old_value: string, new_value: string}>, similarity: number, drastic: boolean}}
+ */
+export function detectMetadataChanges(link, update) {
+	const normalize = (/** @type {string|null|undefined} */ text) =>
+		(text || '').replace(/\s+/g, ' ').trim();
+	const changes = TRACKED_FIELDS.filter(
+		(field) => field in update && normalize(update[field]) !== normalize(link[field])
+	).map((field) => ({ field, old_value: link[field] || '', new_value: update[field] ?? '' }));
+
+	const before = `${link.title || ''} ${link.description || ''}`;
+	const after = `${update.title ?? link.title ?? ''} ${update.description ?? link.description ?? ''}`;
+	const similarity = changes.length > 0 ? contentSimilarity(before, after) : 1;
+
+	return {
+		changes,
+		similarity: Math.round(similarity * 1000) / 1000,
+		drastic:
+			similarity < DRASTIC_CHANGE_SIMILARITY && new Set(tokenize(before)).size >= MIN_WORDS_FOR_FLAG
+	};
+}
+
+/**
+ * Re-fetch a link's metadata, record title/description changes and flag drastic ones
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @param {import('./metadata-enricher.js').PendingLink} link - Row from the links table
+ * @returns {Promise<'unchanged'|'changed'|'flagged'|'unreachable'>}
+ */
+export async function refreshLinkMetadata(supabase, link) {
+	const metadata = await fetchUrlMetadata(link.url);
+	const now = new Date();
+
+	// Keep the old metadata of unreachable pages, the link checker deals with those
+	if (metadata.error) {
+		const { error } = await supabase
+			.from('links')
+			.update({
+				metadata_error: metadata.error.substring(0, 500),
+				metadata_fetched_at: now.toISOString()
+			})
+			.eq('id', link.id);
+
+		if (error) throw new Error(`Error updating link: ${error.message}`);
+		return 'unreachable';
+	}
+
+	/** @type {import('./metadata-enricher.js').MetadataUpdate & {metadata_flagged_at?: string, metadata_flag_reason?: string}} */
+	const update = buildMetadataUpdate(link, metadata, now);
+	const { changes, similarity, drastic } = detectMetadataChanges(link, update);
+
+	if (changes.length > 0) {
+		const { error: historyError } = await supabase.from('link_metadata_changes').insert(
+			changes.map((change) => ({
+				link_id: link.id,
+				...change,
+				similarity,
+				changed_at: now.toISOString()
+			}))
+		);
+		if (historyError) throw new Error(`Error recording changes: ${historyError.message}`);
+	}
+
+	if (drastic) {
+		update.metadata_flagged_at = now.toISOString();
+		update.metadata_flag_reason = `Content changed drastically (similarity ${similarity})`;
+	}
+
+	const { error } = await supabase.from('links').update(update).eq('id', link.id);
+	if (error) throw new Error(`Error updating link: ${error.message}`);
+
+	// A site taken over by a cloner starts to look like another onion site
+	await recordFingerprint(supabase, link, { simhash: metadata.simhash || null });
+
+	if (drastic) {
+		console.warn(
+			`🚩 Metadata of ${link.url} changed drastically: "${link.title}" → "${update.title}"`
+		);
+		return 'flagged';
+	}
+	return changes.length > 0 ? 'changed' : 'unchanged';
+}
+
+/**
+ * Refresh the metadata of links that have not been fetched for a while, oldest first.
+ * Onion links are skipped while the Tor proxy is down.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @param {Partial<typeof DEFAULT_REFRESH_OPTIONS>} options - Options (see DEFAULT_REFRESH_OPTIONS)
+ * @returns {Promise<{processed: number, unchanged: number, changed: number, flagged: number, unreachable: number, errors: number}>}
+ */
+export async function refreshStaleMetadata(supabase, options = {}) {
+	const opts = { ...DEFAULT_REFRESH_OPTIONS, ...options };
+	const results = { processed: 0, unchanged: 0, changed: 0, flagged: 0, unreachable: 0, errors: 0 };
+	const staleBefore = new Date(
+		Date.now() - opts.refreshAfterDays * 24 * 60 * 60 * 1000
+	).toISOString();
+
+	let query = supabase
+		.from('links')
+		.select('id, url, title, description, domain, created_at, user_provided_fields')
+		.eq('metadata_status', 'complete')
+		.is('archived_at', null)
+		.or(`metadata_fetched_at.is.null,metadata_fetched_at.lt.${staleBefore}`);
+
+	const tor = await probeTor();
+	if (!tor.available) {
+		query = query.not('url', 'ilike', '%.onion%');
+	}
+
+	const { data: links, error } = await query
+		.order('metadata_fetched_at', { ascending: true, nullsFirst: true })
+		.limit(opts.batchSize);
+
+	if (error) throw new Error(`Error loading links to refresh: ${error.message}`);
+
+	const queue = new CheckQueue(opts);
+	await Promise.all(
+		(links || []).map((link) =>
+			queue
+				.add(link.url, () => refreshLinkMetadata(supabase, link))
+				.then((/** @type {Awaited<ReturnType<typeof refreshLinkMetadata>>} */ outcome) => {
+					results[outcome]++;
+				})
+				.catch((refreshError) => {
+					console.error(`❌ Metadata refresh failed for ${link.url}:`, refreshError.message);
+					results.errors++;
+				})
+				.finally(() => {
+					results.processed++;
+				})
+		)
+	);
+
+	return results;
+}
\ No newline at end of file
@@ -1,36 +1,39 @@
+import { httpRequest, readText, isOnionUrl } from './http-client.js';
+import { tokenizeHtml } from './html-tokenizer.js';
+import {
+	classifyContent,
+	getDefaultRules,
+	DEFAULT_CATEGORY,
+	MIN_AUTO_CONFIDENCE
+} from './category-classifier.js';
+import { loadCategoryModel, predictCategories } from './bayes-classifier.js';
+import { simhash } from './fingerprint.js';
+
+/**
+ * Maximum amount of HTML read from a page for metadata extraction
+ */
+const MAX_HTML_BYTES = 1024 * 1024;
+
 /**
  * Fetch metadata from a URL with full HTML analysis and Tor support
  * @param {string} url - The URL to fetch metadata from
- * @returns {Promise<{title: string, description: string, image: string, siteName: string, fullText: string, category: string}>}
+ * @returns {Promise<{title: string, description: string, image: string, siteName: string, fullText: string, category: string, canonicalUrl?: string|null, lang?: string|null, favicon?: string|null, simhash?: string|null, error?: string}>} - Fallback metadata (without the page-derived fields) with `error` set when the page could not be fetched
  */
 export async function fetchUrlMetadata(url) {
 	try {
 		let response;
 
-		// If it's an onion URL, use node-fetch with SOCKS proxy
-		if (url.includes('.onion')) {
+		// Onion URLs go through the Tor SOCKS proxy and get a longer timeout
+		if (isOnionUrl(url)) {
 			try {
-				// Import node-fetch and SOCKS proxy agent
-				const fetch = (await import('node-fetch')).default;
-				const { SocksProxyAgent } = await import('socks-proxy-agent');
-				
-				// Create SOCKS proxy agent with socks5h:// for DNS leak prevention
-				const agent = new SocksProxyAgent('socks5h://127.0.0.1:9050');
-				
-				// Use node-fetch with SOCKS proxy
-				response = await fetch(url, {
-					agent,
-					timeout: 15000,
-					headers: {
-						'User-Agent': 'Mozilla/5.0 (compatible; LinksAggregator/1.0)'
-					}
-				});
+				response = await httpRequest(url, { timeout: 15000 });
 
 				if (!response.ok) {
 					throw new Error(`HTTP ${response.status}`);
 				}
 			} catch (proxyError) {
-				console.warn('Tor proxy error for onion URL:', url, proxyError.message);
+				const reason = proxyError instanceof Error ? proxyError.message : String(proxyError);
+				console.warn('Tor proxy error for onion URL:', url, reason);
 				// Return fallback metadata for onion URLs when proxy fails
 				return {
 					title: getDomainFromUrl(url),
@@ -38,57 +41,39 @@ export async function fetchUrlMetadata(url) {
 					image: '',
 					siteName: getDomainFromUrl(url),
 					fullText: '',
-					category: 'technology'
+					category: 'technology',
+					error: reason
 				};
 			}
 		} else {
-			// Regular clearnet fetch using global fetch
-			response = await fetch(url, {
-				headers: {
-					'User-Agent': 'Mozilla/5.0 (compatible; LinksAggregator/1.0)'
-				},
-				signal: AbortSignal.timeout(10000)
-			});
+			response = await httpRequest(url, { timeout: 10000, retries: 1 });
 		}
 
 		if (!response.ok) {
 			throw new Error(`HTTP ${response.status}`);
 		}
 
-		const html = await response.text();
-		
-		// Extract metadata using regex patterns with fallbacks
-		let title = extractMetaContent(html, 'title') || extractTitle(html);
-		let description = extractMetaContent(html, 'description');
-		let image = extractMetaContent(html, 'image');
-		let siteName = extractMetaContent(html, 'site_name');
-		
-		// Extract body text for better categorization and fallbacks
-		const fullText = extractBodyText(html);
-		
-		// Fallback to content parsing if meta tags are missing
-		if (!title) {
-			title = extractTitleFromContent(html) || getDomainFromUrl(url);
-		}
-		
-		if (!description) {
-			description = extractDescriptionFromContent(fullText);
-		}
-		
-		if (!siteName) {
-			siteName = getDomainFromUrl(url);
-		}
-		
+		const html = await readText(response, MAX_HTML_BYTES);
+		const parsed = parseHtmlMetadata(html, response.url || url);
+
+		const title = parsed.title || getDomainFromUrl(url);
+		const description = parsed.description || extractDescriptionFromContent(parsed.bodyText);
+		const siteName = parsed.siteName || getDomainFromUrl(url);
+
 		// Detect category based on all available content
-		const category = detectCategory(title, description, fullText);
+		const category = detectCategory(title, description, parsed.bodyText);
 
 		return {
 			title,
 			description,
-			image,
+			image: parsed.image || '',
 			siteName,
-			fullText: fullText.substring(0, 500), // Limit stored text
-			category
+			fullText: parsed.bodyText.substring(0, 500), // Limit stored text
+			category,
+			canonicalUrl: parsed.canonicalUrl,
+			lang: parsed.lang,
+			favicon: parsed.favicon,
+			simhash: simhash(`${title} ${parsed.bodyText}`) // Content fingerprint for clone detection
 		};
 	} catch (error) {
 		console.error(`Error fetching metadata for ${url}:`, error);
@@ -101,63 +86,271 @@ export async function fetchUrlMetadata(url) {
 			image: '',
 			siteName: domain,
 			fullText: '',
-			category: 'technology' // Default fallback category
+			category: 'technology', // Default fallback category
+			error: error instanceof Error ? error.message : String(error)
 		};
 	}
 }
 
 /**
- * Extract meta content from HTML
+ * schema.org types read from JSON-LD, in order of preference
+ */
+const JSON_LD_ARTICLE_TYPES = [
+	'Article',
+	'NewsArticle',
+	'BlogPosting',
+	'TechArticle',
+	'ScholarlyArticle',
+	'Report'
+];
+const JSON_LD_SITE_TYPES = ['WebSite', 'WebPage'];
+
+/**
+ * Elements whose text is not part of the readable page content
+ * (script, style, title and textarea content is already marked by the tokenizer)
+ */
+const SKIPPED_ELEMENTS = ['noscript', 'template', 'svg'];
+
+/**
+ * Parse page metadata from HTML: Open Graph/Twitter/standard meta tags, JSON-LD (schema.org
+ * Article and WebSite), <title>, headings, <link rel="canonical">, <link rel="icon"> and <html lang>.
+ * Relative URLs are resolved against the page URL (or its <base href>).
  * @param {string} html - HTML content
- * @param {string} property - Property to extract (title, description, image, site_name)
- * @returns {string|null}
+ * @param {string} pageUrl - URL the HTML was fetched from
+ * @returns {{title: string|null, description: string|null, image: string|null, siteName: string|null, canonicalUrl: string|null, lang: string|null, favicon: string|null, bodyText: string}}
  */
-function extractMetaContent(html, property) {
-	const patterns = {
-		title: [
-			/<meta\s+property=["']og:title["']\s+content=["']([^"']+)["']/i,
-			/<meta\s+name=["']twitter:title["']\s+content=["']([^"']+)["']/i,
-			/<meta\s+content=["']([^"']+)["']\s+property=["']og:title["']/i,
-			/<meta\s+content=["']([^"']+)["']\s+name=["']twitter:title["']/i
-		],
-		description: [
-			/<meta\s+property=["']og:description["']\s+content=["']([^"']+)["']/i,
-			/<meta\s+name=["']description["']\s+content=["']([^"']+)["']/i,
-			/<meta\s+name=["']twitter:description["']\s+content=["']([^"']+)["']/i,
-			/<meta\s+content=["']([^"']+)["']\s+property=["']og:description["']/i,
-			/<meta\s+content=["']([^"']+)["']\s+name=["']description["']/i
-		],
-		image: [
-			/<meta\s+property=["']og:image["']\s+content=["']([^"']+)["']/i,
-			/<meta\s+name=["']twitter:image["']\s+content=["']([^"']+)["']/i,
-			/<meta\s+content=["']([^"']+)["']\s+property=["']og:image["']/i
-		],
-		site_name: [
-			/<meta\s+property=["']og:site_name["']\s+content=["']([^"']+)["']/i,
-			/<meta\s+content=["']([^"']+)["']\s+property=["']og:site_name["']/i
-		]
-	};
+export function parseHtmlMetadata(html, pageUrl) {
+	const tokens = tokenizeHtml(html || '');
+	/** @type {Record<string, string>} */
+	const meta = {};
+	const icons = [];
+	const headings = [];
+	/** @type {Array<JsonLdNode>} */
+	const jsonLdNodes = [];
+	const bodyParts = [];
+	let documentTitle = null;
+	let lang = null;
+	let canonical = null;
+	let baseUrl = pageUrl;
+	let hasBase = false;
+	let inHead = false;
+	let openHeading = null;
+	let inJsonLd = false;
+	let skipDepth = 0;
 
-	const propertyPatterns = patterns[property] || [];
-	
-	for (const pattern of propertyPatterns) {
-		const match = html.match(pattern);
-		if (match && match[1]) {
-			return match[1].trim();
+	for (const token of tokens) {
+		if (token.type === 'text') {
+			if (token.rawParent === 'title') {
+				documentTitle ??= cleanText(token.text);
+			} else if (token.rawParent === 'script') {
+				if (inJsonLd) jsonLdNodes.push(...parseJsonLd(token.text));
+			} else if (!token.rawParent && skipDepth === 0 && !inHead) {
+				bodyParts.push(token.text);
+				if (openHeading) openHeading.text += token.text;
+			}
+			continue;
+		}
+
+		const { name } = token;
+
+		if (token.type === 'endTag') {
+			if (name === 'head') inHead = false;
+			if (name === 'script') inJsonLd = false;
+			if (SKIPPED_ELEMENTS.includes(name) && skipDepth > 0) skipDepth--;
+			if (openHeading && name === openHeading.level) {
+				headings.push(openHeading);
+				openHeading = null;
+			}
+			continue;
+		}
+
+		const attrs = token.attributes;
+		switch (name) {
+			case 'html':
+				lang ??= attrs.lang?.trim() || null;
+				break;
+			case 'head':
+				inHead = true;
+				break;
+			case 'body':
+				inHead = false;
+				break;
+			case 'base':
+				if (!hasBase && attrs.href) {
+					baseUrl = resolveUrl(attrs.href, pageUrl) || pageUrl;
+					hasBase = true;
+				}
+				break;
+			case 'meta': {
+				const key = (attrs.property || attrs.name || attrs.itemprop || '').trim().toLowerCase();
+				if (key && attrs.content && !(key in meta)) {
+					meta[key] = cleanText(attrs.content);
+				}
+				break;
+			}
+			case 'link': {
+				const rels = (attrs.rel || '').toLowerCase().split(/\s+/);
+				if (rels.includes('canonical') && attrs.href) {
+					canonical ??= attrs.href;
+				}
+				if ((rels.includes('icon') || rels.includes('apple-touch-icon')) && attrs.href) {
+					icons.push({ href: attrs.href, apple: !rels.includes('icon') });
+				}
+				break;
+			}
+			case 'script':
+				inJsonLd = (attrs.type || '').toLowerCase().includes('ld+json');
+				break;
+			case 'h1':
+			case 'h2':
+			case 'h3':
+			case 'h4':
+			case 'h5':
+			case 'h6':
+				openHeading = { level: name, text: '' };
+				break;
+		}
+
+		if (SKIPPED_ELEMENTS.includes(name) && !token.selfClosing) {
+			skipDepth++;
 		}
 	}
 
-	return null;
+	const jsonLd = summarizeJsonLd(jsonLdNodes);
+	const firstHeading =
+		headings.find((h) => h.level === 'h1' && cleanText(h.text)) ||
+		headings.find((h) => cleanText(h.text));
+
+	const title =
+		meta['og:title'] ||
+		meta['twitter:title'] ||
+		jsonLd.title ||
+		documentTitle ||
+		(firstHeading ? cleanText(firstHeading.text) : null);
+
+	const description =
+		meta['og:description'] ||
+		meta['description'] ||
+		meta['twitter:description'] ||
+		jsonLd.description ||
+		null;
+
+	const image =
+		meta['og:image'] ||
+		meta['og:image:url'] ||
+		meta['og:image:secure_url'] ||
+		meta['twitter:image'] ||
+		meta['twitter:image:src'] ||
+		jsonLd.image;
+
+	const siteName = meta['og:site_name'] || jsonLd.siteName || meta['application-name'] || null;
+
+	// Prefer a real favicon over an apple-touch-icon
+	const icon = icons.find((i) => !i.apple) || icons[0];
+
+	return {
+		title: title || null,
+		description,
+		image: image ? resolveUrl(image, baseUrl) : null,
+		siteName,
+		canonicalUrl: canonical ? resolveUrl(canonical, baseUrl) : null,
+		lang,
+		favicon: icon ? resolveUrl(icon.href, baseUrl) : null,
+		bodyText: cleanText(bodyParts.join(' '))
+	};
 }
 
 /**
- * Extract title from HTML title tag
- * @param {string} html - HTML content
+ * Collapse whitespace and trim
+ * @param {string} text - Text to clean
+ * @returns {string}
+ */
+function cleanText(text) {
+	return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Resolve a possibly relative URL against a base, keeping only http(s) results
+ * @param {string} href - URL or path
+ * @param {string} base - Base URL
+ * @returns {string|null} - Absolute URL, or null if it cannot be resolved
+ */
+function resolveUrl(href, base) {
+	try {
+		const resolved = new URL(href.trim(), base);
+		return resolved.protocol === 'http:' || resolved.protocol === 'https:' ? resolved.href : null;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * @typedef {Record<string, any>} JsonLdNode
+ */
+
+/**
+ * Parse a JSON-LD script block into a flat list of nodes (arrays and @graph are expanded)
+ * @param {string} text - Script content
+ * @returns {Array<JsonLdNode>} - JSON-LD nodes, empty if the block is not valid JSON
+ */
+function parseJsonLd(text) {
+	let data;
+	try {
+		data = JSON.parse(text.trim());
+	} catch {
+		return [];
+	}
+
+	/** @type {Array<JsonLdNode>} */
+	const nodes = [];
+	/** @param {any} value */
+	const visit = (value) => {
+		if (Array.isArray(value)) {
+			value.forEach(visit);
+		} else if (value && typeof value === 'object') {
+			nodes.push(value);
+			if (value['@graph']) visit(value['@graph']);
+		}
+	};
+	visit(data);
+	return nodes;
+}
+
+/**
+ * Pick title, description, image and site name out of JSON-LD nodes
+ * @param {Array<JsonLdNode>} nodes - JSON-LD nodes
+ * @returns {{title: string|null, description: string|null, image: string|null, siteName: string|null}}
+ */
+function summarizeJsonLd(nodes) {
+	/** @type {(node: JsonLdNode, types: Array<string>) => boolean} */
+	const hasType = (node, types) =>
+		[].concat(node['@type'] || []).some((type) => types.includes(type));
+	/** @type {(value: any) => string|null} */
+	const text = (value) => (typeof value === 'string' && cleanText(value)) || null;
+
+	const article = nodes.find((node) => hasType(node, JSON_LD_ARTICLE_TYPES));
+	const site = nodes.find((node) => hasType(node, JSON_LD_SITE_TYPES));
+	const primary = article || site || {};
+
+	return {
+		title: text(primary.headline) || text(primary.name),
+		description: text(primary.description),
+		image: jsonLdImageUrl(primary.image),
+		siteName:
+			text(article?.publisher?.name) || text(nodes.find((node) => hasType(node, ['WebSite']))?.name)
+	};
+}
+
+/**
+ * Get an image URL from a schema.org image value (URL string, ImageObject or an array of either)
+ * @param {any} image - JSON-LD image value
  * @returns {string|null}
  */
-function extractTitle(html) {
-	const match = html.match(/<title[^>]*>([^<]+)<\/title>/i);
-	return match ? match[1].trim() : null;
+function jsonLdImageUrl(image) {
+	if (Array.isArray(image)) return jsonLdImageUrl(image[0]);
+	if (typeof image === 'string') return image;
+	if (image && typeof image === 'object') return jsonLdImageUrl(image.url || image.contentUrl);
+	return null;
 }
 
 /**
@@ -174,33 +367,6 @@ function getDomainFromUrl(url) {
 	}
 }
 
-/**
- * Extract title from content when meta tags are missing
- * @param {string} html - HTML content
- * @returns {string|null} Extracted title
- */
-function extractTitleFromContent(html) {
-	// Try <title> tag first
-	const titleMatch = html.match(/<title[^>]*>([^<]+)<\/title>/i);
-	if (titleMatch && titleMatch[1]) {
-		return titleMatch[1].trim();
-	}
-	
-	// Fallback to h1 tags
-	const h1Match = html.match(/<h1[^>]*>([^<]+)<\/h1>/i);
-	if (h1Match && h1Match[1]) {
-		return h1Match[1].trim();
-	}
-	
-	// Fallback to any heading tag
-	const headingMatch = html.match(/<h[1-6][^>]*>([^<]+)<\/h[1-6]>/i);
-	if (headingMatch && headingMatch[1]) {
-		return headingMatch[1].trim();
-	}
-	
-	return null;
-}
-
 /**
  * Extract description from content when meta tags are missing
  * @param {string} bodyText - Body text content
@@ -221,110 +387,38 @@ function extractDescriptionFromContent(bodyText) {
 }
 
 /**
- * Extract body text from HTML for content analysis
- * @param {string} html - HTML content
- * @returns {string} Extracted text content
+ * Rank categories for a page with the keyword rules and the trained model (see
+ * scripts/train-category-model.js). Rules are curated by admins, so categories they match with at
+ * least MIN_AUTO_CONFIDENCE come first; the model's predictions follow, then the weaker rule
+ * matches. Without a model, or when it knows none of the page's words, only the rules are used.
+ * @param {{title?: string, description?: string, body?: string, domain?: string}} content - Page fields
+ * @param {import('./category-classifier.js').CompiledRules} rules - Compiled keyword rules (defaults to the built-in rules)
+ * @returns {Array<{category: string, score: number, confidence: number, matches: Array<string>}>} - Categories, best first
  */
-function extractBodyText(html) {
-	// Remove script and style tags
-	let text = html.replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '');
-	text = text.replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '');
-	
-	// Extract text from common content areas
-	const contentPatterns = [
-		/<body[^>]*>([\s\S]*?)<\/body>/i,
-		/<main[^>]*>([\s\S]*?)<\/main>/i,
-		/<article[^>]*>([\s\S]*?)<\/article>/i,
-		/<div[^>]*class="[^"]*content[^"]*"[^>]*>([\s\S]*?)<\/div>/i
-	];
-	
-	let bodyText = '';
-	for (const pattern of contentPatterns) {
-		const match = html.match(pattern);
-		if (match && match[1]) {
-			bodyText = match[1];
-			break;
-		}
-	}
-	
-	// If no specific content area found, use body
-	if (!bodyText) {
-		const bodyMatch = html.match(/<body[^>]*>([\s\S]*?)<\/body>/i);
-		bodyText = bodyMatch ? bodyMatch[1] : html;
-	}
-	
-	// Remove HTML tags and clean up
-	bodyText = bodyText.replace(/<[^>]+>/g, ' ');
-	bodyText = bodyText.replace(/\s+/g, ' ');
-	bodyText = bodyText.trim();
-	
-	return bodyText;
+export function rankCategories(content, rules = getDefaultRules()) {
+	const byRules = classifyContent(content, rules);
+	const model = loadCategoryModel();
+	const predicted = model ? predictCategories(model, content) : [];
+	if (predicted.length === 0) return byRules;
+
+	const confident = byRules.filter((rank) => rank.confidence >= MIN_AUTO_CONFIDENCE);
+	const ranked = [...confident, ...predicted, ...byRules];
+	return ranked.filter(
+		(rank, index) => ranked.findIndex((other) => other.category === rank.category) === index
+	);
 }
 
 /**
- * Detect category based on comprehensive content analysis
+ * Detect category based on comprehensive content analysis (built-in keyword rules and trained
+ * model; use rankCategories() with loadCategoryRules() for the rules stored in the database)
  * @param {string} title - Page title
  * @param {string} description - Page description
  * @param {string} bodyText - Page body content
  * @returns {string} Required category name (never null)
  */
 export function detectCategory(title, description, bodyText) {
-	const content = `${title} ${description} ${bodyText}`.toLowerCase();
-	
-	// Category keywords mapping
-	const categoryKeywords = {
-		technology: [
-			'tech', 'technology', 'software', 'hardware', 'computer', 'digital',
-			'innovation', 'startup', 'ai', 'artificial intelligence', 'machine learning',
-			'blockchain', 'crypto', 'iot', 'cloud', 'saas', 'api', 'mobile app',
-			'techcrunch', 'wired', 'ars-technica', 'theverge'
-		],
-		programming: [
-			'code', 'coding', 'programming', 'developer', 'development', 'software',
-			'javascript', 'python', 'react', 'node', 'github', 'git', 'framework',
-			'library', 'tutorial', 'documentation', 'stackoverflow', 'dev.to',
-			'medium.com', 'hackernews', 'freecodecamp', 'codecademy'
-		],
-		design: [
-			'design', 'ui', 'ux', 'interface', 'graphic', 'visual', 'creative',
-			'typography', 'color', 'layout', 'wireframe', 'prototype', 'figma',
-			'sketch', 'adobe', 'dribbble', 'behance', 'awwwards'
-		],
-		news: [
-			'news', 'breaking', 'latest', 'update', 'report', 'article', 'story',
-			'current events', 'politics', 'world', 'reuters', 'bbc', 'cnn',
-			'nytimes', 'guardian', 'washingtonpost', 'npr'
-		],
-		education: [
-			'education', 'learning', 'course', 'tutorial', 'lesson', 'study',
-			'university', 'college', 'school', 'academic', 'research', 'knowledge',
-			'coursera', 'udemy', 'edx', 'khan academy', 'mit', 'stanford'
-		],
-		entertainment: [
-			'entertainment', 'fun', 'game', 'movie', 'music', 'video', 'streaming',
-			'netflix', 'youtube', 'spotify', 'gaming', 'film', 'tv', 'show',
-			'comedy', 'humor', 'meme', 'reddit', 'imgur'
-		]
-	};
-
-	// Score each category based on keyword matches
-	const scores = {};
-	for (const [category, keywords] of Object.entries(categoryKeywords)) {
-		scores[category] = 0;
-		for (const keyword of keywords) {
-			if (content.includes(keyword)) {
-				scores[category] += 1;
-			}
-		}
-	}
-
-	// Find category with highest score
-	const bestCategory = Object.entries(scores).reduce((best, [category, score]) => {
-		return score > best.score ? { category, score } : best;
-	}, { category: null, score: 0 });
-
-	// Return category if score is above threshold
-	return bestCategory.score >= 2 ? bestCategory.category : null;
+	const [best] = rankCategories({ title, description, body: bodyText });
+	return best ? best.category : DEFAULT_CATEGORY;
 }
 
 /**
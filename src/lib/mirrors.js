@@ -0,0 +1,409 @@
+import * as openpgp from 'openpgp';
+import { httpRequest, isOnionUrl, readText } from './http-client.js';
+
+/**
+ * Largest mirror list read (signed lists are a few lines of text)
+ */
+const MAX_MIRROR_LIST_BYTES = 64 * 1024;
+
+/**
+ * Default oldest mirror list signature accepted, in days (MIRROR_LIST_MAX_AGE_DAYS)
+ */
+const DEFAULT_MAX_SIGNATURE_AGE_DAYS = 30;
+
+/**
+ * Onion v3 address: 56 base32 characters
+ */
+const ONION_ADDRESS_PATTERN = /\b[a-z2-7]{56}\.onion\b/gi;
+
+/**
+ * @typedef {Object} Site
+ * @property {string} id - Site ID
+ * @property {string} name - Name the site's links are titled with
+ * @property {string} public_key - ASCII-armored public key of the operator
+ * @property {string|null} [mirror_list_url] - URL of the PGP clear-signed mirror list
+ * @property {string|null} [clearnet_url] - HTTPS URL announcing an Onion-Location
+ */
+
+/**
+ * @typedef {Object} MirrorMatch
+ * @property {string} siteId - ID of the matched site
+ * @property {'verified'|'unverified'} status - Mirror status given to the link
+ */
+
+/**
+ * Onion addresses mentioned in a text, lowercased and without duplicates
+ * @param {string} text - Text to search, e.g. the body of a mirror list
+ * @returns {Array<string>}
+ */
+export function extractOnionAddresses(text) {
+	const addresses = (text || '').match(ONION_ADDRESS_PATTERN) || [];
+	return [...new Set(addresses.map((address) => address.toLowerCase()))];
+}
+
+/**
+ * Onion address of a hostname, ignoring subdomains (www.abc.onion -> abc.onion)
+ * @param {string} domain - Hostname
+ * @returns {string}
+ */
+function onionAddress(domain) {
+	return domain.toLowerCase().split('.').slice(-2).join('.');
+}
+
+/**
+ * Fingerprint of an operator's public key
+ * @param {string} armoredKey - ASCII-armored public key
+ * @returns {Promise<string>} - Uppercase hex fingerprint
+ */
+export async function readKeyFingerprint(armoredKey) {
+	const key = await openpgp.readKey({ armoredKey });
+	if (key.isPrivate()) {
+		throw new Error('Expected a public key, got a private key');
+	}
+	return key.getFingerprint().toUpperCase();
+}
+
+/**
+ * Oldest mirror list signature accepted, in days. Operators re-sign their list regularly; without
+ * a limit an old signed list could be replayed to bring back a mirror they have since dropped.
+ * @returns {number}
+ */
+function maxSignatureAgeDays() {
+	return parseInt(process.env.MIRROR_LIST_MAX_AGE_DAYS || '') || DEFAULT_MAX_SIGNATURE_AGE_DAYS;
+}
+
+/**
+ * Check the signature of a clear-signed mirror list against the operator's key
+ * @param {string} signedText - PGP clear-signed mirror list
+ * @param {string} armoredKey - ASCII-armored public key of the operator
+ * @param {number} [maxAgeDays] - Oldest signature accepted, in days
+ * @returns {Promise<{addresses: Array<string>, signedAt: Date}>} - Onion addresses in the signed text
+ * @throws {Error} When the list is not signed by the operator's key or the signature is too old
+ */
+export async function verifyMirrorList(signedText, armoredKey, maxAgeDays = maxSignatureAgeDays()) {
+	let message;
+	try {
+		message = await openpgp.readCleartextMessage({ cleartextMessage: signedText });
+	} catch {
+		throw new Error('Mirror list is not PGP clear-signed');
+	}
+
+	const verificationKeys = await openpgp.readKey({ armoredKey });
+	const { data, signatures } = await openpgp.verify({ message, verificationKeys });
+	if (signatures.length === 0) {
+		throw new Error('Mirror list is not signed');
+	}
+
+	// Other signatures may sit next to the operator's; one valid signature by its key is enough
+	let signedAt = null;
+	let failure = null;
+	for (const { verified, signature } of signatures) {
+		try {
+			await verified;
+			signedAt = (await signature).packets[0]?.created || null;
+			break;
+		} catch (error) {
+			failure ??= error;
+		}
+	}
+	if (!signedAt) {
+		const reason = failure instanceof Error ? failure.message : 'missing creation time';
+		throw new Error(`Invalid mirror list signature: ${reason}`);
+	}
+
+	const ageDays = (Date.now() - signedAt.getTime()) / (24 * 60 * 60 * 1000);
+	if (ageDays > maxAgeDays) {
+		throw new Error(`Mirror list signature is ${Math.floor(ageDays)} days old (max ${maxAgeDays})`);
+	}
+
+	return { addresses: extractOnionAddresses(data), signedAt };
+}
+
+/**
+ * Onion address announced by a clearnet site in its Onion-Location header.
+ * The announcement is trusted as much as the site's TLS certificate.
+ * @param {string} clearnetUrl - HTTPS URL of the site
+ * @returns {Promise<string|null>}
+ */
+export async function fetchOnionLocation(clearnetUrl) {
+	if (!clearnetUrl.startsWith('https://')) {
+		throw new Error('Onion-Location is only trusted from HTTPS sites');
+	}
+
+	const response = await httpRequest(clearnetUrl, { method: 'HEAD' });
+	const location = response.headers?.get?.('onion-location');
+	if (!location) return null;
+
+	try {
+		const { hostname } = new URL(location);
+		return extractOnionAddresses(hostname)[0] || null;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Download and verify a site's signed mirror list
+ * @param {string} mirrorListUrl - URL of the site's mirror list
+ * @param {string} publicKey - ASCII-armored public key of the operator
+ * @returns {Promise<Array<string>>} - Verified onion addresses
+ */
+async function fetchSignedMirrors(mirrorListUrl, publicKey) {
+	const response = await httpRequest(mirrorListUrl);
+	if (!response.ok) {
+		throw new Error(`Mirror list returned HTTP ${response.status}`);
+	}
+
+	const text = await readText(response, MAX_MIRROR_LIST_BYTES);
+	const { addresses } = await verifyMirrorList(text, publicKey);
+
+	// The list must vouch for the address it was served from
+	if (isOnionUrl(mirrorListUrl)) {
+		const servedFrom = onionAddress(new URL(mirrorListUrl).hostname);
+		if (!addresses.includes(servedFrom)) {
+			throw new Error(`Signed mirror list does not include ${servedFrom}`);
+		}
+	}
+
+	return addresses;
+}
+
+/**
+ * Filter on links whose domain is one of the addresses or a subdomain of one
+ * (abc.onion, www.abc.onion, forum.abc.onion, ...)
+ * @param {Array<string>} addresses - Onion addresses
+ * @returns {string} - PostgREST or() filter
+ */
+function addressFilter(addresses) {
+	return addresses
+		.flatMap((address) => [`domain.eq.${address}`, `domain.like.%.${address}`])
+		.join(',');
+}
+
+/**
+ * Leave out links whose domain is one of the addresses or a subdomain of one
+ * @param {any} query - Links query
+ * @param {Array<string>} addresses - Onion addresses
+ * @returns {any}
+ */
+function excludeAddresses(query, addresses) {
+	return addresses.reduce(
+		(filtered, address) => filtered.not('domain', 'like', `%.${address}`),
+		query.not('domain', 'in', `(${addresses.map((address) => `"${address}"`).join(',')})`)
+	);
+}
+
+/**
+ * Mark the links of a site: links on a verified address (subdomains included) become verified
+ * mirrors, other onion links titled with the site's exact name or copying a verified mirror are
+ * marked unverified
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @param {Pick<Site, 'id'|'name'>} site - Row from the sites table
+ * @param {Array<string>} addresses - Verified onion addresses of the site
+ * @returns {Promise<{verified: number, unverified: number}>}
+ */
+export async function markSiteLinks(supabase, site, addresses) {
+	const now = new Date().toISOString();
+
+	const { data: verified, error: verifyError } = await supabase
+		.from('links')
+		.update({ site_id: site.id, mirror_status: 'verified', mirror_verified_at: now })
+		.or(addressFilter(addresses))
+		.select('id');
+
+	if (verifyError) throw new Error(`Error marking verified mirrors: ${verifyError.message}`);
+
+	// Mirrors flagged as copies of each other before they were listed are not clones
+	const verifiedIds = (verified || []).map((/** @type {{id: string}} */ link) => link.id);
+	if (verifiedIds.length > 0) {
+		const { error: cloneError } = await supabase
+			.from('links')
+			.update({ clone_of: null, clone_similarity: null, clone_flagged_at: null })
+			.in('id', verifiedIds)
+			.in('clone_of', verifiedIds);
+
+		if (cloneError) throw new Error(`Error clearing mirror clones: ${cloneError.message}`);
+	}
+
+	// Addresses dropped from the signed list lose their badge
+	const { error: revokeError } = await excludeAddresses(
+		supabase
+			.from('links')
+			.update({ mirror_status: 'unverified', mirror_verified_at: null })
+			.eq('site_id', site.id)
+			.eq('mirror_status', 'verified'),
+		addresses
+	);
+
+	if (revokeError) throw new Error(`Error revoking mirrors: ${revokeError.message}`);
+
+	// Only an exact (case-insensitive) title counts as a claim: a substring would also catch
+	// reviews, forums and search pages mentioning the site
+	const namePattern = site.name.replace(/[\\%_]/g, (char) => `\\${char}`);
+	/** @type {Array<(query: any) => any>} */
+	const claimFilters = [(query) => query.ilike('title', namePattern)];
+	if (verifiedIds.length > 0) {
+		claimFilters.push((query) => query.in('clone_of', verifiedIds));
+	}
+
+	let unverified = 0;
+	for (const applyFilter of claimFilters) {
+		const { data: claims, error: claimError } = await applyFilter(
+			excludeAddresses(
+				supabase
+					.from('links')
+					.update({ site_id: site.id, mirror_status: 'unverified', mirror_verified_at: null })
+					.ilike('domain', '%.onion'),
+				addresses
+			).or('mirror_status.is.null,mirror_status.neq.verified')
+		).select('id');
+
+		if (claimError) throw new Error(`Error marking unverified mirrors: ${claimError.message}`);
+		unverified += claims?.length || 0;
+	}
+
+	return { verified: verifiedIds.length, unverified };
+}
+
+/**
+ * Fetch a site's signed mirror list and Onion-Location header, store the verified mirrors and
+ * mark the site's links. When verification fails the previously verified mirrors are kept.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @param {Site} site - Row from the sites table
+ * @returns {Promise<{addresses: Array<string>, verified: number, unverified: number}>}
+ */
+export async function verifySiteMirrors(supabase, site) {
+	/** @type {Map<string, 'signed_list'|'onion_location'>} */
+	const mirrors = new Map();
+
+	try {
+		if (site.mirror_list_url) {
+			for (const address of await fetchSignedMirrors(site.mirror_list_url, site.public_key)) {
+				mirrors.set(address, 'signed_list');
+			}
+		}
+		if (site.clearnet_url) {
+			const address = await fetchOnionLocation(site.clearnet_url);
+			if (address && !mirrors.has(address)) {
+				mirrors.set(address, 'onion_location');
+			}
+		}
+		if (mirrors.size === 0) {
+			throw new Error('No mirrors found');
+		}
+	} catch (error) {
+		const message = error instanceof Error ? error.message : String(error);
+		await supabase.from('sites').update({ last_error: message }).eq('id', site.id);
+		throw error;
+	}
+
+	const addresses = [...mirrors.keys()];
+	const now = new Date().toISOString();
+
+	const { error: upsertError } = await supabase.from('site_mirrors').upsert(
+		addresses.map((address) => ({
+			site_id: site.id,
+			address,
+			source: mirrors.get(address),
+			verified_at: now
+		})),
+		{ onConflict: 'site_id,address' }
+	);
+
+	if (upsertError) throw new Error(`Error saving mirrors: ${upsertError.message}`);
+
+	const { error: deleteError } = await supabase
+		.from('site_mirrors')
+		.delete()
+		.eq('site_id', site.id)
+		.not('address', 'in', `(${addresses.map((address) => `"${address}"`).join(',')})`);
+
+	if (deleteError) throw new Error(`Error removing old mirrors: ${deleteError.message}`);
+
+	await supabase
+		.from('sites')
+		.update({ last_verified_at: now, last_error: null })
+		.eq('id', site.id);
+
+	const marked = await markSiteLinks(supabase, site, addresses);
+	return { addresses, ...marked };
+}
+
+/**
+ * Verify the mirrors of every registered site
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @returns {Promise<{processed: number, verified: number, failed: number}>}
+ */
+export async function verifyAllSites(supabase) {
+	const results = { processed: 0, verified: 0, failed: 0 };
+
+	const { data: sites, error } = await supabase
+		.from('sites')
+		.select('id, name, public_key, mirror_list_url, clearnet_url');
+
+	if (error) throw new Error(`Error loading sites: ${error.message}`);
+
+	for (const site of /** @type {Array<Site>} */ (sites || [])) {
+		results.processed++;
+		try {
+			await verifySiteMirrors(supabase, site);
+			results.verified++;
+		} catch (verifyError) {
+			console.error(
+				`❌ Mirror verification failed for ${site.name}:`,
+				verifyError instanceof Error ? verifyError.message : verifyError
+			);
+			results.failed++;
+		}
+	}
+
+	return results;
+}
+
+/**
+ * Match a newly fetched onion link against the registered sites: a link on a verified mirror
+ * address is marked verified, a link titled with a site's exact name is marked unverified
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @param {Pick<import('./metadata-enricher.js').PendingLink, 'id'|'url'|'domain'|'title'>} link - Row from the links table
+ * @returns {Promise<MirrorMatch|null>}
+ */
+export async function matchSiteMirror(supabase, link) {
+	if (!isOnionUrl(link.url)) return null;
+
+	const { data: mirror, error } = await supabase
+		.from('site_mirrors')
+		.select('site_id')
+		.eq('address', onionAddress(link.domain))
+		.limit(1)
+		.maybeSingle();
+
+	if (error) throw new Error(`Error looking up mirrors: ${error.message}`);
+
+	/** @type {MirrorMatch|null} */
+	let match = mirror ? { siteId: mirror.site_id, status: 'verified' } : null;
+
+	if (!match && link.title) {
+		const { data: sites, error: sitesError } = await supabase.from('sites').select('id, name');
+		if (sitesError) throw new Error(`Error loading sites: ${sitesError.message}`);
+
+		const title = link.title.trim().toLowerCase();
+		const claimed = (sites || []).find(
+			(/** @type {Pick<Site, 'id'|'name'>} */ site) => site.name.toLowerCase() === title
+		);
+		match = claimed ? { siteId: claimed.id, status: 'unverified' } : null;
+	}
+
+	if (!match) return null;
+
+	const { error: updateError } = await supabase
+		.from('links')
+		.update({
+			site_id: match.siteId,
+			mirror_status: match.status,
+			mirror_verified_at: match.status === 'verified' ? new Date().toISOString() : null
+		})
+		.eq('id', link.id);
+
+	if (updateError) throw new Error(`Error marking mirror: ${updateError.message}`);
+	return match;
+}
\ No newline at end of file
@@ -0,0 +1,446 @@
+import { applyLinkEdit, parseLinkEdit } from './link-edits.js';
+import { UUID_PATTERN, loadOpenReports, resolveReports, summarizeReports } from './reports.js';
+
+/**
+ * Actions moderators can take, per kind of target
+ * @type {Record<string, string[]>}
+ */
+export const MODERATION_ACTIONS = {
+	link: ['approve', 'hide', 'delete', 'recategorize'],
+	comment: ['approve', 'hide', 'delete'],
+	user: ['ban']
+};
+
+/**
+ * How long Supabase Auth bans an account (a century: until an admin lifts it by hand)
+ */
+const BAN_DURATION = '876000h';
+
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * Columns of a link in the queue
+ */
+const QUEUE_LINK_COLUMNS = `
+	id,
+	url,
+	title,
+	domain,
+	user_id,
+	created_at,
+	status,
+	is_public,
+	clone_of,
+	onion_address_error,
+	mirror_status,
+	metadata_flagged_at,
+	metadata_flag_reason,
+	link_categories (
+		categories (
+			name
+		)
+	)
+`;
+
+/**
+ * @typedef {Object} FlaggableLink
+ * @property {string|null} [clone_of] - Link this one is a suspected clone of
+ * @property {string|null} [onion_address_error] - Why the onion address is invalid
+ * @property {string|null} [mirror_status] - 'verified' or 'unverified' for links of registered sites
+ * @property {string|null} [metadata_flagged_at] - When the title or description changed drastically
+ * @property {string|null} [metadata_flag_reason] - What changed
+ */
+
+/**
+ * @typedef {Record<string, any> & {categories: string[], submitted_by: string|null, flags: string[]}} QueueLink
+ */
+
+/**
+ * @typedef {Object} ModerationRequest
+ * @property {string} action - Action from MODERATION_ACTIONS
+ * @property {string} targetType - 'link', 'comment' or 'user'
+ * @property {string} targetId - ID of the target
+ * @property {string[]} [categories] - New categories (recategorize)
+ * @property {string|null} reason - Reason given by the moderator
+ */
+
+/**
+ * @typedef {Object} ModerationResult
+ * @property {boolean} found - Whether the target exists
+ * @property {boolean} [forbidden] - Whether the moderator may not act on the target
+ * @property {string|null} [error] - Why the action could not be carried out
+ * @property {Object} [details] - Recorded in the audit log
+ */
+
+/**
+ * Why the checker flagged a link
+ * @param {FlaggableLink} link - Link row
+ * @returns {string[]} - Empty when the link is not flagged
+ */
+export function linkFlags(link) {
+	const flags = [];
+	if (link.clone_of) flags.push('Suspected phishing clone');
+	if (link.onion_address_error) flags.push(`Invalid onion address: ${link.onion_address_error}`);
+	if (link.mirror_status === 'unverified') flags.push('Not a verified mirror');
+	if (link.metadata_flagged_at) {
+		flags.push(
+			`Content changed${link.metadata_flag_reason ? `: ${link.metadata_flag_reason}` : ''}`
+		);
+	}
+	return flags;
+}
+
+/**
+ * Usernames of a set of accounts
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @param {Array<string|null>} userIds - Account IDs
+ * @returns {Promise<Map<string, string>>}
+ */
+async function loadUsernames(supabase, userIds) {
+	const ids = [...new Set(userIds.filter(Boolean))];
+	if (ids.length === 0) return new Map();
+
+	const { data, error } = await supabase.from('profiles').select('id, username').in('id', ids);
+	if (error) throw new Error(`Error loading profiles: ${error.message}`);
+	return new Map(
+		(data || []).map((/** @type {{id: string, username: string}} */ profile) => [
+			profile.id,
+			profile.username
+		])
+	);
+}
+
+/**
+ * Queue entry of a link
+ * @param {Record<string, any>} link - Link row with its categories
+ * @param {Map<string, string>} usernames - Usernames by account ID
+ * @returns {QueueLink}
+ */
+function toQueueLink({ link_categories, ...link }, usernames) {
+	return {
+		...link,
+		// categories is a many-to-one embed, so each row holds a single category object
+		categories: (link_categories || [])
+			.map((/** @type {any} */ lc) => lc.categories?.name)
+			.filter(Boolean),
+		submitted_by: usernames.get(link.user_id) || null,
+		flags: linkFlags(link)
+	};
+}
+
+/**
+ * Content waiting for a moderator: reported links and comments (most reported first), links the
+ * checker flagged, and new submissions
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @param {{limit?: number}} options - Links loaded at most
+ * @returns {Promise<{reportedLinks: Array<QueueLink>, reportedComments: Array<Record<string, any>>, flaggedLinks: Array<QueueLink>, newLinks: Array<QueueLink>}>}
+ */
+export async function loadModerationQueue(supabase, { limit = 100 } = {}) {
+	const reports = summarizeReports(await loadOpenReports(supabase));
+	const reportedIds = (/** @type {string} */ type) =>
+		[...reports.values()]
+			.filter((summary) => summary.targetType === type)
+			.map((summary) => summary.targetId);
+	const linkIds = reportedIds('link');
+	const commentIds = reportedIds('comment');
+	const none = { data: [], error: null };
+
+	const [pending, reported, comments] = await Promise.all([
+		supabase
+			.from('links')
+			.select(QUEUE_LINK_COLUMNS)
+			.eq('moderation_status', 'pending')
+			.order('created_at', { ascending: false })
+			.limit(limit),
+		linkIds.length > 0 ? supabase.from('links').select(QUEUE_LINK_COLUMNS).in('id', linkIds) : none,
+		commentIds.length > 0
+			? supabase
+					.from('comments')
+					.select('id, link_id, content, author_name, user_id, is_deleted, is_hidden, created_at')
+					.in('id', commentIds)
+			: none
+	]);
+
+	for (const { error } of [pending, reported, comments]) {
+		if (error) throw new Error(`Error loading queue: ${error.message}`);
+	}
+
+	const usernames = await loadUsernames(
+		supabase,
+		[...(pending.data || []), ...(reported.data || []), ...(comments.data || [])].map(
+			(row) => row.user_id
+		)
+	);
+	const byReports = (/** @type {any} */ a, /** @type {any} */ b) =>
+		b.reports.count - a.reports.count;
+
+	// Targets deleted since they were reported are left out
+	const reportedLinks = (reported.data || [])
+		.map((/** @type {Record<string, any>} */ link) => ({
+			...toQueueLink(link, usernames),
+			reports: reports.get(`link:${link.id}`)
+		}))
+		.sort(byReports);
+	const reportedComments = (comments.data || [])
+		.map((/** @type {Record<string, any>} */ comment) => ({
+			...comment,
+			author: usernames.get(comment.user_id) || null,
+			reports: reports.get(`comment:${comment.id}`)
+		}))
+		.sort(byReports);
+
+	/** @type {Array<QueueLink>} */
+	const flaggedLinks = [];
+	/** @type {Array<QueueLink>} */
+	const newLinks = [];
+
+	for (const link of pending.data || []) {
+		if (reports.has(`link:${link.id}`)) continue;
+
+		const item = toQueueLink(link, usernames);
+		(item.flags.length > 0 ? flaggedLinks : newLinks).push(item);
+	}
+
+	return { reportedLinks, reportedComments, flaggedLinks, newLinks };
+}
+
+/**
+ * Latest entries of the audit log
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @param {{limit?: number}} options - Entries loaded at most
+ * @returns {Promise<Array<Object>>}
+ */
+export async function loadModerationLog(supabase, { limit = 50 } = {}) {
+	const { data, error } = await supabase
+		.from('moderation_log')
+		.select(
+			'id, action, target_type, target_id, details, created_at, moderator:profiles (username)'
+		)
+		.order('created_at', { ascending: false })
+		.limit(limit);
+
+	if (error) throw new Error(`Error loading moderation log: ${error.message}`);
+	return data || [];
+}
+
+/**
+ * Validate a moderation request
+ * @param {{action?: unknown, targetType?: unknown, targetId?: unknown, categories?: unknown, reason?: unknown}} body - Request body
+ * @returns {{request: ModerationRequest|null, error: string|null}}
+ */
+export function parseModerationAction({ action, targetType, targetId, categories, reason }) {
+	const actions = MODERATION_ACTIONS[/** @type {string} */ (targetType)];
+	if (!actions) {
+		return { request: null, error: 'targetType must be link, comment or user' };
+	}
+	if (!actions.includes(/** @type {string} */ (action))) {
+		return { request: null, error: `Unknown action for a ${targetType}: ${action}` };
+	}
+	if (typeof targetId !== 'string' || !UUID_PATTERN.test(targetId)) {
+		return { request: null, error: 'Invalid targetId' };
+	}
+	if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+		return { request: null, error: 'reason must be text' };
+	}
+	if (typeof reason === 'string' && reason.length > MAX_REASON_LENGTH) {
+		return { request: null, error: `Reason too long (max ${MAX_REASON_LENGTH} characters)` };
+	}
+
+	/** @type {ModerationRequest} */
+	const request = {
+		action: /** @type {string} */ (action),
+		targetType: /** @type {string} */ (targetType),
+		targetId,
+		reason: reason?.trim() || null
+	};
+
+	if (action === 'recategorize') {
+		const { edit, error } = parseLinkEdit({ categories });
+		if (error) return { request: null, error };
+		if (!edit?.categories?.length) {
+			return { request: null, error: 'Choose at least one category' };
+		}
+		request.categories = edit.categories;
+	}
+
+	return { request, error: null };
+}
+
+/**
+ * Whether a moderator may ban an account: admins can ban anyone but admins,
+ * moderators only regular users
+ * @param {{id: string, role: string}} moderator - Signed-in moderator
+ * @param {{id: string, role: string}} target - Profile of the account
+ * @returns {boolean}
+ */
+export function canBan(moderator, target) {
+	if (moderator.id === target.id) return false;
+	if (moderator.role === 'admin') return target.role !== 'admin';
+	return target.role === 'user';
+}
+
+/**
+ * Update one row and tell whether it existed
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @param {string} table - Table name
+ * @param {string} id - Row ID
+ * @param {Record<string, any>} values - New values
+ * @returns {Promise<boolean>}
+ */
+async function updateRow(supabase, table, id, values) {
+	const { data, error } = await supabase.from(table).update(values).eq('id', id).select('id');
+	if (error) throw new Error(`Error updating ${table}: ${error.message}`);
+	return (data || []).length > 0;
+}
+
+/**
+ * Carry out an action on a link
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @param {{id: string, role: string}} moderator - Signed-in moderator
+ * @param {{action: string, targetId: string, categories?: string[]}} request - Validated request
+ * @returns {Promise<ModerationResult>}
+ */
+async function moderateLink(supabase, moderator, { action, targetId, categories }) {
+	const moderatedAt = new Date().toISOString();
+
+	switch (action) {
+		case 'approve':
+			return {
+				found: await updateRow(supabase, 'links', targetId, {
+					moderation_status: 'approved',
+					is_public: true,
+					metadata_flagged_at: null,
+					metadata_flag_reason: null,
+					moderated_at: moderatedAt
+				})
+			};
+		case 'hide':
+			return {
+				found: await updateRow(supabase, 'links', targetId, {
+					moderation_status: 'hidden',
+					is_public: false,
+					moderated_at: moderatedAt
+				})
+			};
+		case 'delete': {
+			// Votes, categories, comments and histories go with it (ON DELETE CASCADE)
+			const { data, error } = await supabase
+				.from('links')
+				.delete()
+				.eq('id', targetId)
+				.select('url, title');
+			if (error) throw new Error(`Error deleting link: ${error.message}`);
+			return data?.length ? { found: true, details: data[0] } : { found: false };
+		}
+		case 'recategorize': {
+			const { data: link, error } = await supabase
+				.from('links')
+				.select('id, user_id, title, description, tags, user_provided_fields')
+				.eq('id', targetId)
+				.maybeSingle();
+			if (error) throw new Error(`Error loading link: ${error.message}`);
+			if (!link) return { found: false };
+
+			const result = await applyLinkEdit(supabase, link, { categories }, moderator);
+			return { found: true, error: result.error, details: { categories } };
+		}
+		default:
+			throw new Error(`Unknown link action: ${action}`);
+	}
+}
+
+/**
+ * Carry out an action on a comment
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @param {{action: string, targetId: string}} request - Validated request
+ * @returns {Promise<ModerationResult>}
+ */
+async function moderateComment(supabase, { action, targetId }) {
+	/** @type {Record<string, Record<string, any>>} */
+	const values = {
+		// Shows a hidden comment again; comments their author deleted stay deleted
+		approve: { is_hidden: false },
+		// Hidden from everyone but moderators, its text is kept
+		hide: { is_hidden: true },
+		delete: { content: '[deleted]', author_name: '[deleted]', is_deleted: true }
+	};
+
+	return { found: await updateRow(supabase, 'comments', targetId, values[action]) };
+}
+
+/**
+ * Ban an account: it can't sign in anymore and its sessions end (see resolveSessionUser)
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @param {{id: string, role: string}} moderator - Signed-in moderator
+ * @param {{targetId: string, reason: string|null}} request - Validated request
+ * @returns {Promise<ModerationResult>}
+ */
+async function banUser(supabase, moderator, { targetId, reason }) {
+	const { data: profile, error } = await supabase
+		.from('profiles')
+		.select('id, username, role')
+		.eq('id', targetId)
+		.maybeSingle();
+	if (error) throw new Error(`Error loading profile: ${error.message}`);
+	if (!profile) return { found: false };
+	if (!canBan(moderator, profile)) return { found: true, forbidden: true };
+
+	await updateRow(supabase, 'profiles', targetId, {
+		banned_at: new Date().toISOString(),
+		ban_reason: reason
+	});
+
+	const { error: authError } = await supabase.auth.admin.updateUserById(targetId, {
+		ban_duration: BAN_DURATION
+	});
+	if (authError) throw new Error(`Error banning account: ${authError.message}`);
+
+	return { found: true, details: { username: profile.username } };
+}
+
+/**
+ * Carry out a moderation action and record it in the audit log
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @param {{id: string, role: string}} moderator - Signed-in moderator
+ * @param {ModerationRequest} request - Validated request
+ * @returns {Promise<{error: string|null, status?: number}>}
+ */
+export async function performModerationAction(supabase, moderator, request) {
+	const { action, targetType, targetId, reason } = request;
+
+	/** @type {ModerationResult} */
+	let result;
+	if (targetType === 'link') {
+		result = await moderateLink(supabase, moderator, request);
+	} else if (targetType === 'comment') {
+		result = await moderateComment(supabase, request);
+	} else {
+		result = await banUser(supabase, moderator, request);
+	}
+
+	if (!result.found) {
+		return { error: `${targetType[0].toUpperCase()}${targetType.slice(1)} not found`, status: 404 };
+	}
+	if (result.forbidden) {
+		return { error: 'You cannot ban this account', status: 403 };
+	}
+	if (result.error) {
+		return { error: result.error, status: 400 };
+	}
+
+	const { error } = await supabase.from('moderation_log').insert({
+		moderator_id: moderator.id,
+		action,
+		target_type: targetType,
+		target_id: targetId,
+		details: { ...result.details, ...(reason ? { reason } : {}) }
+	});
+	if (error) throw new Error(`Error writing moderation log: ${error.message}`);
+
+	// Whatever the moderator decided, the reports have been dealt with
+	if (targetType !== 'user' && action !== 'recategorize') {
+		await resolveReports(supabase, targetType, targetId);
+	}
+
+	return { error: null };
+}
\ No newline at end of file
@@ -0,0 +1,97 @@
+import { createHash } from 'node:crypto';
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+/**
+ * Length of an onion v3 address without ".onion": base32 of a 32-byte public key,
+ * a 2-byte checksum and a version byte
+ */
+const ONION_V3_LENGTH = 56;
+
+/**
+ * Length of a deprecated onion v2 address without ".onion"
+ */
+const ONION_V2_LENGTH = 16;
+
+const ONION_V3_VERSION = 3;
+
+/**
+ * Decode RFC 4648 base32 (lowercase, no padding)
+ * @param {string} text - Base32 text
+ * @returns {Buffer}
+ */
+function decodeBase32(text) {
+	const bytes = [];
+	let buffer = 0;
+	let bits = 0;
+
+	for (const char of text) {
+		buffer = (buffer << 5) | BASE32_ALPHABET.indexOf(char);
+		bits += 5;
+		if (bits >= 8) {
+			bits -= 8;
+			bytes.push((buffer >> bits) & 0xff);
+		}
+	}
+	return Buffer.from(bytes);
+}
+
+/**
+ * Check an onion hostname: v3 addresses must be 56 base32 characters encoding an ed25519 public key,
+ * a SHA3-256 checksum and version 3. Subdomains (www.<address>.onion) are allowed.
+ * @param {string} hostname - Hostname ending in .onion
+ * @returns {{valid: boolean, error: string|null}}
+ */
+export function validateOnionAddress(hostname) {
+	const labels = hostname.toLowerCase().replace(/\.$/, '').split('.');
+	if (labels.length < 2 || labels[labels.length - 1] !== 'onion') {
+		return { valid: false, error: 'Not an onion address' };
+	}
+
+	const address = labels[labels.length - 2];
+
+	if (address.length === ONION_V2_LENGTH && /^[a-z2-7]+$/.test(address)) {
+		return {
+			valid: false,
+			error: "Onion v2 addresses (16 characters) no longer work in Tor; use the site's v3 address"
+		};
+	}
+
+	if (address.length !== ONION_V3_LENGTH) {
+		return {
+			valid: false,
+			error: `Onion addresses are ${ONION_V3_LENGTH} characters long, this one has ${address.length}`
+		};
+	}
+
+	if (!/^[a-z2-7]+$/.test(address)) {
+		return {
+			valid: false,
+			error: 'Onion addresses only contain the letters a-z and the digits 2-7'
+		};
+	}
+
+	const decoded = decodeBase32(address);
+	const publicKey = decoded.subarray(0, 32);
+	const checksum = decoded.subarray(32, 34);
+	const version = decoded[34];
+
+	const expected = createHash('sha3-256')
+		.update(Buffer.concat([Buffer.from('.onion checksum'), publicKey, Buffer.from([version])]))
+		.digest()
+		.subarray(0, 2);
+
+	if (!expected.equals(checksum)) {
+		return {
+			valid: false,
+			error: 'Onion address checksum does not match; check the address for typos'
+		};
+	}
+
+	// Checked after the checksum, which covers the version byte too, so typos read as typos
+	if (version !== ONION_V3_VERSION) {
+		return { valid: false, error: `Unsupported onion address version ${version}` };
+	}
+
+	return { valid: true, error: null };
+}
\ No newline at end of file
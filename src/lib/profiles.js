@@ -0,0 +1,147 @@
+/**
+ * Columns of a link in listings, as returned by GET /api/links
+ */
+const LINK_COLUMNS = `
+	*,
+	site:sites (
+		id,
+		name
+	),
+	link_categories (
+		confidence,
+		source,
+		categories (
+			id,
+			name,
+			color
+		)
+	)
+`;
+
+/**
+ * @typedef {Object} UserComment
+ * @property {string} id - Comment ID
+ * @property {string} content - Comment text
+ * @property {string} author_name - Name shown with the comment
+ * @property {string} created_at - When the comment was written
+ * @property {number} vote_count - Vote score
+ * @property {string} link_id - ID of the link commented on
+ * @property {{id: string, title: string, url: string}} link - Link commented on
+ */
+
+/**
+ * Votes received by a user's links and comments, without their own votes
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @param {string} userId - Account ID
+ * @returns {Promise<{links: number, comments: number, total: number}>}
+ */
+export async function getUserKarma(supabase, userId) {
+	const { data, error } = await supabase.rpc('user_karma', { target_user: userId });
+	if (error) throw new Error(`Error calculating karma: ${error.message}`);
+
+	const row = Array.isArray(data) ? data[0] : data;
+	const links = Number(row?.link_karma || 0);
+	const comments = Number(row?.comment_karma || 0);
+	return { links, comments, total: links + comments };
+}
+
+/**
+ * Column a listing is sorted by
+ * @param {string} sort - 'latest' or 'votes'
+ * @returns {string}
+ */
+function sortColumn(sort) {
+	return sort === 'votes' ? 'vote_count' : 'created_at';
+}
+
+/**
+ * Public links submitted by a user, shaped like the links of GET /api/links
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @param {string} userId - Account ID
+ * @param {{limit: number, offset: number, sort: string}} options - Pagination and sorting
+ * @returns {Promise<Array<Record<string, any>>>}
+ */
+export async function listUserLinks(supabase, userId, { limit, offset, sort }) {
+	const { data, error } = await supabase
+		.from('links')
+		.select(LINK_COLUMNS)
+		.eq('user_id', userId)
+		.eq('is_public', true)
+		.is('archived_at', null)
+		.order(sortColumn(sort), { ascending: false })
+		.range(offset, offset + limit - 1);
+
+	if (error) throw new Error(`Error loading links: ${error.message}`);
+
+	/** @type {Array<Record<string, any>>} */
+	const links = data || [];
+	/** @type {Record<string, number>} */
+	const commentCounts = {};
+
+	if (links.length > 0) {
+		const linkIds = links.map((link) => link.id);
+		const { data: commentData } = await supabase
+			.from('comments')
+			.select('link_id')
+			.in('link_id', linkIds)
+			.eq('is_deleted', false)
+			.eq('is_hidden', false);
+
+		(commentData || []).forEach((/** @type {{link_id: string}} */ comment) => {
+			commentCounts[comment.link_id] = (commentCounts[comment.link_id] || 0) + 1;
+		});
+	}
+
+	return links.map(({ link_categories, ...link }) => ({
+		...link,
+		categories:
+			link_categories?.map(
+				(/** @type {{confidence: number, source: string, categories: Object}} */ lc) => ({
+					...lc.categories,
+					confidence: lc.confidence,
+					source: lc.source
+				})
+			) || [],
+		comment_count: commentCounts[link.id] || 0
+	}));
+}
+
+/**
+ * Comments written by a user, with the link each one is on
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @param {string} userId - Account ID
+ * @param {{limit: number, offset: number, sort: string}} options - Pagination and sorting
+ * @returns {Promise<Array<UserComment>>}
+ */
+export async function listUserComments(supabase, userId, { limit, offset, sort }) {
+	const { data, error } = await supabase
+		.from('comments')
+		.select(
+			`
+			id,
+			content,
+			author_name,
+			created_at,
+			vote_count,
+			link_id,
+			links!inner (
+				id,
+				title,
+				url
+			)
+		`
+		)
+		.eq('user_id', userId)
+		.eq('is_deleted', false)
+		.eq('is_hidden', false)
+		.order(sortColumn(sort), { ascending: false })
+		.range(offset, offset + limit - 1);
+
+	if (error) throw new Error(`Error loading comments: ${error.message}`);
+
+	// links is a many-to-one embed, so each row holds a single link object
+	return (data || []).map((/** @type {any} */ { links, ...comment }) => ({
+		...comment,
+		link: links
+	}));
+}
\ No newline at end of file
@@ -0,0 +1,262 @@
+/**
+ * Reasons a visitor can give for a report
+ */
+export const REPORT_REASONS = {
+	scam: 'Scam or phishing',
+	illegal: 'Illegal content',
+	abuse: 'Harassment or abuse',
+	spam: 'Spam',
+	other: 'Something else'
+};
+
+export const MAX_REPORT_DETAILS = 500;
+
+/**
+ * Distinct reporters whose open reports hide a link or comment until a moderator reviews it
+ */
+const DEFAULT_HIDE_THRESHOLD = 5;
+
+/**
+ * Link, comment and account IDs
+ */
+export const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * @typedef {Object} OpenReport
+ * @property {string} target_type - 'link' or 'comment'
+ * @property {string} target_id - Link or comment ID
+ * @property {string} reason - Key of REPORT_REASONS
+ * @property {string|null} details - Text the reporter added
+ * @property {string} created_at - When the report was made
+ */
+
+/**
+ * @typedef {Object} ReportSummary
+ * @property {string} targetType - 'link' or 'comment'
+ * @property {string} targetId - Link or comment ID
+ * @property {number} count - Open reports
+ * @property {Record<string, number>} reasons - Open reports per reason
+ * @property {string[]} details - Texts the reporters added
+ * @property {string} lastReportedAt - When the latest report was made
+ */
+
+/**
+ * Reporters at which a target is hidden pending review (REPORT_HIDE_THRESHOLD)
+ * @returns {number|null} - null when reports never hide anything ("never")
+ */
+export function reportHideThreshold() {
+	if (process.env.REPORT_HIDE_THRESHOLD === 'never') return null;
+	return parseInt(process.env.REPORT_HIDE_THRESHOLD || '') || DEFAULT_HIDE_THRESHOLD;
+}
+
+/**
+ * Validate a report
+ * @param {{targetType?: unknown, targetId?: unknown, reason?: unknown, details?: unknown}} body - Request body
+ * @returns {{report: {targetType: string, targetId: string, reason: string, details: string|null}|null, error: string|null}}
+ */
+export function parseReport({ targetType, targetId, reason, details }) {
+	if (targetType !== 'link' && targetType !== 'comment') {
+		return { report: null, error: 'targetType must be link or comment' };
+	}
+	if (typeof targetId !== 'string' || !UUID_PATTERN.test(targetId)) {
+		return { report: null, error: 'Invalid targetId' };
+	}
+	if (typeof reason !== 'string' || !Object.hasOwn(REPORT_REASONS, reason)) {
+		return {
+			report: null,
+			error: `reason must be one of: ${Object.keys(REPORT_REASONS).join(', ')}`
+		};
+	}
+	if (details !== undefined && details !== null && typeof details !== 'string') {
+		return { report: null, error: 'details must be text' };
+	}
+	if (typeof details === 'string' && details.trim().length > MAX_REPORT_DETAILS) {
+		return { report: null, error: `Details too long (max ${MAX_REPORT_DETAILS} characters)` };
+	}
+
+	return {
+		report: { targetType, targetId, reason, details: details?.trim() || null },
+		error: null
+	};
+}
+
+/**
+ * Whether a link or comment is still shown to visitors
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @param {string} targetType - 'link' or 'comment'
+ * @param {string} targetId - Link or comment ID
+ * @returns {Promise<boolean>}
+ */
+async function isVisible(supabase, targetType, targetId) {
+	const query =
+		targetType === 'link'
+			? supabase.from('links').select('id').eq('id', targetId).eq('is_public', true)
+			: supabase
+					.from('comments')
+					.select('id')
+					.eq('id', targetId)
+					.eq('is_deleted', false)
+					.eq('is_hidden', false);
+
+	const { data, error } = await query.maybeSingle();
+	if (error) throw new Error(`Error loading ${targetType}: ${error.message}`);
+	return Boolean(data);
+}
+
+/**
+ * Hide a link or comment until a moderator reviews it, and record it in the audit log.
+ * Links go back to the moderation queue; approving them there shows them again.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @param {string} targetType - 'link' or 'comment'
+ * @param {string} targetId - Link or comment ID
+ * @param {number} reporterCount - Distinct reporters with open reports of the target
+ */
+async function hidePendingReview(supabase, targetType, targetId, reporterCount) {
+	const { error } =
+		targetType === 'link'
+			? await supabase
+					.from('links')
+					.update({ moderation_status: 'pending', is_public: false })
+					.eq('id', targetId)
+			: await supabase.from('comments').update({ is_hidden: true }).eq('id', targetId);
+	if (error) throw new Error(`Error hiding ${targetType}: ${error.message}`);
+
+	const { error: logError } = await supabase.from('moderation_log').insert({
+		moderator_id: null,
+		action: 'hide',
+		target_type: targetType,
+		target_id: targetId,
+		details: { automatic: true, reporters: reporterCount }
+	});
+	if (logError) throw new Error(`Error writing moderation log: ${logError.message}`);
+}
+
+/**
+ * Record a report, hiding its target once as many reporters as the threshold have open reports of it.
+ * Reports are deduplicated per session (which includes the client-supplied fingerprint), but only
+ * the server-derived reporter key counts toward the threshold, so a visitor can't count as many.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @param {NonNullable<ReturnType<typeof parseReport>['report']>} report - Validated report
+ * @param {{sessionId: string, reporterKey: string, userId: string|null}} reporter - Voter key and reporter key (see getReporterKey) of the reporter, and their account
+ * @param {number|null} [threshold] - Reporters that hide the target (null never hides)
+ * @returns {Promise<{hidden: boolean, error: string|null, status?: number}>}
+ */
+export async function submitReport(
+	supabase,
+	{ targetType, targetId, reason, details },
+	{ sessionId, reporterKey, userId },
+	threshold = reportHideThreshold()
+) {
+	if (!(await isVisible(supabase, targetType, targetId))) {
+		return {
+			hidden: false,
+			error: `${targetType === 'link' ? 'Link' : 'Comment'} not found`,
+			status: 404
+		};
+	}
+
+	const { error } = await supabase.from('reports').insert({
+		target_type: targetType,
+		target_id: targetId,
+		session_id: sessionId,
+		reporter_key: reporterKey,
+		user_id: userId,
+		reason,
+		details
+	});
+
+	// Unique violation: this session already has an open report of the target
+	if (error?.code === '23505') {
+		return { hidden: false, error: 'You already reported this', status: 409 };
+	}
+	if (error) throw new Error(`Error saving report: ${error.message}`);
+
+	if (threshold === null) return { hidden: false, error: null };
+
+	const { data: openReports, error: countError } = await supabase
+		.from('reports')
+		.select('reporter_key')
+		.eq('target_type', targetType)
+		.eq('target_id', targetId)
+		.is('resolved_at', null);
+	if (countError) throw new Error(`Error counting reports: ${countError.message}`);
+
+	const reporters = new Set(
+		(openReports || []).map((/** @type {{reporter_key: string}} */ row) => row.reporter_key)
+	).size;
+	if (reporters < threshold) return { hidden: false, error: null };
+
+	await hidePendingReview(supabase, targetType, targetId, reporters);
+	return { hidden: true, error: null };
+}
+
+/**
+ * Group open reports by target
+ * @param {Array<OpenReport>} reports - Report rows
+ * @returns {Map<string, ReportSummary>} - Keyed by "<type>:<id>"
+ */
+export function summarizeReports(reports) {
+	/** @type {Map<string, ReportSummary>} */
+	const summaries = new Map();
+
+	for (const report of reports) {
+		const key = `${report.target_type}:${report.target_id}`;
+		let summary = summaries.get(key);
+		if (!summary) {
+			summary = {
+				targetType: report.target_type,
+				targetId: report.target_id,
+				count: 0,
+				reasons: {},
+				details: [],
+				lastReportedAt: report.created_at
+			};
+			summaries.set(key, summary);
+		}
+
+		summary.count++;
+		summary.reasons[report.reason] = (summary.reasons[report.reason] || 0) + 1;
+		if (report.details) summary.details.push(report.details);
+		if (report.created_at > summary.lastReportedAt) summary.lastReportedAt = report.created_at;
+	}
+
+	return summaries;
+}
+
+/**
+ * Open reports, newest first
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @param {{limit?: number}} options - Reports loaded at most
+ * @returns {Promise<Array<OpenReport>>}
+ */
+export async function loadOpenReports(supabase, { limit = 1000 } = {}) {
+	const { data, error } = await supabase
+		.from('reports')
+		.select('target_type, target_id, reason, details, created_at')
+		.is('resolved_at', null)
+		.order('created_at', { ascending: false })
+		.limit(limit);
+
+	if (error) throw new Error(`Error loading reports: ${error.message}`);
+	return data || [];
+}
+
+/**
+ * Close the open reports of a target once a moderator has dealt with it
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @param {string} targetType - 'link' or 'comment'
+ * @param {string} targetId - Link or comment ID
+ * @returns {Promise<number>} - Reports resolved
+ */
+export async function resolveReports(supabase, targetType, targetId) {
+	const { data, error } = await supabase
+		.from('reports')
+		.update({ resolved_at: new Date().toISOString() })
+		.eq('target_type', targetType)
+		.eq('target_id', targetId)
+		.is('resolved_at', null)
+		.select('id');
+
+	if (error) throw new Error(`Error resolving reports: ${error.message}`);
+	return (data || []).length;
+}
\ No newline at end of file
@@ -1,10 +1,26 @@
 import { checkAllLinks } from './link-checker.js';
+import { enrichPendingLinks } from './metadata-enricher.js';
+import { refreshStaleMetadata } from './metadata-refresh.js';
+import { verifyAllSites } from './mirrors.js';
+
+/**
+ * @typedef {Object} Job
+ * @property {string} name - Job name
+ * @property {() => Promise<any>} task - Task function to execute
+ * @property {number} intervalMs - Interval in milliseconds
+ * @property {ReturnType<typeof setInterval>|null} intervalId - Timer of the recurring runs
+ * @property {Date|null} lastRun - Start of the last run
+ * @property {Date|null} nextRun - Start of the next scheduled run
+ * @property {boolean} running - Whether a run is in progress
+ * @property {boolean} rerunRequested - Run again as soon as the current run finishes
+ */
 
 /**
  * Simple job scheduler for running periodic tasks
  */
 export class JobScheduler {
   constructor() {
+    /** @type {Map<string, Job>} */
     this.jobs = new Map();
     this.running = false;
   }
@@ -12,7 +28,7 @@ export class JobScheduler {
   /**
    * Add a job to the scheduler
    * @param {string} name - Job name
-   * @param {Function} task - Task function to execute
+   * @param {() => Promise<any>} task - Task function to execute
    * @param {number} intervalMs - Interval in milliseconds
    */
   addJob(name, task, intervalMs) {
@@ -21,6 +37,7 @@ export class JobScheduler {
       this.removeJob(name);
     }
 
+    /** @type {Job} */
     const job = {
       name,
       task,
@@ -28,7 +45,8 @@ export class JobScheduler {
       intervalId: null,
       lastRun: null,
       nextRun: null,
-      running: false
+      running: false,
+      rerunRequested: false
     };
 
     this.jobs.set(name, job);
@@ -89,7 +107,7 @@ export class JobScheduler {
 
   /**
    * Start a specific job
-   * @param {Object} job - Job object
+   * @param {Job} job - Job object
    */
   startJob(job) {
     if (job.intervalId) {
@@ -110,7 +128,7 @@ export class JobScheduler {
 
   /**
    * Run a specific job
-   * @param {Object} job - Job object
+   * @param {Job} job - Job object
    */
   async runJob(job) {
     if (job.running) {
@@ -132,6 +150,32 @@ export class JobScheduler {
     } finally {
       job.running = false;
     }
+
+    // Work was triggered while this run was in progress
+    if (job.rerunRequested && job.intervalId) {
+      job.rerunRequested = false;
+      this.runJob(job);
+    }
+  }
+
+  /**
+   * Run a job right away instead of waiting for its interval.
+   * If it is already running, it runs again as soon as the current run finishes.
+   * @param {string} name - Job name
+   * @returns {boolean} - Whether the job exists and the scheduler is running
+   */
+  triggerJob(name) {
+    const job = this.jobs.get(name);
+    if (!job || !job.intervalId) {
+      return false;
+    }
+
+    if (job.running) {
+      job.rerunRequested = true;
+    } else {
+      this.runJob(job);
+    }
+    return true;
   }
 
   /**
@@ -157,7 +201,7 @@ export class JobScheduler {
 
   /**
    * Get all job statuses
-   * @returns {Array} - Array of job statuses
+   * @returns {Array<Object|null>} - Array of job statuses
    */
   getAllJobStatuses() {
     return Array.from(this.jobs.keys()).map(name => this.getJobStatus(name));
@@ -165,8 +209,8 @@ export class JobScheduler {
 }
 
 /**
- * Create and configure the link checker job scheduler
- * @param {Object} supabase - Supabase client
+ * Create and configure the job scheduler (link checker, metadata enrichment and refresh)
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client
  * @returns {JobScheduler} - Configured scheduler
  */
 export function createLinkCheckerScheduler(supabase) {
@@ -176,6 +220,29 @@ export function createLinkCheckerScheduler(supabase) {
   const intervalMinutes = parseInt(process.env.LINK_CHECK_INTERVAL_MINUTES || '15') || 15;
   const intervalMs = intervalMinutes * 60 * 1000;
 
+  // Batch size and concurrency limits for the check queue (defaults live in link-checker.js)
+  /** @type {Record<string, any>} */
+  const checkerOptions = {};
+  const envOptions = {
+    batchSize: 'LINK_CHECK_BATCH_SIZE',
+    clearnetConcurrency: 'LINK_CHECK_CLEARNET_CONCURRENCY',
+    onionConcurrency: 'LINK_CHECK_ONION_CONCURRENCY',
+    perHostConcurrency: 'LINK_CHECK_PER_HOST_CONCURRENCY'
+  };
+  for (const [option, envName] of Object.entries(envOptions)) {
+    const value = parseInt(process.env[envName] || '');
+    if (value > 0) {
+      checkerOptions[option] = value;
+    }
+  }
+
+  // Days an archived link is kept before being purged ("never" disables purging)
+  if (process.env.LINK_ARCHIVE_GRACE_DAYS === 'never') {
+    checkerOptions.archiveGracePeriodDays = null;
+  } else if (parseInt(process.env.LINK_ARCHIVE_GRACE_DAYS || '') >= 0) {
+    checkerOptions.archiveGracePeriodDays = parseInt(process.env.LINK_ARCHIVE_GRACE_DAYS || '');
+  }
+
   console.log(`⏰ [Scheduler] Link checker will run every ${intervalMinutes} minutes`);
 
   // Add link checker job
@@ -183,22 +250,78 @@ export function createLinkCheckerScheduler(supabase) {
     'link-checker',
     async () => {
       console.log(`🕐 [Scheduler] Starting scheduled link check (every ${intervalMinutes} minutes)...`);
-      const results = await checkAllLinks(supabase);
+      const results = await checkAllLinks(supabase, checkerOptions);
       console.log('🎯 [Scheduler] Scheduled link check completed:', results);
       return results;
     },
     intervalMs
   );
 
+  // Metadata enrichment for newly submitted links (also triggered by POST /api/links)
+  const enrichIntervalSeconds = parseInt(process.env.METADATA_ENRICH_INTERVAL_SECONDS || '60') || 60;
+  /** @type {Record<string, any>} */
+  const enricherOptions = {};
+  const enricherEnvOptions = {
+    clearnetConcurrency: 'METADATA_ENRICH_CLEARNET_CONCURRENCY',
+    onionConcurrency: 'METADATA_ENRICH_ONION_CONCURRENCY'
+  };
+  for (const [option, envName] of Object.entries(enricherEnvOptions)) {
+    const value = parseInt(process.env[envName] || '');
+    if (value > 0) {
+      enricherOptions[option] = value;
+    }
+  }
+
+  scheduler.addJob(
+    'metadata-enricher',
+    async () => {
+      const results = await enrichPendingLinks(supabase, enricherOptions);
+      if (results.processed > 0) {
+        console.log('📝 [Scheduler] Metadata enrichment completed:', results);
+      }
+      return results;
+    },
+    enrichIntervalSeconds * 1000
+  );
+
+  // Re-fetch metadata older than METADATA_REFRESH_DAYS to catch rebrands and takeovers ("never" disables)
+  if (process.env.METADATA_REFRESH_DAYS !== 'never') {
+    const refreshAfterDays = parseInt(process.env.METADATA_REFRESH_DAYS || '7') || 7;
+
+    scheduler.addJob(
+      'metadata-refresh',
+      async () => {
+        const results = await refreshStaleMetadata(supabase, { refreshAfterDays });
+        console.log('🔄 [Scheduler] Metadata refresh completed:', results);
+        return results;
+      },
+      60 * 60 * 1000 // Hourly, a batch of the most outdated links per run
+    );
+  }
+
+  // Re-verify the signed mirror lists of registered sites
+  scheduler.addJob(
+    'mirror-verification',
+    async () => {
+      const results = await verifyAllSites(supabase);
+      if (results.processed > 0) {
+        console.log('🔏 [Scheduler] Mirror verification completed:', results);
+      }
+      return results;
+    },
+    6 * 60 * 60 * 1000
+  );
+
   return scheduler;
 }
 
 // Global scheduler instance
+/** @type {JobScheduler|null} */
 let globalScheduler = null;
 
 /**
  * Get or create the global scheduler instance
- * @param {Object} supabase - Supabase client
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client
  * @returns {JobScheduler} - Global scheduler instance
  */
 export function getGlobalScheduler(supabase) {
@@ -210,7 +333,7 @@ export function getGlobalScheduler(supabase) {
 
 /**
  * Start the global link checker scheduler
- * @param {Object} supabase - Supabase client
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client
  */
 export function startLinkCheckerScheduler(supabase) {
   const scheduler = getGlobalScheduler(supabase);
@@ -218,6 +341,15 @@ export function startLinkCheckerScheduler(supabase) {
   return scheduler;
 }
 
+/**
+ * Run a job of the global scheduler right away
+ * @param {string} name - Job name
+ * @returns {boolean} - Whether the job was triggered (false before the scheduler has started)
+ */
+export function triggerScheduledJob(name) {
+  return globalScheduler ? globalScheduler.triggerJob(name) : false;
+}
+
 /**
  * Stop the global link checker scheduler
  */
@@ -0,0 +1,130 @@
+/**
+ * Query parameters that only identify where a visitor came from and never change the page
+ */
+export const TRACKING_PARAMETERS = new Set([
+	'fbclid',
+	'gclid',
+	'gclsrc',
+	'dclid',
+	'msclkid',
+	'yclid',
+	'twclid',
+	'ttclid',
+	'igshid',
+	'mc_cid',
+	'mc_eid',
+	'_ga',
+	'_gl',
+	'_hsenc',
+	'_hsmi',
+	'mkt_tok',
+	'oly_anon_id',
+	'oly_enc_id',
+	'vero_id',
+	'wickedid'
+]);
+
+/**
+ * Tracking parameter prefixes (utm_source, utm_medium, ...)
+ */
+const TRACKING_PREFIXES = ['utm_', 'pk_', 'mtm_'];
+
+/**
+ * Whether a query parameter is a tracking parameter
+ * @param {string} name - Parameter name
+ * @returns {boolean}
+ */
+function isTrackingParameter(name) {
+	const lower = name.toLowerCase();
+	return (
+		TRACKING_PARAMETERS.has(lower) || TRACKING_PREFIXES.some((prefix) => lower.startsWith(prefix))
+	);
+}
+
+/**
+ * Decoded name of a raw query string pair (a=1 -> a)
+ * @param {string} pair - Query string pair
+ * @returns {string}
+ */
+function parameterName(pair) {
+	const name = pair.split('=')[0].replace(/\+/g, ' ');
+	try {
+		return decodeURIComponent(name);
+	} catch {
+		return name;
+	}
+}
+
+/**
+ * Whether http and https URLs of the same host are treated as the same link (URL_MERGE_SCHEMES)
+ * @returns {boolean}
+ */
+export function mergeSchemesEnabled() {
+	return process.env.URL_MERGE_SCHEMES === 'true';
+}
+
+/**
+ * Canonical form of a URL, so the same page is stored once however it was written:
+ * - scheme and host lowercased (onion addresses included), default ports removed
+ * - fragment removed
+ * - tracking parameters removed, remaining parameters sorted by name
+ * - trailing slash removed from bare hosts (https://example.com/ -> https://example.com);
+ *   paths keep theirs, since servers may treat /docs and /docs/ differently
+ * @param {string} url - URL to canonicalize
+ * @returns {string} - Canonical URL, or the input unchanged when it cannot be parsed
+ */
+export function canonicalizeUrl(url) {
+	let urlObj;
+	try {
+		urlObj = new URL(url.trim());
+	} catch {
+		return url;
+	}
+
+	if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
+		return url;
+	}
+
+	// URL() already lowercases the scheme and host and drops default ports; hostnames of
+	// onion addresses are base32, so their case never matters
+	urlObj.hash = '';
+
+	// Parameters are filtered and sorted as written, keeping their original encoding
+	const parameters = urlObj.search
+		.slice(1)
+		.split('&')
+		.filter((pair) => pair && !isTrackingParameter(parameterName(pair)));
+	parameters.sort((a, b) => {
+		const nameA = parameterName(a);
+		const nameB = parameterName(b);
+		return nameA < nameB ? -1 : nameA > nameB ? 1 : 0;
+	});
+	urlObj.search = parameters.join('&');
+
+	const canonical = urlObj.toString();
+
+	// Bare hosts are written without the slash
+	return urlObj.pathname === '/' && !urlObj.search ? canonical.slice(0, -1) : canonical;
+}
+
+/**
+ * Key identifying a link for duplicate detection
+ * @param {string} url - Canonical URL
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.mergeSchemes] - Treat http and https of the same host as one link
+ * @returns {string}
+ */
+export function duplicateKey(url, { mergeSchemes = mergeSchemesEnabled() } = {}) {
+	return mergeSchemes ? url.replace(/^https?:/, '') : url;
+}
+
+/**
+ * The URL as written with each scheme, for looking up duplicates stored under the other one
+ * @param {string} url - Canonical URL
+ * @returns {Array<string>} - The http and https variants (the URL itself when it is neither)
+ */
+export function schemeVariants(url) {
+	if (!/^https?:/.test(url)) return [url];
+	const rest = url.replace(/^https?:/, '');
+	return [`http:${rest}`, `https:${rest}`];
+}
\ No newline at end of file
@@ -0,0 +1,28 @@
+/**
+ * Record a session's vote on a link. Votes are unique per link and session
+ * (unique_vote_per_session), so voting again replaces the session's earlier vote.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client (service role)
+ * @param {{linkId: string, sessionId: string, userId: string|null, voteType: 1|-1|null}} vote - null removes the vote
+ * @returns {Promise<{error: {message: string}|null}>}
+ */
+export async function recordVote(supabase, { linkId, sessionId, userId, voteType }) {
+	if (voteType === null) {
+		const { error } = await supabase
+			.from('votes')
+			.delete()
+			.eq('link_id', linkId)
+			.eq('session_id', sessionId);
+		return { error };
+	}
+
+	const { error } = await supabase.from('votes').upsert(
+		{
+			link_id: linkId,
+			session_id: sessionId,
+			user_id: userId,
+			vote_type: voteType
+		},
+		{ onConflict: 'link_id,session_id' }
+	);
+	return { error };
+}
\ No newline at end of file
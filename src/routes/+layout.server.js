@@ -0,0 +1,4 @@
+/** @type {import('./$types').LayoutServerLoad} */
+export function load({ locals }) {
+	return { user: locals.user };
+}
\ No newline at end of file
@@ -0,0 +1,38 @@
+import { json } from '@sveltejs/kit';
+import { createClient } from '@supabase/supabase-js';
+import { PUBLIC_SUPABASE_URL } from '$env/static/public';
+import { SUPABASE_SERVICE_ROLE_KEY } from '$env/static/private';
+import { setSessionCookies, signIn } from '$lib/auth.js';
+import { createAuthClient } from '$lib/supabase.js';
+
+// Create server-side Supabase client with service role
+const supabase = createClient(PUBLIC_SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+
+/**
+ * POST /api/auth/login - Sign in with a username and password
+ * Body: { username, password }
+ */
+/** @type {import('./$types').RequestHandler} */
+export async function POST({ request, cookies, url }) {
+	try {
+		const { username, password } = await request.json();
+
+		if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+			return json({ error: 'Username and password are required' }, { status: 400 });
+		}
+
+		const { session, user, error } = await signIn(supabase, createAuthClient(), {
+			username,
+			password
+		});
+		if (error || !session || !user) {
+			return json({ error }, { status: 401 });
+		}
+
+		setSessionCookies(cookies, url, session);
+		return json({ user: { id: user.id, username: user.username || username } });
+	} catch (err) {
+		console.error('Login error:', err);
+		return json({ error: 'Internal server error' }, { status: 500 });
+	}
+}
\ No newline at end of file
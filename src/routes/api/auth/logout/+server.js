@@ -0,0 +1,11 @@
+import { json } from '@sveltejs/kit';
+import { clearSessionCookies } from '$lib/auth.js';
+
+/**
+ * POST /api/auth/logout - Sign out by dropping the session cookies
+ */
+/** @type {import('./$types').RequestHandler} */
+export async function POST({ cookies, url }) {
+	clearSessionCookies(cookies, url);
+	return json({ message: 'Logged out' });
+}
\ No newline at end of file
@@ -0,0 +1,44 @@
+import { json } from '@sveltejs/kit';
+import { createClient } from '@supabase/supabase-js';
+import { PUBLIC_SUPABASE_URL } from '$env/static/public';
+import { SUPABASE_SERVICE_ROLE_KEY } from '$env/static/private';
+import { createAccount, setSessionCookies, signIn, validateCredentials } from '$lib/auth.js';
+import { createAuthClient } from '$lib/supabase.js';
+
+// Create server-side Supabase client with service role
+const supabase = createClient(PUBLIC_SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+
+/**
+ * POST /api/auth/signup - Create an account and sign in
+ * Body: { username, password }
+ */
+/** @type {import('./$types').RequestHandler} */
+export async function POST({ request, cookies, url }) {
+	try {
+		const { username, password } = await request.json();
+
+		const invalid = validateCredentials({ username, password });
+		if (invalid) {
+			return json({ error: invalid }, { status: 400 });
+		}
+
+		const { user, error } = await createAccount(supabase, { username, password });
+		if (error) {
+			return json({ error }, { status: 409 });
+		}
+
+		const { session, error: signInError } = await signIn(supabase, createAuthClient(), {
+			username,
+			password
+		});
+		if (signInError || !session) {
+			return json({ error: signInError }, { status: 500 });
+		}
+
+		setSessionCookies(cookies, url, session);
+		return json({ user }, { status: 201 });
+	} catch (err) {
+		console.error('Signup error:', err);
+		return json({ error: 'Internal server error' }, { status: 500 });
+	}
+}
\ No newline at end of file
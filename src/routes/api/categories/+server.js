@@ -39,15 +39,25 @@ export async function GET({ url }) {
 								domain,
 								favicon_url,
 								vote_count,
-								created_at
+								created_at,
+								archived_at,
+								clone_of,
+								clone_similarity,
+								mirror_status,
+								onion_address_error,
+								site:sites (
+									id,
+									name
+								)
 							)
 						`)
 						.eq('category_id', category.id)
 						.limit(10);
 
+					// links is a many-to-one embed, so each row holds a single link object
 					return {
 						...category,
-						links: linksError ? [] : (links?.map(l => l.links).filter(Boolean) || [])
+						links: linksError ? [] : (links?.map(l => /** @type {any} */ (l.links)).filter(link => link && !link.archived_at) || [])
 					};
 				})
 			);
@@ -1,7 +1,13 @@
 import { json } from '@sveltejs/kit';
-import { supabase } from '$lib/supabase.js';
+import { createClient } from '@supabase/supabase-js';
+import { PUBLIC_SUPABASE_URL } from '$env/static/public';
+import { SUPABASE_SERVICE_ROLE_KEY } from '$env/static/private';
 import { checkAllLinks, checkLink, LinkChecker } from '$lib/link-checker.js';
 import { getGlobalScheduler } from '$lib/scheduler.js';
+import { probeTor } from '$lib/http-client.js';
+
+// Create server-side Supabase client with service role
+const supabase = createClient(PUBLIC_SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
 
 /**
  * POST /api/check-links
@@ -109,12 +115,20 @@ export async function GET() {
       .select('id', { count: 'exact' })
       .eq('status', 'unknown');
 
+    const { data: archivedLinks, error: archivedError } = await supabase
+      .from('links')
+      .select('id', { count: 'exact' })
+      .not('archived_at', 'is', null);
+
     // Get links needing check
     const { data: needingCheck, error: needingError } = await supabase
       .from('links_needing_check')
       .select('id', { count: 'exact' });
 
-    if (totalError || liveError || deadError || unknownError || needingError) {
+    // Check the Tor SOCKS proxy that onion link checks depend on
+    const tor = await probeTor();
+
+    if (totalError || liveError || deadError || unknownError || archivedError || needingError) {
       throw new Error('Failed to fetch link statistics');
     }
 
@@ -124,11 +138,13 @@ export async function GET() {
         running: scheduler.running,
         jobs: jobStatuses
       },
+      tor,
       statistics: {
         total: totalLinks?.length || 0,
         live: liveLinks?.length || 0,
         dead: deadLinks?.length || 0,
         unknown: unknownLinks?.length || 0,
+        archived: archivedLinks?.length || 0,
         needingCheck: needingCheck?.length || 0
       }
     });
@@ -2,6 +2,7 @@ import { json } from '@sveltejs/kit';
 import { createClient } from '@supabase/supabase-js';
 import { PUBLIC_SUPABASE_URL } from '$env/static/public';
 import { SUPABASE_SERVICE_ROLE_KEY } from '$env/static/private';
+import { getVoterKey } from '$lib/auth.js';
 
 // Create server-side Supabase client with service role
 const supabase = createClient(PUBLIC_SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
@@ -10,7 +11,7 @@ const supabase = createClient(PUBLIC_SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
  * POST /api/comment-votes - Vote on a comment
  * Body: { commentId, voteType }
  */
-export async function POST({ request, getClientAddress }) {
+export async function POST({ request, getClientAddress, locals }) {
 	try {
 		const { commentId, voteType } = await request.json();
 
@@ -19,8 +20,8 @@ export async function POST({ request, getClientAddress }) {
 			return json({ error: 'Invalid vote data' }, { status: 400 });
 		}
 
-		// Get client IP for anonymous voting
-		const clientIP = getClientAddress();
+		// Accounts vote as themselves, anonymous visitors by IP
+		const clientIP = getVoterKey(locals.user, getClientAddress());
 
 		// Check if comment exists
 		const { data: comment, error: commentError } = await supabase
@@ -28,6 +29,7 @@ export async function POST({ request, getClientAddress }) {
 			.select('id')
 			.eq('id', commentId)
 			.eq('is_deleted', false)
+			.eq('is_hidden', false)
 			.single();
 
 		if (commentError || !comment) {
@@ -77,7 +79,7 @@ export async function POST({ request, getClientAddress }) {
  * GET /api/comment-votes - Get vote status for comments
  * Query params: commentId (required)
  */
-export async function GET({ url, getClientAddress }) {
+export async function GET({ url, getClientAddress, locals }) {
 	try {
 		const commentId = url.searchParams.get('commentId');
 
@@ -85,7 +87,7 @@ export async function GET({ url, getClientAddress }) {
 			return json({ error: 'Comment ID is required' }, { status: 400 });
 		}
 
-		const clientIP = getClientAddress();
+		const clientIP = getVoterKey(locals.user, getClientAddress());
 
 		// Get user's vote for this comment
 		const { data: userVote } = await supabase
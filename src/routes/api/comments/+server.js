@@ -2,6 +2,7 @@ import { json } from '@sveltejs/kit';
 import { createClient } from '@supabase/supabase-js';
 import { PUBLIC_SUPABASE_URL } from '$env/static/public';
 import { SUPABASE_SERVICE_ROLE_KEY } from '$env/static/private';
+import { findProfile } from '$lib/auth.js';
 
 // Create server-side Supabase client with service role
 const supabase = createClient(PUBLIC_SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
@@ -34,8 +35,16 @@ export async function GET({ url }) {
 			return json({ error: 'Failed to fetch comments' }, { status: 500 });
 		}
 
+		// Deleted and hidden comments keep their place in the thread, but not their text
+		const visibleComments = (comments || []).map((comment) => {
+			if (!comment.is_deleted && !comment.is_hidden) return comment;
+
+			const content = comment.is_deleted ? '[deleted]' : '[hidden]';
+			return { ...comment, content, author_name: null, user_id: null };
+		});
+
 		// Build threaded structure
-		const threadedComments = buildCommentTree(comments || []);
+		const threadedComments = buildCommentTree(visibleComments);
 
 		return json({
 			comments: threadedComments,
@@ -50,9 +59,10 @@ export async function GET({ url }) {
 /**
  * POST /api/comments - Create a new comment
  * Body: { linkId, content, authorName?, authorEmail?, parentId? }
+ * Signed-in users comment under their username; anonymous users cannot use a registered one.
  */
 /** @type {import('./$types').RequestHandler} */
-export async function POST({ request, getClientAddress }) {
+export async function POST({ request, locals }) {
 	try {
 		const { linkId, content, authorName, authorEmail, parentId } = await request.json();
 
@@ -76,6 +86,12 @@ export async function POST({ request, getClientAddress }) {
 			return json({ error: 'Link not found' }, { status: 404 });
 		}
 
+		// Anonymous commenters cannot post under someone's registered username
+		const anonymousName = locals.user ? null : authorName?.trim() || null;
+		if (anonymousName && (await findProfile(supabase, anonymousName))) {
+			return json({ error: 'That name belongs to a registered user; sign in to use it' }, { status: 409 });
+		}
+
 		// If parentId provided, verify parent comment exists
 		if (parentId) {
 			const { data: parentComment, error: parentError } = await supabase
@@ -84,6 +100,7 @@ export async function POST({ request, getClientAddress }) {
 				.eq('id', parentId)
 				.eq('link_id', linkId)
 				.eq('is_deleted', false)
+				.eq('is_hidden', false)
 				.single();
 
 			if (parentError || !parentComment) {
@@ -98,8 +115,9 @@ export async function POST({ request, getClientAddress }) {
 				link_id: linkId,
 				parent_id: parentId || null,
 				content: content.trim(),
-				author_name: authorName?.trim() || null,
-				author_email: authorEmail?.trim() || null
+				author_name: locals.user?.username || anonymousName,
+				author_email: authorEmail?.trim() || null,
+				user_id: locals.user?.id ?? null
 			})
 			.select()
 			.single();
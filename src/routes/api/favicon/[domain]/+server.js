@@ -0,0 +1,64 @@
+import { createClient } from '@supabase/supabase-js';
+import { PUBLIC_SUPABASE_URL } from '$env/static/public';
+import { SUPABASE_SERVICE_ROLE_KEY } from '$env/static/private';
+import { cacheFavicon, getCachedFavicon, isFaviconStale } from '$lib/favicon.js';
+
+// Create server-side Supabase client with service role
+const supabase = createClient(PUBLIC_SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+
+/**
+ * Generic globe icon served when a domain has no favicon
+ */
+const DEFAULT_ICON = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="#9ca3af" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M2 12h20M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"/></svg>`;
+
+/**
+ * Headers for every icon response. Icons may be SVG, so scripts are blocked in case
+ * someone opens one directly.
+ */
+const ICON_HEADERS = {
+	'X-Content-Type-Options': 'nosniff',
+	'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; sandbox"
+};
+
+/** @type {import('./$types').RequestHandler} */
+export async function GET({ params }) {
+	const domain = params.domain.toLowerCase();
+
+	try {
+		let favicon = await getCachedFavicon(supabase, domain);
+
+		if (isFaviconStale(favicon)) {
+			// Only fetch icons for domains we list, so this route can't be used to make us request arbitrary hosts
+			const { data: link } = await supabase
+				.from('links')
+				.select('url')
+				.eq('domain', domain)
+				.limit(1)
+				.maybeSingle();
+
+			if (link) {
+				favicon = await cacheFavicon(supabase, domain, link.url, favicon?.source_url);
+			}
+		}
+
+		if (favicon?.data && favicon.content_type) {
+			return new Response(Buffer.from(favicon.data, 'base64'), {
+				headers: {
+					...ICON_HEADERS,
+					'Content-Type': favicon.content_type,
+					'Cache-Control': 'public, max-age=86400'
+				}
+			});
+		}
+	} catch (err) {
+		console.error('Favicon API error:', err);
+	}
+
+	return new Response(DEFAULT_ICON, {
+		headers: {
+			...ICON_HEADERS,
+			'Content-Type': 'image/svg+xml',
+			'Cache-Control': 'public, max-age=3600'
+		}
+	});
+}
\ No newline at end of file
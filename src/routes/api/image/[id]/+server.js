@@ -0,0 +1,59 @@
+import { json } from '@sveltejs/kit';
+import { createClient } from '@supabase/supabase-js';
+import { PUBLIC_SUPABASE_URL } from '$env/static/public';
+import { SUPABASE_SERVICE_ROLE_KEY } from '$env/static/private';
+import { getProxiedImage, IMAGE_SIZES } from '$lib/image-proxy.js';
+
+// Create server-side Supabase client with service role
+const supabase = createClient(PUBLIC_SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+
+/**
+ * GET /api/image/[id]?size=small|medium|large
+ * Serve a link's preview image (image_url) through our server, so browsers never contact
+ * the remote site. Only a link's own image can be requested, never an arbitrary URL, and only
+ * while the link is public (links hidden by moderation or reports are not served).
+ * @type {import('./$types').RequestHandler}
+ */
+export async function GET({ params, url }) {
+	const size = url.searchParams.get('size') || 'small';
+	if (!(size in IMAGE_SIZES)) {
+		return json(
+			{ error: `Invalid size. Use ${Object.keys(IMAGE_SIZES).join(', ')}` },
+			{ status: 400 }
+		);
+	}
+
+	try {
+		const { data: link, error } = await supabase
+			.from('links')
+			.select('id, image_url')
+			.eq('id', params.id)
+			.eq('is_public', true)
+			.maybeSingle();
+
+		if (error) {
+			console.error('Supabase error:', error);
+			return json({ error: error.message }, { status: 500 });
+		}
+
+		if (!link?.image_url) {
+			return json({ error: 'Image not found' }, { status: 404 });
+		}
+
+		const image = await getProxiedImage(supabase, link.id, link.image_url, size);
+		if (!image.data || !image.content_type) {
+			return json({ error: 'Image unavailable' }, { status: 404 });
+		}
+
+		return new Response(Buffer.from(image.data, 'base64'), {
+			headers: {
+				'Content-Type': image.content_type,
+				'Cache-Control': 'public, max-age=86400',
+				'X-Content-Type-Options': 'nosniff'
+			}
+		});
+	} catch (err) {
+		console.error('Image proxy API error:', err);
+		return json({ error: 'Internal server error' }, { status: 500 });
+	}
+}
\ No newline at end of file
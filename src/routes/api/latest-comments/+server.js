@@ -39,6 +39,7 @@ export async function GET({ url }) {
 				)
 			`)
 			.eq('is_deleted', false)
+			.eq('is_hidden', false)
 			.order('created_at', { ascending: false })
 			.range(offset, offset + limit - 1);
 
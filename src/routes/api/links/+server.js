@@ -2,73 +2,42 @@ import { json } from '@sveltejs/kit';
 import { createClient } from '@supabase/supabase-js';
 import { PUBLIC_SUPABASE_URL } from '$env/static/public';
 import { SUPABASE_SERVICE_ROLE_KEY } from '$env/static/private';
-import { fetchUrlMetadata, detectCategory } from '$lib/metadata.js';
+import { saveCategoryAssignments } from '$lib/category-classifier.js';
+import { calculateUptime } from '$lib/link-checker.js';
+import { getFaviconPath } from '$lib/favicon.js';
+import { triggerScheduledJob } from '$lib/scheduler.js';
+import { validateOnionAddress } from '$lib/onion-address.js';
+import { applyLinkEdit, canEditLink, parseLinkEdit } from '$lib/link-edits.js';
+import {
+	canonicalizeUrl,
+	duplicateKey,
+	mergeSchemesEnabled,
+	schemeVariants
+} from '$lib/url-canonicalization.js';
 
 // Create server-side Supabase client with service role
 const supabase = createClient(PUBLIC_SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
 
 /**
- * Normalize URL by trimming trailing slashes from .onion domains
- * @param {string} url - URL to normalize
- * @returns {string} - Normalized URL
- */
-function normalizeUrl(url) {
-	try {
-		const urlObj = new URL(url);
-		
-		// Check if it's a .onion domain and has a trailing slash with no path
-		if (urlObj.hostname.endsWith('.onion') && urlObj.pathname === '/') {
-			// Remove the trailing slash for .onion domains
-			return url.replace(/\/$/, '');
-		}
-		
-		return url;
-	} catch {
-		// If URL parsing fails, return original URL
-		return url;
-	}
-}
-
-/**
- * Assign categories to links based on detected categories
+ * Assign the categories chosen by submitters to newly inserted links
  * @param {Array} insertedLinks - Links that were successfully inserted
- * @param {Array} validUrls - Original URL data with suggested categories
+ * @param {Array} validUrls - Original URL data with the submitted category (userCategory)
  */
 async function assignCategoriesToLinks(insertedLinks, validUrls) {
 	try {
-		// Get all categories
-		const { data: categories } = await supabase
-			.from('categories')
-			.select('id, name');
-
-		if (!categories) return;
-
-		const categoryMap = {};
-		categories.forEach(cat => {
-			categoryMap[cat.name.toLowerCase()] = cat.id;
-		});
-
-		// Create link-category associations
-		const linkCategories = [];
+		const assignmentsByLink = new Map();
 		
 		for (const link of insertedLinks) {
 			const originalData = validUrls.find(v => v.url === link.url);
-			if (originalData?.suggestedCategory) {
-				const categoryId = categoryMap[originalData.suggestedCategory];
-				if (categoryId) {
-					linkCategories.push({
-						link_id: link.id,
-						category_id: categoryId
-					});
-				}
+			if (originalData?.userCategory) {
+				assignmentsByLink.set(link.id, [
+					{ category: originalData.userCategory, confidence: null, source: 'user' }
+				]);
 			}
 		}
 
-		// Insert link-category relationships
-		if (linkCategories.length > 0) {
-			await supabase
-				.from('link_categories')
-				.upsert(linkCategories, { onConflict: 'link_id,category_id' });
+		if (assignmentsByLink.size > 0) {
+			await saveCategoryAssignments(supabase, assignmentsByLink);
 		}
 	} catch (err) {
 		console.error('Error assigning categories:', err);
@@ -90,7 +59,13 @@ export async function GET({ url }) {
 				.from('links')
 				.select(`
 					*,
+					site:sites (
+						id,
+						name
+					),
 					link_categories (
+						confidence,
+						source,
 						categories (
 							id,
 							name,
@@ -116,13 +91,57 @@ export async function GET({ url }) {
 				.from('comments')
 				.select('*', { count: 'exact', head: true })
 				.eq('link_id', id)
-				.eq('is_deleted', false);
+				.eq('is_deleted', false)
+				.eq('is_hidden', false);
+
+			// Get the last 30 days of check history for uptime stats
+			const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+			const { data: checks } = await supabase
+				.from('link_checks')
+				.select('status, status_code, response_time_ms, checked_at')
+				.eq('link_id', id)
+				.gte('checked_at', since)
+				.order('checked_at', { ascending: false });
 
-			// Transform the data to include categories array and comment count
+			// Look-alike copies of this site at other onion addresses
+			const { data: clones } = await supabase
+				.from('links')
+				.select('id, url, title, clone_similarity')
+				.eq('clone_of', id)
+				.eq('is_public', true);
+
+			// Addresses the site's operator has signed as official mirrors
+			const { data: mirrors } = data.site_id
+				? await supabase
+						.from('site_mirrors')
+						.select('address, source, verified_at')
+						.eq('site_id', data.site_id)
+						.order('address')
+				: { data: [] };
+
+			// Who submitted the link, and how it has been edited since
+			const { data: submitter } = data.user_id
+				? await supabase.from('profiles').select('username').eq('id', data.user_id).maybeSingle()
+				: { data: null };
+
+			const { data: edits } = await supabase
+				.from('link_edits')
+				.select('id, changes, created_at, editor:profiles (username)')
+				.eq('link_id', id)
+				.order('created_at', { ascending: false })
+				.limit(20);
+
+			// Transform the data to include categories array, comment count and uptime
 			const linkWithCategories = {
 				...data,
-				categories: data.link_categories?.map(lc => lc.categories) || [],
-				comment_count: commentCount || 0
+				categories: data.link_categories?.map(lc => ({ ...lc.categories, confidence: lc.confidence, source: lc.source })) || [],
+				comment_count: commentCount || 0,
+				...calculateUptime(checks || []),
+				recent_checks: (checks || []).slice(0, 30),
+				clones: clones || [],
+				site_mirrors: mirrors || [],
+				submitted_by: submitter?.username || null,
+				edits: edits || []
 			};
 
 			// Remove the link_categories property as it's no longer needed
@@ -168,7 +187,16 @@ export async function GET({ url }) {
 						tags,
 						status,
 						last_checked_at,
-						last_verified_at
+						last_verified_at,
+						archived_at,
+						clone_of,
+						clone_similarity,
+						mirror_status,
+						onion_address_error,
+						site:sites (
+							id,
+							name
+						)
 					)
 				`)
 				.eq('category_id', categoryData.id);
@@ -180,10 +208,10 @@ export async function GET({ url }) {
 				return json({ error: error.message }, { status: 500 });
 			}
 
-			// Extract links from the nested structure and filter public ones
+			// Extract links from the nested structure and filter public, non-archived ones
 			const links = (data || [])
 				.map(item => item.links)
-				.filter(link => link && link.is_public);
+				.filter(link => link && link.is_public && !link.archived_at);
 
 			// Get comment counts for all links
 			const linkIds = links.map(link => link.id);
@@ -194,7 +222,8 @@ export async function GET({ url }) {
 					.from('comments')
 					.select('link_id')
 					.in('link_id', linkIds)
-					.eq('is_deleted', false);
+					.eq('is_deleted', false)
+					.eq('is_hidden', false);
 				
 				// Count comments per link
 				(commentData || []).forEach(comment => {
@@ -217,7 +246,13 @@ export async function GET({ url }) {
 				.from('links')
 				.select(`
 					*,
+					site:sites (
+						id,
+						name
+					),
 					link_categories (
+						confidence,
+						source,
 						categories (
 							id,
 							name,
@@ -225,7 +260,8 @@ export async function GET({ url }) {
 						)
 					)
 				`)
-				.eq('is_public', true);
+				.eq('is_public', true)
+				.is('archived_at', null);
 
 			// Apply sorting based on sortBy parameter
 			if (sortBy === 'votes') {
@@ -244,7 +280,7 @@ export async function GET({ url }) {
 			// Transform the data to include categories array
 			const linksWithCategories = (data || []).map(link => ({
 				...link,
-				categories: link.link_categories?.map(lc => lc.categories) || []
+				categories: link.link_categories?.map(lc => ({ ...lc.categories, confidence: lc.confidence, source: lc.source })) || []
 			}));
 
 			// Get comment counts for all links
@@ -256,7 +292,8 @@ export async function GET({ url }) {
 					.from('comments')
 					.select('link_id')
 					.in('link_id', linkIds)
-					.eq('is_deleted', false);
+					.eq('is_deleted', false)
+					.eq('is_hidden', false);
 				
 				// Count comments per link
 				(commentData || []).forEach(comment => {
@@ -279,7 +316,7 @@ export async function GET({ url }) {
 }
 
 /** @type {import('./$types').RequestHandler} */
-export async function POST({ request }) {
+export async function POST({ request, locals }) {
 	try {
 		const { urls } = await request.json();
 
@@ -287,60 +324,90 @@ export async function POST({ request }) {
 			return json({ error: 'Invalid URLs array' }, { status: 400 });
 		}
 
-		// Process URLs with metadata fetching
+		// Links are inserted right away; page metadata is fetched by the metadata-enricher job
 		const validUrls = [];
 		const processedUrls = [];
+		const rejected = [];
+		const seenKeys = new Set();
+		const mergeSchemes = mergeSchemesEnabled();
 		
 		for (const item of urls) {
 			if (!item.url) continue;
 
 			// Basic URL validation
 			try {
-				// Normalize the URL first (trim trailing slashes from .onion domains)
-				const normalizedUrl = normalizeUrl(item.url);
-				const urlObj = new URL(normalizedUrl);
-				
-				// Fetch metadata only if title or category not provided
-				let metadata = { title: '', description: '', image: '', siteName: '', category: 'technology' };
-				if (!item.title || !item.category) {
-					metadata = await fetchUrlMetadata(normalizedUrl);
-				}
-
-				const title = (item.title || metadata.title || urlObj.hostname).substring(0, 255);
-				const description = (item.description || metadata.description || '').substring(0, 1000);
+				// Canonicalize first so the same page is only stored once
+				const canonicalUrl = canonicalizeUrl(item.url);
+				const urlObj = new URL(canonicalUrl);
 				const domain = urlObj.hostname;
 
-				// Use provided category or detected category (guaranteed to return a valid category)
-				const suggestedCategory = item.category || metadata.category;
+				// Deprecated v2 and mistyped v3 onion addresses can never be reached
+				if (domain.endsWith('.onion')) {
+					const onion = validateOnionAddress(domain);
+					if (!onion.valid) {
+						rejected.push({ url: item.url, error: onion.error });
+						continue;
+					}
+				}
+
+				// The same page submitted twice in one batch
+				const key = duplicateKey(canonicalUrl, { mergeSchemes });
+				if (seenKeys.has(key)) continue;
+				seenKeys.add(key);
 
 				const linkData = {
-					url: normalizedUrl, // Use normalized URL
-					title,
-					description,
-					image_url: metadata.image || null,
-					site_name: metadata.siteName || domain,
+					url: canonicalUrl,
+					title: (item.title || domain).substring(0, 255),
+					description: (item.description || '').substring(0, 1000),
+					image_url: null,
+					site_name: domain,
 					domain,
-					favicon_url: `https://www.google.com/s2/favicons?domain=${domain}`,
+					favicon_url: getFaviconPath(domain),
 					tags: item.tags || [],
 					is_public: true,
-					user_id: null, // Anonymous for now
-					suggestedCategory
+					user_id: locals.user?.id ?? null,
+					metadata_status: 'pending',
+					// Fetched metadata never overwrites what the submitter typed
+					user_provided_fields: ['title', 'description'].filter(field => item[field]),
+					userCategory: item.category || null
 				};
 
 				validUrls.push(linkData);
-				processedUrls.push(normalizedUrl); // Use normalized URL
+				processedUrls.push(canonicalUrl);
 			} catch {
-				// Skip invalid URLs
+				rejected.push({ url: item.url, error: 'Invalid URL' });
 				continue;
 			}
 		}
 
 		if (validUrls.length === 0) {
-			return json({ error: 'No valid URLs provided' }, { status: 400 });
+			const error = rejected.length === 1 ? `${rejected[0].url}: ${rejected[0].error}` : 'No valid URLs provided';
+			return json({ error, rejected }, { status: 400 });
+		}
+
+		// With URL_MERGE_SCHEMES, a link stored under the other scheme is a duplicate too
+		let storedUnderOtherScheme = new Set();
+		if (mergeSchemes) {
+			const { data: existing, error: existingError } = await supabase
+				.from('links')
+				.select('url')
+				.in('url', processedUrls.flatMap(schemeVariants));
+
+			if (existingError) {
+				console.error('Supabase error:', existingError);
+				return json({ error: existingError.message }, { status: 500 });
+			}
+
+			const existingKeys = new Set((existing || []).map(link => duplicateKey(link.url, { mergeSchemes })));
+			storedUnderOtherScheme = new Set(
+				processedUrls.filter(url => existingKeys.has(duplicateKey(url, { mergeSchemes })))
+			);
 		}
 
 		// Insert links with ON CONFLICT DO NOTHING to handle duplicates
-		const linksToInsert = validUrls.map(({ suggestedCategory, ...link }) => link);
+		const linksToInsert = validUrls
+			.filter(link => !storedUnderOtherScheme.has(link.url))
+			.map(({ userCategory, ...link }) => link);
 		
 		const { data: insertedLinks, error } = await supabase
 			.from('links')
@@ -355,17 +422,76 @@ export async function POST({ request }) {
 			return json({ error: error.message }, { status: 500 });
 		}
 
-		// Auto-assign categories for successfully inserted links
+		// Store categories chosen by the submitter; the rest are assigned during enrichment
 		if (insertedLinks && insertedLinks.length > 0) {
 			await assignCategoriesToLinks(insertedLinks, validUrls);
+			triggerScheduledJob('metadata-enricher');
 		}
 
+		const insertedUrls = new Set((insertedLinks || []).map(link => link.url));
+
 		return json({
 			message: `Successfully processed ${validUrls.length} links (${insertedLinks?.length || 0} new)`,
-			links: insertedLinks
+			links: insertedLinks,
+			duplicates: processedUrls.filter(url => !insertedUrls.has(url)),
+			rejected
 		});
 	} catch (err) {
 		console.error('API error:', err);
 		return json({ error: 'Internal server error' }, { status: 500 });
 	}
+}
+
+/**
+ * PATCH /api/links - Edit a link's title, description, tags or categories
+ * Body: { id, title?, description?, tags?, categories? }
+ * Allowed for the link's submitter and for moderators; every edit is kept in link_edits.
+ */
+/** @type {import('./$types').RequestHandler} */
+export async function PATCH({ request, locals }) {
+	try {
+		if (!locals.user) {
+			return json({ error: 'Log in to edit links' }, { status: 401 });
+		}
+
+		const { id, ...fields } = await request.json();
+
+		if (!id) {
+			return json({ error: 'Link ID is required' }, { status: 400 });
+		}
+
+		const { edit, error: invalid } = parseLinkEdit(fields);
+		if (invalid) {
+			return json({ error: invalid }, { status: 400 });
+		}
+
+		const { data: link, error: linkError } = await supabase
+			.from('links')
+			.select('id, user_id, title, description, tags, user_provided_fields')
+			.eq('id', id)
+			.maybeSingle();
+
+		if (linkError) {
+			console.error('Link fetch error:', linkError);
+			return json({ error: 'Failed to load link' }, { status: 500 });
+		}
+
+		if (!link) {
+			return json({ error: 'Link not found' }, { status: 404 });
+		}
+
+		if (!canEditLink(locals.user, link)) {
+			return json({ error: 'Only the submitter or a moderator can edit this link' }, { status: 403 });
+		}
+
+		const { changes, error } = await applyLinkEdit(supabase, link, edit, locals.user);
+		if (error) {
+			return json({ error }, { status: 400 });
+		}
+
+		return json({ changes });
+	} catch (err) {
+		console.error('Link PATCH error:', err);
+		return json({ error: 'Internal server error' }, { status: 500 });
+	}
 }
\ No newline at end of file
@@ -0,0 +1,46 @@
+import { json } from '@sveltejs/kit';
+import { createClient } from '@supabase/supabase-js';
+import { PUBLIC_SUPABASE_URL } from '$env/static/public';
+import { SUPABASE_SERVICE_ROLE_KEY } from '$env/static/private';
+
+// Create server-side Supabase client with service role
+const supabase = createClient(PUBLIC_SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+
+/**
+ * Maximum number of links per status request
+ */
+const MAX_IDS = 100;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Metadata enrichment progress for recently submitted links (?ids=<id>,<id>,...)
+ * @type {import('./$types').RequestHandler}
+ */
+export async function GET({ url }) {
+	try {
+		const ids = (url.searchParams.get('ids') || '')
+			.split(',')
+			.map((id) => id.trim())
+			.filter(Boolean);
+
+		if (ids.length === 0 || ids.length > MAX_IDS || !ids.every((id) => UUID_PATTERN.test(id))) {
+			return json({ error: `Provide between 1 and ${MAX_IDS} link IDs` }, { status: 400 });
+		}
+
+		const { data, error } = await supabase
+			.from('links')
+			.select('id, url, title, metadata_status, metadata_error')
+			.in('id', ids);
+
+		if (error) {
+			console.error('Link status fetch error:', error);
+			return json({ error: error.message }, { status: 500 });
+		}
+
+		return json({ links: data || [] });
+	} catch (err) {
+		console.error('API error:', err);
+		return json({ error: 'Internal server error' }, { status: 500 });
+	}
+}
\ No newline at end of file
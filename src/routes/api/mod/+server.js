@@ -0,0 +1,78 @@
+import { json } from '@sveltejs/kit';
+import { createClient } from '@supabase/supabase-js';
+import { PUBLIC_SUPABASE_URL } from '$env/static/public';
+import { SUPABASE_SERVICE_ROLE_KEY } from '$env/static/private';
+import { isModerator } from '$lib/auth.js';
+import {
+	loadModerationLog,
+	loadModerationQueue,
+	parseModerationAction,
+	performModerationAction
+} from '$lib/moderation.js';
+
+// Create server-side Supabase client with service role
+const supabase = createClient(PUBLIC_SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+
+/**
+ * Error response for requests by non-moderators
+ * @param {App.Locals['user']} user - Signed-in user
+ * @returns {Response|null} - null for moderators
+ */
+function rejectNonModerators(user) {
+	if (!user) {
+		return json({ error: 'Log in to moderate' }, { status: 401 });
+	}
+	if (!isModerator(user)) {
+		return json({ error: 'Moderators only' }, { status: 403 });
+	}
+	return null;
+}
+
+/**
+ * GET /api/mod - Moderation queue and the latest audit log entries
+ */
+/** @type {import('./$types').RequestHandler} */
+export async function GET({ locals }) {
+	const rejected = rejectNonModerators(locals.user);
+	if (rejected) return rejected;
+
+	try {
+		const [queue, log] = await Promise.all([
+			loadModerationQueue(supabase),
+			loadModerationLog(supabase)
+		]);
+
+		return json({ ...queue, log });
+	} catch (err) {
+		console.error('Moderation queue error:', err);
+		return json({ error: 'Internal server error' }, { status: 500 });
+	}
+}
+
+/**
+ * POST /api/mod - Take a moderation action
+ * Body: { action, targetType: 'link'|'comment'|'user', targetId, categories?, reason? }
+ */
+/** @type {import('./$types').RequestHandler} */
+export async function POST({ request, locals }) {
+	const rejected = rejectNonModerators(locals.user);
+	if (rejected) return rejected;
+
+	try {
+		const { request: action, error: invalid } = parseModerationAction(await request.json());
+		if (invalid || !action) {
+			return json({ error: invalid }, { status: 400 });
+		}
+
+		const moderator = /** @type {NonNullable<App.Locals['user']>} */ (locals.user);
+		const { error, status } = await performModerationAction(supabase, moderator, action);
+		if (error) {
+			return json({ error }, { status });
+		}
+
+		return json({ message: 'Done' });
+	} catch (err) {
+		console.error('Moderation action error:', err);
+		return json({ error: 'Internal server error' }, { status: 500 });
+	}
+}
\ No newline at end of file
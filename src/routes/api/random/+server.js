@@ -16,11 +16,12 @@ export async function GET({ url }) {
 		let query = supabase
 			.from('links')
 			.select('*')
-			.eq('is_public', true);
+			.eq('is_public', true)
+			.is('archived_at', null);
 
-		// Filter for onion URLs only if requested
+		// Filter for onion URLs only if requested, leaving out addresses that cannot be reached
 		if (onionOnly) {
-			query = query.or('url.like.%.onion,url.like.%.onion/%');
+			query = query.ilike('domain', '%.onion').is('onion_address_error', null);
 		}
 
 		// Get all links first to count them
@@ -35,7 +36,8 @@ export async function GET({ url }) {
 				const { data: allLinksData, error: allError } = await supabase
 					.from('links')
 					.select('*')
-					.eq('is_public', true);
+					.eq('is_public', true)
+					.is('archived_at', null);
 				
 				console.log('All links data:', allLinksData?.length, 'Error:', allError);
 				
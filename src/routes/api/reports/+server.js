@@ -0,0 +1,43 @@
+import { json } from '@sveltejs/kit';
+import { createClient } from '@supabase/supabase-js';
+import { PUBLIC_SUPABASE_URL } from '$env/static/public';
+import { SUPABASE_SERVICE_ROLE_KEY } from '$env/static/private';
+import { getAnonymousSessionId, getReporterKey, getVoterKey } from '$lib/auth.js';
+import { parseReport, submitReport } from '$lib/reports.js';
+
+// Create server-side Supabase client with service role
+const supabase = createClient(PUBLIC_SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+
+/**
+ * POST /api/reports - Report a link or comment
+ * Body: { targetType: 'link'|'comment', targetId, reason, details?, fingerprint? }
+ */
+/** @type {import('./$types').RequestHandler} */
+export async function POST({ request, getClientAddress, locals }) {
+	try {
+		const body = await request.json();
+		const { report, error: invalid } = parseReport(body);
+		if (!report) {
+			return json({ error: invalid }, { status: 400 });
+		}
+
+		const sessionId = getVoterKey(
+			locals.user,
+			getAnonymousSessionId(getClientAddress(), body.fingerprint)
+		);
+		const { error, status } = await submitReport(supabase, report, {
+			sessionId,
+			reporterKey: getReporterKey(locals.user, getClientAddress()),
+			userId: locals.user?.id ?? null
+		});
+
+		if (error) {
+			return json({ error }, { status });
+		}
+
+		return json({ message: 'Thanks, a moderator will take a look' }, { status: 201 });
+	} catch (err) {
+		console.error('Report API error:', err);
+		return json({ error: 'Internal server error' }, { status: 500 });
+	}
+}
\ No newline at end of file
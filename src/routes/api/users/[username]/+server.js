@@ -0,0 +1,54 @@
+import { json } from '@sveltejs/kit';
+import { createClient } from '@supabase/supabase-js';
+import { PUBLIC_SUPABASE_URL } from '$env/static/public';
+import { SUPABASE_SERVICE_ROLE_KEY } from '$env/static/private';
+import { findProfile } from '$lib/auth.js';
+import { getUserKarma, listUserComments, listUserLinks } from '$lib/profiles.js';
+
+// Create server-side Supabase client with service role
+const supabase = createClient(PUBLIC_SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+
+/**
+ * GET /api/users/[username] - Profile, karma and contributions of a user
+ * Query params: type ('links' or 'comments', default: links), limit (default: 10), offset (default: 0),
+ * sort ('latest' or 'votes')
+ */
+/** @type {import('./$types').RequestHandler} */
+export async function GET({ params, url }) {
+	try {
+		const type = url.searchParams.get('type') || 'links';
+		const limit = parseInt(url.searchParams.get('limit') || '10');
+		const offset = parseInt(url.searchParams.get('offset') || '0');
+		const sort = url.searchParams.get('sort') || 'latest'; // 'latest' or 'votes'
+
+		if (type !== 'links' && type !== 'comments') {
+			return json({ error: "type must be 'links' or 'comments'" }, { status: 400 });
+		}
+
+		if (limit > 100) {
+			return json({ error: 'Limit cannot exceed 100' }, { status: 400 });
+		}
+
+		const profile = await findProfile(supabase, params.username);
+		if (!profile) {
+			return json({ error: 'User not found' }, { status: 404 });
+		}
+
+		const options = { limit, offset, sort };
+		const [karma, items] = await Promise.all([
+			getUserKarma(supabase, profile.id),
+			type === 'links'
+				? listUserLinks(supabase, profile.id, options)
+				: listUserComments(supabase, profile.id, options)
+		]);
+
+		return json({
+			user: { username: profile.username, created_at: profile.created_at, karma },
+			[type]: items,
+			hasMore: items.length === limit
+		});
+	} catch (err) {
+		console.error('User profile GET error:', err);
+		return json({ error: 'Internal server error' }, { status: 500 });
+	}
+}
\ No newline at end of file
@@ -2,12 +2,14 @@ import { json } from '@sveltejs/kit';
 import { createClient } from '@supabase/supabase-js';
 import { PUBLIC_SUPABASE_URL } from '$env/static/public';
 import { SUPABASE_SERVICE_ROLE_KEY } from '$env/static/private';
+import { getAnonymousSessionId, getVoterKey } from '$lib/auth.js';
+import { recordVote } from '$lib/votes.js';
 
 // Create server-side Supabase client with service role
 const supabase = createClient(PUBLIC_SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
 
 /** @type {import('./$types').RequestHandler} */
-export async function POST({ request, getClientAddress }) {
+export async function POST({ request, getClientAddress, locals }) {
 	try {
 		const { linkId, voteType, fingerprint } = await request.json();
 
@@ -16,30 +18,26 @@ export async function POST({ request, getClientAddress }) {
 			return json({ error: 'Invalid vote data' }, { status: 400 });
 		}
 
-		// Create session ID from IP + fingerprint for anonymous voting
-		const clientIP = getClientAddress();
-		const sessionId = `anon_${Buffer.from(clientIP + (fingerprint || '')).toString('base64').substring(0, 16)}`;
+		const sessionId = getVoterKey(locals.user, getAnonymousSessionId(getClientAddress(), fingerprint));
 
-		// Simple voting without duplicate prevention (for now)
-		if (voteType !== null) {
-			// Create new vote
-			const { error } = await supabase
-				.from('votes')
-				.insert({
-					link_id: linkId,
-					user_id: null,
-					vote_type: voteType
-				});
+		const { error } = await recordVote(supabase, {
+			linkId,
+			sessionId,
+			userId: locals.user?.id ?? null,
+			voteType
+		});
 
-			if (error) {
-				console.error('Vote insert error:', error);
-				return json({ error: error.message }, { status: 500 });
-			}
+		if (error) {
+			console.error('Vote error:', error);
+			const message = voteType === null ? 'Failed to remove vote' : 'Failed to record vote';
+			return json({ error: message }, { status: 500 });
+		}
 
-			return json({ message: 'Vote recorded successfully' });
+		if (voteType === null) {
+			return json({ message: 'Vote removed successfully' });
 		}
 
-		return json({ message: 'No action taken' });
+		return json({ message: 'Vote recorded successfully' });
 	} catch (err) {
 		console.error('Vote API error:', err);
 		return json({ error: 'Internal server error' }, { status: 500 });
@@ -47,7 +45,7 @@ export async function POST({ request, getClientAddress }) {
 }
 
 /** @type {import('./$types').RequestHandler} */
-export async function GET({ url, getClientAddress }) {
+export async function GET({ url, getClientAddress, locals }) {
 	try {
 		const linkId = url.searchParams.get('linkId');
 		const fingerprint = url.searchParams.get('fingerprint');
@@ -56,12 +54,15 @@ export async function GET({ url, getClientAddress }) {
 			return json({ error: 'Link ID required' }, { status: 400 });
 		}
 
-		// Create session ID from IP + fingerprint for anonymous voting
-		const clientIP = getClientAddress();
-		const sessionId = `anon_${Buffer.from(clientIP + (fingerprint || '')).toString('base64').substring(0, 16)}`;
+		const sessionId = getVoterKey(locals.user, getAnonymousSessionId(getClientAddress(), fingerprint));
 
-		// Simple vote counting without session tracking (for now)
-		const userVote = null;
+		// Get this session's vote for the link
+		const { data: userVote } = await supabase
+			.from('votes')
+			.select('vote_type')
+			.eq('link_id', linkId)
+			.eq('session_id', sessionId)
+			.maybeSingle();
 
 		// Get vote counts for this link
 		const { data: voteCounts } = await supabase
@@ -74,7 +75,7 @@ export async function GET({ url, getClientAddress }) {
 		const totalScore = upvotes - downvotes;
 
 		return json({
-			userVote: null, // No session tracking for now
+			userVote: userVote?.vote_type || null,
 			upvotes,
 			downvotes,
 			totalScore
@@ -0,0 +1,13 @@
+import { error, redirect } from '@sveltejs/kit';
+import { isModerator } from '$lib/auth.js';
+
+/** @type {import('./$types').PageServerLoad} */
+export function load({ locals }) {
+	if (!locals.user) {
+		redirect(303, '/login');
+	}
+	if (!isModerator(locals.user)) {
+		error(403, 'Moderators only');
+	}
+	return {};
+}
\ No newline at end of file
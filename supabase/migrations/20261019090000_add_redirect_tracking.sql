@@ -0,0 +1,14 @@
+-- Track where a link ends up after following redirects during link checks
+ALTER TABLE public.links ADD COLUMN IF NOT EXISTS final_url TEXT;
+ALTER TABLE public.links ADD COLUMN IF NOT EXISTS redirect_chain TEXT[] DEFAULT '{}';
+
+-- Recreate the links_needing_check view so it picks up the new columns
+DROP VIEW IF EXISTS public.links_needing_check;
+CREATE VIEW public.links_needing_check AS
+SELECT *
+FROM public.links
+WHERE last_checked_at IS NULL 
+   OR last_checked_at < (NOW() - INTERVAL '24 hours');
+
+-- Grant necessary permissions
+GRANT SELECT ON public.links_needing_check TO authenticated, anon;
\ No newline at end of file
@@ -0,0 +1,47 @@
+-- Archive dead links instead of deleting them so their votes, categories and comments survive
+ALTER TABLE public.links ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE;
+
+-- Create index for filtering archived links out of listings
+CREATE INDEX IF NOT EXISTS idx_links_archived_at ON public.links(archived_at);
+
+-- Recreate the links_needing_check view so it picks up the new column.
+-- Archived links keep being checked so they can be revived.
+DROP VIEW IF EXISTS public.links_needing_check;
+CREATE VIEW public.links_needing_check AS
+SELECT *
+FROM public.links
+WHERE last_checked_at IS NULL 
+   OR last_checked_at < (NOW() - INTERVAL '24 hours');
+
+-- Grant necessary permissions
+GRANT SELECT ON public.links_needing_check TO authenticated, anon;
+
+-- Replace cleanup_dead_links: archive links after 3 consecutive failures and only
+-- purge links that have stayed archived for longer than the grace period
+DROP FUNCTION IF EXISTS public.cleanup_dead_links();
+CREATE OR REPLACE FUNCTION public.cleanup_dead_links(grace_period INTERVAL DEFAULT INTERVAL '30 days')
+RETURNS INTEGER AS $$
+DECLARE
+    deleted_count INTEGER;
+BEGIN
+    UPDATE public.links
+    SET archived_at = NOW()
+    WHERE consecutive_failures >= 3
+    AND status = 'dead'
+    AND archived_at IS NULL;
+
+    WITH deleted_links AS (
+        DELETE FROM public.links 
+        WHERE archived_at IS NOT NULL
+        AND archived_at < (NOW() - grace_period)
+        AND status = 'dead'
+        RETURNING id
+    )
+    SELECT COUNT(*) INTO deleted_count FROM deleted_links;
+    
+    RETURN deleted_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Grant necessary permissions
+GRANT EXECUTE ON FUNCTION public.cleanup_dead_links(INTERVAL) TO authenticated;
\ No newline at end of file
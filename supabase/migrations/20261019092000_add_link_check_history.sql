@@ -0,0 +1,21 @@
+-- Create link_checks table to keep the result of every link check
+CREATE TABLE IF NOT EXISTS public.link_checks (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    link_id UUID REFERENCES public.links(id) ON DELETE CASCADE NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('live', 'dead')),
+    status_code INTEGER,
+    error_message TEXT,
+    response_time_ms INTEGER,
+    final_url TEXT,
+    checked_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- Create index for per-link history lookups (newest first)
+CREATE INDEX IF NOT EXISTS idx_link_checks_link_id_checked_at ON public.link_checks(link_id, checked_at DESC);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE public.link_checks ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policies for link checks (public read, written by the checker with the service role)
+CREATE POLICY "Link checks are viewable by everyone" ON public.link_checks
+    FOR SELECT USING (true);
\ No newline at end of file
@@ -0,0 +1,17 @@
+-- Record why a link check failed (dns, tcp_refused, tls, timeout, tor_circuit, socks, http_4xx, http_5xx, ...)
+ALTER TABLE public.links ADD COLUMN IF NOT EXISTS error_type TEXT;
+ALTER TABLE public.link_checks ADD COLUMN IF NOT EXISTS error_type TEXT;
+
+-- Time to first byte of the final response, alongside the total check duration
+ALTER TABLE public.link_checks ADD COLUMN IF NOT EXISTS ttfb_ms INTEGER;
+
+-- Recreate the links_needing_check view so it picks up the new column
+DROP VIEW IF EXISTS public.links_needing_check;
+CREATE VIEW public.links_needing_check AS
+SELECT *
+FROM public.links
+WHERE last_checked_at IS NULL 
+   OR last_checked_at < (NOW() - INTERVAL '24 hours');
+
+-- Grant necessary permissions
+GRANT SELECT ON public.links_needing_check TO authenticated, anon;
\ No newline at end of file
@@ -0,0 +1,18 @@
+-- Favicons are fetched by the server (through Tor for onion sites) and served from /api/favicon/[domain]
+-- instead of Google's favicon service, which leaked visitors' browsing and never worked for .onion domains
+CREATE TABLE IF NOT EXISTS public.favicons (
+    domain TEXT PRIMARY KEY,
+    content_type TEXT,
+    data TEXT, -- base64 image bytes, NULL when no icon could be fetched
+    source_url TEXT,
+    fetched_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- Enable Row Level Security (RLS); no policies, the table is only read and written with the service role
+ALTER TABLE public.favicons ENABLE ROW LEVEL SECURITY;
+
+-- Point existing links at our own favicon route
+UPDATE public.links
+SET favicon_url = '/api/favicon/' || lower(domain)
+WHERE domain IS NOT NULL
+  AND (favicon_url IS NULL OR favicon_url LIKE 'https://www.google.com/s2/favicons%');
\ No newline at end of file
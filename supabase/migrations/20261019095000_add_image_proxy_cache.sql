@@ -0,0 +1,14 @@
+-- Preview images (links.image_url) are fetched by the server, resized to thumbnails, stripped of
+-- EXIF data and served from /api/image/[id], so browsers never load them from third parties
+CREATE TABLE IF NOT EXISTS public.link_images (
+    link_id UUID REFERENCES public.links(id) ON DELETE CASCADE NOT NULL,
+    size TEXT NOT NULL CHECK (size IN ('small', 'medium', 'large')),
+    source_url TEXT NOT NULL, -- image_url the thumbnail was made from
+    content_type TEXT,
+    data TEXT, -- base64 image bytes, NULL when the image could not be fetched
+    fetched_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+    PRIMARY KEY (link_id, size)
+);
+
+-- Enable Row Level Security (RLS); no policies, the table is only read and written with the service role
+ALTER TABLE public.link_images ENABLE ROW LEVEL SECURITY;
\ No newline at end of file
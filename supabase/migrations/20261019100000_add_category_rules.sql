@@ -0,0 +1,459 @@
+-- Category classifier rules: weighted keywords per category, matched on word boundaries against a
+-- page's title, domain, description and body (see src/lib/category-classifier.js).
+-- Admins tune classification by editing rows here (`pnpm category-rules`, the Supabase dashboard or SQL);
+-- no code change needed.
+CREATE TABLE IF NOT EXISTS public.category_rules (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    category_id UUID REFERENCES public.categories(id) ON DELETE CASCADE NOT NULL,
+    keyword TEXT NOT NULL CHECK (length(trim(keyword)) > 0),
+    weight NUMERIC(4, 2) DEFAULT 1 NOT NULL, -- negative weights count against the category
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+    UNIQUE (category_id, keyword)
+);
+
+-- Create index for loading the rules of a category
+CREATE INDEX IF NOT EXISTS idx_category_rules_category_id ON public.category_rules(category_id);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE public.category_rules ENABLE ROW LEVEL SECURITY;
+
+-- Rules are public (classification is transparent); only admins using the service role can change them
+CREATE POLICY "Category rules are viewable by everyone" ON public.category_rules
+    FOR SELECT USING (true);
+
+-- Seed rules for every seeded category
+INSERT INTO public.category_rules (category_id, keyword, weight)
+SELECT c.id, r.keyword, r.weight
+FROM (VALUES
+    ('Technology', 'technology', 2),
+    ('Technology', 'tech', 1),
+    ('Technology', 'gadget', 1),
+    ('Technology', 'gadgets', 1),
+    ('Technology', 'innovation', 1),
+    ('Technology', 'digital', 1),
+    ('Technology', 'computer', 1),
+    ('Technology', 'techcrunch', 2),
+    ('Technology', 'wired', 1),
+    ('Technology', 'the verge', 2),
+    ('Technology', 'ars technica', 2),
+    ('Programming', 'programming', 2),
+    ('Programming', 'programmer', 2),
+    ('Programming', 'code', 1),
+    ('Programming', 'coding', 2),
+    ('Programming', 'developer', 1),
+    ('Programming', 'compiler', 2),
+    ('Programming', 'javascript', 2),
+    ('Programming', 'typescript', 2),
+    ('Programming', 'python', 2),
+    ('Programming', 'rust', 1),
+    ('Programming', 'golang', 2),
+    ('Programming', 'java', 1),
+    ('Programming', 'c++', 2),
+    ('Programming', 'github', 2),
+    ('Programming', 'gitlab', 2),
+    ('Programming', 'stack overflow', 2),
+    ('Programming', 'stackoverflow', 2),
+    ('Programming', 'algorithm', 1),
+    ('Programming', 'source code', 2),
+    ('Design', 'design', 2),
+    ('Design', 'designer', 2),
+    ('Design', 'ui', 1),
+    ('Design', 'ux', 2),
+    ('Design', 'user experience', 2),
+    ('Design', 'typography', 2),
+    ('Design', 'figma', 2),
+    ('Design', 'sketch', 1),
+    ('Design', 'dribbble', 2),
+    ('Design', 'behance', 2),
+    ('Design', 'wireframe', 2),
+    ('Design', 'prototype', 1),
+    ('News', 'news', 2),
+    ('News', 'breaking news', 2),
+    ('News', 'headlines', 2),
+    ('News', 'journalism', 2),
+    ('News', 'reporter', 1),
+    ('News', 'reuters', 2),
+    ('News', 'associated press', 2),
+    ('News', 'bbc', 2),
+    ('News', 'cnn', 2),
+    ('News', 'nytimes', 2),
+    ('News', 'guardian', 1),
+    ('Education', 'education', 2),
+    ('Education', 'learning', 1),
+    ('Education', 'course', 1),
+    ('Education', 'courses', 1),
+    ('Education', 'lesson', 1),
+    ('Education', 'university', 2),
+    ('Education', 'college', 1),
+    ('Education', 'school', 1),
+    ('Education', 'student', 1),
+    ('Education', 'students', 1),
+    ('Education', 'coursera', 2),
+    ('Education', 'udemy', 2),
+    ('Education', 'edx', 2),
+    ('Education', 'khan academy', 2),
+    ('Entertainment', 'entertainment', 2),
+    ('Entertainment', 'celebrity', 2),
+    ('Entertainment', 'comedy', 2),
+    ('Entertainment', 'humor', 1),
+    ('Entertainment', 'memes', 2),
+    ('Entertainment', 'meme', 2),
+    ('Entertainment', 'fun', 1),
+    ('Entertainment', 'tv shows', 2),
+    ('Entertainment', 'streaming', 1),
+    ('Science', 'science', 2),
+    ('Science', 'scientific', 2),
+    ('Science', 'research', 1),
+    ('Science', 'physics', 2),
+    ('Science', 'chemistry', 2),
+    ('Science', 'biology', 2),
+    ('Science', 'astronomy', 2),
+    ('Science', 'peer-reviewed', 2),
+    ('Science', 'nature', 1),
+    ('Science', 'arxiv', 2),
+    ('Health', 'health', 2),
+    ('Health', 'medical', 2),
+    ('Health', 'medicine', 2),
+    ('Health', 'fitness', 2),
+    ('Health', 'wellness', 2),
+    ('Health', 'nutrition', 2),
+    ('Health', 'mental health', 2),
+    ('Health', 'doctor', 1),
+    ('Health', 'workout', 1),
+    ('Finance', 'finance', 2),
+    ('Finance', 'financial', 2),
+    ('Finance', 'investing', 2),
+    ('Finance', 'investment', 2),
+    ('Finance', 'stocks', 2),
+    ('Finance', 'stock market', 2),
+    ('Finance', 'money', 1),
+    ('Finance', 'banking', 2),
+    ('Finance', 'personal finance', 2),
+    ('Finance', 'economy', 1),
+    ('Business', 'business', 2),
+    ('Business', 'company', 1),
+    ('Business', 'companies', 1),
+    ('Business', 'enterprise', 1),
+    ('Business', 'management', 1),
+    ('Business', 'corporate', 1),
+    ('Business', 'ceo', 1),
+    ('Business', 'industry', 1),
+    ('Sports', 'sports', 2),
+    ('Sports', 'sport', 1),
+    ('Sports', 'football', 2),
+    ('Sports', 'soccer', 2),
+    ('Sports', 'basketball', 2),
+    ('Sports', 'baseball', 2),
+    ('Sports', 'tennis', 2),
+    ('Sports', 'olympics', 2),
+    ('Sports', 'nba', 2),
+    ('Sports', 'nfl', 2),
+    ('Sports', 'espn', 2),
+    ('Travel', 'travel', 2),
+    ('Travel', 'traveling', 2),
+    ('Travel', 'tourism', 2),
+    ('Travel', 'destination', 1),
+    ('Travel', 'hotel', 1),
+    ('Travel', 'hotels', 1),
+    ('Travel', 'flights', 1),
+    ('Travel', 'itinerary', 2),
+    ('Travel', 'backpacking', 2),
+    ('Food', 'food', 2),
+    ('Food', 'recipe', 2),
+    ('Food', 'recipes', 2),
+    ('Food', 'cooking', 2),
+    ('Food', 'restaurant', 1),
+    ('Food', 'baking', 2),
+    ('Food', 'cuisine', 2),
+    ('Food', 'chef', 1),
+    ('Photography', 'photography', 2),
+    ('Photography', 'photographer', 2),
+    ('Photography', 'camera', 1),
+    ('Photography', 'cameras', 1),
+    ('Photography', 'lens', 1),
+    ('Photography', 'photo', 1),
+    ('Photography', 'photos', 1),
+    ('Photography', 'lightroom', 2),
+    ('Photography', 'dslr', 2),
+    ('Music', 'music', 2),
+    ('Music', 'album', 2),
+    ('Music', 'albums', 1),
+    ('Music', 'song', 1),
+    ('Music', 'songs', 1),
+    ('Music', 'band', 1),
+    ('Music', 'musician', 2),
+    ('Music', 'spotify', 2),
+    ('Music', 'bandcamp', 2),
+    ('Music', 'soundcloud', 2),
+    ('Books', 'books', 2),
+    ('Books', 'book', 1),
+    ('Books', 'novel', 2),
+    ('Books', 'novels', 2),
+    ('Books', 'author', 1),
+    ('Books', 'reading', 1),
+    ('Books', 'literature', 2),
+    ('Books', 'ebook', 2),
+    ('Books', 'goodreads', 2),
+    ('Movies', 'movie', 2),
+    ('Movies', 'movies', 2),
+    ('Movies', 'film', 2),
+    ('Movies', 'films', 2),
+    ('Movies', 'cinema', 2),
+    ('Movies', 'trailer', 1),
+    ('Movies', 'box office', 2),
+    ('Movies', 'imdb', 2),
+    ('Movies', 'director', 1),
+    ('Gaming', 'gaming', 2),
+    ('Gaming', 'video game', 2),
+    ('Gaming', 'video games', 2),
+    ('Gaming', 'gamer', 2),
+    ('Gaming', 'steam', 1),
+    ('Gaming', 'playstation', 2),
+    ('Gaming', 'xbox', 2),
+    ('Gaming', 'nintendo', 2),
+    ('Gaming', 'esports', 2),
+    ('Gaming', 'game', 1),
+    ('Art', 'art', 2),
+    ('Art', 'artist', 2),
+    ('Art', 'artwork', 2),
+    ('Art', 'painting', 2),
+    ('Art', 'illustration', 2),
+    ('Art', 'gallery', 1),
+    ('Art', 'sculpture', 2),
+    ('Art', 'drawing', 1),
+    ('History', 'history', 2),
+    ('History', 'historical', 2),
+    ('History', 'ancient', 1),
+    ('History', 'century', 1),
+    ('History', 'war', 1),
+    ('History', 'archaeology', 2),
+    ('History', 'medieval', 2),
+    ('Politics', 'politics', 2),
+    ('Politics', 'political', 2),
+    ('Politics', 'election', 2),
+    ('Politics', 'government', 1),
+    ('Politics', 'policy', 1),
+    ('Politics', 'congress', 2),
+    ('Politics', 'parliament', 2),
+    ('Politics', 'senate', 2),
+    ('Politics', 'democracy', 1),
+    ('Environment', 'environment', 2),
+    ('Environment', 'environmental', 2),
+    ('Environment', 'climate', 2),
+    ('Environment', 'climate change', 2),
+    ('Environment', 'sustainability', 2),
+    ('Environment', 'renewable', 2),
+    ('Environment', 'pollution', 2),
+    ('Environment', 'ecology', 2),
+    ('Cryptocurrency', 'cryptocurrency', 2),
+    ('Cryptocurrency', 'crypto', 2),
+    ('Cryptocurrency', 'bitcoin', 2),
+    ('Cryptocurrency', 'ethereum', 2),
+    ('Cryptocurrency', 'monero', 2),
+    ('Cryptocurrency', 'blockchain', 2),
+    ('Cryptocurrency', 'wallet', 1),
+    ('Cryptocurrency', 'defi', 2),
+    ('Cryptocurrency', 'nft', 1),
+    ('AI & Machine Learning', 'artificial intelligence', 2),
+    ('AI & Machine Learning', 'machine learning', 2),
+    ('AI & Machine Learning', 'ai', 1),
+    ('AI & Machine Learning', 'deep learning', 2),
+    ('AI & Machine Learning', 'neural network', 2),
+    ('AI & Machine Learning', 'llm', 2),
+    ('AI & Machine Learning', 'pytorch', 2),
+    ('AI & Machine Learning', 'tensorflow', 2),
+    ('AI & Machine Learning', 'hugging face', 2),
+    ('Cybersecurity', 'cybersecurity', 2),
+    ('Cybersecurity', 'security', 1),
+    ('Cybersecurity', 'infosec', 2),
+    ('Cybersecurity', 'vulnerability', 2),
+    ('Cybersecurity', 'exploit', 2),
+    ('Cybersecurity', 'malware', 2),
+    ('Cybersecurity', 'ransomware', 2),
+    ('Cybersecurity', 'phishing', 2),
+    ('Cybersecurity', 'cve', 2),
+    ('Cybersecurity', 'penetration testing', 2),
+    ('Cybersecurity', 'encryption', 1),
+    ('Cybersecurity', 'privacy', 1),
+    ('Mobile Development', 'mobile development', 2),
+    ('Mobile Development', 'android', 2),
+    ('Mobile Development', 'ios', 2),
+    ('Mobile Development', 'swift', 1),
+    ('Mobile Development', 'kotlin', 2),
+    ('Mobile Development', 'flutter', 2),
+    ('Mobile Development', 'react native', 2),
+    ('Mobile Development', 'mobile app', 2),
+    ('Web Development', 'web development', 2),
+    ('Web Development', 'web developer', 2),
+    ('Web Development', 'html', 2),
+    ('Web Development', 'css', 2),
+    ('Web Development', 'frontend', 2),
+    ('Web Development', 'front-end', 2),
+    ('Web Development', 'backend', 1),
+    ('Web Development', 'react', 1),
+    ('Web Development', 'svelte', 2),
+    ('Web Development', 'vue', 1),
+    ('Web Development', 'next.js', 2),
+    ('Web Development', 'node.js', 2),
+    ('DevOps', 'devops', 2),
+    ('DevOps', 'docker', 2),
+    ('DevOps', 'kubernetes', 2),
+    ('DevOps', 'ci/cd', 2),
+    ('DevOps', 'terraform', 2),
+    ('DevOps', 'ansible', 2),
+    ('DevOps', 'deployment', 1),
+    ('DevOps', 'infrastructure', 1),
+    ('DevOps', 'sre', 2),
+    ('Data Science', 'data science', 2),
+    ('Data Science', 'data scientist', 2),
+    ('Data Science', 'data analysis', 2),
+    ('Data Science', 'statistics', 2),
+    ('Data Science', 'visualization', 1),
+    ('Data Science', 'pandas', 2),
+    ('Data Science', 'jupyter', 2),
+    ('Data Science', 'dataset', 1),
+    ('Data Science', 'datasets', 1),
+    ('Productivity', 'productivity', 2),
+    ('Productivity', 'productive', 1),
+    ('Productivity', 'time management', 2),
+    ('Productivity', 'todo', 1),
+    ('Productivity', 'note-taking', 2),
+    ('Productivity', 'workflow', 1),
+    ('Productivity', 'habits', 1),
+    ('Career', 'career', 2),
+    ('Career', 'careers', 2),
+    ('Career', 'job', 1),
+    ('Career', 'jobs', 1),
+    ('Career', 'hiring', 1),
+    ('Career', 'resume', 2),
+    ('Career', 'interview', 1),
+    ('Career', 'salary', 1),
+    ('Startups', 'startup', 2),
+    ('Startups', 'startups', 2),
+    ('Startups', 'founder', 2),
+    ('Startups', 'founders', 2),
+    ('Startups', 'venture capital', 2),
+    ('Startups', 'funding', 1),
+    ('Startups', 'y combinator', 2),
+    ('Startups', 'seed round', 2),
+    ('Marketing', 'marketing', 2),
+    ('Marketing', 'seo', 2),
+    ('Marketing', 'advertising', 2),
+    ('Marketing', 'branding', 2),
+    ('Marketing', 'content marketing', 2),
+    ('Marketing', 'growth', 1),
+    ('Marketing', 'campaign', 1),
+    ('Social Media', 'social media', 2),
+    ('Social Media', 'social network', 2),
+    ('Social Media', 'twitter', 1),
+    ('Social Media', 'facebook', 1),
+    ('Social Media', 'instagram', 1),
+    ('Social Media', 'tiktok', 1),
+    ('Social Media', 'mastodon', 2),
+    ('Social Media', 'fediverse', 2),
+    ('Podcasts', 'podcast', 2),
+    ('Podcasts', 'podcasts', 2),
+    ('Podcasts', 'episode', 1),
+    ('Podcasts', 'episodes', 1),
+    ('Podcasts', 'listen', 1),
+    ('YouTube', 'youtube', 2),
+    ('YouTube', 'youtuber', 2),
+    ('YouTube', 'channel', 1),
+    ('YouTube', 'vlog', 2),
+    ('Open Source', 'open source', 2),
+    ('Open Source', 'open-source', 2),
+    ('Open Source', 'foss', 2),
+    ('Open Source', 'free software', 2),
+    ('Open Source', 'gpl', 2),
+    ('Open Source', 'mit license', 2),
+    ('Open Source', 'contributors', 1),
+    ('Open Source', 'github', 1),
+    ('Hardware', 'hardware', 2),
+    ('Hardware', 'cpu', 2),
+    ('Hardware', 'gpu', 2),
+    ('Hardware', 'motherboard', 2),
+    ('Hardware', 'processor', 1),
+    ('Hardware', 'raspberry pi', 2),
+    ('Hardware', 'arduino', 2),
+    ('Hardware', 'benchmark', 1),
+    ('Software', 'software', 2),
+    ('Software', 'application', 1),
+    ('Software', 'app', 1),
+    ('Software', 'download', 1),
+    ('Software', 'release notes', 2),
+    ('Software', 'changelog', 2),
+    ('Tutorials', 'tutorial', 2),
+    ('Tutorials', 'tutorials', 2),
+    ('Tutorials', 'how to', 2),
+    ('Tutorials', 'how-to', 2),
+    ('Tutorials', 'guide', 1),
+    ('Tutorials', 'step by step', 2),
+    ('Tutorials', 'walkthrough', 2),
+    ('Documentation', 'documentation', 2),
+    ('Documentation', 'docs', 2),
+    ('Documentation', 'reference', 1),
+    ('Documentation', 'manual', 1),
+    ('Documentation', 'api reference', 2),
+    ('Documentation', 'readme', 1),
+    ('APIs', 'api', 2),
+    ('APIs', 'apis', 2),
+    ('APIs', 'rest api', 2),
+    ('APIs', 'graphql', 2),
+    ('APIs', 'endpoint', 1),
+    ('APIs', 'endpoints', 1),
+    ('APIs', 'openapi', 2),
+    ('APIs', 'webhook', 1),
+    ('Databases', 'database', 2),
+    ('Databases', 'databases', 2),
+    ('Databases', 'sql', 2),
+    ('Databases', 'postgresql', 2),
+    ('Databases', 'postgres', 2),
+    ('Databases', 'mysql', 2),
+    ('Databases', 'mongodb', 2),
+    ('Databases', 'redis', 2),
+    ('Databases', 'sqlite', 2),
+    ('Cloud Computing', 'cloud', 1),
+    ('Cloud Computing', 'cloud computing', 2),
+    ('Cloud Computing', 'aws', 2),
+    ('Cloud Computing', 'azure', 2),
+    ('Cloud Computing', 'gcp', 2),
+    ('Cloud Computing', 'google cloud', 2),
+    ('Cloud Computing', 'serverless', 2),
+    ('Cloud Computing', 'saas', 1),
+    ('Networking', 'networking', 2),
+    ('Networking', 'network', 1),
+    ('Networking', 'tcp/ip', 2),
+    ('Networking', 'dns', 2),
+    ('Networking', 'router', 2),
+    ('Networking', 'firewall', 2),
+    ('Networking', 'vpn', 2),
+    ('Networking', 'bgp', 2),
+    ('Networking', 'ipv6', 2),
+    ('Linux', 'linux', 2),
+    ('Linux', 'ubuntu', 2),
+    ('Linux', 'debian', 2),
+    ('Linux', 'arch linux', 2),
+    ('Linux', 'fedora', 2),
+    ('Linux', 'kernel', 1),
+    ('Linux', 'bash', 1),
+    ('Linux', 'distro', 2),
+    ('Linux', 'sysadmin', 1),
+    ('Forums', 'forum', 2),
+    ('Forums', 'forums', 2),
+    ('Forums', 'message board', 2),
+    ('Forums', 'discussion', 1),
+    ('Forums', 'community', 1),
+    ('Forums', 'threads', 1),
+    ('Forums', 'bbs', 2),
+    ('Forums', 'dread', 2),
+    ('Dark Net Markets', 'darknet market', 2),
+    ('Dark Net Markets', 'dark net market', 2),
+    ('Dark Net Markets', 'darknet', 2),
+    ('Dark Net Markets', 'marketplace', 1),
+    ('Dark Net Markets', 'vendor', 1),
+    ('Dark Net Markets', 'vendors', 1),
+    ('Dark Net Markets', 'escrow', 2),
+    ('Dark Net Markets', 'market', 1)
+) AS r(category_name, keyword, weight)
+JOIN public.categories c ON c.name = r.category_name
+ON CONFLICT (category_id, keyword) DO NOTHING;
\ No newline at end of file
@@ -0,0 +1,13 @@
+-- Links can be placed in several categories by the classifier. Record how each category was
+-- assigned so automatic ones can be re-evaluated without touching choices made by people.
+ALTER TABLE public.link_categories
+ADD COLUMN IF NOT EXISTS confidence NUMERIC(3,2) CHECK (confidence IS NULL OR (confidence >= 0 AND confidence <= 1)), -- classifier confidence, NULL when chosen by a person
+ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'auto' CHECK (source IN ('auto', 'user', 'admin')),
+ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL;
+
+-- Existing rows were assigned by the keyword detector and are marked 'auto' above.
+-- Rows added by hand in the dashboard or with SQL from now on are admin choices.
+ALTER TABLE public.link_categories ALTER COLUMN source SET DEFAULT 'admin';
+
+-- Find automatic assignments to re-evaluate
+CREATE INDEX IF NOT EXISTS idx_link_categories_source ON public.link_categories(source);
\ No newline at end of file
@@ -0,0 +1,26 @@
+-- Links are inserted as soon as they are submitted and enriched with page metadata by a
+-- background job. Existing links already have their metadata.
+ALTER TABLE public.links
+ADD COLUMN IF NOT EXISTS metadata_status TEXT NOT NULL DEFAULT 'complete' CHECK (metadata_status IN ('pending', 'complete', 'failed')),
+ADD COLUMN IF NOT EXISTS metadata_attempts INTEGER DEFAULT 0 NOT NULL,
+ADD COLUMN IF NOT EXISTS metadata_error TEXT,
+ADD COLUMN IF NOT EXISTS metadata_fetched_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS user_provided_fields TEXT[] DEFAULT '{}' NOT NULL; -- fields given by the submitter (title, description), never overwritten by fetched metadata
+
+-- New links start pending
+ALTER TABLE public.links ALTER COLUMN metadata_status SET DEFAULT 'pending';
+
+-- Find links waiting for enrichment, oldest first
+CREATE INDEX IF NOT EXISTS idx_links_metadata_pending ON public.links(created_at)
+WHERE metadata_status = 'pending';
+
+-- Recreate the links_needing_check view so it picks up the new columns
+DROP VIEW IF EXISTS public.links_needing_check;
+CREATE VIEW public.links_needing_check AS
+SELECT *
+FROM public.links
+WHERE last_checked_at IS NULL 
+   OR last_checked_at < (NOW() - INTERVAL '24 hours');
+
+-- Grant necessary permissions
+GRANT SELECT ON public.links_needing_check TO authenticated, anon;
\ No newline at end of file
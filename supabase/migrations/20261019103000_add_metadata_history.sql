@@ -0,0 +1,56 @@
+-- Page metadata is re-fetched periodically. Keep the history of title and description changes
+-- and flag links whose content changed drastically (possible takeover, seizure or phishing clone).
+CREATE TABLE IF NOT EXISTS public.link_metadata_changes (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    link_id UUID REFERENCES public.links(id) ON DELETE CASCADE NOT NULL,
+    field TEXT NOT NULL CHECK (field IN ('title', 'description')),
+    old_value TEXT,
+    new_value TEXT,
+    similarity NUMERIC(4,3), -- word overlap between the old and new title + description (0-1)
+    changed_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_link_metadata_changes_link_id ON public.link_metadata_changes(link_id, changed_at DESC);
+
+-- Enable Row Level Security (RLS); no policies, the table is only read and written with the service role
+ALTER TABLE public.link_metadata_changes ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE public.links
+ADD COLUMN IF NOT EXISTS metadata_flagged_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS metadata_flag_reason TEXT;
+
+-- Find links due for a metadata refresh
+CREATE INDEX IF NOT EXISTS idx_links_metadata_fetched_at ON public.links(metadata_fetched_at NULLS FIRST)
+WHERE metadata_status = 'complete';
+
+-- Admin view of flagged links and their recent changes (Supabase dashboard or `pnpm metadata-changes`)
+CREATE OR REPLACE VIEW public.flagged_metadata_changes
+WITH (security_invoker = true) AS
+SELECT
+    l.id AS link_id,
+    l.url,
+    l.title,
+    l.metadata_flagged_at,
+    l.metadata_flag_reason,
+    c.field,
+    c.old_value,
+    c.new_value,
+    c.similarity,
+    c.changed_at
+FROM public.links l
+JOIN public.link_metadata_changes c ON c.link_id = l.id
+WHERE l.metadata_flagged_at IS NOT NULL
+ORDER BY l.metadata_flagged_at DESC, c.changed_at DESC;
+
+REVOKE ALL ON public.flagged_metadata_changes FROM anon, authenticated;
+
+-- Recreate the links_needing_check view so it picks up the new columns
+DROP VIEW IF EXISTS public.links_needing_check;
+CREATE VIEW public.links_needing_check AS
+SELECT *
+FROM public.links
+WHERE last_checked_at IS NULL 
+   OR last_checked_at < (NOW() - INTERVAL '24 hours');
+
+-- Grant necessary permissions
+GRANT SELECT ON public.links_needing_check TO authenticated, anon;
\ No newline at end of file
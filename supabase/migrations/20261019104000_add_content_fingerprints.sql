@@ -0,0 +1,23 @@
+-- Content fingerprints used to spot look-alike copies of onion sites (phishing clones)
+ALTER TABLE public.links
+ADD COLUMN IF NOT EXISTS content_simhash TEXT, -- 64-bit simhash of the title and page text (hex)
+ADD COLUMN IF NOT EXISTS content_simhash_bands TEXT[], -- simhash split into 4 prefixed bands for near-match lookups
+ADD COLUMN IF NOT EXISTS favicon_hash TEXT, -- SHA-256 of the site's favicon
+ADD COLUMN IF NOT EXISTS clone_of UUID REFERENCES public.links(id) ON DELETE SET NULL, -- older link this one copies
+ADD COLUMN IF NOT EXISTS clone_similarity NUMERIC(4,3),
+ADD COLUMN IF NOT EXISTS clone_flagged_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_links_content_simhash_bands ON public.links USING GIN (content_simhash_bands);
+CREATE INDEX IF NOT EXISTS idx_links_favicon_hash ON public.links(favicon_hash);
+CREATE INDEX IF NOT EXISTS idx_links_clone_of ON public.links(clone_of) WHERE clone_of IS NOT NULL;
+
+-- Recreate the links_needing_check view so it picks up the new columns
+DROP VIEW IF EXISTS public.links_needing_check;
+CREATE VIEW public.links_needing_check AS
+SELECT *
+FROM public.links
+WHERE last_checked_at IS NULL 
+   OR last_checked_at < (NOW() - INTERVAL '24 hours');
+
+-- Grant necessary permissions
+GRANT SELECT ON public.links_needing_check TO authenticated, anon;
\ No newline at end of file
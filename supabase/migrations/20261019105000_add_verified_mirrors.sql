@@ -0,0 +1,54 @@
+-- Sites: one operator running one or more onion mirrors. Admins register the operator's PGP key
+-- and where its signed mirror list is published; mirrors are verified against that key.
+CREATE TABLE IF NOT EXISTS public.sites (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE,
+    public_key TEXT NOT NULL, -- ASCII-armored operator key
+    key_fingerprint TEXT NOT NULL,
+    mirror_list_url TEXT, -- PGP clear-signed list of mirrors, e.g. http://<address>.onion/mirrors.txt
+    clearnet_url TEXT, -- HTTPS site whose Onion-Location header names a mirror
+    last_verified_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- Onion addresses confirmed to belong to a site
+CREATE TABLE IF NOT EXISTS public.site_mirrors (
+    site_id UUID REFERENCES public.sites(id) ON DELETE CASCADE NOT NULL,
+    address TEXT NOT NULL, -- onion hostname, e.g. <56 characters>.onion
+    source TEXT NOT NULL CHECK (source IN ('signed_list', 'onion_location')),
+    verified_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+    PRIMARY KEY (site_id, address)
+);
+
+CREATE INDEX IF NOT EXISTS idx_site_mirrors_address ON public.site_mirrors(address);
+
+-- Links belonging (or claiming to belong) to a site
+ALTER TABLE public.links
+ADD COLUMN IF NOT EXISTS site_id UUID REFERENCES public.sites(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS mirror_status TEXT CHECK (mirror_status IN ('verified', 'unverified')),
+ADD COLUMN IF NOT EXISTS mirror_verified_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_links_site_id ON public.links(site_id) WHERE site_id IS NOT NULL;
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE public.sites ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.site_mirrors ENABLE ROW LEVEL SECURITY;
+
+-- Sites and their verified mirrors are public; only the service role writes them
+CREATE POLICY "Sites are viewable by everyone" ON public.sites
+    FOR SELECT USING (true);
+
+CREATE POLICY "Site mirrors are viewable by everyone" ON public.site_mirrors
+    FOR SELECT USING (true);
+
+-- Recreate the links_needing_check view so it picks up the new columns
+DROP VIEW IF EXISTS public.links_needing_check;
+CREATE VIEW public.links_needing_check AS
+SELECT *
+FROM public.links
+WHERE last_checked_at IS NULL 
+   OR last_checked_at < (NOW() - INTERVAL '24 hours');
+
+-- Grant necessary permissions
+GRANT SELECT ON public.links_needing_check TO authenticated, anon;
\ No newline at end of file
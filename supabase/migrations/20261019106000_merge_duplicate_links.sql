@@ -0,0 +1,53 @@
+-- Merge links that are the same page written differently (HTTP://Example.com/ and https://example.com,
+-- tracking parameters, fragments, ...). URLs are canonicalized in src/lib/url-canonicalization.js;
+-- `pnpm canonicalize-urls` rewrites existing rows with it and merges the duplicates with this function;
+-- the Docker image runs it on every start (docker/start.sh), so deploying merges existing duplicates.
+CREATE OR REPLACE FUNCTION public.merge_duplicate_links(keep_id UUID, duplicate_id UUID)
+RETURNS VOID AS $$
+BEGIN
+    IF keep_id = duplicate_id THEN
+        RAISE EXCEPTION 'Cannot merge a link into itself';
+    END IF;
+
+    -- Votes: a session that voted on both keeps its vote on the surviving link
+    DELETE FROM public.votes
+    WHERE link_id = duplicate_id
+    AND session_id IN (SELECT session_id FROM public.votes WHERE link_id = keep_id);
+
+    UPDATE public.votes SET link_id = keep_id WHERE link_id = duplicate_id;
+
+    UPDATE public.links
+    SET vote_count = (SELECT COALESCE(SUM(vote_type), 0) FROM public.votes WHERE link_id = keep_id)
+    WHERE id = keep_id;
+
+    -- Comments, check history and metadata history move over
+    UPDATE public.comments SET link_id = keep_id WHERE link_id = duplicate_id;
+    UPDATE public.link_checks SET link_id = keep_id WHERE link_id = duplicate_id;
+    UPDATE public.link_metadata_changes SET link_id = keep_id WHERE link_id = duplicate_id;
+
+    -- Categories the surviving link does not have yet
+    INSERT INTO public.link_categories (link_id, category_id, confidence, source, assigned_at)
+    SELECT keep_id, category_id, confidence, source, assigned_at
+    FROM public.link_categories
+    WHERE link_id = duplicate_id
+    ON CONFLICT (link_id, category_id) DO NOTHING;
+
+    -- Tags of both links
+    UPDATE public.links
+    SET tags = ARRAY(
+        SELECT DISTINCT tag
+        FROM unnest(
+            COALESCE(tags, '{}') || (SELECT COALESCE(tags, '{}') FROM public.links WHERE id = duplicate_id)
+        ) AS tag
+    )
+    WHERE id = keep_id;
+
+    -- Clones of the duplicate are clones of the surviving link
+    UPDATE public.links SET clone_of = keep_id WHERE clone_of = duplicate_id AND id <> keep_id;
+
+    DELETE FROM public.links WHERE id = duplicate_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Only the service role merges links
+REVOKE EXECUTE ON FUNCTION public.merge_duplicate_links(UUID, UUID) FROM PUBLIC, anon, authenticated;
\ No newline at end of file
@@ -0,0 +1,29 @@
+-- Onion addresses that can never be reached: deprecated v2 addresses and v3 addresses with a typo.
+-- New submissions are validated in src/lib/onion-address.js; `pnpm validate-onion-addresses`
+-- verifies the checksums of existing rows (SHA3-256 is not available in SQL).
+ALTER TABLE public.links
+ADD COLUMN IF NOT EXISTS onion_address_error TEXT;
+
+-- Flag what can be told from the address length alone
+UPDATE public.links
+SET onion_address_error = 'Onion v2 addresses (16 characters) no longer work in Tor; use the site''s v3 address'
+WHERE domain ~* '(^|\.)[a-z2-7]{16}\.onion$';
+
+UPDATE public.links
+SET onion_address_error = 'Onion addresses are 56 characters long'
+WHERE domain ILIKE '%.onion'
+AND domain !~* '(^|\.)[a-z2-7]{16}\.onion$'
+AND domain !~* '(^|\.)[a-z2-7]{56}\.onion$';
+
+CREATE INDEX IF NOT EXISTS idx_links_onion_address_error ON public.links(id) WHERE onion_address_error IS NOT NULL;
+
+-- Recreate the links_needing_check view so it picks up the new column
+DROP VIEW IF EXISTS public.links_needing_check;
+CREATE VIEW public.links_needing_check AS
+SELECT *
+FROM public.links
+WHERE last_checked_at IS NULL 
+   OR last_checked_at < (NOW() - INTERVAL '24 hours');
+
+-- Grant necessary permissions
+GRANT SELECT ON public.links_needing_check TO authenticated, anon;
\ No newline at end of file
@@ -0,0 +1,31 @@
+-- Optional accounts: username/password sign-up through Supabase Auth without an email address
+-- (accounts get a placeholder @users.invalid address, see src/lib/auth.js)
+CREATE TABLE IF NOT EXISTS public.profiles (
+    id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+    username TEXT NOT NULL CHECK (username ~ '^[A-Za-z0-9_]{3,20}$'),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- Usernames are unique regardless of case
+CREATE UNIQUE INDEX IF NOT EXISTS idx_profiles_username_lower ON public.profiles(lower(username));
+
+ALTER TABLE public.profiles ENABLE ROW LEVEL SECURITY;
+
+-- Profiles are created by the server (service role) during sign-up
+CREATE POLICY "Profiles are viewable by everyone" ON public.profiles
+    FOR SELECT USING (true);
+
+-- Attribute comments to accounts
+ALTER TABLE public.comments
+ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_comments_user_id ON public.comments(user_id);
+
+-- Submissions and votes stay when an account is deleted, they just lose their author
+ALTER TABLE public.links DROP CONSTRAINT IF EXISTS links_user_id_fkey;
+ALTER TABLE public.links ADD CONSTRAINT links_user_id_fkey
+    FOREIGN KEY (user_id) REFERENCES auth.users(id) ON DELETE SET NULL;
+
+ALTER TABLE public.votes DROP CONSTRAINT IF EXISTS votes_user_id_fkey;
+ALTER TABLE public.votes ADD CONSTRAINT votes_user_id_fkey
+    FOREIGN KEY (user_id) REFERENCES auth.users(id) ON DELETE SET NULL;
\ No newline at end of file
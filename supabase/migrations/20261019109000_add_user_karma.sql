@@ -0,0 +1,20 @@
+-- Karma of an account: the votes its links and comments received, not counting its own votes.
+-- Accounts vote under the key 'user_<id>' (see getVoterKey in src/lib/auth.js).
+CREATE OR REPLACE FUNCTION public.user_karma(target_user UUID)
+RETURNS TABLE(link_karma BIGINT, comment_karma BIGINT)
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT
+        (SELECT COALESCE(SUM(v.vote_type), 0)
+         FROM public.votes v
+         JOIN public.links l ON l.id = v.link_id
+         WHERE l.user_id = target_user
+           AND v.user_id IS DISTINCT FROM target_user),
+        (SELECT COALESCE(SUM(cv.vote_type), 0)
+         FROM public.comment_votes cv
+         JOIN public.comments c ON c.id = cv.comment_id
+         WHERE c.user_id = target_user
+           AND c.is_deleted = false
+           AND cv.voter_ip <> 'user_' || target_user::text);
+$$;
\ No newline at end of file
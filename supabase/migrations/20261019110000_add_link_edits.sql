@@ -0,0 +1,70 @@
+-- Roles: moderators and admins can edit any link, everyone else only the links they submitted
+ALTER TABLE public.profiles
+ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'moderator', 'admin'));
+
+-- Edit history of links: one row per edit with the old and new value of each changed field,
+-- e.g. {"title": {"old": "example.com", "new": "Example"}}
+CREATE TABLE IF NOT EXISTS public.link_edits (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    link_id UUID REFERENCES public.links(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+    changes JSONB NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_link_edits_link_id ON public.link_edits(link_id, created_at DESC);
+
+ALTER TABLE public.link_edits ENABLE ROW LEVEL SECURITY;
+
+-- Edits are made by the server (service role) for signed-in users
+CREATE POLICY "Link edits are viewable by everyone" ON public.link_edits
+    FOR SELECT USING (true);
+
+-- Merged duplicates keep their edit history
+CREATE OR REPLACE FUNCTION public.merge_duplicate_links(keep_id UUID, duplicate_id UUID)
+RETURNS VOID AS $$
+BEGIN
+    IF keep_id = duplicate_id THEN
+        RAISE EXCEPTION 'Cannot merge a link into itself';
+    END IF;
+
+    -- Votes: a session that voted on both keeps its vote on the surviving link
+    DELETE FROM public.votes
+    WHERE link_id = duplicate_id
+    AND session_id IN (SELECT session_id FROM public.votes WHERE link_id = keep_id);
+
+    UPDATE public.votes SET link_id = keep_id WHERE link_id = duplicate_id;
+
+    UPDATE public.links
+    SET vote_count = (SELECT COALESCE(SUM(vote_type), 0) FROM public.votes WHERE link_id = keep_id)
+    WHERE id = keep_id;
+
+    -- Comments, check history, metadata history and edit history move over
+    UPDATE public.comments SET link_id = keep_id WHERE link_id = duplicate_id;
+    UPDATE public.link_checks SET link_id = keep_id WHERE link_id = duplicate_id;
+    UPDATE public.link_metadata_changes SET link_id = keep_id WHERE link_id = duplicate_id;
+    UPDATE public.link_edits SET link_id = keep_id WHERE link_id = duplicate_id;
+
+    -- Categories the surviving link does not have yet
+    INSERT INTO public.link_categories (link_id, category_id, confidence, source, assigned_at)
+    SELECT keep_id, category_id, confidence, source, assigned_at
+    FROM public.link_categories
+    WHERE link_id = duplicate_id
+    ON CONFLICT (link_id, category_id) DO NOTHING;
+
+    -- Tags of both links
+    UPDATE public.links
+    SET tags = ARRAY(
+        SELECT DISTINCT tag
+        FROM unnest(
+            COALESCE(tags, '{}') || (SELECT COALESCE(tags, '{}') FROM public.links WHERE id = duplicate_id)
+        ) AS tag
+    )
+    WHERE id = keep_id;
+
+    -- Clones of the duplicate are clones of the surviving link
+    UPDATE public.links SET clone_of = keep_id WHERE clone_of = duplicate_id AND id <> keep_id;
+
+    DELETE FROM public.links WHERE id = duplicate_id;
+END;
+$$ LANGUAGE plpgsql;
\ No newline at end of file
@@ -0,0 +1,75 @@
+-- Moderation queue: new links wait for a moderator to approve or hide them (they stay listed meanwhile),
+-- and links the checker flags go back to the queue. Hidden links are also made non-public.
+ALTER TABLE public.links
+ADD COLUMN IF NOT EXISTS moderation_status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (moderation_status IN ('pending', 'approved', 'hidden')),
+ADD COLUMN IF NOT EXISTS moderated_at TIMESTAMP WITH TIME ZONE;
+
+-- Links from before moderation count as approved, unless the checker has flagged them
+UPDATE public.links
+SET moderation_status = CASE
+    WHEN clone_of IS NOT NULL
+      OR onion_address_error IS NOT NULL
+      OR mirror_status = 'unverified'
+      OR metadata_flagged_at IS NOT NULL
+    THEN 'pending'
+    ELSE 'approved'
+END;
+
+CREATE INDEX IF NOT EXISTS idx_links_moderation_pending ON public.links(created_at DESC)
+WHERE moderation_status = 'pending';
+
+-- Send a link back to the queue when the checker flags it
+CREATE OR REPLACE FUNCTION public.queue_flagged_link()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.moderation_status = 'approved' AND (
+        (NEW.clone_of IS NOT NULL AND NEW.clone_of IS DISTINCT FROM OLD.clone_of)
+        OR (NEW.onion_address_error IS NOT NULL AND NEW.onion_address_error IS DISTINCT FROM OLD.onion_address_error)
+        OR (NEW.mirror_status = 'unverified' AND NEW.mirror_status IS DISTINCT FROM OLD.mirror_status)
+        OR (NEW.metadata_flagged_at IS NOT NULL AND NEW.metadata_flagged_at IS DISTINCT FROM OLD.metadata_flagged_at)
+    ) THEN
+        NEW.moderation_status := 'pending';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS queue_flagged_link ON public.links;
+CREATE TRIGGER queue_flagged_link
+    BEFORE UPDATE OF clone_of, onion_address_error, mirror_status, metadata_flagged_at ON public.links
+    FOR EACH ROW
+    EXECUTE FUNCTION public.queue_flagged_link();
+
+-- Banned accounts can no longer sign in (see src/lib/auth.js)
+ALTER TABLE public.profiles
+ADD COLUMN IF NOT EXISTS banned_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS ban_reason TEXT;
+
+-- Audit log of every moderation action
+CREATE TABLE IF NOT EXISTS public.moderation_log (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    moderator_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+    action TEXT NOT NULL CHECK (action IN ('approve', 'hide', 'delete', 'recategorize', 'ban')),
+    target_type TEXT NOT NULL CHECK (target_type IN ('link', 'comment', 'user')),
+    target_id UUID NOT NULL,
+    details JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_moderation_log_created_at ON public.moderation_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_moderation_log_target ON public.moderation_log(target_type, target_id);
+
+-- Only the service role reads and writes the log
+ALTER TABLE public.moderation_log ENABLE ROW LEVEL SECURITY;
+
+-- Recreate the links_needing_check view so it picks up the new columns
+DROP VIEW IF EXISTS public.links_needing_check;
+CREATE VIEW public.links_needing_check AS
+SELECT *
+FROM public.links
+WHERE last_checked_at IS NULL 
+   OR last_checked_at < (NOW() - INTERVAL '24 hours');
+
+-- Grant necessary permissions
+GRANT SELECT ON public.links_needing_check TO authenticated, anon;
\ No newline at end of file
@@ -0,0 +1,23 @@
+-- Reports of links and comments (scams, illegal content, abuse). A session (account, or the
+-- anonymous IP/fingerprint key used for votes) reports a target once until a moderator resolves it.
+CREATE TABLE IF NOT EXISTS public.reports (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    target_type TEXT NOT NULL CHECK (target_type IN ('link', 'comment')),
+    target_id UUID NOT NULL,
+    session_id TEXT NOT NULL,
+    user_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+    reason TEXT NOT NULL CHECK (reason IN ('scam', 'illegal', 'abuse', 'spam', 'other')),
+    details TEXT CHECK (char_length(details) <= 500),
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reports_open_per_session
+ON public.reports(target_type, target_id, session_id)
+WHERE resolved_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_reports_open ON public.reports(created_at DESC)
+WHERE resolved_at IS NULL;
+
+-- Reports name their reporters, so only the service role reads and writes them
+ALTER TABLE public.reports ENABLE ROW LEVEL SECURITY;
\ No newline at end of file
@@ -0,0 +1,13 @@
+-- Reports are deduplicated per session, but the session key includes a fingerprint the client
+-- chooses. The report threshold counts distinct reporter keys instead: the account, or a hash of
+-- the IP alone (see getReporterKey in src/lib/auth.js).
+ALTER TABLE public.reports
+ADD COLUMN IF NOT EXISTS reporter_key TEXT;
+
+UPDATE public.reports SET reporter_key = session_id WHERE reporter_key IS NULL;
+
+ALTER TABLE public.reports
+ALTER COLUMN reporter_key SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_reports_open_target ON public.reports(target_type, target_id)
+WHERE resolved_at IS NULL;
\ No newline at end of file
@@ -0,0 +1,22 @@
+-- Comments hidden by moderators or by reports get their own flag: is_deleted stays the author's
+-- own deletion, so approving a hidden comment can't bring back one its author deleted.
+ALTER TABLE public.comments
+ADD COLUMN IF NOT EXISTS is_hidden BOOLEAN NOT NULL DEFAULT false;
+
+-- Comments whose latest moderation was a hide were hidden through is_deleted until now
+UPDATE public.comments c
+SET is_hidden = true, is_deleted = false
+FROM (
+    SELECT DISTINCT ON (target_id) target_id, action
+    FROM public.moderation_log
+    WHERE target_type = 'comment'
+    ORDER BY target_id, created_at DESC
+) latest
+WHERE latest.target_id = c.id
+  AND latest.action = 'hide'
+  AND c.content <> '[deleted]';
+
+-- Hidden comments are not public either
+DROP POLICY IF EXISTS "Comments are viewable by everyone" ON public.comments;
+CREATE POLICY "Comments are viewable by everyone" ON public.comments
+    FOR SELECT USING (is_deleted = false AND is_hidden = false);
\ No newline at end of file
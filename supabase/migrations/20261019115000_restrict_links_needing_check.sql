@@ -0,0 +1,14 @@
+-- links_needing_check selected every link with its owner's rights and was granted to anon, so links
+-- hidden by moderation or reports could still be read with the anon key. Only the link checker
+-- (service role) reads it: make it apply the caller's row level security and revoke public access.
+-- Migrations that recreate the view must keep these settings.
+DROP VIEW IF EXISTS public.links_needing_check;
+CREATE VIEW public.links_needing_check
+WITH (security_invoker = true) AS
+SELECT *
+FROM public.links
+WHERE last_checked_at IS NULL
+   OR last_checked_at < (NOW() - INTERVAL '24 hours');
+
+REVOKE ALL ON public.links_needing_check FROM anon, authenticated;
+GRANT SELECT ON public.links_needing_check TO service_role;
@@ -0,0 +1,31 @@
+-- cleanup_dead_links took the grace period from its caller and was executable by every signed-in
+-- account (and PUBLIC by default), so anyone could purge all archived dead links at once.
+-- Hard-code the grace period to match the link checker's archiveGracePeriodDays and only let
+-- the service role run it.
+DROP FUNCTION IF EXISTS public.cleanup_dead_links(INTERVAL);
+CREATE OR REPLACE FUNCTION public.cleanup_dead_links()
+RETURNS INTEGER AS $$
+DECLARE
+    deleted_count INTEGER;
+BEGIN
+    UPDATE public.links
+    SET archived_at = NOW()
+    WHERE consecutive_failures >= 3
+    AND status = 'dead'
+    AND archived_at IS NULL;
+
+    WITH deleted_links AS (
+        DELETE FROM public.links
+        WHERE archived_at IS NOT NULL
+        AND archived_at < (NOW() - INTERVAL '30 days')
+        AND status = 'dead'
+        RETURNING id
+    )
+    SELECT COUNT(*) INTO deleted_count FROM deleted_links;
+
+    RETURN deleted_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION public.cleanup_dead_links() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.cleanup_dead_links() TO service_role;
\ No newline at end of file
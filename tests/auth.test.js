@@ -0,0 +1,283 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+	ACCESS_TOKEN_COOKIE,
+	REFRESH_TOKEN_COOKIE,
+	createAccount,
+	getAnonymousSessionId,
+	getReporterKey,
+	getVoterKey,
+	isModerator,
+	resolveSessionUser,
+	signIn,
+	usernameToEmail,
+	validateCredentials
+} from '../src/lib/auth.js';
+
+/**
+ * In-memory stand-in for SvelteKit's cookies
+ * @param {Record<string, string>} [initial] - Cookies sent with the request
+ * @returns {any}
+ */
+function createCookies(initial = {}) {
+	const values = new Map(Object.entries(initial));
+	return {
+		values,
+		get: (/** @type {string} */ name) => values.get(name),
+		set: vi.fn((name, value) => values.set(name, value)),
+		delete: vi.fn((name) => values.delete(name))
+	};
+}
+
+/**
+ * Service-role client whose profiles lookup returns `existing`
+ * @param {{existing?: Object|null, profileError?: {message: string}|null}} [options] - Lookup and insert results
+ * @returns {any}
+ */
+function createServiceClient({ existing = null, profileError = null } = {}) {
+	const query = {
+		select: vi.fn(() => query),
+		ilike: vi.fn(() => query),
+		maybeSingle: vi.fn(async () => ({ data: existing, error: null })),
+		insert: vi.fn(async () => ({ error: profileError }))
+	};
+	return {
+		query,
+		from: vi.fn(() => query),
+		auth: {
+			admin: {
+				createUser: vi.fn(async () => ({ data: { user: { id: 'user-1' } }, error: null })),
+				deleteUser: vi.fn(async () => ({ error: null }))
+			}
+		}
+	};
+}
+
+const url = new URL('http://example.onion/');
+
+describe('Accounts', () => {
+	it('should validate usernames and passwords', () => {
+		expect(validateCredentials({ username: 'tor_user', password: 'correct horse' })).toBeNull();
+		expect(validateCredentials({ username: 'ab', password: 'correct horse' })).toMatch(/Usernames/);
+		expect(validateCredentials({ username: 'bad name', password: 'correct horse' })).toMatch(
+			/Usernames/
+		);
+		expect(validateCredentials({ username: 'tor_user', password: 'short' })).toMatch(/at least 8/);
+		expect(validateCredentials({ username: 'tor_user', password: 'x'.repeat(73) })).toMatch(
+			/at most 72/
+		);
+	});
+
+	it('should give accounts a placeholder email address', () => {
+		expect(usernameToEmail('Tor_User')).toBe('tor_user@users.invalid');
+	});
+
+	it('should create a confirmed account and its profile', async () => {
+		const supabase = createServiceClient();
+
+		const result = await createAccount(supabase, {
+			username: 'tor_user',
+			password: 'correct horse'
+		});
+
+		expect(result).toEqual({ user: { id: 'user-1', username: 'tor_user' }, error: null });
+		expect(supabase.query.ilike).toHaveBeenCalledWith('username', 'tor\\_user');
+		expect(supabase.auth.admin.createUser).toHaveBeenCalledWith({
+			email: 'tor_user@users.invalid',
+			password: 'correct horse',
+			email_confirm: true,
+			user_metadata: { username: 'tor_user' }
+		});
+		expect(supabase.query.insert).toHaveBeenCalledWith({ id: 'user-1', username: 'tor_user' });
+	});
+
+	it('should refuse taken usernames', async () => {
+		const supabase = createServiceClient({ existing: { id: 'someone' } });
+
+		const result = await createAccount(supabase, {
+			username: 'Tor_User',
+			password: 'correct horse'
+		});
+
+		expect(result).toEqual({ user: null, error: 'That username is taken' });
+		expect(supabase.auth.admin.createUser).not.toHaveBeenCalled();
+	});
+
+	it('should remove the auth user when the profile cannot be saved', async () => {
+		const supabase = createServiceClient({ profileError: { message: 'duplicate key' } });
+
+		await expect(
+			createAccount(supabase, { username: 'tor_user', password: 'correct horse' })
+		).rejects.toThrow('Error creating profile: duplicate key');
+		expect(supabase.auth.admin.deleteUser).toHaveBeenCalledWith('user-1');
+	});
+
+	it('should only let moderators and admins moderate', () => {
+		expect(isModerator({ role: 'moderator' })).toBe(true);
+		expect(isModerator({ role: 'admin' })).toBe(true);
+		expect(isModerator({ role: 'user' })).toBe(false);
+		expect(isModerator(null)).toBe(false);
+	});
+
+	it('should key votes by account when signed in', () => {
+		expect(getVoterKey({ id: 'user-1' }, 'anon_abc')).toBe('user_user-1');
+		expect(getVoterKey(null, 'anon_abc')).toBe('anon_abc');
+	});
+
+	it('should key anonymous sessions by the whole IP and fingerprint', () => {
+		const key = getAnonymousSessionId('192.168.100.11', 'abc');
+
+		expect(key).toMatch(/^anon_[0-9a-f]{64}$/);
+		expect(getAnonymousSessionId('192.168.100.11', 'abc')).toBe(key);
+		expect(getAnonymousSessionId('192.168.100.12', 'abc')).not.toBe(key);
+		expect(getAnonymousSessionId('192.168.100.11', 'abd')).not.toBe(key);
+	});
+
+	it('should count reporters by account or by IP alone', () => {
+		expect(getReporterKey({ id: 'user-1' }, '10.0.0.1')).toBe('user_user-1');
+		expect(getReporterKey(null, '10.0.0.1')).toMatch(/^ip_[0-9a-f]{64}$/);
+		expect(getReporterKey(null, '10.0.0.1')).not.toBe(getReporterKey(null, '10.0.0.2'));
+	});
+});
+
+describe('Sessions', () => {
+	// user_metadata is editable by the user, so the username has to come from the profile
+	const user = { id: 'user-1', user_metadata: { username: 'someone_else' } };
+	const profile = { username: 'tor_user', role: 'moderator' };
+
+	/**
+	 * Service-role client with the given auth methods and the user's profile
+	 * @param {Object} auth - Mocked supabase.auth
+	 * @param {Object} [userProfile] - Profile the lookup returns
+	 * @returns {any}
+	 */
+	function createSessionClient(auth, userProfile = profile) {
+		const query = {
+			select: vi.fn(() => query),
+			eq: vi.fn(() => query),
+			maybeSingle: vi.fn(async () => ({ data: userProfile, error: null }))
+		};
+		return { auth, from: vi.fn(() => query) };
+	}
+
+	/**
+	 * Throwaway auth client whose password sign-in succeeds
+	 * @returns {any}
+	 */
+	function createSignInClient() {
+		const session = { access_token: 'access', refresh_token: 'refresh', expires_in: 3600, user };
+		return {
+			auth: { signInWithPassword: vi.fn(async () => ({ data: { session, user }, error: null })) }
+		};
+	}
+
+	it('should sign in with the username and role from the profile', async () => {
+		const authClient = createSignInClient();
+
+		const result = await signIn(createSessionClient({}), authClient, {
+			username: 'Tor_User',
+			password: 'correct horse'
+		});
+
+		expect(result.session?.access_token).toBe('access');
+		expect(result.user).toEqual({ id: 'user-1', username: 'tor_user', role: 'moderator' });
+		expect(authClient.auth.signInWithPassword).toHaveBeenCalledWith({
+			email: 'tor_user@users.invalid',
+			password: 'correct horse'
+		});
+	});
+
+	it('should not hand out a session to banned accounts', async () => {
+		const supabase = createSessionClient({}, { ...profile, banned_at: '2026-01-01T00:00:00Z' });
+
+		const result = await signIn(supabase, createSignInClient(), {
+			username: 'tor_user',
+			password: 'correct horse'
+		});
+
+		expect(result).toEqual({ session: null, user: null, error: 'This account has been banned' });
+	});
+
+	it('should refuse wrong passwords', async () => {
+		const authClient = /** @type {any} */ ({
+			auth: {
+				signInWithPassword: vi.fn(async () => ({
+					data: { session: null, user: null },
+					error: { message: 'Invalid login credentials' }
+				}))
+			}
+		});
+
+		const result = await signIn(createSessionClient({}), authClient, {
+			username: 'tor_user',
+			password: 'wrong'
+		});
+
+		expect(result).toEqual({ session: null, user: null, error: 'Wrong username or password' });
+	});
+
+	it('should treat visitors without cookies as anonymous', async () => {
+		const supabase = /** @type {any} */ ({ auth: { getUser: vi.fn() } });
+
+		expect(await resolveSessionUser(supabase, vi.fn(), createCookies(), url)).toBeNull();
+		expect(supabase.auth.getUser).not.toHaveBeenCalled();
+	});
+
+	it('should resolve the user from a valid access token', async () => {
+		const supabase = createSessionClient({
+			getUser: vi.fn(async () => ({ data: { user }, error: null }))
+		});
+		const cookies = createCookies({ [ACCESS_TOKEN_COOKIE]: 'access' });
+
+		const result = await resolveSessionUser(supabase, vi.fn(), cookies, url);
+
+		expect(result).toEqual({ id: 'user-1', username: 'tor_user', role: 'moderator' });
+		expect(supabase.auth.getUser).toHaveBeenCalledWith('access');
+	});
+
+	it('should refresh an expired session and store the new tokens', async () => {
+		const supabase = createSessionClient({
+			getUser: vi.fn(async () => ({ data: { user: null }, error: { message: 'expired' } }))
+		});
+		const session = { access_token: 'new-access', refresh_token: 'new-refresh', expires_in: 3600 };
+		const refreshSession = vi.fn(async () => ({ data: { session, user }, error: null }));
+		const cookies = createCookies({
+			[ACCESS_TOKEN_COOKIE]: 'old',
+			[REFRESH_TOKEN_COOKIE]: 'refresh'
+		});
+
+		const result = await resolveSessionUser(
+			supabase,
+			() => /** @type {any} */ ({ auth: { refreshSession } }),
+			cookies,
+			url
+		);
+
+		expect(result).toEqual({ id: 'user-1', username: 'tor_user', role: 'moderator' });
+		expect(refreshSession).toHaveBeenCalledWith({ refresh_token: 'refresh' });
+		expect(cookies.values.get(ACCESS_TOKEN_COOKIE)).toBe('new-access');
+		expect(cookies.set).toHaveBeenCalledWith(
+			REFRESH_TOKEN_COOKIE,
+			'new-refresh',
+			expect.objectContaining({ httpOnly: true, secure: false })
+		);
+	});
+
+	it('should clear the cookies when the session cannot be refreshed', async () => {
+		const refreshSession = vi.fn(async () => ({
+			data: { session: null, user: null },
+			error: { message: 'revoked' }
+		}));
+		const cookies = createCookies({ [REFRESH_TOKEN_COOKIE]: 'refresh' });
+
+		const result = await resolveSessionUser(
+			/** @type {any} */ ({ auth: {} }),
+			() => /** @type {any} */ ({ auth: { refreshSession } }),
+			cookies,
+			url
+		);
+
+		expect(result).toBeNull();
+		expect(cookies.delete).toHaveBeenCalledWith(ACCESS_TOKEN_COOKIE, expect.any(Object));
+		expect(cookies.delete).toHaveBeenCalledWith(REFRESH_TOKEN_COOKIE, expect.any(Object));
+	});
+});
\ No newline at end of file
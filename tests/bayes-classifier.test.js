@@ -0,0 +1,140 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+	countTokens,
+	loadCategoryModel,
+	predictCategories,
+	tokenize,
+	trainModel
+} from '../src/lib/bayes-classifier.js';
+import { compileRules } from '../src/lib/category-classifier.js';
+import { rankCategories } from '../src/lib/metadata.js';
+
+const documents = [
+	{
+		title: 'Hidden wiki mirror',
+		description: 'Directory of hidden services',
+		categories: ['Directories']
+	},
+	{
+		title: 'Onion link directory',
+		description: 'Hidden services list',
+		categories: ['Directories']
+	},
+	{
+		title: 'Darknet market review',
+		description: 'Vendor escrow and market listings',
+		categories: ['Markets']
+	},
+	{
+		title: 'Escrow market guide',
+		description: 'Buying from a vendor safely',
+		categories: ['Markets']
+	},
+	{
+		title: 'Secure drop for leaks',
+		description: 'Whistleblower submission system',
+		categories: ['Whistleblowing', 'Directories']
+	}
+];
+
+describe('Naive Bayes category classifier', () => {
+	/** @type {string|null} */
+	let dir;
+
+	afterEach(() => {
+		if (dir) rmSync(dir, { recursive: true, force: true });
+		dir = null;
+		delete process.env.CATEGORY_MODEL_PATH;
+	});
+
+	it('should tokenize without stopwords or numbers', () => {
+		expect(tokenize('The Best C++ guide of 2024, für Entwickler!')).toEqual([
+			'best',
+			'c++',
+			'guide',
+			'für',
+			'entwickler'
+		]);
+	});
+
+	it('should weight title tokens above body tokens', () => {
+		const counts = countTokens({ title: 'escrow', body: 'vendor' });
+		expect(counts.get('escrow')).toBe(3);
+		expect(counts.get('vendor')).toBe(1);
+	});
+
+	it('should count a document once for each of its categories', () => {
+		const model = trainModel(documents, { minDocuments: 1 });
+
+		expect(model.documentCount).toBe(5);
+		expect(model.categories.directories.documents).toBe(3);
+		expect(model.categories.whistleblowing.documents).toBe(1);
+	});
+
+	it('should drop rare tokens from the vocabulary', () => {
+		const model = trainModel(documents);
+		expect(model.categories.markets.counts.vendor).toBeGreaterThan(0);
+		expect(model.categories.markets.counts.darknet).toBeUndefined();
+	});
+
+	it('should rank the most likely categories first', () => {
+		const model = trainModel(documents, { minDocuments: 1 });
+		const ranked = predictCategories(model, { title: 'Trusted vendor with escrow' });
+
+		expect(ranked[0].category).toBe('markets');
+		expect(ranked[0].confidence).toBeGreaterThan(0.5);
+		expect(ranked[0].matches).toEqual(['vendor', 'escrow']);
+		expect(ranked.reduce((sum, r) => sum + r.confidence, 0)).toBeCloseTo(1, 1);
+	});
+
+	it('should return nothing when no token is known', () => {
+		const model = trainModel(documents, { minDocuments: 1 });
+		expect(predictCategories(model, { title: 'Completely unrelated words' })).toEqual([]);
+	});
+
+	it('should load the model file and fall back to keyword rules without it', () => {
+		dir = mkdtempSync(join(tmpdir(), 'category-model-'));
+		process.env.CATEGORY_MODEL_PATH = join(dir, 'model.json');
+
+		expect(loadCategoryModel()).toBeNull();
+		expect(rankCategories({ title: 'Learn Python programming' })[0].category).toBe('programming');
+
+		writeFileSync(
+			process.env.CATEGORY_MODEL_PATH,
+			JSON.stringify(trainModel(documents, { minDocuments: 1 }))
+		);
+
+		expect(loadCategoryModel()?.documentCount).toBe(5);
+		expect(rankCategories({ title: 'Escrow vendor' })[0].category).toBe('markets');
+		expect(rankCategories({ title: 'Learn Python programming' })[0].category).toBe('programming');
+	});
+
+	it('should rank confident keyword rule matches before the model', () => {
+		dir = mkdtempSync(join(tmpdir(), 'category-model-'));
+		process.env.CATEGORY_MODEL_PATH = join(dir, 'model.json');
+		writeFileSync(
+			process.env.CATEGORY_MODEL_PATH,
+			JSON.stringify(trainModel(documents, { minDocuments: 1 }))
+		);
+		const rules = compileRules([{ category: 'Whistleblowing', keyword: 'escrow', weight: 5 }]);
+
+		const ranked = rankCategories({ title: 'Escrow vendor' }, rules);
+
+		expect(ranked.map((rank) => rank.category).slice(0, 2)).toEqual(['whistleblowing', 'markets']);
+		expect(new Set(ranked.map((rank) => rank.category)).size).toBe(ranked.length);
+		expect(rankCategories({ title: 'Escrow vendor' }, compileRules([]))[0].category).toBe(
+			'markets'
+		);
+	});
+
+	it('should ignore a model with an unknown version', () => {
+		dir = mkdtempSync(join(tmpdir(), 'category-model-'));
+		const path = join(dir, 'model.json');
+		writeFileSync(path, JSON.stringify({ version: 99, categories: {} }));
+
+		expect(loadCategoryModel(path)).toBeNull();
+	});
+});
\ No newline at end of file
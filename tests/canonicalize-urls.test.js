@@ -0,0 +1,55 @@
+import { describe, it, expect, vi } from 'vitest';
+import { applyCanonicalization, parseOptions, planCanonicalization } from '../scripts/canonicalize-urls.js';
+
+const links = [
+  { id: 'newer', url: 'https://example.com/?utm_source=x', created_at: '2026-02-01T00:00:00Z' },
+  { id: 'oldest', url: 'HTTPS://Example.com/', created_at: '2026-01-01T00:00:00Z' },
+  { id: 'http', url: 'http://example.com', created_at: '2026-03-01T00:00:00Z' },
+  { id: 'clean', url: 'https://example.org/page', created_at: '2026-01-01T00:00:00Z' }
+];
+
+describe('Canonicalize URLs CLI', () => {
+  it('should parse options', () => {
+    expect(parseOptions(['node', 'script', '--dry-run'])).toMatchObject({ dryRun: true });
+    expect(parseOptions(['node', 'script', '--merge-schemes'])).toMatchObject({ mergeSchemes: true });
+    expect(() => parseOptions(['node', 'script', '--force'])).toThrow('Unknown option: --force');
+  });
+
+  it('should keep the oldest link of each page and rewrite its URL', () => {
+    const plan = planCanonicalization(links, { mergeSchemes: false });
+
+    expect(plan.merges).toEqual([{ keepId: 'oldest', duplicateIds: ['newer'], url: 'https://example.com' }]);
+    expect(plan.renames).toEqual([{ id: 'oldest', from: 'HTTPS://Example.com/', to: 'https://example.com' }]);
+  });
+
+  it('should merge http and https when asked to', () => {
+    const plan = planCanonicalization(links, { mergeSchemes: true });
+    expect(plan.merges[0].duplicateIds).toEqual(['newer', 'http']);
+  });
+
+  it('should merge duplicates before rewriting URLs', async () => {
+    /** @type {string[]} */
+    const order = [];
+    const query = {
+      update: vi.fn(() => query),
+      eq: vi.fn(async () => {
+        order.push('update');
+        return { error: null };
+      })
+    };
+    const supabase = /** @type {any} */ ({
+      from: vi.fn(() => query),
+      rpc: vi.fn(async () => {
+        order.push('merge');
+        return { error: null };
+      })
+    });
+
+    const results = await applyCanonicalization(supabase, planCanonicalization(links));
+
+    expect(order).toEqual(['merge', 'update']);
+    expect(supabase.rpc).toHaveBeenCalledWith('merge_duplicate_links', { keep_id: 'oldest', duplicate_id: 'newer' });
+    expect(query.update).toHaveBeenCalledWith({ url: 'https://example.com', domain: 'example.com' });
+    expect(results).toEqual({ merged: 1, renamed: 1, errors: [] });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,151 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+	classifyContent,
+	clearCategoryRulesCache,
+	compileRules,
+	keywordPattern,
+	loadCategoryRules,
+	selectAutoCategories
+} from '../src/lib/category-classifier.js';
+import { detectCategory } from '../src/lib/metadata.js';
+
+const rules = compileRules([
+	{ category: 'Linux', keyword: 'linux', weight: 2 },
+	{ category: 'Linux', keyword: 'kernel' },
+	{ category: 'Cybersecurity', keyword: 'security' },
+	{ category: 'Cybersecurity', keyword: 'malware', weight: 2 },
+	{ category: 'AI & Machine Learning', keyword: 'ai' },
+	{ category: 'AI & Machine Learning', keyword: 'machine learning', weight: 2 }
+]);
+
+describe('Category classifier', () => {
+	describe('keywordPattern', () => {
+		it('should only match whole words', () => {
+			expect(keywordPattern('ai').test('Send us an email')).toBe(false);
+			expect(keywordPattern('ai').test('The AI revolution')).toBe(true);
+			expect(keywordPattern('node').test('nodes and edges')).toBe(false);
+		});
+
+		it('should match phrases and keywords with punctuation', () => {
+			expect(keywordPattern('machine learning').test('Intro to machine\nlearning')).toBe(true);
+			expect(keywordPattern('c++').test('Modern C++ tips')).toBe(true);
+			expect(keywordPattern('node.js').test('Build APIs with Node.js.')).toBe(true);
+		});
+	});
+
+	describe('classifyContent', () => {
+		it('should rank categories with title matches above body matches', () => {
+			const ranked = classifyContent(
+				{
+					title: 'Hardening the Linux kernel',
+					body: 'Security tips for servers'
+				},
+				rules
+			);
+
+			expect(ranked.map((r) => r.category)).toEqual(['linux']);
+			expect(ranked[0].score).toBe(9);
+			expect(ranked[0].matches).toEqual(['linux', 'kernel']);
+		});
+
+		it('should return several categories with confidence scores', () => {
+			const ranked = classifyContent(
+				{
+					title: 'Malware analysis with machine learning',
+					description: 'Using AI to catch malware on Linux'
+				},
+				rules
+			);
+
+			expect(ranked.map((r) => r.category)).toEqual([
+				'cybersecurity',
+				'ai & machine learning',
+				'linux'
+			]);
+			expect(ranked[0].confidence).toBeGreaterThan(ranked[2].confidence);
+			ranked.forEach((r) => {
+				expect(r.confidence).toBeGreaterThan(0);
+				expect(r.confidence).toBeLessThan(1);
+			});
+		});
+
+		it('should ignore categories below the minimum score', () => {
+			expect(classifyContent({ body: 'a kernel of truth' }, rules)).toEqual([]);
+		});
+
+		it('should respect the result limit', () => {
+			const ranked = classifyContent({ title: 'Linux malware and machine learning' }, rules, {
+				limit: 1
+			});
+			expect(ranked).toHaveLength(1);
+		});
+	});
+
+	describe('selectAutoCategories', () => {
+		it('should assign every category above the confidence threshold', () => {
+			const ranked = classifyContent(
+				{ title: 'Linux security', description: 'Finding malware on a Linux kernel' },
+				rules
+			);
+
+			expect(selectAutoCategories(ranked)).toEqual([
+				{ category: 'linux', confidence: expect.any(Number), source: 'auto' },
+				{ category: 'cybersecurity', confidence: expect.any(Number), source: 'auto' }
+			]);
+		});
+
+		it('should drop low-confidence categories but keep at least one', () => {
+			const ranked = [
+				{ category: 'linux', score: 2, confidence: 0.25 },
+				{ category: 'cybersecurity', score: 2, confidence: 0.25 }
+			];
+
+			expect(selectAutoCategories(ranked)).toEqual([
+				{ category: 'linux', confidence: 0.25, source: 'auto' }
+			]);
+			expect(selectAutoCategories([])).toEqual([
+				{ category: 'technology', confidence: 0, source: 'auto' }
+			]);
+		});
+	});
+
+	describe('detectCategory', () => {
+		it('should never return null', () => {
+			expect(detectCategory('Untitled', '', '')).toBe('technology');
+			expect(detectCategory('Learn Python programming', '', 'code tutorial')).toBe('programming');
+		});
+	});
+
+	describe('loadCategoryRules', () => {
+		beforeEach(() => {
+			clearCategoryRulesCache();
+		});
+
+		it('should compile rules stored in the database', async () => {
+			const select = vi.fn().mockResolvedValue({
+				data: [{ keyword: 'ubuntu', weight: '2.00', categories: { name: 'Linux' } }],
+				error: null
+			});
+			const supabase = /** @type {any} */ ({ from: vi.fn(() => ({ select })) });
+
+			const loaded = await loadCategoryRules(supabase);
+
+			expect(supabase.from).toHaveBeenCalledWith('category_rules');
+			expect(loaded.get('linux')?.[0]).toMatchObject({ keyword: 'ubuntu', weight: 2 });
+
+			// Cached for the next call
+			await loadCategoryRules(supabase);
+			expect(select).toHaveBeenCalledTimes(1);
+		});
+
+		it('should fall back to the built-in rules when the table is empty', async () => {
+			const supabase = /** @type {any} */ ({
+				from: vi.fn(() => ({ select: vi.fn().mockResolvedValue({ data: [], error: null }) }))
+			});
+
+			const loaded = await loadCategoryRules(supabase);
+
+			expect(loaded.has('programming')).toBe(true);
+		});
+	});
+});
\ No newline at end of file
@@ -0,0 +1,109 @@
+import { describe, it, expect, vi } from 'vitest';
+import { listRules, parseCommand, removeRule, setRule } from '../scripts/category-rules.js';
+
+const CATEGORIES = [
+  { id: 'cat-1', name: 'AI & Machine Learning' },
+  { id: 'cat-2', name: 'Linux' }
+];
+
+/**
+ * Mock client: categories resolve to CATEGORIES, category_rules queries to `rules`
+ * @param {{data: any, error: {message: string}|null}} [rules] - Result of the category_rules query
+ * @returns {any}
+ */
+function createMockSupabase(rules = { data: [], error: null }) {
+  /** @type {Record<string, any>} */
+  const query = {
+    then: (/** @type {(result: Object) => void} */ resolve) => resolve(rules)
+  };
+  for (const method of ['select', 'eq', 'upsert', 'delete']) {
+    query[method] = vi.fn(() => query);
+  }
+  const categories = {
+    select: vi.fn(async () => ({ data: CATEGORIES, error: null }))
+  };
+  return {
+    from: vi.fn((/** @type {string} */ table) => (table === 'categories' ? categories : query)),
+    query
+  };
+}
+
+describe('Category rules CLI', () => {
+  it('should parse commands', () => {
+    expect(parseCommand(['node', 'script'])).toEqual({ command: 'list' });
+    expect(parseCommand(['node', 'script', 'list', 'Linux'])).toEqual({ command: 'list', category: 'Linux' });
+    expect(parseCommand(['node', 'script', 'set', 'Linux', ' Arch  Linux ', '2.5'])).toEqual({
+      command: 'set',
+      category: 'Linux',
+      keyword: 'arch linux',
+      weight: 2.5
+    });
+    expect(parseCommand(['node', 'script', 'set', 'Linux', 'windows', '-1'])).toMatchObject({ weight: -1 });
+    expect(parseCommand(['node', 'script', 'remove', 'Linux', 'Bash'])).toEqual({
+      command: 'remove',
+      category: 'Linux',
+      keyword: 'bash'
+    });
+    expect(() => parseCommand(['node', 'script', 'set', 'Linux', 'bash'])).toThrow('"set" needs a non-zero weight');
+    expect(() => parseCommand(['node', 'script', 'set', 'Linux', 'bash', '100'])).toThrow('"set" needs a non-zero weight');
+    expect(() => parseCommand(['node', 'script', 'set', 'Linux', 'bash', 'abc'])).toThrow('"set" needs a non-zero weight');
+    expect(() => parseCommand(['node', 'script', 'remove', 'Linux'])).toThrow('"remove" needs a category and a keyword');
+    expect(() => parseCommand(['node', 'script', 'train'])).toThrow('Unknown command: train');
+  });
+
+  it('should find categories case-insensitively and upsert the rule', async () => {
+    const supabase = createMockSupabase();
+
+    const result = await setRule(supabase, 'ai & machine learning', 'llm', 3);
+
+    expect(result).toEqual({ success: true, message: '"llm" counts 3 for AI & Machine Learning.' });
+    expect(supabase.query.upsert).toHaveBeenCalledWith(
+      { category_id: 'cat-1', keyword: 'llm', weight: 3 },
+      { onConflict: 'category_id,keyword' }
+    );
+  });
+
+  it('should report unknown categories', async () => {
+    const supabase = createMockSupabase();
+
+    const result = await setRule(supabase, 'Astrology', 'horoscope', 2);
+
+    expect(result).toEqual({ success: false, message: 'Category "Astrology" not found in database.' });
+    expect(supabase.query.upsert).not.toHaveBeenCalled();
+  });
+
+  it('should remove a rule and report rules that do not exist', async () => {
+    const removed = createMockSupabase({ data: [{ id: 'rule-1' }], error: null });
+
+    expect(await removeRule(removed, 'Linux', 'bash')).toEqual({
+      success: true,
+      message: 'Removed "bash" from Linux.'
+    });
+    expect(removed.query.eq).toHaveBeenCalledWith('category_id', 'cat-2');
+    expect(removed.query.eq).toHaveBeenCalledWith('keyword', 'bash');
+
+    const missing = createMockSupabase({ data: [], error: null });
+    expect(await removeRule(missing, 'Linux', 'zsh')).toEqual({
+      success: false,
+      message: 'Linux has no rule for "zsh".'
+    });
+  });
+
+  it('should list the rules of a category sorted by keyword', async () => {
+    const supabase = createMockSupabase({
+      data: [
+        { keyword: 'ubuntu', weight: '2.00', categories: { name: 'Linux' } },
+        { keyword: 'bash', weight: '1.00', categories: { name: 'Linux' } }
+      ],
+      error: null
+    });
+
+    const result = await listRules(supabase, 'linux');
+
+    expect(supabase.query.eq).toHaveBeenCalledWith('category_id', 'cat-2');
+    expect(result.rules).toEqual([
+      { category: 'Linux', keyword: 'bash', weight: 1 },
+      { category: 'Linux', keyword: 'ubuntu', weight: 2 }
+    ]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,131 @@
+import { describe, it, expect } from 'vitest';
+import { CheckQueue } from '../src/lib/check-queue.js';
+
+/**
+ * @typedef {Object} Tracker
+ * @property {number} current - Tasks running now
+ * @property {number} peak - Most tasks running at once
+ * @property {Array<() => void>} releases - Finish a running task
+ * @property {(value?: any) => () => Promise<any>} task - Create a task resolving with value
+ * @property {() => Promise<void>} releaseAll - Finish every task, including ones started meanwhile
+ */
+
+/**
+ * Create a task that resolves when release() is called, tracking peak concurrency
+ * @returns {Tracker}
+ */
+function createTracker() {
+	/** @type {Tracker} */
+	const tracker = /** @type {any} */ ({ current: 0, peak: 0, releases: [] });
+	tracker.task = (value) => () =>
+		new Promise((resolve) => {
+			tracker.current++;
+			tracker.peak = Math.max(tracker.peak, tracker.current);
+			tracker.releases.push(() => {
+				tracker.current--;
+				resolve(value);
+			});
+		});
+	tracker.releaseAll = async () => {
+		while (tracker.releases.length > 0) {
+			tracker.releases.splice(0).forEach((release) => release());
+			await new Promise((resolve) => setTimeout(resolve, 0));
+		}
+	};
+	return tracker;
+}
+
+describe('CheckQueue', () => {
+	it('should resolve with the task result', async () => {
+		const queue = new CheckQueue();
+		const result = await queue.add('https://example.com', async () => 'done');
+		expect(result).toBe('done');
+	});
+
+	it('should reject when the task throws', async () => {
+		const queue = new CheckQueue();
+		await expect(
+			queue.add('https://example.com', async () => {
+				throw new Error('boom');
+			})
+		).rejects.toThrow('boom');
+		expect(queue.running).toBe(0);
+	});
+
+	it('should limit simultaneous requests to the same host', async () => {
+		const queue = new CheckQueue({ perHostConcurrency: 2 });
+		const tracker = createTracker();
+
+		const promises = [1, 2, 3, 4, 5].map((i) =>
+			queue.add(`https://example.com/page${i}`, tracker.task(i))
+		);
+		await new Promise((resolve) => setTimeout(resolve, 0));
+
+		expect(queue.running).toBe(2);
+		expect(queue.size).toBe(3);
+
+		await tracker.releaseAll();
+		expect(await Promise.all(promises)).toEqual([1, 2, 3, 4, 5]);
+		expect(tracker.peak).toBe(2);
+	});
+
+	it('should use separate pools for clearnet and onion hosts', async () => {
+		const queue = new CheckQueue({
+			clearnetConcurrency: 3,
+			onionConcurrency: 1,
+			perHostConcurrency: 10
+		});
+		const tracker = createTracker();
+
+		const promises = [
+			...[1, 2, 3, 4].map((i) => queue.add(`http://site${i}.onion`, tracker.task(i))),
+			...[1, 2, 3, 4].map((i) => queue.add(`https://site${i}.com`, tracker.task(i)))
+		];
+		await new Promise((resolve) => setTimeout(resolve, 0));
+
+		expect(queue.active).toEqual({ clearnet: 3, onion: 1 });
+
+		await tracker.releaseAll();
+		await Promise.all(promises);
+		expect(queue.running).toBe(0);
+	});
+
+	it('should not let a busy host block other hosts', async () => {
+		const queue = new CheckQueue({ perHostConcurrency: 1 });
+		const tracker = createTracker();
+
+		queue.add('https://busy.com/a', tracker.task('a'));
+		queue.add('https://busy.com/b', tracker.task('b'));
+		queue.add('https://other.com', tracker.task('c'));
+		await new Promise((resolve) => setTimeout(resolve, 0));
+
+		expect(queue.running).toBe(2);
+		expect(queue.size).toBe(1);
+
+		await tracker.releaseAll();
+		await queue.onIdle();
+	});
+
+	it('should apply backpressure once maxPending is reached', async () => {
+		const queue = new CheckQueue({ perHostConcurrency: 1, maxPending: 2 });
+		const tracker = createTracker();
+
+		queue.add('https://example.com/1', tracker.task(1));
+		queue.add('https://example.com/2', tracker.task(2));
+		queue.add('https://example.com/3', tracker.task(3));
+
+		let hasCapacity = false;
+		queue.waitForCapacity().then(() => {
+			hasCapacity = true;
+		});
+		await new Promise((resolve) => setTimeout(resolve, 0));
+		expect(hasCapacity).toBe(false);
+
+		tracker.releases.shift()?.();
+		await new Promise((resolve) => setTimeout(resolve, 0));
+		expect(hasCapacity).toBe(true);
+
+		await tracker.releaseAll();
+		await queue.onIdle();
+	});
+});
\ No newline at end of file
@@ -0,0 +1,129 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+	cacheFavicon,
+	fetchFavicon,
+	getFaviconCandidates,
+	getFaviconPath,
+	isFaviconStale,
+	sniffImageType
+} from '../src/lib/favicon.js';
+import { setTransport } from '../src/lib/http-client.js';
+
+const PNG = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const ICO = new Uint8Array([0x00, 0x00, 0x01, 0x00, 0x01, 0x00]);
+
+/**
+ * Build a minimal fetch-like response
+ * @param {number} status - HTTP status code
+ * @param {Uint8Array} [bytes] - Response body
+ */
+function fakeResponse(status, bytes = new Uint8Array()) {
+	return {
+		ok: status >= 200 && status < 300,
+		status,
+		headers: new Headers(),
+		arrayBuffer: async () => /** @type {ArrayBuffer} */ (bytes.buffer)
+	};
+}
+
+/**
+ * Mock Supabase client whose favicons table holds a single row
+ * @param {Object|null} row - Stored favicon row
+ * @returns {any}
+ */
+function createMockSupabase(row) {
+	const query = {
+		select: vi.fn(() => query),
+		eq: vi.fn(() => query),
+		maybeSingle: vi.fn(async () => ({ data: row, error: null })),
+		upsert: vi.fn(async () => ({ error: null }))
+	};
+	return { from: vi.fn(() => query), query };
+}
+
+describe('Favicons', () => {
+	afterEach(() => {
+		setTransport(null);
+	});
+
+	it('should serve favicons from our own route', () => {
+		expect(getFaviconPath('Example.com')).toBe('/api/favicon/example.com');
+	});
+
+	it('should detect image types from their bytes', () => {
+		expect(sniffImageType(PNG)).toBe('image/png');
+		expect(sniffImageType(ICO)).toBe('image/x-icon');
+		expect(sniffImageType(new TextEncoder().encode('<?xml version="1.0"?><svg></svg>'))).toBe(
+			'image/svg+xml'
+		);
+		expect(sniffImageType(new TextEncoder().encode('<!DOCTYPE html><html>'))).toBeNull();
+	});
+
+	it('should try the declared icon before /favicon.ico', () => {
+		expect(
+			getFaviconCandidates('https://example.com/page', 'https://cdn.example.com/icon.png')
+		).toEqual(['https://cdn.example.com/icon.png', 'https://example.com/favicon.ico']);
+		expect(getFaviconCandidates('http://example.onion/a/b', null)).toEqual([
+			'http://example.onion/favicon.ico'
+		]);
+	});
+
+	it('should fall back to /favicon.ico and skip responses that are not images', async () => {
+		const transport = vi.fn(async (url) => {
+			if (url.endsWith('/icon.png')) return fakeResponse(200, new TextEncoder().encode('<html>'));
+			return fakeResponse(200, ICO);
+		});
+		setTransport(transport);
+
+		const favicon = await fetchFavicon('https://example.com', 'https://example.com/icon.png');
+
+		expect(favicon).toMatchObject({
+			contentType: 'image/x-icon',
+			sourceUrl: 'https://example.com/favicon.ico'
+		});
+		expect(transport).toHaveBeenCalledTimes(2);
+	});
+
+	it('should return null when no icon can be found', async () => {
+		setTransport(async () => fakeResponse(404));
+		expect(await fetchFavicon('https://example.com')).toBeNull();
+	});
+
+	it('should retry failed domains sooner than stored icons', () => {
+		const now = new Date('2026-10-19T12:00:00Z');
+		const twoDaysAgo = '2026-10-17T12:00:00Z';
+
+		expect(isFaviconStale(null, now)).toBe(true);
+		expect(isFaviconStale({ data: 'AAAB', fetched_at: twoDaysAgo }, now)).toBe(false);
+		expect(isFaviconStale({ data: null, fetched_at: twoDaysAgo }, now)).toBe(true);
+	});
+
+	it('should not refetch a fresh cached favicon', async () => {
+		const transport = vi.fn();
+		setTransport(transport);
+		const row = { domain: 'example.com', data: 'AAAB', fetched_at: new Date().toISOString() };
+		const supabase = createMockSupabase(row);
+
+		expect(await cacheFavicon(supabase, 'example.com', 'https://example.com')).toBe(row);
+		expect(transport).not.toHaveBeenCalled();
+		expect(supabase.query.upsert).not.toHaveBeenCalled();
+	});
+
+	it('should store fetched favicons as base64', async () => {
+		setTransport(async () => fakeResponse(200, PNG));
+		const supabase = createMockSupabase(null);
+
+		await cacheFavicon(supabase, 'Example.com', 'https://example.com', null);
+
+		expect(supabase.from).toHaveBeenCalledWith('favicons');
+		expect(supabase.query.upsert).toHaveBeenCalledWith(
+			expect.objectContaining({
+				domain: 'example.com',
+				content_type: 'image/png',
+				data: Buffer.from(PNG).toString('base64'),
+				source_url: 'https://example.com/favicon.ico'
+			}),
+			{ onConflict: 'domain' }
+		);
+	});
+});
\ No newline at end of file
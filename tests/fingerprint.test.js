@@ -0,0 +1,186 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+	cloneSimilarity,
+	hammingDistance,
+	hashFavicon,
+	recordFingerprint,
+	simhash,
+	simhashBands
+} from '../src/lib/fingerprint.js';
+
+const PAGE =
+	'Welcome to the Hidden Answers market. Browse thousands of listings from trusted vendors, ' +
+	'pay with escrow and leave feedback after every order. Log in with your username and ' +
+	'password to see your wallet, open disputes and read messages from vendors. New users ' +
+	'should read the rules and the security guide before placing their first order.';
+
+const ORIGINAL = 'a'.repeat(56) + '.onion';
+const CLONE = 'b'.repeat(56) + '.onion';
+
+/**
+ * Mock Supabase client returning the given candidates and site mirrors and recording updates
+ * @param {Array<Object>} candidates - Rows returned by the clone lookup
+ * @param {Array<Object>} [mirrors] - Rows returned by the site mirror lookup
+ * @returns {any}
+ */
+function createMockSupabase(candidates, mirrors = []) {
+	/** @type {Array<Record<string, any>>} */
+	const updates = [];
+	const query = {
+		select: vi.fn(() => query),
+		neq: vi.fn(() => query),
+		ilike: vi.fn(() => query),
+		or: vi.fn(() => query),
+		limit: vi.fn(async () => ({ data: candidates, error: null })),
+		in: vi.fn(async () => ({ data: mirrors, error: null })),
+		update: vi.fn((row) => {
+			updates.push(row);
+			return query;
+		}),
+		eq: vi.fn(async (column, value) => {
+			updates[updates.length - 1].id = value;
+			return { error: null };
+		})
+	};
+	return { from: vi.fn(() => query), query, updates };
+}
+
+describe('Content fingerprints', () => {
+	it('should give near-identical pages nearly identical hashes', () => {
+		const original = /** @type {string} */ (simhash(PAGE));
+		const copy = /** @type {string} */ (simhash(PAGE.replace('Hidden Answers', 'Hidden Answerz')));
+		const unrelated = /** @type {string} */ (
+			simhash(
+				'The Linux kernel mailing list archive contains patches, reviews and discussions about ' +
+					'memory management, schedulers, file systems, device drivers and networking code ' +
+					'submitted by thousands of developers from hundreds of companies around the world.'
+			)
+		);
+
+		expect(original).toMatch(/^[0-9a-f]{16}$/);
+		expect(hammingDistance(original, copy)).toBeLessThanOrEqual(10);
+		expect(hammingDistance(original, unrelated)).toBeGreaterThan(10);
+	});
+
+	it('should not fingerprint pages with too little text', () => {
+		expect(simhash('Just a login form')).toBeNull();
+	});
+
+	it('should count differing bits', () => {
+		expect(hammingDistance('0000000000000000', '0000000000000000')).toBe(0);
+		expect(hammingDistance('0000000000000000', '000000000000000f')).toBe(4);
+		expect(hammingDistance('ffffffffffffffff', '0000000000000000')).toBe(64);
+	});
+
+	it('should split hashes into prefixed bands', () => {
+		expect(simhashBands('0123456789abcdef')).toEqual(['0:0123', '1:4567', '2:89ab', '3:cdef']);
+	});
+
+	it('should accept a larger distance when the favicon matches', () => {
+		const icon = hashFavicon(Buffer.from('icon').toString('base64'));
+		const fingerprint = { simhash: '0000000000000000', faviconHash: icon };
+
+		expect(cloneSimilarity(fingerprint, { content_simhash: '0000000000000007' })).toBeCloseTo(
+			0.953
+		);
+		expect(cloneSimilarity(fingerprint, { content_simhash: '00000000000000ff' })).toBeNull();
+		expect(
+			cloneSimilarity(fingerprint, { content_simhash: '00000000000000ff', favicon_hash: icon })
+		).toBe(0.875);
+	});
+
+	it('should flag the newer of two onion links with the same content', async () => {
+		const hash = /** @type {string} */ (simhash(PAGE));
+		const supabase = createMockSupabase([
+			{
+				id: 'original',
+				domain: ORIGINAL,
+				created_at: '2026-01-01T00:00:00Z',
+				content_simhash: hash
+			}
+		]);
+		const link = {
+			id: 'clone',
+			url: `http://${CLONE}/login`,
+			domain: CLONE,
+			created_at: '2026-10-01T00:00:00Z'
+		};
+
+		const flagged = await recordFingerprint(supabase, link, { simhash: hash, faviconHash: null });
+
+		expect(flagged).toEqual({ cloneId: 'clone', originalId: 'original', similarity: 1 });
+		expect(supabase.updates[0]).toMatchObject({
+			id: 'clone',
+			content_simhash: hash,
+			content_simhash_bands: simhashBands(hash)
+		});
+		expect(supabase.updates[1]).toMatchObject({
+			id: 'clone',
+			clone_of: 'original',
+			clone_similarity: 1
+		});
+	});
+
+	it('should not flag subdomains of the same onion address', async () => {
+		const hash = simhash(PAGE);
+		const supabase = createMockSupabase([
+			{
+				id: 'other',
+				domain: `www.${CLONE}`,
+				created_at: '2026-01-01T00:00:00Z',
+				content_simhash: hash
+			}
+		]);
+		const link = { id: 'clone', url: `http://${CLONE}`, domain: CLONE, created_at: '2026-10-01' };
+
+		expect(await recordFingerprint(supabase, link, { simhash: hash })).toBeNull();
+		expect(supabase.updates).toHaveLength(1);
+	});
+
+	it('should not flag verified mirrors of the same site', async () => {
+		const hash = simhash(PAGE);
+		const candidate = {
+			id: 'original',
+			domain: ORIGINAL,
+			created_at: '2026-01-01T00:00:00Z',
+			content_simhash: hash
+		};
+		const link = { id: 'mirror', url: `http://${CLONE}`, domain: CLONE, created_at: '2026-10-01' };
+
+		const mirrors = createMockSupabase(
+			[candidate],
+			[
+				{ site_id: 'site-1', address: ORIGINAL },
+				{ site_id: 'site-1', address: CLONE }
+			]
+		);
+		expect(await recordFingerprint(mirrors, link, { simhash: hash })).toBeNull();
+		expect(mirrors.query.in).toHaveBeenCalledWith('address', [CLONE, ORIGINAL]);
+		expect(mirrors.updates).toHaveLength(1);
+
+		const otherSite = createMockSupabase(
+			[candidate],
+			[
+				{ site_id: 'site-1', address: ORIGINAL },
+				{ site_id: 'site-2', address: CLONE }
+			]
+		);
+		expect(await recordFingerprint(otherSite, link, { simhash: hash })).toMatchObject({
+			cloneId: 'mirror',
+			originalId: 'original'
+		});
+	});
+
+	it('should only look for clones of onion links', async () => {
+		const supabase = createMockSupabase([]);
+		const link = {
+			id: 'link',
+			url: 'https://example.com',
+			domain: 'example.com',
+			created_at: '2026-10-01T00:00:00Z'
+		};
+
+		expect(await recordFingerprint(supabase, link, { simhash: simhash(PAGE) })).toBeNull();
+		expect(supabase.query.limit).not.toHaveBeenCalled();
+	});
+});
\ No newline at end of file
@@ -0,0 +1,159 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import net from 'node:net';
+import {
+	httpRequest,
+	readText,
+	readBytes,
+	isOnionUrl,
+	setTransport,
+	getSocksProxy,
+	probeTor,
+	USER_AGENT
+} from '../src/lib/http-client.js';
+
+/** @typedef {import('../src/lib/http-client.js').Transport} Transport */
+
+/**
+ * Build a minimal fetch-like response
+ * @param {number} status - HTTP status code
+ * @param {string} [body] - Response body
+ */
+function fakeResponse(status, body = '') {
+	return {
+		ok: status >= 200 && status < 300,
+		status,
+		headers: new Headers(),
+		arrayBuffer: async () => new TextEncoder().encode(body).buffer
+	};
+}
+
+describe('HTTP client', () => {
+	afterEach(() => {
+		setTransport(null);
+		vi.unstubAllEnvs();
+	});
+
+	describe('isOnionUrl', () => {
+		it('should detect onion hosts', () => {
+			expect(isOnionUrl('http://example.onion/path')).toBe(true);
+			expect(isOnionUrl('https://EXAMPLE.ONION')).toBe(true);
+			expect(isOnionUrl('https://example.com/page.onion')).toBe(false);
+			expect(isOnionUrl('not a url')).toBe(false);
+		});
+	});
+
+	describe('httpRequest', () => {
+		it('should verify TLS for clearnet and skip it for onion services by default', async () => {
+			const transport = vi.fn(/** @type {Transport} */ (async () => fakeResponse(200)));
+			setTransport(transport);
+
+			await httpRequest('https://example.com');
+			await httpRequest('http://example.onion');
+
+			expect(transport.mock.calls[0][1]).toMatchObject({ onion: false, rejectUnauthorized: true });
+			expect(transport.mock.calls[1][1]).toMatchObject({ onion: true, rejectUnauthorized: false });
+		});
+
+		it('should pass the user agent, headers and SOCKS endpoint to the transport', async () => {
+			const transport = vi.fn(/** @type {Transport} */ (async () => fakeResponse(200)));
+			setTransport(transport);
+
+			await httpRequest('http://example.onion', { headers: { Range: 'bytes=0-0' } });
+			await httpRequest('http://example.onion', { socksProxy: 'socks5h://tor:9150' });
+
+			expect(transport.mock.calls[0][1].headers).toEqual({
+				'User-Agent': USER_AGENT,
+				Range: 'bytes=0-0'
+			});
+			expect(transport.mock.calls[0][1].socksProxy).toBe('socks5h://127.0.0.1:9050');
+			expect(transport.mock.calls[1][1].socksProxy).toBe('socks5h://tor:9150');
+		});
+
+		it('should retry network errors and 5xx responses', async () => {
+			const cancel = vi.fn(async () => {});
+			const transport = vi
+				.fn()
+				.mockRejectedValueOnce(new Error('ECONNRESET'))
+				.mockResolvedValueOnce({ ...fakeResponse(503), body: { cancel } })
+				.mockResolvedValueOnce(fakeResponse(200));
+			setTransport(transport);
+
+			const response = await httpRequest('https://example.com', { retries: 2, retryDelayMs: 1 });
+
+			expect(response.status).toBe(200);
+			expect(transport).toHaveBeenCalledTimes(3);
+			// The body of the retried response is released, not left to the garbage collector
+			expect(cancel).toHaveBeenCalled();
+		});
+
+		it('should not retry by default or on 4xx responses', async () => {
+			const transport = vi.fn(/** @type {Transport} */ (async () => fakeResponse(404)));
+			setTransport(transport);
+
+			const response = await httpRequest('https://example.com', { retries: 3, retryDelayMs: 1 });
+
+			expect(response.status).toBe(404);
+			expect(transport).toHaveBeenCalledTimes(1);
+
+			setTransport(vi.fn().mockRejectedValue(new Error('ECONNRESET')));
+			await expect(httpRequest('https://example.com')).rejects.toThrow('ECONNRESET');
+		});
+	});
+
+	describe('response size caps', () => {
+		it('should truncate text at maxBytes', async () => {
+			const text = await readText(fakeResponse(200, 'hello world'), 5);
+			expect(text).toBe('hello');
+		});
+
+		it('should truncate streamed bodies at maxBytes', async () => {
+			const response = new Response('a'.repeat(100));
+			const bytes = await readBytes(response, 10);
+			expect(bytes.length).toBe(10);
+		});
+
+		it('should throw in strict mode when the body is too large', async () => {
+			const response = new Response('a'.repeat(100), { headers: { 'content-length': '100' } });
+			await expect(readBytes(response, 10, true)).rejects.toThrow('Response too large');
+		});
+	});
+
+	describe('Tor SOCKS endpoint', () => {
+		it('should read the SOCKS host and port from the environment', () => {
+			expect(getSocksProxy()).toBe('socks5h://127.0.0.1:9050');
+
+			vi.stubEnv('TOR_SOCKS_HOST', 'tor');
+			vi.stubEnv('TOR_SOCKS_PORT', '9150');
+			expect(getSocksProxy()).toBe('socks5h://tor:9150');
+		});
+
+		it('should report Tor as available when the proxy answers the SOCKS5 greeting', async () => {
+			const server = net.createServer((socket) => {
+				socket.once('data', () => socket.write(Buffer.from([0x05, 0x00])));
+			});
+			await new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(null)));
+
+			try {
+				const status = await probeTor({
+					socksProxy: `socks5h://127.0.0.1:${/** @type {net.AddressInfo} */ (server.address()).port}`
+				});
+				expect(status.available).toBe(true);
+				expect(status.error).toBeNull();
+			} finally {
+				server.close();
+			}
+		});
+
+		it('should report Tor as unavailable when nothing is listening', async () => {
+			const server = net.createServer();
+			await new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(null)));
+			const port = /** @type {net.AddressInfo} */ (server.address()).port;
+			await new Promise((resolve) => server.close(resolve));
+
+			const status = await probeTor({ socksProxy: `socks5h://127.0.0.1:${port}` });
+			expect(status.available).toBe(false);
+			expect(status.latencyMs).toBeNull();
+			expect(status.error).toBeTruthy();
+		});
+	});
+});
\ No newline at end of file
@@ -0,0 +1,137 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import sharp from 'sharp';
+import {
+	fetchSourceImage,
+	getProxiedImage,
+	isImageStale,
+	resizeImage
+} from '../src/lib/image-proxy.js';
+import { setTransport } from '../src/lib/http-client.js';
+
+/**
+ * Build a minimal fetch-like response
+ * @param {number} status - HTTP status code
+ * @param {Uint8Array} bytes - Response body
+ * @param {string} [contentType] - Content-Type header
+ */
+function fakeResponse(status, bytes, contentType) {
+	return {
+		ok: status >= 200 && status < 300,
+		status,
+		headers: new Headers(contentType ? { 'content-type': contentType } : {}),
+		arrayBuffer: async () =>
+			/** @type {ArrayBuffer} */ (
+				bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length)
+			)
+	};
+}
+
+/**
+ * Create a JPEG carrying EXIF data
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ */
+async function createJpeg(width, height) {
+	return await sharp({ create: { width, height, channels: 3, background: '#336699' } })
+		.jpeg()
+		.withExif({ IFD0: { Copyright: 'Secret Camera Owner' } })
+		.toBuffer();
+}
+
+/**
+ * Mock Supabase client whose link_images table holds a single row
+ * @param {Object|null} row - Stored image row
+ * @returns {any}
+ */
+function createMockSupabase(row) {
+	const query = {
+		select: vi.fn(() => query),
+		eq: vi.fn(() => query),
+		maybeSingle: vi.fn(async () => ({ data: row, error: null })),
+		upsert: vi.fn(async () => ({ error: null }))
+	};
+	return { from: vi.fn(() => query), query };
+}
+
+describe('Image proxy', () => {
+	afterEach(() => {
+		setTransport(null);
+	});
+
+	it('should resize to the thumbnail size and strip EXIF', async () => {
+		const resized = await resizeImage(await createJpeg(1600, 800), 'small');
+		const metadata = await sharp(resized).metadata();
+
+		expect(metadata.format).toBe('webp');
+		expect(metadata.width).toBe(320);
+		expect(metadata.height).toBe(160);
+		expect(metadata.exif).toBeUndefined();
+	});
+
+	it('should not enlarge small images', async () => {
+		const resized = await resizeImage(await createJpeg(100, 50), 'large');
+		expect((await sharp(resized).metadata()).width).toBe(100);
+	});
+
+	it('should reject bytes that are not a supported image', async () => {
+		const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"/>');
+		await expect(resizeImage(svg, 'small')).rejects.toThrow('Unsupported image format');
+	});
+
+	it('should reject responses with a non-image content type', async () => {
+		setTransport(async () => fakeResponse(200, Buffer.from('<html>'), 'text/html'));
+		await expect(fetchSourceImage('https://example.com/a.jpg')).rejects.toThrow(
+			'Unsupported image type: text/html'
+		);
+	});
+
+	it('should reject images over the size limit', async () => {
+		const huge = new Uint8Array(6 * 1024 * 1024);
+		setTransport(async () => fakeResponse(200, huge, 'image/png'));
+		await expect(fetchSourceImage('https://example.com/a.png')).rejects.toThrow(
+			'Response too large'
+		);
+	});
+
+	it('should refetch when the link image changes', () => {
+		const row = {
+			source_url: 'https://example.com/a.jpg',
+			data: 'AAAA',
+			fetched_at: new Date().toISOString()
+		};
+		expect(isImageStale(row, 'https://example.com/a.jpg')).toBe(false);
+		expect(isImageStale(row, 'https://example.com/b.jpg')).toBe(true);
+	});
+
+	it('should fetch, resize and store a missing image', async () => {
+		const jpeg = await createJpeg(800, 600);
+		setTransport(async () => fakeResponse(200, jpeg, 'image/jpeg'));
+		const supabase = createMockSupabase(null);
+
+		const image = await getProxiedImage(supabase, 'link-1', 'https://example.com/a.jpg', 'small');
+
+		expect(image.content_type).toBe('image/webp');
+		expect(image.data).toBeTruthy();
+		expect(supabase.query.upsert).toHaveBeenCalledWith(
+			expect.objectContaining({ link_id: 'link-1', size: 'small' }),
+			{ onConflict: 'link_id,size' }
+		);
+	});
+
+	it('should serve a fresh cached image without fetching', async () => {
+		const transport = vi.fn();
+		setTransport(transport);
+		const row = {
+			link_id: 'link-1',
+			size: 'small',
+			source_url: 'https://example.com/a.jpg',
+			content_type: 'image/webp',
+			data: 'AAAA',
+			fetched_at: new Date().toISOString()
+		};
+		const supabase = createMockSupabase(row);
+
+		expect(await getProxiedImage(supabase, 'link-1', row.source_url, 'small')).toBe(row);
+		expect(transport).not.toHaveBeenCalled();
+	});
+});
\ No newline at end of file
@@ -1,5 +1,12 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { checkLink, checkAllLinks, LinkChecker } from '../src/lib/link-checker.js';
+import {
+  checkLink,
+  checkAllLinks,
+  calculateUptime,
+  classifyError,
+  classifyHttpStatus,
+  LinkChecker
+} from '../src/lib/link-checker.js';
 
 // Mock fetch globally
 global.fetch = vi.fn();
@@ -28,6 +35,11 @@ describe('Link Checker', () => {
         status: 'live',
         statusCode: 200,
         errorMessage: null,
+        errorType: null,
+        finalUrl: 'https://example.com',
+        redirectChain: [],
+        responseTimeMs: expect.any(Number),
+        ttfbMs: expect.any(Number),
         checkedAt: expect.any(Date)
       });
     });
@@ -46,10 +58,66 @@ describe('Link Checker', () => {
         status: 'dead',
         statusCode: 404,
         errorMessage: 'HTTP 404: Not Found',
+        errorType: 'http_4xx',
+        finalUrl: 'https://example.com/notfound',
+        redirectChain: [],
+        responseTimeMs: expect.any(Number),
+        ttfbMs: expect.any(Number),
         checkedAt: expect.any(Date)
       });
     });
 
+    it('should fall back to a ranged GET when HEAD is rejected', async () => {
+      fetch
+        .mockResolvedValueOnce({ ok: false, status: 405, statusText: 'Method Not Allowed' })
+        .mockResolvedValueOnce({ ok: true, status: 206, statusText: 'Partial Content' });
+
+      const result = await checkLink('https://example.com');
+
+      expect(result.status).toBe('live');
+      expect(result.statusCode).toBe(206);
+      expect(fetch).toHaveBeenNthCalledWith(1, 'https://example.com', expect.objectContaining({ method: 'HEAD' }));
+      expect(fetch).toHaveBeenNthCalledWith(2, 'https://example.com', expect.objectContaining({
+        method: 'GET',
+        headers: expect.objectContaining({ Range: 'bytes=0-0' })
+      }));
+    });
+
+    it('should follow redirects and record the final URL and chain', async () => {
+      const redirect = (/** @type {string} */ location) => ({
+        ok: false,
+        status: 301,
+        statusText: 'Moved Permanently',
+        headers: { get: (/** @type {string} */ name) => (name === 'location' ? location : null) }
+      });
+      fetch
+        .mockResolvedValueOnce(redirect('https://www.example.com/'))
+        .mockResolvedValueOnce(redirect('/home'))
+        .mockResolvedValueOnce({ ok: true, status: 200, statusText: 'OK' });
+
+      const result = await checkLink('http://example.com');
+
+      expect(result.status).toBe('live');
+      expect(result.finalUrl).toBe('https://www.example.com/home');
+      expect(result.redirectChain).toEqual(['https://www.example.com/', 'https://www.example.com/home']);
+    });
+
+    it('should mark a link dead when the redirect limit is exceeded', async () => {
+      fetch.mockResolvedValue({
+        ok: false,
+        status: 302,
+        statusText: 'Found',
+        headers: { get: () => '/loop' }
+      });
+
+      const result = await checkLink('https://example.com', { maxRedirects: 2 });
+
+      expect(result.status).toBe('dead');
+      expect(result.errorMessage).toContain('Too many redirects');
+      expect(result.redirectChain).toHaveLength(2);
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
     it('should return dead status for network error', async () => {
       fetch.mockRejectedValueOnce(new Error('Network error'));
 
@@ -96,27 +164,29 @@ describe('Link Checker', () => {
   });
 
   describe('LinkChecker class', () => {
+    /** @type {LinkChecker} */
     let linkChecker;
+    /** @type {any} */
     let mockSupabase;
 
     beforeEach(() => {
+      // One chainable query shared by every from() call, so tests can reach the
+      // same spies the checker used; awaiting it (update/delete) resolves successfully
+      const mockQuery = {
+        select: vi.fn(() => mockQuery),
+        eq: vi.fn(() => mockQuery),
+        not: vi.fn(() => mockQuery),
+        single: vi.fn(() => Promise.resolve({ data: null, error: null })),
+        order: vi.fn(() => mockQuery),
+        limit: vi.fn(() => Promise.resolve({ data: [], error: null })),
+        update: vi.fn(() => mockQuery),
+        delete: vi.fn(() => mockQuery),
+        insert: vi.fn(() => mockQuery),
+        then: (/** @type {any} */ resolve, /** @type {any} */ reject) => Promise.resolve({ data: null, error: null }).then(resolve, reject)
+      };
+
       mockSupabase = {
-        from: vi.fn((table) => {
-          const mockQuery = {
-            select: vi.fn(() => mockQuery),
-            eq: vi.fn(() => mockQuery),
-            single: vi.fn(() => Promise.resolve({ data: null, error: null })),
-            order: vi.fn(() => mockQuery),
-            limit: vi.fn(() => Promise.resolve({ data: [], error: null })),
-            update: vi.fn(() => mockQuery),
-            delete: vi.fn(() => mockQuery)
-          };
-          
-          // Make eq() return a promise for update/delete operations
-          mockQuery.eq = vi.fn(() => Promise.resolve({ data: null, error: null }));
-          
-          return mockQuery;
-        })
+        from: vi.fn(() => mockQuery)
       };
 
       linkChecker = new LinkChecker(mockSupabase);
@@ -154,11 +224,6 @@ describe('Link Checker', () => {
         checkedAt: new Date()
       };
 
-      mockSupabase.from().update().eq.mockResolvedValueOnce({
-        data: null,
-        error: null
-      });
-
       await linkChecker.updateLinkStatus('link-id', checkResult);
 
       expect(mockSupabase.from).toHaveBeenCalledWith('links');
@@ -166,8 +231,12 @@ describe('Link Checker', () => {
         status: 'live',
         status_code: 200,
         error_message: null,
+        error_type: null,
         last_checked_at: checkResult.checkedAt.toISOString(),
-        consecutive_failures: 0
+        consecutive_failures: 0,
+        last_verified_at: checkResult.checkedAt.toISOString(),
+        final_url: null,
+        redirect_chain: []
       });
     });
 
@@ -186,23 +255,19 @@ describe('Link Checker', () => {
         error: null
       });
 
-      mockSupabase.from().update().eq.mockResolvedValueOnce({
-        data: null,
-        error: null
-      });
-
       await linkChecker.updateLinkStatus('link-id', checkResult);
 
       expect(mockSupabase.from().update).toHaveBeenCalledWith({
         status: 'dead',
         status_code: 404,
         error_message: 'Not found',
+        error_type: null,
         last_checked_at: checkResult.checkedAt.toISOString(),
         consecutive_failures: 2
       });
     });
 
-    it('should delete links after max consecutive failures', async () => {
+    it('should archive links after max consecutive failures', async () => {
       const checkResult = {
         url: 'https://example.com',
         status: 'dead',
@@ -213,12 +278,54 @@ describe('Link Checker', () => {
 
       // Mock getting current link data with 2 failures (will become 3)
       mockSupabase.from().select().eq().single.mockResolvedValueOnce({
-        data: { consecutive_failures: 2 },
+        data: { consecutive_failures: 2, archived_at: null },
+        error: null
+      });
+
+      const result = await linkChecker.updateLinkStatus('link-id', checkResult);
+
+      expect(result.archived).toBe(true);
+      expect(result.deleted).toBe(false);
+      expect(mockSupabase.from().delete).not.toHaveBeenCalled();
+      expect(mockSupabase.from().update).toHaveBeenCalledWith(expect.objectContaining({
+        archived_at: checkResult.checkedAt.toISOString()
+      }));
+    });
+
+    it('should revive archived links that come back', async () => {
+      const checkResult = {
+        url: 'https://example.com',
+        status: 'live',
+        statusCode: 200,
+        errorMessage: null,
+        checkedAt: new Date()
+      };
+
+      mockSupabase.from().select().eq().single.mockResolvedValueOnce({
+        data: { consecutive_failures: 5, archived_at: new Date(Date.now() - 86400000).toISOString() },
         error: null
       });
 
-      mockSupabase.from().delete().eq.mockResolvedValueOnce({
-        data: null,
+      const result = await linkChecker.updateLinkStatus('link-id', checkResult);
+
+      expect(result.revived).toBe(true);
+      expect(mockSupabase.from().update).toHaveBeenCalledWith(expect.objectContaining({
+        archived_at: null,
+        consecutive_failures: 0
+      }));
+    });
+
+    it('should purge archived links after the grace period', async () => {
+      const checkResult = {
+        url: 'https://example.com',
+        status: 'dead',
+        statusCode: null,
+        errorMessage: 'Network error',
+        checkedAt: new Date()
+      };
+
+      mockSupabase.from().select().eq().single.mockResolvedValueOnce({
+        data: { consecutive_failures: 40, archived_at: new Date(Date.now() - 31 * 86400000).toISOString() },
         error: null
       });
 
@@ -228,6 +335,97 @@ describe('Link Checker', () => {
       expect(mockSupabase.from().delete).toHaveBeenCalled();
     });
 
+    it('should skip onion links without recording them when Tor is down', async () => {
+      // Nothing listens on port 1, so the Tor probe fails
+      linkChecker = new LinkChecker(mockSupabase, { socksProxy: 'socks5h://127.0.0.1:1' });
+
+      mockSupabase.from().select().order().limit.mockResolvedValueOnce({
+        data: [
+          { id: '1', url: 'http://example.onion' },
+          { id: '2', url: 'https://example.com' }
+        ],
+        error: null
+      });
+      mockSupabase.from().select().eq().single.mockResolvedValueOnce({
+        data: { consecutive_failures: 0, archived_at: null },
+        error: null
+      });
+      fetch.mockResolvedValue({ ok: true, status: 200, statusText: 'OK' });
+
+      const result = await linkChecker.checkBatch();
+
+      expect(result.skipped).toBe(1);
+      expect(result.checked).toBe(1);
+      expect(result.live).toBe(1);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(linkChecker.torStatus.available).toBe(false);
+
+      // Later batches leave onion links due for the next run
+      await linkChecker.getLinksNeedingCheck();
+      expect(mockSupabase.from().not).toHaveBeenCalledWith('url', 'ilike', '%.onion%');
+    });
+
+    it('should not count Tor circuit failures against the site', async () => {
+      const checkResult = {
+        url: 'http://example.onion',
+        status: 'dead',
+        statusCode: null,
+        errorMessage: 'Tor proxy error: Socks5 proxy rejected connection - HostUnreachable',
+        errorType: 'tor_circuit',
+        checkedAt: new Date()
+      };
+
+      mockSupabase.from().select().eq().single.mockResolvedValueOnce({
+        data: { consecutive_failures: 2, archived_at: null },
+        error: null
+      });
+
+      const result = await linkChecker.updateLinkStatus('link-id', checkResult);
+
+      expect(result.inconclusive).toBe(true);
+      expect(result.archived).toBe(false);
+      expect(mockSupabase.from().update).toHaveBeenCalledWith({
+        error_message: checkResult.errorMessage,
+        error_type: 'tor_circuit',
+        last_checked_at: checkResult.checkedAt.toISOString()
+      });
+    });
+
+    it('should record each check in the link_checks history', async () => {
+      const checkResult = {
+        url: 'https://example.com',
+        status: 'live',
+        statusCode: 200,
+        errorMessage: null,
+        finalUrl: 'https://example.com',
+        responseTimeMs: 120,
+        checkedAt: new Date()
+      };
+
+      await linkChecker.recordCheck('link-id', checkResult);
+
+      expect(mockSupabase.from).toHaveBeenCalledWith('link_checks');
+      expect(mockSupabase.from().insert).toHaveBeenCalledWith({
+        link_id: 'link-id',
+        status: 'live',
+        status_code: 200,
+        error_message: null,
+        error_type: null,
+        response_time_ms: 120,
+        ttfb_ms: null,
+        final_url: 'https://example.com',
+        checked_at: checkResult.checkedAt.toISOString()
+      });
+    });
+
+    it('should never purge when the grace period is disabled', () => {
+      const checker = new LinkChecker(mockSupabase, { archiveGracePeriodDays: null });
+      const archivedAt = new Date(Date.now() - 365 * 86400000);
+
+      expect(checker.isPastGracePeriod(archivedAt, new Date())).toBe(false);
+      expect(linkChecker.isPastGracePeriod(archivedAt, new Date())).toBe(true);
+    });
+
     it('should process links in batches', async () => {
       const mockLinks = [
         { id: '1', url: 'https://example1.com' },
@@ -271,6 +469,102 @@ describe('Link Checker', () => {
       expect(result.errors).toBe(1);
       expect(result.checked).toBe(0);
     });
+
+    it('should keep checking after a link fails without fetching it again', async () => {
+      linkChecker = new LinkChecker(mockSupabase, { batchSize: 2 });
+      mockSupabase.from().limit
+        .mockResolvedValueOnce({
+          data: [
+            { id: '1', url: 'https://broken.example.com' },
+            { id: '2', url: 'https://example.com' }
+          ],
+          error: null
+        })
+        .mockResolvedValueOnce({
+          data: [{ id: '3', url: 'https://example.org' }],
+          error: null
+        });
+      linkChecker.updateLinkStatus = /** @type {any} */ (vi.fn(async (linkId) => {
+        if (linkId === '1') throw new Error('Database error');
+        return { deleted: false };
+      }));
+
+      fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        statusText: 'OK'
+      });
+
+      const result = await linkChecker.checkAll();
+
+      expect(result.batches).toBe(2);
+      expect(result.checked).toBe(2);
+      expect(result.errors).toBe(1);
+      expect(mockSupabase.from().not).toHaveBeenCalledWith('id', 'in', '(1)');
+    });
+  });
+
+  describe('error classification', () => {
+    const withCode = (/** @type {string} */ message, /** @type {string} */ code) => Object.assign(new Error(message), { code });
+
+    it('should classify HTTP status codes', () => {
+      expect(classifyHttpStatus(404)).toBe('http_4xx');
+      expect(classifyHttpStatus(503)).toBe('http_5xx');
+      expect(classifyHttpStatus(200)).toBe(null);
+    });
+
+    it('should classify network errors from the error cause chain', () => {
+      const wrap = (/** @type {Error} */ cause) => new TypeError('fetch failed', { cause });
+
+      expect(classifyError(wrap(withCode('getaddrinfo ENOTFOUND nope.invalid', 'ENOTFOUND')))).toBe('dns');
+      expect(classifyError(wrap(withCode('connect ECONNREFUSED 1.2.3.4:443', 'ECONNREFUSED')))).toBe('tcp_refused');
+      expect(classifyError(wrap(withCode('self-signed certificate', 'DEPTH_ZERO_SELF_SIGNED_CERT')))).toBe('tls');
+      expect(classifyError(Object.assign(new Error('The operation was aborted due to timeout'), { name: 'TimeoutError' }))).toBe('timeout');
+    });
+
+    it('should tell Tor circuit failures apart from SOCKS errors', () => {
+      const torError = (/** @type {string} */ message, /** @type {Error|undefined} */ cause = undefined) => new Error(`Tor proxy error: ${message}`, { cause });
+
+      expect(classifyError(torError('Socks5 proxy rejected connection - HostUnreachable'))).toBe('tor_circuit');
+      expect(classifyError(torError('Socks5 proxy rejected connection - TTLExpired'))).toBe('tor_circuit');
+      expect(classifyError(torError('Socks5 proxy rejected connection - ConnectionRefused'))).toBe('tcp_refused');
+      expect(classifyError(torError('connect ECONNREFUSED 127.0.0.1:9050', withCode('connect ECONNREFUSED 127.0.0.1:9050', 'ECONNREFUSED')))).toBe('socks');
+      expect(classifyError(torError('request to http://example.onion/ failed, reason: connect ECONNREFUSED 127.0.0.1:9050', new Error('request failed')))).toBe('socks');
+    });
+
+    it('should fall back to unknown', () => {
+      expect(classifyError(new Error('Something odd'))).toBe('unknown');
+    });
+  });
+
+  describe('calculateUptime', () => {
+    const now = new Date('2025-10-01T12:00:00Z');
+    const hoursAgo = (/** @type {number} */ hours) => new Date(now.getTime() - hours * 60 * 60 * 1000).toISOString();
+
+    it('should compute uptime per window and average latency of live checks', () => {
+      const checks = [
+        { status: 'live', checked_at: hoursAgo(1), response_time_ms: 100 },
+        { status: 'dead', checked_at: hoursAgo(2), response_time_ms: null },
+        { status: 'live', checked_at: hoursAgo(48), response_time_ms: 300 },
+        { status: 'dead', checked_at: hoursAgo(24 * 20), response_time_ms: null }
+      ];
+
+      expect(calculateUptime(checks, now)).toEqual({
+        uptime_24h: 50,
+        uptime_7d: 66.7,
+        uptime_30d: 50,
+        avg_latency_ms: 200
+      });
+    });
+
+    it('should return null when there are no checks', () => {
+      expect(calculateUptime([], now)).toEqual({
+        uptime_24h: null,
+        uptime_7d: null,
+        uptime_30d: null,
+        avg_latency_ms: null
+      });
+    });
   });
 
   describe('checkAllLinks', () => {
@@ -285,6 +579,12 @@ describe('Link Checker', () => {
                 ],
                 error: null
               })
+            })),
+            eq: vi.fn(() => ({
+              single: vi.fn().mockResolvedValue({
+                data: { consecutive_failures: 0, archived_at: null },
+                error: null
+              })
             }))
           })),
           update: vi.fn(() => ({
@@ -0,0 +1,160 @@
+import { describe, it, expect, vi } from 'vitest';
+import { applyLinkEdit, canEditLink, diffLinkEdit, parseLinkEdit } from '../src/lib/link-edits.js';
+
+const link = {
+	id: 'link-1',
+	user_id: 'owner',
+	title: 'example.com',
+	description: 'An example',
+	tags: ['demo'],
+	user_provided_fields: ['description']
+};
+
+/**
+ * Supabase mock recording writes per table
+ * @param {{currentCategories?: string[]}} [options] - Categories the link is in
+ * @returns {any}
+ */
+function createClient({ currentCategories = ['Technology'] } = {}) {
+	/** @type {Array<{table: string, method: string, values: any}>} */
+	const writes = [];
+	/** @type {Record<string, {data: any, error: null}>} */
+	const tables = {
+		link_categories: {
+			data: currentCategories.map((name) => ({ categories: { name } })),
+			error: null
+		},
+		categories: {
+			data: [
+				{ id: 1, name: 'Technology' },
+				{ id: 2, name: 'News' }
+			],
+			error: null
+		}
+	};
+
+	const from = vi.fn((/** @type {string} */ table) => {
+		/** @type {Record<string, any>} */
+		const query = {
+			then: (/** @type {(result: any) => void} */ resolve) =>
+				resolve(tables[table] || { data: null, error: null })
+		};
+		for (const method of ['select', 'eq', 'in', 'not']) {
+			query[method] = vi.fn(() => query);
+		}
+		for (const method of ['update', 'insert', 'upsert', 'delete']) {
+			query[method] = vi.fn((values) => {
+				writes.push({ table, method, values });
+				return query;
+			});
+		}
+		return query;
+	});
+
+	return { from, writes };
+}
+
+describe('Link edits', () => {
+	it('should normalize edits', () => {
+		expect(
+			parseLinkEdit({
+				title: '  Example  ',
+				tags: [' Demo ', 'demo', '', 'tools'],
+				categories: ['News']
+			})
+		).toEqual({
+			edit: { title: 'Example', tags: ['Demo', 'tools'], categories: ['News'] },
+			error: null
+		});
+	});
+
+	it('should reject invalid edits', () => {
+		expect(parseLinkEdit({}).error).toBe('Nothing to edit');
+		expect(parseLinkEdit({ title: '  ' }).error).toBe('Title cannot be empty');
+		expect(parseLinkEdit({ title: 'x'.repeat(256) }).error).toMatch(/Title too long/);
+		expect(parseLinkEdit({ tags: 'demo' }).error).toMatch(/Tags must be a list/);
+		expect(parseLinkEdit({ categories: ['a', 'b', 'c', 'd'] }).error).toBe('At most 3 categories');
+	});
+
+	it('should let the submitter and moderators edit', () => {
+		expect(canEditLink({ id: 'owner', role: 'user' }, link)).toBe(true);
+		expect(canEditLink({ id: 'someone', role: 'user' }, link)).toBe(false);
+		expect(canEditLink({ id: 'someone', role: 'moderator' }, link)).toBe(true);
+		expect(canEditLink(null, link)).toBe(false);
+		expect(canEditLink({ id: 'someone', role: 'user' }, { ...link, user_id: null })).toBe(false);
+	});
+
+	it('should only record fields that changed', () => {
+		const current = { ...link, categories: ['Technology'] };
+
+		expect(diffLinkEdit(current, { title: 'example.com', categories: ['technology'] })).toEqual({});
+		expect(diffLinkEdit(current, { title: 'Example', tags: [] })).toEqual({
+			title: { old: 'example.com', new: 'Example' },
+			tags: { old: ['demo'], new: [] }
+		});
+	});
+
+	it('should update the link, replace its categories and keep the history', async () => {
+		const supabase = createClient();
+		const user = { id: 'owner', role: 'user' };
+
+		const { changes, error } = await applyLinkEdit(
+			supabase,
+			link,
+			{ title: 'Example', categories: ['News'] },
+			user
+		);
+
+		expect(error).toBeNull();
+		expect(Object.keys(changes)).toEqual(['title', 'categories']);
+		expect(supabase.writes).toEqual([
+			{
+				table: 'links',
+				method: 'update',
+				values: { title: 'Example', user_provided_fields: ['description', 'title'] }
+			},
+			{
+				table: 'link_categories',
+				method: 'upsert',
+				values: [{ link_id: 'link-1', category_id: 2, confidence: null, source: 'user' }]
+			},
+			{ table: 'link_categories', method: 'delete', values: undefined },
+			{
+				table: 'link_edits',
+				method: 'insert',
+				values: { link_id: 'link-1', user_id: 'owner', changes }
+			}
+		]);
+	});
+
+	it('should keep the new categories when removing the old ones', async () => {
+		const supabase = createClient();
+
+		await applyLinkEdit(
+			supabase,
+			link,
+			{ categories: ['Technology', 'News'] },
+			{ id: 'owner', role: 'moderator' }
+		);
+
+		const removal = supabase.from.mock.results.find(
+			(/** @type {{value: any}} */ { value }) => value.delete.mock.calls.length > 0
+		).value;
+		expect(removal.eq).toHaveBeenCalledWith('link_id', 'link-1');
+		expect(removal.not).toHaveBeenCalledWith('category_id', 'in', '(1,2)');
+	});
+
+	it('should refuse unknown categories without changing anything', async () => {
+		const supabase = createClient();
+
+		const result = await applyLinkEdit(
+			supabase,
+			link,
+			{ categories: ['Nope'] },
+			{ id: 'owner', role: 'user' }
+		);
+
+		expect(result).toEqual({ changes: {}, error: 'Unknown category: Nope' });
+		expect(supabase.writes).toEqual([]);
+	});
+});
\ No newline at end of file
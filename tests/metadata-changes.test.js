@@ -0,0 +1,68 @@
+import { describe, it, expect, vi } from 'vitest';
+import { dismissFlag, getLinkHistory, listFlaggedLinks, parseCommand } from '../scripts/metadata-changes.js';
+
+const LINK_ID = '123e4567-e89b-42d3-a456-426614174000';
+
+/**
+ * Mock query builder resolving to the given result at the end of the chain
+ * @param {Object} result - Result of the query
+ * @returns {any}
+ */
+function createMockSupabase(result) {
+  /** @type {any} */
+  const query = {
+    select: vi.fn(() => query),
+    update: vi.fn(() => query),
+    eq: vi.fn(() => query),
+    not: vi.fn(() => query),
+    order: vi.fn(async () => result)
+  };
+  query.select.mockImplementation(() => (query.update.mock.calls.length > 0 ? Promise.resolve(result) : query));
+  return { from: vi.fn(() => query), query };
+}
+
+describe('Metadata changes CLI', () => {
+  it('should parse commands', () => {
+    expect(parseCommand(['node', 'script'])).toEqual({ command: 'list' });
+    expect(parseCommand(['node', 'script', 'dismiss', LINK_ID])).toEqual({ command: 'dismiss', linkId: LINK_ID });
+    expect(() => parseCommand(['node', 'script', 'history'])).toThrow('"history" needs a link ID');
+    expect(() => parseCommand(['node', 'script', 'purge'])).toThrow('Unknown command: purge');
+  });
+
+  it('should list flagged links', async () => {
+    const supabase = createMockSupabase({
+      data: [{ id: LINK_ID, url: 'https://example.com', metadata_flag_reason: 'Content changed drastically' }],
+      error: null
+    });
+
+    const result = await listFlaggedLinks(supabase);
+
+    expect(result.success).toBe(true);
+    expect(result.links).toHaveLength(1);
+    expect(supabase.query.not).toHaveBeenCalledWith('metadata_flagged_at', 'is', null);
+  });
+
+  it('should load the change history of a link', async () => {
+    const supabase = createMockSupabase({ data: [{ field: 'title' }], error: null });
+
+    const result = await getLinkHistory(supabase, LINK_ID);
+
+    expect(supabase.from).toHaveBeenCalledWith('link_metadata_changes');
+    expect(supabase.query.eq).toHaveBeenCalledWith('link_id', LINK_ID);
+    expect(result.changes).toEqual([{ field: 'title' }]);
+  });
+
+  it('should clear the flag of a link', async () => {
+    const supabase = createMockSupabase({ data: [{ id: LINK_ID }], error: null });
+
+    const result = await dismissFlag(supabase, LINK_ID);
+
+    expect(result.success).toBe(true);
+    expect(supabase.query.update).toHaveBeenCalledWith({ metadata_flagged_at: null, metadata_flag_reason: null });
+  });
+
+  it('should report unknown links', async () => {
+    const supabase = createMockSupabase({ data: [], error: null });
+    expect((await dismissFlag(supabase, LINK_ID)).success).toBe(false);
+  });
+});
\ No newline at end of file
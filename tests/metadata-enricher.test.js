@@ -0,0 +1,178 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('../src/lib/http-client.js', async (importOriginal) => ({
+	...(await importOriginal()),
+	probeTor: vi.fn(async () => ({ available: true, error: null }))
+}));
+
+import { buildMetadataUpdate, enrichPendingLinks } from '../src/lib/metadata-enricher.js';
+import { probeTor, setTransport } from '../src/lib/http-client.js';
+import { clearCategoryRulesCache } from '../src/lib/category-classifier.js';
+
+const HTML =
+	'<title>Learn Python programming</title><meta name="description" content="Code tutorial">';
+
+/**
+ * Mock Supabase client returning the given pending links once and recording writes
+ * @param {Array<Object>} pendingLinks - Links returned by the pending links query
+ * @returns {any}
+ */
+function createMockSupabase(pendingLinks) {
+	/** @type {{updates: Array<{table: string, row: any}>, upserts: Array<{table: string, rows: any, options: any}>, not: Array<Array<any>>}} */
+	const calls = { updates: [], upserts: [], not: [] };
+	let pendingServed = false;
+
+	const supabase = {
+		calls,
+		from: vi.fn((table) => {
+			/** @type {{data: Array<Object>, error: null}} */
+			let result = { data: [], error: null };
+			if (table === 'categories') {
+				result.data = [
+					{ id: 'cat-programming', name: 'Programming' },
+					{ id: 'cat-education', name: 'Education' }
+				];
+			}
+
+			const query = {
+				select: vi.fn(() => query),
+				eq: vi.fn(() => query),
+				or: vi.fn(() => query),
+				order: vi.fn(() => query),
+				not: vi.fn((...args) => {
+					calls.not.push(args);
+					return query;
+				}),
+				limit: vi.fn(async () => {
+					const data = pendingServed ? [] : pendingLinks;
+					pendingServed = true;
+					return { data, error: null };
+				}),
+				maybeSingle: vi.fn(async () => ({ data: null, error: null })),
+				update: vi.fn((row) => {
+					calls.updates.push({ table, row });
+					return query;
+				}),
+				upsert: vi.fn(async (rows, options) => {
+					calls.upserts.push({ table, rows, options });
+					return { error: null };
+				}),
+				then: (/** @type {(value: any) => any} */ resolve) => resolve(result)
+			};
+			return query;
+		})
+	};
+	return supabase;
+}
+
+/**
+ * Build a minimal fetch-like response
+ * @param {number} status - HTTP status code
+ * @param {string} [body] - Response body
+ */
+function fakeResponse(status, body = '') {
+	return {
+		ok: status >= 200 && status < 300,
+		status,
+		headers: new Headers({ 'content-type': 'text/html' }),
+		arrayBuffer: async () => /** @type {ArrayBuffer} */ (new TextEncoder().encode(body).buffer)
+	};
+}
+
+const pendingLink = {
+	id: 'link-1',
+	url: 'https://example.com/python',
+	title: 'example.com',
+	description: '',
+	domain: 'example.com',
+	user_provided_fields: [],
+	metadata_attempts: 0
+};
+
+describe('Metadata enrichment', () => {
+	beforeEach(() => {
+		clearCategoryRulesCache();
+	});
+
+	afterEach(() => {
+		setTransport(null);
+	});
+
+	it('should never overwrite fields the submitter provided', () => {
+		const update = buildMetadataUpdate(
+			/** @type {any} */ ({ domain: 'example.com', user_provided_fields: ['title'] }),
+			/** @type {any} */ ({
+				title: 'Fetched title',
+				description: 'Fetched description',
+				image: '',
+				siteName: ''
+			})
+		);
+
+		expect(update.title).toBeUndefined();
+		expect(update.description).toBe('Fetched description');
+		expect(update.site_name).toBe('example.com');
+		expect(update.metadata_status).toBe('complete');
+	});
+
+	it('should fetch metadata and assign automatic categories to pending links', async () => {
+		setTransport(async (url) =>
+			url.endsWith('/favicon.ico') ? fakeResponse(404) : fakeResponse(200, HTML)
+		);
+		const supabase = createMockSupabase([pendingLink]);
+
+		const results = await enrichPendingLinks(supabase);
+
+		expect(results).toMatchObject({ processed: 1, complete: 1, errors: 0 });
+		const linkUpdate = supabase.calls.updates.find(
+			(/** @type {{table: string}} */ u) => u.table === 'links'
+		).row;
+		expect(linkUpdate).toMatchObject({
+			title: 'Learn Python programming',
+			description: 'Code tutorial',
+			metadata_status: 'complete',
+			metadata_attempts: 1
+		});
+
+		const categories = supabase.calls.upserts.find(
+			(/** @type {{table: string}} */ u) => u.table === 'link_categories'
+		);
+		expect(categories.options).toEqual({
+			onConflict: 'link_id,category_id',
+			ignoreDuplicates: true
+		});
+		expect(categories.rows[0]).toMatchObject({
+			link_id: 'link-1',
+			category_id: 'cat-programming',
+			source: 'auto'
+		});
+	});
+
+	it('should retry unreachable pages and give up after the last attempt', async () => {
+		setTransport(async () => fakeResponse(500));
+
+		const first = createMockSupabase([pendingLink]);
+		expect(await enrichPendingLinks(first)).toMatchObject({ retry: 1, failed: 0 });
+		expect(first.calls.updates[0].row).toMatchObject({
+			metadata_status: 'pending',
+			metadata_attempts: 1,
+			metadata_error: 'HTTP 500'
+		});
+
+		const last = createMockSupabase([{ ...pendingLink, metadata_attempts: 2 }]);
+		expect(await enrichPendingLinks(last)).toMatchObject({ retry: 0, failed: 1 });
+		expect(last.calls.updates[0].row.metadata_status).toBe('failed');
+	});
+
+	it('should leave onion links pending while Tor is down', async () => {
+		/** @type {import('vitest').Mock} */ (probeTor).mockResolvedValueOnce({
+			available: false,
+			error: 'connection refused'
+		});
+		const supabase = createMockSupabase([]);
+
+		await enrichPendingLinks(supabase);
+
+		expect(supabase.calls.not).toContainEqual(['url', 'ilike', '%.onion%']);
+	});
+});
\ No newline at end of file
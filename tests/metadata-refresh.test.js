@@ -0,0 +1,133 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+	contentSimilarity,
+	detectMetadataChanges,
+	refreshLinkMetadata
+} from '../src/lib/metadata-refresh.js';
+import { setTransport } from '../src/lib/http-client.js';
+
+/**
+ * Build a fetch-like response serving the given HTML
+ * @param {string} html - Response body
+ */
+function htmlResponse(html) {
+	return {
+		ok: true,
+		status: 200,
+		headers: new Headers({ 'content-type': 'text/html' }),
+		arrayBuffer: async () => /** @type {ArrayBuffer} */ (new TextEncoder().encode(html).buffer)
+	};
+}
+
+/**
+ * Mock Supabase client recording inserts and updates
+ * @returns {any}
+ */
+function createMockSupabase() {
+	/** @type {{inserts: Array<any>, updates: Array<any>}} */
+	const calls = { inserts: [], updates: [] };
+	const query = {
+		insert: vi.fn(async (rows) => {
+			calls.inserts.push(rows);
+			return { error: null };
+		}),
+		update: vi.fn((row) => {
+			calls.updates.push(row);
+			return query;
+		}),
+		eq: vi.fn(async () => ({ error: null }))
+	};
+	return { from: vi.fn(() => query), calls };
+}
+
+const link = {
+	id: 'link-1',
+	url: 'https://example.com',
+	title: 'Riseup secure email provider',
+	description: 'Encrypted email and VPN for activists',
+	domain: 'example.com',
+	created_at: '2026-01-01T00:00:00Z',
+	user_provided_fields: []
+};
+
+describe('Metadata refresh', () => {
+	afterEach(() => {
+		setTransport(null);
+	});
+
+	it('should measure word overlap', () => {
+		expect(contentSimilarity('Secure email provider', 'secure EMAIL provider')).toBe(1);
+		expect(contentSimilarity('Secure email provider', 'Secure email service')).toBe(0.5);
+		expect(contentSimilarity('Secure email provider', 'Cheap watches online')).toBe(0);
+	});
+
+	it('should report small edits without flagging them', () => {
+		const result = detectMetadataChanges(link, {
+			title: 'Riseup - secure email provider',
+			description: link.description
+		});
+
+		expect(result.changes).toEqual([
+			{ field: 'title', old_value: link.title, new_value: 'Riseup - secure email provider' }
+		]);
+		expect(result.drastic).toBe(false);
+	});
+
+	it('should flag a drastic change', () => {
+		const result = detectMetadataChanges(link, {
+			title: 'This domain has been seized',
+			description: 'By order of the court'
+		});
+
+		expect(result.changes).toHaveLength(2);
+		expect(result.similarity).toBe(0);
+		expect(result.drastic).toBe(true);
+	});
+
+	it('should not flag replacing a placeholder title', () => {
+		const result = detectMetadataChanges(
+			{ ...link, title: 'example.com', description: '' },
+			{ title: 'Riseup secure email provider', description: 'Encrypted email' }
+		);
+		expect(result.drastic).toBe(false);
+	});
+
+	it('should record the history and flag the link', async () => {
+		setTransport(async () =>
+			htmlResponse(
+				'<title>Free crypto giveaway</title><meta name="description" content="Send 1 BTC, get 2 back">'
+			)
+		);
+		const supabase = createMockSupabase();
+
+		expect(await refreshLinkMetadata(supabase, link)).toBe('flagged');
+
+		expect(supabase.from).toHaveBeenCalledWith('link_metadata_changes');
+		expect(supabase.calls.inserts[0]).toEqual([
+			expect.objectContaining({ link_id: 'link-1', field: 'title', old_value: link.title }),
+			expect.objectContaining({ link_id: 'link-1', field: 'description' })
+		]);
+		expect(supabase.calls.updates[0]).toMatchObject({
+			title: 'Free crypto giveaway',
+			metadata_flag_reason: 'Content changed drastically (similarity 0)'
+		});
+	});
+
+	it('should keep the metadata of unreachable pages', async () => {
+		setTransport(async () => ({
+			ok: false,
+			status: 404,
+			headers: new Headers(),
+			arrayBuffer: async () => new ArrayBuffer(0)
+		}));
+		const supabase = createMockSupabase();
+
+		expect(await refreshLinkMetadata(supabase, link)).toBe('unreachable');
+
+		expect(supabase.calls.inserts).toHaveLength(0);
+		expect(supabase.calls.updates[0]).toEqual({
+			metadata_error: 'HTTP 404',
+			metadata_fetched_at: expect.any(String)
+		});
+	});
+});
\ No newline at end of file
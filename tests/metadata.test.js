@@ -0,0 +1,149 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { parseHtmlMetadata, fetchUrlMetadata } from '../src/lib/metadata.js';
+import { tokenizeHtml, decodeEntities } from '../src/lib/html-tokenizer.js';
+import { setTransport } from '../src/lib/http-client.js';
+
+describe('HTML tokenizer', () => {
+	it('should decode named and numeric entities', () => {
+		expect(decodeEntities('Tom &amp; Jerry&#39;s &#x2014; &quot;Cats&quot; &hellip;')).toBe(
+			'Tom & Jerry\'s — "Cats" …'
+		);
+		expect(decodeEntities('&unknown; stays')).toBe('&unknown; stays');
+	});
+
+	it('should read attributes in any order, quoted or not', () => {
+		const [tag] = tokenizeHtml(`<meta data-x=1 content="It's 'quoted'" PROPERTY=og:title>`);
+		expect(tag).toEqual({
+			type: 'startTag',
+			name: 'meta',
+			attributes: { 'data-x': '1', content: "It's 'quoted'", property: 'og:title' },
+			selfClosing: false
+		});
+	});
+
+	it('should keep script content as raw text and skip comments', () => {
+		const tokens = tokenizeHtml('<!-- <title>no</title> --><script>if (a < b) {}</script><p>x</p>');
+		expect(tokens).toEqual([
+			{ type: 'startTag', name: 'script', attributes: {}, selfClosing: false },
+			{ type: 'text', text: 'if (a < b) {}', rawParent: 'script' },
+			{ type: 'endTag', name: 'script' },
+			{ type: 'startTag', name: 'p', attributes: {}, selfClosing: false },
+			{ type: 'text', text: 'x', rawParent: null },
+			{ type: 'endTag', name: 'p' }
+		]);
+	});
+
+	it('should not throw on malformed markup', () => {
+		expect(() => tokenizeHtml('<div class="unterminated><p>a < b</p><title>')).not.toThrow();
+		expect(() => tokenizeHtml('<<>></ >< a=>')).not.toThrow();
+	});
+});
+
+describe('parseHtmlMetadata', () => {
+	const pageUrl = 'https://example.com/blog/post';
+
+	it('should read Open Graph tags regardless of attribute order', () => {
+		const html = `
+			<html lang="en-GB"><head>
+				<meta content="Rock &amp; Roll" property="og:title">
+				<meta name="description" data-id="1" content="A &quot;quoted&quot; description">
+				<meta property="og:image" content="/images/cover.png">
+				<meta property="og:site_name" content="Example Blog">
+			</head><body><h1>Heading</h1></body></html>`;
+
+		expect(parseHtmlMetadata(html, pageUrl)).toMatchObject({
+			title: 'Rock & Roll',
+			description: 'A "quoted" description',
+			image: 'https://example.com/images/cover.png',
+			siteName: 'Example Blog',
+			lang: 'en-GB'
+		});
+	});
+
+	it('should read canonical and icon links resolved against <base href>', () => {
+		const html = `
+			<head>
+				<base href="https://cdn.example.com/assets/">
+				<link rel="apple-touch-icon" href="touch.png">
+				<link rel="shortcut icon" href="favicon.ico">
+				<link href="https://example.com/blog/post" rel="canonical">
+			</head>`;
+
+		expect(parseHtmlMetadata(html, pageUrl)).toMatchObject({
+			canonicalUrl: 'https://example.com/blog/post',
+			favicon: 'https://cdn.example.com/assets/favicon.ico'
+		});
+	});
+
+	it('should fall back to JSON-LD Article data', () => {
+		const html = `
+			<title>Post | Example</title>
+			<script type="application/ld+json">
+				{
+					"@context": "https://schema.org",
+					"@graph": [
+						{ "@type": "WebSite", "name": "Example Site" },
+						{
+							"@type": "NewsArticle",
+							"headline": "Breaking headline",
+							"description": "From JSON-LD",
+							"image": [{ "@type": "ImageObject", "url": "/img/lead.jpg" }],
+							"publisher": { "@type": "Organization", "name": "Example News" }
+						}
+					]
+				}
+			</script>`;
+
+		expect(parseHtmlMetadata(html, pageUrl)).toMatchObject({
+			title: 'Breaking headline',
+			description: 'From JSON-LD',
+			image: 'https://example.com/img/lead.jpg',
+			siteName: 'Example News'
+		});
+	});
+
+	it('should ignore invalid JSON-LD and fall back to the title and headings', () => {
+		const html = `<script type="application/ld+json">{ not json</script><title> Plain  title </title>`;
+		expect(parseHtmlMetadata(html, pageUrl).title).toBe('Plain title');
+
+		const noTitle = '<body><h2>Second</h2><h1>Main &amp; only</h1></body>';
+		expect(parseHtmlMetadata(noTitle, pageUrl).title).toBe('Main & only');
+	});
+
+	it('should extract readable body text without scripts or styles', () => {
+		const html = `
+			<head><title>T</title><style>body { color: red }</style></head>
+			<body><p>Hello   <b>world</b></p><script>var x = 1;</script><noscript>Enable JS</noscript></body>`;
+
+		expect(parseHtmlMetadata(html, pageUrl).bodyText).toBe('Hello world');
+	});
+
+	it('should drop image URLs that are not http(s)', () => {
+		const html = '<meta property="og:image" content="javascript:alert(1)">';
+		expect(parseHtmlMetadata(html, pageUrl).image).toBeNull();
+	});
+});
+
+describe('fetchUrlMetadata', () => {
+	afterEach(() => {
+		setTransport(null);
+	});
+
+	it('should resolve relative URLs against the final page URL', async () => {
+		setTransport(async () => ({
+			ok: true,
+			status: 200,
+			url: 'https://www.example.com/articles/1',
+			headers: new Headers(),
+			arrayBuffer: async () =>
+				new TextEncoder().encode(
+					'<title>Article</title><meta property="og:image" content="cover.jpg">'
+				).buffer
+		}));
+
+		const metadata = await fetchUrlMetadata('https://example.com/a/1');
+
+		expect(metadata.title).toBe('Article');
+		expect(metadata.image).toBe('https://www.example.com/articles/cover.jpg');
+	});
+});
\ No newline at end of file
@@ -0,0 +1,357 @@
+import { describe, it, expect, vi, beforeAll, afterEach } from 'vitest';
+import * as openpgp from 'openpgp';
+import {
+	extractOnionAddresses,
+	fetchOnionLocation,
+	matchSiteMirror,
+	readKeyFingerprint,
+	verifyMirrorList,
+	verifySiteMirrors
+} from '../src/lib/mirrors.js';
+import { setTransport } from '../src/lib/http-client.js';
+
+const MIRROR_A = 'a'.repeat(56) + '.onion';
+const MIRROR_B = 'b'.repeat(56) + '.onion';
+const PHISHING = 'c'.repeat(56) + '.onion';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Generate an operator key pair
+ */
+async function generateKeys() {
+	const { privateKey, publicKey } = await openpgp.generateKey({
+		type: 'ecc',
+		curve: 'curve25519Legacy',
+		userIDs: [{ name: 'Operator' }],
+		format: 'armored',
+		date: new Date(Date.now() - 365 * DAY)
+	});
+	return { privateKey: await openpgp.readPrivateKey({ armoredKey: privateKey }), publicKey };
+}
+
+/**
+ * Clear-sign a text with the given key(s), optionally backdating the signature
+ * @param {string} text - Text to sign
+ * @param {import('openpgp').PrivateKey|Array<import('openpgp').PrivateKey>} signingKeys - Signing key(s)
+ * @param {Date} [date] - Signature creation time
+ */
+async function clearSign(text, signingKeys, date = new Date()) {
+	const message = await openpgp.createCleartextMessage({ text });
+	return openpgp.sign({ message, signingKeys, date });
+}
+
+/**
+ * Build a fetch-like response serving the given text
+ * @param {string} text - Response body
+ * @param {Record<string, string>} [headers] - Response headers
+ */
+function textResponse(text, headers = {}) {
+	return {
+		ok: true,
+		status: 200,
+		headers: new Headers(headers),
+		arrayBuffer: async () => /** @type {ArrayBuffer} */ (new TextEncoder().encode(text).buffer)
+	};
+}
+
+/**
+ * @typedef {{table: string, steps: Array<Array<any>>}} MockCall
+ */
+
+/**
+ * Mock Supabase client recording every call per table
+ * @param {Record<string, Object>} [results] - Result returned per table
+ * @returns {any}
+ */
+function createMockSupabase(results = {}) {
+	/** @type {Array<MockCall>} */
+	const calls = [];
+	const supabase = {
+		calls,
+		from: vi.fn((table) => {
+			/** @type {MockCall} */
+			const call = { table, steps: [] };
+			calls.push(call);
+			const query = new Proxy(
+				{},
+				{
+					/** @returns {any} */
+					get(_, /** @type {string} */ method) {
+						if (method === 'then') {
+							return (/** @type {(result: Object) => void} */ resolve) =>
+								resolve(results[table] || { data: [], error: null });
+						}
+						return (/** @type {Array<any>} */ ...args) => {
+							call.steps.push([method, ...args]);
+							if (method === 'maybeSingle') {
+								return Promise.resolve(results[table] || { data: null, error: null });
+							}
+							return query;
+						};
+					}
+				}
+			);
+			return query;
+		})
+	};
+	return supabase;
+}
+
+describe('Mirror verification', () => {
+	/** @type {Awaited<ReturnType<typeof generateKeys>>} */
+	let operator;
+	/** @type {Awaited<ReturnType<typeof generateKeys>>} */
+	let impostor;
+
+	beforeAll(async () => {
+		operator = await generateKeys();
+		impostor = await generateKeys();
+	});
+
+	afterEach(() => {
+		setTransport(null);
+	});
+
+	it('should extract onion v3 addresses', () => {
+		const text = `Mirrors:\nhttp://${MIRROR_A.toUpperCase()}/\n${MIRROR_B}\n${MIRROR_A}\nshort.onion`;
+		expect(extractOnionAddresses(text)).toEqual([MIRROR_A, MIRROR_B]);
+	});
+
+	it('should read the fingerprint of a public key', async () => {
+		expect(await readKeyFingerprint(operator.publicKey)).toMatch(/^[0-9A-F]{40}$/);
+		await expect(readKeyFingerprint(operator.privateKey.armor())).rejects.toThrow(
+			'Expected a public key'
+		);
+	});
+
+	it('should accept a mirror list signed by the operator', async () => {
+		const signed = await clearSign(`${MIRROR_A}\n${MIRROR_B}`, operator.privateKey);
+
+		const result = await verifyMirrorList(signed, operator.publicKey);
+
+		expect(result.addresses).toEqual([MIRROR_A, MIRROR_B]);
+		expect(result.signedAt).toBeInstanceOf(Date);
+	});
+
+	it('should reject lists signed by another key or tampered with', async () => {
+		const forged = await clearSign(`${PHISHING}`, impostor.privateKey);
+		await expect(verifyMirrorList(forged, operator.publicKey)).rejects.toThrow(
+			'Invalid mirror list signature'
+		);
+
+		const signed = await clearSign(`${MIRROR_A}`, operator.privateKey);
+		const tampered = signed.replace(MIRROR_A, PHISHING);
+		await expect(verifyMirrorList(tampered, operator.publicKey)).rejects.toThrow(
+			'Invalid mirror list signature'
+		);
+
+		await expect(verifyMirrorList(MIRROR_A, operator.publicKey)).rejects.toThrow(
+			'not PGP clear-signed'
+		);
+		const unsigned = `-----BEGIN PGP SIGNED MESSAGE-----\n\n${MIRROR_A}\n-----BEGIN PGP SIGNATURE-----\n\n-----END PGP SIGNATURE-----\n`;
+		await expect(verifyMirrorList(unsigned, operator.publicKey)).rejects.toThrow(
+			'not PGP clear-signed'
+		);
+	});
+
+	it('should accept the operator signature next to other signatures', async () => {
+		const signed = await clearSign(`${MIRROR_A}`, [impostor.privateKey, operator.privateKey]);
+
+		const result = await verifyMirrorList(signed, operator.publicKey);
+
+		expect(result.addresses).toEqual([MIRROR_A]);
+	});
+
+	it('should reject signatures older than the maximum age', async () => {
+		const stale = await clearSign(
+			`${MIRROR_A}`,
+			operator.privateKey,
+			new Date(Date.now() - 45 * DAY)
+		);
+
+		await expect(verifyMirrorList(stale, operator.publicKey)).rejects.toThrow(
+			'Mirror list signature is 45 days old (max 30)'
+		);
+		expect((await verifyMirrorList(stale, operator.publicKey, 60)).addresses).toEqual([MIRROR_A]);
+	});
+
+	it('should read the Onion-Location header of HTTPS sites only', async () => {
+		setTransport(async () => textResponse('', { 'onion-location': `http://${MIRROR_A}/path` }));
+
+		expect(await fetchOnionLocation('https://example.com')).toBe(MIRROR_A);
+		await expect(fetchOnionLocation('http://example.com')).rejects.toThrow('HTTPS');
+	});
+
+	it('should store verified mirrors and mark the links of the site', async () => {
+		const signed = await clearSign(`${MIRROR_A}\n${MIRROR_B}`, operator.privateKey);
+		setTransport(async () => textResponse(signed));
+		const supabase = createMockSupabase();
+		const site = {
+			id: 'site-1',
+			name: 'Example Market',
+			public_key: operator.publicKey,
+			mirror_list_url: `http://${MIRROR_A}/mirrors.txt`
+		};
+
+		const result = await verifySiteMirrors(supabase, site);
+
+		expect(result.addresses).toEqual([MIRROR_A, MIRROR_B]);
+
+		const upsert = supabase.calls.find(
+			(/** @type {MockCall} */ call) => call.steps[0][0] === 'upsert'
+		);
+		expect(upsert.table).toBe('site_mirrors');
+		expect(upsert.steps[0][1]).toEqual([
+			expect.objectContaining({ site_id: 'site-1', address: MIRROR_A, source: 'signed_list' }),
+			expect.objectContaining({ site_id: 'site-1', address: MIRROR_B, source: 'signed_list' })
+		]);
+
+		const updates = supabase.calls.filter(
+			(/** @type {MockCall} */ call) => call.table === 'links' && call.steps[0][0] === 'update'
+		);
+		expect(updates[0].steps[0][1]).toMatchObject({ site_id: 'site-1', mirror_status: 'verified' });
+		expect(updates[0].steps).toContainEqual([
+			'or',
+			expect.stringContaining(`domain.eq.${MIRROR_A}`)
+		]);
+		expect(updates[2].steps[0][1]).toMatchObject({ mirror_status: 'unverified' });
+		expect(updates[2].steps).toContainEqual(['ilike', 'title', 'Example Market']);
+	});
+
+	it('should treat every subdomain of a verified address as the mirror', async () => {
+		const signed = await clearSign(`${MIRROR_A}\n${MIRROR_B}`, operator.privateKey);
+		setTransport(async () => textResponse(signed));
+		const supabase = createMockSupabase();
+		const site = {
+			id: 'site-1',
+			name: 'Example Market',
+			public_key: operator.publicKey,
+			mirror_list_url: `http://${MIRROR_A}/mirrors.txt`
+		};
+
+		await verifySiteMirrors(supabase, site);
+
+		const [verify, revoke, claim] = supabase.calls.filter(
+			(/** @type {MockCall} */ call) => call.table === 'links' && call.steps[0][0] === 'update'
+		);
+		expect(verify.steps).toContainEqual([
+			'or',
+			`domain.eq.${MIRROR_A},domain.like.%.${MIRROR_A},domain.eq.${MIRROR_B},domain.like.%.${MIRROR_B}`
+		]);
+		for (const call of [revoke, claim]) {
+			expect(call.steps).toContainEqual(['not', 'domain', 'in', `("${MIRROR_A}","${MIRROR_B}")`]);
+			expect(call.steps).toContainEqual(['not', 'domain', 'like', `%.${MIRROR_A}`]);
+			expect(call.steps).toContainEqual(['not', 'domain', 'like', `%.${MIRROR_B}`]);
+		}
+	});
+
+	it('should clear clone flags between verified mirrors of the site', async () => {
+		const signed = await clearSign(`${MIRROR_A}\n${MIRROR_B}`, operator.privateKey);
+		setTransport(async () => textResponse(signed));
+		const supabase = createMockSupabase({
+			links: { data: [{ id: 'link-a' }, { id: 'link-b' }], error: null }
+		});
+		const site = {
+			id: 'site-1',
+			name: 'Example Market',
+			public_key: operator.publicKey,
+			mirror_list_url: `http://${MIRROR_A}/mirrors.txt`
+		};
+
+		await verifySiteMirrors(supabase, site);
+
+		const cleared = supabase.calls.find(
+			(/** @type {MockCall} */ call) =>
+				call.table === 'links' && call.steps[0][1]?.clone_of === null
+		);
+		expect(cleared.steps).toContainEqual(['in', 'id', ['link-a', 'link-b']]);
+		expect(cleared.steps).toContainEqual(['in', 'clone_of', ['link-a', 'link-b']]);
+	});
+
+	it('should keep old mirrors when the list is not signed by the operator', async () => {
+		const forged = await clearSign(`${MIRROR_A}\n${PHISHING}`, impostor.privateKey);
+		setTransport(async () => textResponse(forged));
+		const supabase = createMockSupabase();
+		const site = {
+			id: 'site-1',
+			name: 'Example Market',
+			public_key: operator.publicKey,
+			mirror_list_url: `http://${MIRROR_A}/mirrors.txt`
+		};
+
+		await expect(verifySiteMirrors(supabase, site)).rejects.toThrow(
+			'Invalid mirror list signature'
+		);
+
+		expect(supabase.calls).toHaveLength(1);
+		expect(supabase.calls[0].table).toBe('sites');
+		expect(supabase.calls[0].steps[0][1]).toEqual({
+			last_error: expect.stringContaining('Invalid mirror list signature')
+		});
+	});
+
+	it('should reject a list that does not vouch for its own address', async () => {
+		const signed = await clearSign(`${MIRROR_B}`, operator.privateKey);
+		setTransport(async () => textResponse(signed));
+		const site = {
+			id: 'site-1',
+			name: 'Example Market',
+			public_key: operator.publicKey,
+			mirror_list_url: `http://${PHISHING}/mirrors.txt`
+		};
+
+		await expect(verifySiteMirrors(createMockSupabase(), site)).rejects.toThrow(
+			`does not include ${PHISHING}`
+		);
+	});
+
+	it('should match new links against registered sites', async () => {
+		const verified = createMockSupabase({
+			site_mirrors: { data: { site_id: 'site-1' }, error: null }
+		});
+		expect(
+			await matchSiteMirror(verified, {
+				id: 'link-1',
+				url: `http://www.${MIRROR_A}/`,
+				domain: `www.${MIRROR_A}`,
+				title: 'Example Market'
+			})
+		).toEqual({ siteId: 'site-1', status: 'verified' });
+
+		const claimed = createMockSupabase({
+			sites: { data: [{ id: 'site-1', name: 'Example Market' }], error: null }
+		});
+		expect(
+			await matchSiteMirror(claimed, {
+				id: 'link-2',
+				url: `http://${PHISHING}/`,
+				domain: PHISHING,
+				title: 'example market'
+			})
+		).toEqual({ siteId: 'site-1', status: 'unverified' });
+
+		const review = createMockSupabase({
+			sites: { data: [{ id: 'site-1', name: 'Example Market' }], error: null }
+		});
+		expect(
+			await matchSiteMirror(review, {
+				id: 'link-4',
+				url: `http://${PHISHING}/`,
+				domain: PHISHING,
+				title: 'Is Example Market a scam? Reviews'
+			})
+		).toBeNull();
+
+		const clearnet = createMockSupabase();
+		expect(
+			await matchSiteMirror(clearnet, {
+				id: 'link-3',
+				url: 'https://example.com',
+				domain: 'example.com',
+				title: 'Example Market'
+			})
+		).toBeNull();
+		expect(clearnet.from).not.toHaveBeenCalled();
+	});
+});
\ No newline at end of file
@@ -0,0 +1,265 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+	canBan,
+	linkFlags,
+	loadModerationQueue,
+	parseModerationAction,
+	performModerationAction
+} from '../src/lib/moderation.js';
+
+const moderator = { id: 'mod', role: 'moderator' };
+const LINK_ID = '123e4567-e89b-42d3-a456-426614174000';
+const COMMENT_ID = '123e4567-e89b-42d3-a456-426614174001';
+
+/**
+ * Supabase mock resolving each table to the given result and recording writes
+ * @param {Record<string, {data: any, error: any}>} [tables] - Result per table
+ * @returns {any}
+ */
+function createClient(tables = {}) {
+	/** @type {Array<{table: string, method: string, values: any}>} */
+	const writes = [];
+	const updateUserById = vi.fn(async () => ({ error: null }));
+
+	const from = vi.fn((/** @type {string} */ table) => {
+		/** @type {Record<string, any>} */
+		const query = {
+			then: (/** @type {(result: any) => void} */ resolve) =>
+				resolve(tables[table] || { data: null, error: null }),
+			maybeSingle: vi.fn(async () => {
+				const { data, error } = tables[table] || { data: null, error: null };
+				return { data: Array.isArray(data) ? data[0] || null : data, error };
+			})
+		};
+		for (const method of ['select', 'eq', 'in', 'is', 'order', 'limit']) {
+			query[method] = vi.fn(() => query);
+		}
+		for (const method of ['update', 'insert', 'delete']) {
+			query[method] = vi.fn((values) => {
+				writes.push({ table, method, values });
+				return query;
+			});
+		}
+		return query;
+	});
+
+	return { from, writes, auth: { admin: { updateUserById } } };
+}
+
+describe('Moderation', () => {
+	it('should validate actions per target type', () => {
+		expect(
+			parseModerationAction({
+				action: 'hide',
+				targetType: 'comment',
+				targetId: COMMENT_ID,
+				reason: ' spam '
+			})
+		).toEqual({
+			request: { action: 'hide', targetType: 'comment', targetId: COMMENT_ID, reason: 'spam' },
+			error: null
+		});
+		expect(
+			parseModerationAction({ action: 'ban', targetType: 'link', targetId: LINK_ID }).error
+		).toBe('Unknown action for a link: ban');
+		expect(
+			parseModerationAction({ action: 'hide', targetType: 'site', targetId: 'x' }).error
+		).toMatch(/targetType/);
+		expect(parseModerationAction({ action: 'hide', targetType: 'link' }).error).toBe(
+			'Invalid targetId'
+		);
+		// Malformed IDs would fail Postgres' uuid cast instead
+		expect(
+			parseModerationAction({ action: 'hide', targetType: 'link', targetId: 'l1' }).error
+		).toBe('Invalid targetId');
+		expect(
+			parseModerationAction({
+				action: 'recategorize',
+				targetType: 'link',
+				targetId: LINK_ID,
+				categories: []
+			}).error
+		).toBe('Choose at least one category');
+	});
+
+	it('should only let admins ban moderators', () => {
+		const user = { id: 'u', role: 'user' };
+		const otherModerator = { id: 'm2', role: 'moderator' };
+		const admin = { id: 'a', role: 'admin' };
+
+		expect(canBan(moderator, user)).toBe(true);
+		expect(canBan(moderator, otherModerator)).toBe(false);
+		expect(canBan(admin, otherModerator)).toBe(true);
+		expect(canBan(admin, { id: 'a2', role: 'admin' })).toBe(false);
+		expect(canBan(admin, admin)).toBe(false);
+	});
+
+	it('should list why the checker flagged a link', () => {
+		expect(linkFlags({})).toEqual([]);
+		expect(
+			linkFlags({
+				clone_of: 'other',
+				mirror_status: 'unverified',
+				metadata_flagged_at: '2026-01-01'
+			})
+		).toEqual(['Suspected phishing clone', 'Not a verified mirror', 'Content changed']);
+	});
+
+	it('should split the queue into flagged and new links', async () => {
+		const supabase = createClient({
+			links: {
+				data: [
+					{ id: 'l1', user_id: 'u1', onion_address_error: 'Bad checksum', link_categories: [] },
+					{
+						id: 'l2',
+						user_id: null,
+						link_categories: [{ categories: { name: 'News' } }]
+					}
+				],
+				error: null
+			},
+			profiles: { data: [{ id: 'u1', username: 'alice' }], error: null }
+		});
+
+		const { flaggedLinks, newLinks } = await loadModerationQueue(supabase);
+
+		expect(flaggedLinks).toMatchObject([
+			{ id: 'l1', submitted_by: 'alice', flags: ['Invalid onion address: Bad checksum'] }
+		]);
+		expect(newLinks).toMatchObject([
+			{ id: 'l2', submitted_by: null, categories: ['News'], flags: [] }
+		]);
+	});
+
+	it('should list reported links and comments apart, most reported first', async () => {
+		const supabase = createClient({
+			reports: {
+				data: [
+					{ target_type: 'link', target_id: 'l3', reason: 'scam', details: null },
+					{ target_type: 'comment', target_id: 'c1', reason: 'abuse', details: 'Insults' },
+					{ target_type: 'link', target_id: 'l3', reason: 'scam', details: null }
+				],
+				error: null
+			},
+			links: {
+				data: [{ id: 'l3', user_id: null, is_public: false, link_categories: [] }],
+				error: null
+			},
+			comments: { data: [{ id: 'c1', user_id: 'u1', content: 'Rude' }], error: null },
+			profiles: { data: [{ id: 'u1', username: 'alice' }], error: null }
+		});
+
+		const queue = await loadModerationQueue(supabase);
+
+		expect(queue.reportedLinks).toMatchObject([
+			{ id: 'l3', reports: { count: 2, reasons: { scam: 2 } } }
+		]);
+		expect(queue.reportedComments).toMatchObject([
+			{ id: 'c1', author: 'alice', reports: { count: 1, details: ['Insults'] } }
+		]);
+		expect(queue.newLinks).toEqual([]);
+		expect(queue.flaggedLinks).toEqual([]);
+	});
+
+	it('should hide a link and record it in the audit log', async () => {
+		const supabase = createClient({ links: { data: [{ id: 'l1' }], error: null } });
+
+		const result = await performModerationAction(supabase, moderator, {
+			action: 'hide',
+			targetType: 'link',
+			targetId: 'l1',
+			reason: 'spam'
+		});
+
+		expect(result).toEqual({ error: null });
+		expect(supabase.writes[0]).toMatchObject({
+			table: 'links',
+			method: 'update',
+			values: { moderation_status: 'hidden', is_public: false }
+		});
+		expect(supabase.writes[1]).toEqual({
+			table: 'moderation_log',
+			method: 'insert',
+			values: {
+				moderator_id: 'mod',
+				action: 'hide',
+				target_type: 'link',
+				target_id: 'l1',
+				details: { reason: 'spam' }
+			}
+		});
+		expect(supabase.writes[2]).toMatchObject({ table: 'reports', method: 'update' });
+	});
+
+	it('should show an approved comment again without undoing its author deleting it', async () => {
+		const supabase = createClient({ comments: { data: [{ id: 'c1' }], error: null } });
+
+		await performModerationAction(supabase, moderator, {
+			action: 'approve',
+			targetType: 'comment',
+			targetId: 'c1',
+			reason: null
+		});
+
+		expect(supabase.writes[0]).toEqual({
+			table: 'comments',
+			method: 'update',
+			values: { is_hidden: false }
+		});
+	});
+
+	it('should not log actions on missing targets', async () => {
+		const supabase = createClient({ comments: { data: [], error: null } });
+
+		const result = await performModerationAction(supabase, moderator, {
+			action: 'delete',
+			targetType: 'comment',
+			targetId: 'gone',
+			reason: null
+		});
+
+		expect(result).toEqual({ error: 'Comment not found', status: 404 });
+		expect(supabase.writes.map((/** @type {{table: string}} */ write) => write.table)).toEqual([
+			'comments'
+		]);
+	});
+
+	it('should refuse to ban a moderator without touching the account', async () => {
+		const supabase = createClient({
+			profiles: { data: { id: 'm2', username: 'bob', role: 'moderator' }, error: null }
+		});
+
+		const result = await performModerationAction(supabase, moderator, {
+			action: 'ban',
+			targetType: 'user',
+			targetId: 'm2',
+			reason: null
+		});
+
+		expect(result).toEqual({ error: 'You cannot ban this account', status: 403 });
+		expect(supabase.writes).toEqual([]);
+		expect(supabase.auth.admin.updateUserById).not.toHaveBeenCalled();
+	});
+
+	it('should ban a user in Supabase Auth', async () => {
+		const supabase = createClient({
+			profiles: { data: { id: 'u1', username: 'alice', role: 'user' }, error: null }
+		});
+
+		const result = await performModerationAction(supabase, moderator, {
+			action: 'ban',
+			targetType: 'user',
+			targetId: 'u1',
+			reason: 'spam'
+		});
+
+		expect(result).toEqual({ error: null });
+		expect(supabase.auth.admin.updateUserById).toHaveBeenCalledWith('u1', {
+			ban_duration: '876000h'
+		});
+		expect(supabase.writes.at(-1).values).toMatchObject({
+			action: 'ban',
+			details: { username: 'alice', reason: 'spam' }
+		});
+	});
+});
\ No newline at end of file
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { validateOnionAddress } from '../src/lib/onion-address.js';
+
+const FACEBOOK = 'facebookwkhpilnemxj7asaniu7vnjjbiltxjqhye3mhbshg7kx5tfyd.onion';
+const DUCKDUCKGO = 'duckduckgogg42xjoc72x3sjasowoarfbgcmvfimaftt6twagswzczad.onion';
+
+describe('Onion address validation', () => {
+	it('should accept valid v3 addresses', () => {
+		expect(validateOnionAddress(FACEBOOK)).toEqual({ valid: true, error: null });
+		expect(validateOnionAddress(DUCKDUCKGO)).toEqual({ valid: true, error: null });
+	});
+
+	it('should accept subdomains and any case', () => {
+		expect(validateOnionAddress(`www.${FACEBOOK}`).valid).toBe(true);
+		expect(validateOnionAddress(FACEBOOK.toUpperCase()).valid).toBe(true);
+	});
+
+	it('should reject deprecated v2 addresses', () => {
+		const result = validateOnionAddress('3g2upl4pq6kufc4m.onion');
+		expect(result.valid).toBe(false);
+		expect(result.error).toContain('v2');
+	});
+
+	it('should reject addresses of the wrong length', () => {
+		expect(validateOnionAddress('example.onion').error).toBe(
+			'Onion addresses are 56 characters long, this one has 7'
+		);
+	});
+
+	it('should reject characters outside the base32 alphabet', () => {
+		const result = validateOnionAddress(FACEBOOK.replace('w', '1'));
+		expect(result.error).toContain('a-z and the digits 2-7');
+	});
+
+	it('should catch typos with the checksum', () => {
+		// Swapped characters and a changed last character (the version byte)
+		const swapped = FACEBOOK.replace('facebook', 'facebooc');
+		const lastChanged = FACEBOOK.replace('tfyd.onion', 'tfyc.onion');
+
+		expect(validateOnionAddress(swapped).error).toContain('checksum does not match');
+		expect(validateOnionAddress(lastChanged).error).toContain('checksum does not match');
+	});
+
+	it('should only validate onion hostnames', () => {
+		expect(validateOnionAddress('example.com').valid).toBe(false);
+	});
+});
\ No newline at end of file
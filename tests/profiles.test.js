@@ -0,0 +1,112 @@
+import { describe, it, expect, vi } from 'vitest';
+import { findProfile } from '../src/lib/auth.js';
+import { getUserKarma, listUserComments, listUserLinks } from '../src/lib/profiles.js';
+
+/**
+ * Chainable query builder resolving to the given result for each table
+ * @param {Record<string, any>} results - Result per table, and of rpc()
+ * @returns {any}
+ */
+function createClient(results) {
+	/** @type {Record<string, any>} */
+	const queries = {};
+	const from = vi.fn((/** @type {string} */ table) => {
+		/** @type {Record<string, any>} */
+		const query = {
+			then: (/** @type {(result: any) => void} */ resolve) => resolve(results[table])
+		};
+		for (const method of ['select', 'eq', 'is', 'in', 'ilike', 'order', 'range']) {
+			query[method] = vi.fn(() => query);
+		}
+		query.maybeSingle = vi.fn(async () => results[table]);
+		queries[table] = query;
+		return query;
+	});
+	return { from, queries, rpc: vi.fn(async () => results.rpc) };
+}
+
+describe('Profiles', () => {
+	it('should not look up invalid usernames', async () => {
+		const supabase = createClient({});
+
+		expect(await findProfile(supabase, '%')).toBeNull();
+		expect(supabase.from).not.toHaveBeenCalled();
+	});
+
+	it('should sum the karma of links and comments', async () => {
+		const supabase = createClient({
+			rpc: { data: [{ link_karma: '7', comment_karma: -2 }], error: null }
+		});
+
+		expect(await getUserKarma(supabase, 'user-1')).toEqual({ links: 7, comments: -2, total: 5 });
+		expect(supabase.rpc).toHaveBeenCalledWith('user_karma', { target_user: 'user-1' });
+	});
+
+	it('should list links like GET /api/links', async () => {
+		const supabase = createClient({
+			links: {
+				data: [
+					{
+						id: 'link-1',
+						title: 'Example',
+						link_categories: [
+							{ confidence: null, source: 'user', categories: { id: 1, name: 'news' } }
+						]
+					}
+				],
+				error: null
+			},
+			comments: { data: [{ link_id: 'link-1' }, { link_id: 'link-1' }], error: null }
+		});
+
+		const links = await listUserLinks(supabase, 'user-1', { limit: 10, offset: 20, sort: 'votes' });
+
+		expect(links).toEqual([
+			{
+				id: 'link-1',
+				title: 'Example',
+				categories: [{ id: 1, name: 'news', confidence: null, source: 'user' }],
+				comment_count: 2
+			}
+		]);
+		expect(supabase.queries.links.eq).toHaveBeenCalledWith('user_id', 'user-1');
+		expect(supabase.queries.links.order).toHaveBeenCalledWith('vote_count', { ascending: false });
+		expect(supabase.queries.links.range).toHaveBeenCalledWith(20, 29);
+	});
+
+	it('should list comments with their link, newest first', async () => {
+		const supabase = createClient({
+			comments: {
+				data: [
+					{
+						id: 'comment-1',
+						content: 'Nice',
+						link_id: 'link-1',
+						links: { id: 'link-1', title: 'Example' }
+					}
+				],
+				error: null
+			}
+		});
+
+		const comments = await listUserComments(supabase, 'user-1', {
+			limit: 10,
+			offset: 0,
+			sort: 'latest'
+		});
+
+		expect(comments).toEqual([
+			{
+				id: 'comment-1',
+				content: 'Nice',
+				link_id: 'link-1',
+				link: { id: 'link-1', title: 'Example' }
+			}
+		]);
+		expect(supabase.queries.comments.eq).toHaveBeenCalledWith('is_deleted', false);
+		expect(supabase.queries.comments.eq).toHaveBeenCalledWith('is_hidden', false);
+		expect(supabase.queries.comments.order).toHaveBeenCalledWith('created_at', {
+			ascending: false
+		});
+	});
+});
\ No newline at end of file
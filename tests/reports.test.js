@@ -0,0 +1,226 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+	parseReport,
+	reportHideThreshold,
+	submitReport,
+	summarizeReports
+} from '../src/lib/reports.js';
+
+const LINK_ID = '123e4567-e89b-42d3-a456-426614174000';
+const reporter = { sessionId: 'anon_abc', reporterKey: 'ip_1', userId: null };
+
+/**
+ * Supabase mock: the target lookup returns `target`, the insert `insertError` and the open
+ * reports have the reporter keys `reporterKeys`; writes are recorded per table
+ * @param {{target?: {id: string}|null, insertError?: {code?: string, message: string}|null, reporterKeys?: string[]}} [options]
+ * @returns {any}
+ */
+function createClient({
+	target = { id: LINK_ID },
+	insertError = null,
+	reporterKeys = ['ip_1']
+} = {}) {
+	/** @type {Array<{table: string, method: string, values: any}>} */
+	const writes = [];
+
+	const from = vi.fn((/** @type {string} */ table) => {
+		/** @type {{data: any, error: any}} */
+		let result = {
+			data: reporterKeys.map((key) => ({ reporter_key: key })),
+			error: null
+		};
+		/** @type {Record<string, any>} */
+		const query = {
+			then: (/** @type {(result: any) => void} */ resolve) => resolve(result),
+			maybeSingle: vi.fn(async () => ({ data: target, error: null }))
+		};
+		for (const method of ['select', 'eq', 'is']) {
+			query[method] = vi.fn(() => query);
+		}
+		for (const method of ['update', 'insert']) {
+			query[method] = vi.fn((values) => {
+				writes.push({ table, method, values });
+				if (table === 'reports' && method === 'insert') result = { data: null, error: insertError };
+				return query;
+			});
+		}
+		return query;
+	});
+
+	return { from, writes };
+}
+
+describe('Reports', () => {
+	afterEach(() => {
+		vi.unstubAllEnvs();
+	});
+
+	it('should validate reports', () => {
+		expect(
+			parseReport({
+				targetType: 'link',
+				targetId: LINK_ID,
+				reason: 'scam',
+				details: '  Fake shop '
+			})
+		).toEqual({
+			report: { targetType: 'link', targetId: LINK_ID, reason: 'scam', details: 'Fake shop' },
+			error: null
+		});
+		expect(parseReport({ targetType: 'user', targetId: LINK_ID, reason: 'scam' }).error).toMatch(
+			/targetType/
+		);
+		expect(parseReport({ targetType: 'link', targetId: '1', reason: 'scam' }).error).toBe(
+			'Invalid targetId'
+		);
+		expect(parseReport({ targetType: 'link', targetId: LINK_ID, reason: 'boring' }).error).toMatch(
+			/reason must be one of/
+		);
+		expect(
+			parseReport({
+				targetType: 'link',
+				targetId: LINK_ID,
+				reason: 'other',
+				details: 'x'.repeat(501)
+			}).error
+		).toMatch(/Details too long/);
+	});
+
+	it('should read the hide threshold from the environment', () => {
+		expect(reportHideThreshold()).toBe(5);
+		vi.stubEnv('REPORT_HIDE_THRESHOLD', '2');
+		expect(reportHideThreshold()).toBe(2);
+		vi.stubEnv('REPORT_HIDE_THRESHOLD', 'never');
+		expect(reportHideThreshold()).toBeNull();
+	});
+
+	it('should record a report below the threshold without hiding anything', async () => {
+		const supabase = createClient({ reporterKeys: ['ip_1', 'ip_2'] });
+		const report = { targetType: 'link', targetId: LINK_ID, reason: 'scam', details: null };
+
+		const result = await submitReport(supabase, report, reporter, 3);
+
+		expect(result).toEqual({ hidden: false, error: null });
+		expect(supabase.writes).toEqual([
+			{
+				table: 'reports',
+				method: 'insert',
+				values: {
+					target_type: 'link',
+					target_id: LINK_ID,
+					session_id: 'anon_abc',
+					reporter_key: 'ip_1',
+					user_id: null,
+					reason: 'scam',
+					details: null
+				}
+			}
+		]);
+	});
+
+	it('should hide a link pending review at the threshold', async () => {
+		const supabase = createClient({ reporterKeys: ['ip_1', 'ip_2', 'user_u1'] });
+		const report = { targetType: 'link', targetId: LINK_ID, reason: 'scam', details: null };
+
+		const result = await submitReport(supabase, report, reporter, 3);
+
+		expect(result).toEqual({ hidden: true, error: null });
+		expect(supabase.writes.slice(1)).toEqual([
+			{
+				table: 'links',
+				method: 'update',
+				values: { moderation_status: 'pending', is_public: false }
+			},
+			{
+				table: 'moderation_log',
+				method: 'insert',
+				values: {
+					moderator_id: null,
+					action: 'hide',
+					target_type: 'link',
+					target_id: LINK_ID,
+					details: { automatic: true, reporters: 3 }
+				}
+			}
+		]);
+	});
+
+	it('should hide comments without marking them deleted', async () => {
+		const supabase = createClient();
+		const report = { targetType: 'comment', targetId: LINK_ID, reason: 'abuse', details: null };
+
+		await submitReport(supabase, report, reporter, 1);
+
+		expect(supabase.writes[1]).toEqual({
+			table: 'comments',
+			method: 'update',
+			values: { is_hidden: true }
+		});
+	});
+
+	it('should count reports from one IP as one reporter, whatever their fingerprints', async () => {
+		const supabase = createClient({ reporterKeys: ['ip_1', 'ip_1', 'ip_1', 'ip_1', 'ip_1'] });
+		const report = { targetType: 'link', targetId: LINK_ID, reason: 'scam', details: null };
+
+		const result = await submitReport(supabase, report, reporter, 2);
+
+		expect(result).toEqual({ hidden: false, error: null });
+		expect(supabase.writes).toHaveLength(1);
+	});
+
+	it('should count a session once per target', async () => {
+		const supabase = createClient({ insertError: { code: '23505', message: 'duplicate key' } });
+		const report = { targetType: 'link', targetId: LINK_ID, reason: 'spam', details: null };
+
+		const result = await submitReport(supabase, report, reporter, 1);
+
+		expect(result).toEqual({ hidden: false, error: 'You already reported this', status: 409 });
+		expect(supabase.writes).toHaveLength(1);
+	});
+
+	it('should refuse reports of missing or hidden targets', async () => {
+		const supabase = createClient({ target: null });
+		const report = { targetType: 'link', targetId: LINK_ID, reason: 'spam', details: null };
+
+		const result = await submitReport(supabase, report, reporter, 1);
+
+		expect(result).toEqual({ hidden: false, error: 'Link not found', status: 404 });
+		expect(supabase.writes).toEqual([]);
+	});
+
+	it('should group reports by target', () => {
+		const summaries = summarizeReports([
+			{
+				target_type: 'link',
+				target_id: 'a',
+				reason: 'scam',
+				details: null,
+				created_at: '2026-01-01'
+			},
+			{
+				target_type: 'link',
+				target_id: 'a',
+				reason: 'spam',
+				details: 'Ads',
+				created_at: '2026-01-03'
+			},
+			{
+				target_type: 'comment',
+				target_id: 'a',
+				reason: 'abuse',
+				details: null,
+				created_at: '2026-01-02'
+			}
+		]);
+
+		expect(summaries.get('link:a')).toEqual({
+			targetType: 'link',
+			targetId: 'a',
+			count: 2,
+			reasons: { scam: 1, spam: 1 },
+			details: ['Ads'],
+			lastReportedAt: '2026-01-03'
+		});
+		expect(summaries.get('comment:a')?.count).toBe(1);
+	});
+});
\ No newline at end of file
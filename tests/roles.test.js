@@ -0,0 +1,73 @@
+import { describe, it, expect, vi } from 'vitest';
+import { parseCommand, setRole, unban } from '../scripts/roles.js';
+
+const PROFILE = { id: 'user-1', username: 'Alice_B', created_at: '2026-01-01T00:00:00Z' };
+
+/**
+ * Mock client whose profile lookup returns the given profile
+ * @param {Object|null} profile - Profile found by the lookup
+ * @param {{authError?: {message: string}|null}} [options] - Error returned by Supabase Auth
+ * @returns {any}
+ */
+function createMockSupabase(profile, { authError = null } = {}) {
+  const query = {
+    select: vi.fn(() => query),
+    update: vi.fn(() => query),
+    ilike: vi.fn(() => query),
+    eq: vi.fn(() => query),
+    maybeSingle: vi.fn(async () => ({ data: profile, error: null })),
+    then: (/** @type {(result: Object) => void} */ resolve) => resolve({ error: null })
+  };
+  const updateUserById = vi.fn(async () => ({ error: authError }));
+  return { from: vi.fn(() => query), auth: { admin: { updateUserById } }, query };
+}
+
+describe('Roles CLI', () => {
+  it('should parse commands', () => {
+    expect(parseCommand(['node', 'script'])).toEqual({ command: 'list' });
+    expect(parseCommand(['node', 'script', 'set', 'alice', 'moderator'])).toEqual({
+      command: 'set',
+      username: 'alice',
+      role: 'moderator'
+    });
+    expect(parseCommand(['node', 'script', 'unban', 'alice'])).toEqual({ command: 'unban', username: 'alice' });
+    expect(() => parseCommand(['node', 'script', 'set', 'alice', 'owner'])).toThrow('"set" needs a role');
+    expect(() => parseCommand(['node', 'script', 'unban'])).toThrow('"unban" needs a username');
+    expect(() => parseCommand(['node', 'script', 'promote'])).toThrow('Unknown command: promote');
+  });
+
+  it('should look usernames up case-insensitively and set the role', async () => {
+    const supabase = createMockSupabase(PROFILE);
+
+    const result = await setRole(supabase, 'alice_b', 'admin');
+
+    expect(result).toEqual({ success: true, message: 'Alice_B is now an admin.' });
+    expect(supabase.query.ilike).toHaveBeenCalledWith('username', 'alice\\_b');
+    expect(supabase.query.update).toHaveBeenCalledWith({ role: 'admin' });
+    expect(supabase.query.eq).toHaveBeenCalledWith('id', 'user-1');
+  });
+
+  it('should report unknown users', async () => {
+    const result = await setRole(createMockSupabase(null), 'nobody', 'moderator');
+    expect(result).toEqual({ success: false, message: 'User "nobody" not found in database.' });
+  });
+
+  it('should lift the ban in Supabase Auth and on the profile', async () => {
+    const supabase = createMockSupabase(PROFILE);
+
+    const result = await unban(supabase, 'Alice_B');
+
+    expect(result.success).toBe(true);
+    expect(supabase.auth.admin.updateUserById).toHaveBeenCalledWith('user-1', { ban_duration: 'none' });
+    expect(supabase.query.update).toHaveBeenCalledWith({ banned_at: null, ban_reason: null });
+  });
+
+  it('should keep the profile banned when Supabase Auth fails', async () => {
+    const supabase = createMockSupabase(PROFILE, { authError: { message: 'down' } });
+
+    const result = await unban(supabase, 'Alice_B');
+
+    expect(result).toEqual({ success: false, message: 'Error lifting the ban: down' });
+    expect(supabase.query.update).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
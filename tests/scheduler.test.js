@@ -0,0 +1,43 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { JobScheduler } from '../src/lib/scheduler.js';
+
+describe('JobScheduler', () => {
+	/** @type {JobScheduler|null} */
+	let scheduler;
+
+	afterEach(() => {
+		scheduler?.stop();
+	});
+
+	it('should not trigger jobs before the scheduler starts', () => {
+		scheduler = new JobScheduler();
+		const task = vi.fn(async () => 'done');
+		scheduler.addJob('job', task, 60000);
+
+		expect(scheduler.triggerJob('job')).toBe(false);
+		expect(scheduler.triggerJob('missing')).toBe(false);
+		expect(task).not.toHaveBeenCalled();
+		scheduler = null;
+	});
+
+	it('should run a triggered job again once the current run finishes', async () => {
+		scheduler = new JobScheduler();
+		/** @type {(value?: unknown) => void} */
+		let finishRun = () => {};
+		const task = vi.fn(() => new Promise((resolve) => (finishRun = resolve)));
+		scheduler.addJob('job', task, 60000);
+		scheduler.start();
+		expect(task).toHaveBeenCalledTimes(1);
+
+		// Triggered twice during the run, still only one extra run
+		expect(scheduler.triggerJob('job')).toBe(true);
+		scheduler.triggerJob('job');
+		expect(task).toHaveBeenCalledTimes(1);
+
+		finishRun();
+		await vi.waitFor(() => expect(task).toHaveBeenCalledTimes(2));
+		finishRun();
+		await new Promise((resolve) => setTimeout(resolve, 0));
+		expect(task).toHaveBeenCalledTimes(2);
+	});
+});
\ No newline at end of file
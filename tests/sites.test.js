@@ -0,0 +1,84 @@
+import { describe, it, expect, vi } from 'vitest';
+import * as openpgp from 'openpgp';
+import { addSite, parseCommand, removeSite } from '../scripts/sites.js';
+
+const SITE_ID = '123e4567-e89b-42d3-a456-426614174000';
+
+/**
+ * Mock query builder resolving every chain to the given result
+ * @param {Object} result - Result of single() and maybeSingle()
+ * @returns {any}
+ */
+function createMockSupabase(result) {
+  const query = {
+    select: vi.fn(() => query),
+    insert: vi.fn(() => query),
+    update: vi.fn(() => query),
+    delete: vi.fn(() => query),
+    eq: vi.fn(() => query),
+    single: vi.fn(async () => result),
+    maybeSingle: vi.fn(async () => result),
+    then: (/** @type {(result: Object) => void} */ resolve) => resolve({ error: null })
+  };
+  return { from: vi.fn(() => query), query };
+}
+
+describe('Sites CLI', () => {
+  it('should parse commands', () => {
+    expect(parseCommand(['node', 'script'])).toEqual({ command: 'list' });
+    expect(parseCommand(['node', 'script', 'verify', 'Example'])).toEqual({ command: 'verify', name: 'Example' });
+    expect(
+      parseCommand(['node', 'script', 'add', 'Example', 'key.asc', '--mirror-list', 'http://example.onion/mirrors.txt'])
+    ).toEqual({ command: 'add', name: 'Example', keyFile: 'key.asc', mirrorListUrl: 'http://example.onion/mirrors.txt' });
+    expect(() => parseCommand(['node', 'script', 'add', 'Example', 'key.asc'])).toThrow('--mirror-list or --clearnet');
+    expect(() => parseCommand(['node', 'script', 'add', 'Example', 'key.asc', '--clearnet', 'http://example.com'])).toThrow(
+      'HTTPS'
+    );
+    expect(() => parseCommand(['node', 'script', 'remove'])).toThrow('"remove" needs a site name');
+    expect(() => parseCommand(['node', 'script', 'purge'])).toThrow('Unknown command: purge');
+  });
+
+  it('should store the key fingerprint of a new site', async () => {
+    const { publicKey } = await openpgp.generateKey({
+      type: 'ecc',
+      curve: 'curve25519Legacy',
+      userIDs: [{ name: 'Operator' }],
+      format: 'armored'
+    });
+    const supabase = createMockSupabase({ data: { id: SITE_ID }, error: null });
+
+    const result = await addSite(supabase, {
+      name: 'Example',
+      publicKey,
+      mirrorListUrl: 'http://example.onion/mirrors.txt'
+    });
+
+    expect(result.success).toBe(true);
+    expect(supabase.query.insert).toHaveBeenCalledWith(
+      expect.objectContaining({ name: 'Example', key_fingerprint: expect.stringMatching(/^[0-9A-F]{40}$/) })
+    );
+  });
+
+  it('should reject invalid keys', async () => {
+    const supabase = createMockSupabase({ data: null, error: null });
+    const result = await addSite(supabase, { name: 'Example', publicKey: 'not a key' });
+
+    expect(result.success).toBe(false);
+    expect(supabase.query.insert).not.toHaveBeenCalled();
+  });
+
+  it('should clear the mirror status of links when removing a site', async () => {
+    const supabase = createMockSupabase({ data: { id: SITE_ID, name: 'Example' }, error: null });
+
+    const result = await removeSite(supabase, 'Example');
+
+    expect(result.success).toBe(true);
+    expect(supabase.query.update).toHaveBeenCalledWith({ site_id: null, mirror_status: null, mirror_verified_at: null });
+    expect(supabase.query.delete).toHaveBeenCalled();
+  });
+
+  it('should report unknown sites', async () => {
+    const supabase = createMockSupabase({ data: null, error: null });
+    expect((await removeSite(supabase, 'Missing')).success).toBe(false);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,59 @@
+import { describe, it, expect, vi } from 'vitest';
+import { loadTrainingDocuments, parseOptions } from '../scripts/train-category-model.js';
+
+describe('Category model training CLI', () => {
+  it('should parse options', () => {
+    expect(parseOptions(['node', 'script', '--fetch-text', '--output', '/tmp/model.json', '--min-documents', '3'])).toEqual({
+      output: '/tmp/model.json',
+      fetchText: true,
+      minDocuments: 3
+    });
+    expect(parseOptions(['node', 'script']).output).toBe('data/category-model.json');
+    expect(() => parseOptions(['node', 'script', '--bogus'])).toThrow('Unknown option: --bogus');
+  });
+
+  it('should load links with confirmed categories as documents', async () => {
+    const query = {
+      select: vi.fn(() => query),
+      in: vi.fn(() => query),
+      order: vi.fn(() => query),
+      range: vi.fn(async () => ({
+        data: [
+          {
+            url: 'https://example.com',
+            title: 'Example',
+            description: null,
+            domain: 'example.com',
+            link_categories: [{ source: 'user', categories: { name: 'Linux' } }]
+          }
+        ],
+        error: null
+      }))
+    };
+    const supabase = /** @type {any} */ ({ from: vi.fn(() => query) });
+
+    const documents = await loadTrainingDocuments(supabase);
+
+    expect(query.in).toHaveBeenCalledWith('link_categories.source', ['user', 'admin']);
+    expect(documents).toEqual([
+      {
+        url: 'https://example.com',
+        title: 'Example',
+        description: '',
+        domain: 'example.com',
+        categories: ['Linux']
+      }
+    ]);
+  });
+
+  it('should report database errors', async () => {
+    const query = {
+      select: vi.fn(() => query),
+      in: vi.fn(() => query),
+      order: vi.fn(() => query),
+      range: vi.fn(async () => ({ data: null, error: { message: 'boom' } }))
+    };
+
+    await expect(loadTrainingDocuments(/** @type {any} */ ({ from: () => query }))).rejects.toThrow('Error loading links: boom');
+  });
+});
\ No newline at end of file
@@ -1,23 +1,9 @@
 import { describe, it, expect } from 'vitest';
-
-// Since the normalizeUrl function is not exported, we'll test it through the API
-// But first, let's create a standalone version for testing
-function normalizeUrl(url) {
-	try {
-		const urlObj = new URL(url);
-		
-		// Check if it's a .onion domain and has a trailing slash with no path
-		if (urlObj.hostname.endsWith('.onion') && urlObj.pathname === '/') {
-			// Remove the trailing slash for .onion domains
-			return url.replace(/\/$/, '');
-		}
-		
-		return url;
-	} catch {
-		// If URL parsing fails, return original URL
-		return url;
-	}
-}
+import {
+	canonicalizeUrl as normalizeUrl,
+	duplicateKey,
+	schemeVariants
+} from '../src/lib/url-canonicalization.js';
 
 describe('URL Normalization', () => {
 	describe('normalizeUrl function', () => {
@@ -39,9 +25,9 @@ describe('URL Normalization', () => {
 			expect(normalizeUrl(input)).toBe(expected);
 		});
 
-		it('should NOT modify regular HTTP URLs', () => {
+		it('should remove trailing slash from regular URLs with no path', () => {
 			const input = 'https://example.com/';
-			const expected = 'https://example.com/';
+			const expected = 'https://example.com';
 			expect(normalizeUrl(input)).toBe(expected);
 		});
 
@@ -63,9 +49,9 @@ describe('URL Normalization', () => {
 			expect(normalizeUrl(input)).toBe(expected);
 		});
 
-		it('should handle .onion URLs with fragments', () => {
+		it('should remove fragments', () => {
 			const input = 'http://example.onion/#section';
-			const expected = 'http://example.onion/#section';
+			const expected = 'http://example.onion';
 			expect(normalizeUrl(input)).toBe(expected);
 		});
 
@@ -97,6 +83,65 @@ describe('URL Normalization', () => {
 		});
 	});
 
+	describe('Canonicalization', () => {
+		it('should lowercase the scheme and host but not the path', () => {
+			expect(normalizeUrl('HTTP://Example.COM/Docs/Page')).toBe('http://example.com/Docs/Page');
+		});
+
+		it('should lowercase onion v3 addresses', () => {
+			const address = 'FACEBOOKWKHPILNEMXJ7ASANIU7VNJJBILTXJQHYE3MHBSHG7KX5TFYD.onion';
+			expect(normalizeUrl(`https://${address}/`)).toBe(`https://${address.toLowerCase()}`);
+		});
+
+		it('should strip default ports', () => {
+			expect(normalizeUrl('https://example.com:443/page')).toBe('https://example.com/page');
+			expect(normalizeUrl('http://example.com:80/')).toBe('http://example.com');
+			expect(normalizeUrl('https://example.com:8443/')).toBe('https://example.com:8443');
+		});
+
+		it('should remove tracking parameters and sort the rest', () => {
+			expect(
+				normalizeUrl('https://example.com/?utm_source=x&utm_medium=email&fbclid=abc#top')
+			).toBe('https://example.com');
+			expect(normalizeUrl('https://example.com/search?q=tor&page=2&gclid=1')).toBe(
+				'https://example.com/search?page=2&q=tor'
+			);
+		});
+
+		it('should keep the encoding and order of repeated parameters', () => {
+			expect(normalizeUrl('https://example.com/?tag=b&q=a%20b&tag=a')).toBe(
+				'https://example.com/?q=a%20b&tag=b&tag=a'
+			);
+		});
+
+		it('should give the same URL however it was written', () => {
+			const variants = [
+				'HTTP://Example.com/',
+				'http://example.com',
+				'http://example.com/?utm_source=x',
+				'http://example.com:80/#about'
+			];
+			expect(new Set(variants.map(normalizeUrl))).toEqual(new Set(['http://example.com']));
+		});
+
+		it('should leave other schemes alone', () => {
+			expect(normalizeUrl('ftp://Example.com/')).toBe('ftp://Example.com/');
+		});
+
+		it('should optionally treat http and https as one link', () => {
+			const http = normalizeUrl('http://example.com/');
+			const https = normalizeUrl('https://example.com');
+
+			expect(duplicateKey(http, { mergeSchemes: false })).not.toBe(
+				duplicateKey(https, { mergeSchemes: false })
+			);
+			expect(duplicateKey(http, { mergeSchemes: true })).toBe(
+				duplicateKey(https, { mergeSchemes: true })
+			);
+			expect(schemeVariants(https)).toEqual(['http://example.com', 'https://example.com']);
+		});
+	});
+
 	describe('Edge Cases', () => {
 		it('should handle URLs with ports', () => {
 			const input = 'http://example.onion:8080/';
@@ -110,16 +155,16 @@ describe('URL Normalization', () => {
 			expect(normalizeUrl(input)).toBe(expected);
 		});
 
-		it('should only affect .onion domains', () => {
+		it('should treat onion and clearnet roots the same way', () => {
 			const testCases = [
-				'https://example.com/',
-				'https://subdomain.example.org/',
-				'http://localhost:3000/',
-				'https://192.168.1.1/'
+				['https://example.com/', 'https://example.com'],
+				['https://subdomain.example.org/', 'https://subdomain.example.org'],
+				['http://localhost:3000/', 'http://localhost:3000'],
+				['https://192.168.1.1/', 'https://192.168.1.1']
 			];
 
-			testCases.forEach(url => {
-				expect(normalizeUrl(url)).toBe(url);
+			testCases.forEach(([url, expected]) => {
+				expect(normalizeUrl(url)).toBe(expected);
 			});
 		});
 	});
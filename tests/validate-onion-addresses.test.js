@@ -0,0 +1,40 @@
+import { describe, it, expect, vi } from 'vitest';
+import { findAddressChanges, parseOptions, saveAddressChanges } from '../scripts/validate-onion-addresses.js';
+
+const VALID = 'facebookwkhpilnemxj7asaniu7vnjjbiltxjqhye3mhbshg7kx5tfyd.onion';
+const TYPO = 'facebookwkhpilnemxj7asaniu7vnjjbiltxjqhye3mhbshg7kx5tfyc.onion';
+
+describe('Validate onion addresses CLI', () => {
+  it('should parse options', () => {
+    expect(parseOptions(['node', 'script'])).toEqual({ dryRun: false });
+    expect(parseOptions(['node', 'script', '--dry-run'])).toEqual({ dryRun: true });
+    expect(() => parseOptions(['node', 'script', '--all'])).toThrow('Unknown option: --all');
+  });
+
+  it('should only report links whose flag changes', () => {
+    const changes = findAddressChanges([
+      { id: 'valid', url: `http://${VALID}`, domain: VALID, onion_address_error: null },
+      { id: 'typo', url: `http://${TYPO}`, domain: TYPO, onion_address_error: null },
+      { id: 'fixed', url: `http://www.${VALID}`, domain: `www.${VALID}`, onion_address_error: 'Old error' }
+    ]);
+
+    expect(changes).toEqual([
+      { id: 'typo', url: `http://${TYPO}`, error: expect.stringContaining('checksum') },
+      { id: 'fixed', url: `http://www.${VALID}`, error: null }
+    ]);
+  });
+
+  it('should store the flags', async () => {
+    const query = {
+      update: vi.fn(() => query),
+      eq: vi.fn(async () => ({ error: null }))
+    };
+    const supabase = /** @type {any} */ ({ from: vi.fn(() => query) });
+
+    const results = await saveAddressChanges(supabase, [{ id: 'typo', url: 'http://x.onion', error: 'Bad' }]);
+
+    expect(results).toEqual({ updated: 1, errors: [] });
+    expect(query.update).toHaveBeenCalledWith({ onion_address_error: 'Bad' });
+    expect(query.eq).toHaveBeenCalledWith('id', 'typo');
+  });
+});
\ No newline at end of file
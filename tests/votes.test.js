@@ -0,0 +1,113 @@
+import { describe, it, expect, vi } from 'vitest';
+import { recordVote } from '../src/lib/votes.js';
+
+/**
+ * In-memory votes table honouring upsert's onConflict columns like PostgREST does
+ */
+function createClient() {
+	/** @type {Array<Record<string, any>>} */
+	const rows = [];
+
+	const from = vi.fn(() => {
+		/** @type {Array<[string, any]>} */
+		const filters = [];
+		const query = {
+			upsert: vi.fn(
+				(
+					/** @type {Record<string, any>} */ row,
+					/** @type {{onConflict: string}} */ { onConflict }
+				) => {
+					const keys = onConflict.split(',');
+					const existing = rows.find((other) => keys.every((key) => other[key] === row[key]));
+					if (existing) {
+						Object.assign(existing, row);
+					} else {
+						rows.push({ ...row });
+					}
+					return Promise.resolve({ error: null });
+				}
+			),
+			delete: vi.fn(() => query),
+			eq: vi.fn((/** @type {string} */ column, /** @type {any} */ value) => {
+				filters.push([column, value]);
+				return query;
+			}),
+			then: (/** @type {(result: {error: null}) => void} */ resolve) => {
+				const removed = rows.filter((row) =>
+					filters.every(([column, value]) => row[column] === value)
+				);
+				for (const row of removed) rows.splice(rows.indexOf(row), 1);
+				resolve({ error: null });
+			}
+		};
+		return query;
+	});
+
+	return { supabase: /** @type {any} */ ({ from }), rows };
+}
+
+describe('Votes', () => {
+	it('should update the vote of a session that votes again instead of adding one', async () => {
+		const { supabase, rows } = createClient();
+		const vote = { linkId: 'link-1', sessionId: 'anon_a', userId: null };
+
+		await recordVote(supabase, { ...vote, voteType: 1 });
+		await recordVote(supabase, { ...vote, voteType: -1 });
+
+		expect(rows).toEqual([
+			{ link_id: 'link-1', session_id: 'anon_a', user_id: null, vote_type: -1 }
+		]);
+	});
+
+	it('should keep the votes of other sessions and links apart', async () => {
+		const { supabase, rows } = createClient();
+
+		await recordVote(supabase, {
+			linkId: 'link-1',
+			sessionId: 'anon_a',
+			userId: null,
+			voteType: 1
+		});
+		await recordVote(supabase, {
+			linkId: 'link-1',
+			sessionId: 'anon_b',
+			userId: null,
+			voteType: 1
+		});
+		await recordVote(supabase, {
+			linkId: 'link-2',
+			sessionId: 'anon_a',
+			userId: null,
+			voteType: -1
+		});
+
+		expect(rows).toHaveLength(3);
+	});
+
+	it("should only remove the session's own vote", async () => {
+		const { supabase, rows } = createClient();
+
+		await recordVote(supabase, {
+			linkId: 'link-1',
+			sessionId: 'anon_a',
+			userId: null,
+			voteType: 1
+		});
+		await recordVote(supabase, {
+			linkId: 'link-1',
+			sessionId: 'anon_b',
+			userId: null,
+			voteType: 1
+		});
+		await recordVote(supabase, {
+			linkId: 'link-1',
+			sessionId: 'anon_a',
+			userId: null,
+			voteType: null
+		});
+
+		expect(rows).toEqual([
+			{ link_id: 'link-1', session_id: 'anon_b', user_id: null, vote_type: 1 }
+		]);
+	});
+});
\ No newline at end of file